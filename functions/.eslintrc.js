@@ -27,7 +27,7 @@ module.exports = {
       files: ["**/*.ts"],
       parser: "@typescript-eslint/parser",
       parserOptions: {
-        project: "./tsconfig.json",
+        project: ["./tsconfig.json", "./tests/tsconfig.json"],
         tsconfigRootDir: __dirname,
         sourceType: "module",
       },
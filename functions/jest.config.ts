@@ -12,8 +12,9 @@ const config: Config = {
       displayName: "ts",
       testEnvironment: "node",
       testMatch: ["**/tests/**/*.test.ts"],
+      setupFilesAfterEnv: ["<rootDir>/tests/helpers/setup.ts"],
       transform: {
-        "^.+\\.tsx?$": ["ts-jest", {tsconfig: {allowJs: true}}],
+        "^.+\\.tsx?$": ["ts-jest", {tsconfig: "<rootDir>/tests/tsconfig.json"}],
       },
       moduleNameMapper: {
         "^@types/(.*)$": "<rootDir>/src/types/$1",
@@ -26,15 +26,23 @@ export { reviews } from "./routes/reviews";
 export { stripe } from "./routes/stripe";
 export { students } from "./routes/students";
 export { studios } from "./routes/studios";
+export { studioClosures } from "./routes/studio-closures";
 export { teams } from "./routes/teams";
 export { support } from "./routes/support";
 export { updateClassImages } from "./routes/updateClassImages";
 export { usersstudent } from "./routes/usersStudent";
 export { usersinstructor } from "./routes/usersInstructor";
+export { calendarFeeds } from "./routes/calendar-feeds";
 export { workshops } from "./routes/workshops";
 export { kioskSessions } from "./routes/kiosk-sessions";
 export { processAccountDeletions } from "./routes/account-deletion-scheduler";
 export { autoCheckIn } from "./routes/auto-checkin";
+export { expireWaitlistOffers } from "./routes/waitlist-offers";
+export { expireTicketTransfers } from "./routes/ticket-transfers";
+export { processSubscriptionFreezes } from "./routes/subscription-freezes";
+export { processPrivateLessonSeriesPayments } from "./routes/private-lesson-series";
+export { retryInstructorPayouts } from "./routes/instructor-payouts";
+export { applyStudioClosures } from "./routes/studio-closure-scheduler";
 export { contact } from "./routes/contact";
 export { danceupAdminStudios } from "./routes/danceup-admin-studios";
 export { danceupAdminDancers } from "./routes/danceup-admin-dancers";
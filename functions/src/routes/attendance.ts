@@ -3,7 +3,7 @@ import * as admin from "firebase-admin";
 import express, { Request, Response, NextFunction } from "express";
 import cors from "cors";
 import attendanceService from "../services/attendance.service";
-import classesService from "../services/classes.service";
+import waitlistPromotionService from "../services/waitlist-promotion.service";
 import { verifyToken } from "../utils/auth";
 import { getFirestore } from "../utils/firestore";
 import {
@@ -502,6 +502,7 @@ app.post("/", async (req, res) => {
       checkedInBy: body["checkedInBy"] as "studio" | "student",
       checkedInById: body["checkedInById"] as string | undefined,
       checkedInAt: body["checkedInAt"] as admin.firestore.FieldValue | admin.firestore.Timestamp | undefined,
+      idempotencyKey: typeof body["idempotencyKey"] === "string" ? body["idempotencyKey"] as string : null,
     };
 
     let attendanceId: string;
@@ -517,7 +518,9 @@ app.post("/", async (req, res) => {
       if (msg?.includes("required") || msg?.includes("must be")) {
         return sendErrorResponse(req, res, 400, "Validation Error", msg);
       }
-      if (msg?.includes("already checked in")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+      if (msg?.includes("already checked in") || msg?.includes("has been cancelled")) {
+        return sendErrorResponse(req, res, 409, "Conflict", msg);
+      }
       if (msg?.includes("Insufficient credits") || msg?.includes("No available credits")) {
         return sendErrorResponse(req, res, 402, "Payment Required", "Insufficient credits for check-in");
       }
@@ -557,11 +560,12 @@ app.delete("/:id", async (req, res) => {
     await attendanceService.removeAttendanceRecord(req.params["id"] as string, studioOwnerId);
 
     if (recordData && recordData["classId"]) {
-      classesService.notifyFirstWaiting(
+      waitlistPromotionService.promoteNext(
         recordData["classId"] as string,
-        recordData["classInstanceDate"] as string,
+        recordData["classInstanceDate"],
         studioOwnerId,
-      ).catch((err: Error) => console.error("[Waitlist] notifyFirstWaiting error:", err.message));
+        "attendance_removed",
+      ).catch((err: Error) => console.error("[Waitlist] promoteNext error:", err.message));
     }
 
     sendJsonResponse(req, res, 200, { message: "Attendance record removed successfully", creditRestored: true });
@@ -1,7 +1,11 @@
 import { onSchedule } from "firebase-functions/v2/scheduler";
 import * as admin from "firebase-admin";
 import { getFirestore } from "../utils/firestore";
+import { studioTimezone, zoneOffsetMinutes } from "../utils/timezone";
 import attendanceService from "../services/attendance.service";
+import classExceptionsService from "../services/class-exceptions.service";
+import subscriptionFreezesService from "../services/subscription-freezes.service";
+import type { EffectiveClassInstance } from "../services/class-exceptions.service";
 
 const DAY_NAME_TO_NUM: Record<string, number> = {
   Sunday: 0, Monday: 1, Tuesday: 2, Wednesday: 3,
@@ -20,21 +24,13 @@ function getStudioOffsetMinutes(lat: number, lng: number, epochMs: number): numb
   if (timezoneCache.has(key)) return timezoneCache.get(key)!;
 
   try {
-    // eslint-disable-next-line @typescript-eslint/no-require-imports
-    const { find } = require("geo-tz") as { find: (lat: number, lng: number) => string[] };
-    const zones = find(lat, lng);
-    const zone = zones[0];
+    const zone = studioTimezone({ lat, lng });
     if (!zone) {
       timezoneCache.set(key, null);
       return null;
     }
 
-    // Compute UTC offset in minutes for this zone at this epoch.
-    const date = new Date(epochMs);
-    const utcDate = new Date(date.toLocaleString("en-US", { timeZone: "UTC" }));
-    const tzDate = new Date(date.toLocaleString("en-US", { timeZone: zone }));
-    const offsetMinutes = (tzDate.getTime() - utcDate.getTime()) / 60000;
-
+    const offsetMinutes = zoneOffsetMinutes(zone, epochMs);
     console.log(`[AutoCheckIn] Timezone ${zone} → offset=${offsetMinutes}min`);
     timezoneCache.set(key, offsetMinutes);
     return offsetMinutes;
@@ -106,6 +102,7 @@ export const autoCheckIn = onSchedule(
 
     const classCache = new Map<string, admin.firestore.DocumentData>();
     const studioCache = new Map<string, admin.firestore.DocumentData>();
+    const instanceCache = new Map<string, EffectiveClassInstance | null>();
 
     for (const profileDoc of profilesSnap.docs) {
       const profile = profileDoc.data();
@@ -183,13 +180,25 @@ export const autoCheckIn = onSchedule(
           const localY = localNow.getUTCFullYear();
           const localMo = String(localNow.getUTCMonth() + 1).padStart(2, "0");
           const localD = String(localNow.getUTCDate()).padStart(2, "0");
-          const instanceDateStr = `${localY}-${localMo}-${localD}T12:00:00.000Z`;
+          const localDay = `${localY}-${localMo}-${localD}`;
 
           console.log(`[AutoCheckIn] Class "${className}" DOW=${classDow}(${dayOfWeekName}) ${startTime}-${endTime} | studioLocalDow=${localDow} studioLocalMinutes=${localMinutes} studioLat=${lat} studioLng=${lng} offset=${offsetMinutes}`);
 
-          if (classDow !== localDow) continue;
+          // Per-instance exceptions decide what (if anything) runs today: a cancelled
+          // or moved-away occurrence is skipped, and one moved onto today runs at its
+          // new time. Attendance is labelled with the occurrence's original day.
+          const instanceKey = `${classId}_${localDay}`;
+          if (!instanceCache.has(instanceKey)) {
+            instanceCache.set(instanceKey, await classExceptionsService.getInstanceOn({ id: classId, ...classData }, localDay));
+          }
+          const instance = instanceCache.get(instanceKey);
+          if (!instance) {
+            if (classDow === localDow) console.log(`[AutoCheckIn] "${className}" is cancelled or moved today — skipping`);
+            continue;
+          }
+          const instanceDateStr = `${instance.originalDate}T12:00:00.000Z`;
 
-          if (!isInWindow(localMinutes, startTime, endTime)) {
+          if (!isInWindow(localMinutes, instance.startTime, instance.endTime)) {
             console.log(`[AutoCheckIn] Outside time window for "${className}"`);
             continue;
           }
@@ -200,6 +209,11 @@ export const autoCheckIn = onSchedule(
             continue;
           }
 
+          if (await subscriptionFreezesService.isFrozenOn(studentId, studioOwnerId, localDay)) {
+            console.log(`[AutoCheckIn] ${authUid} has a frozen subscription at studio ${studioOwnerId} — skipping "${className}"`);
+            continue;
+          }
+
           try {
             // "student" here, not a distinct "auto" value — the current attendance
             // service's checkedInBy type only recognizes "studio" | "student" (matching
@@ -1,5 +1,4 @@
 import * as functions from "firebase-functions";
-import * as admin from "firebase-admin";
 import express, { Request, Response, NextFunction } from "express";
 import cors from "cors";
 import bookingsService from "../services/bookings.service";
@@ -7,12 +6,14 @@ import notificationsService from "../services/notifications.service";
 import instructorsService from "../services/instructors.service";
 import authService from "../services/auth.service";
 import instructorLinkingService from "../services/instructor-linking.service";
+import privateLessonSeriesService from "../services/private-lesson-series.service";
+import instructorPayoutsService from "../services/instructor-payouts.service";
 import * as stripeService from "../services/stripe.service";
 import * as sendgridService from "../services/sendgrid.service";
 import { verifyToken } from "../utils/auth";
 import { getFirestore } from "../utils/firestore";
 import { validateCreateBookingPayload } from "../utils/validation";
-import { sendStudentPush } from "../utils/push-notifications";
+import { notifyAppUser, notifyInstructor } from "../utils/push-notifications";
 import {
   sendJsonResponse,
   sendErrorResponse,
@@ -44,7 +45,6 @@ async function notifyPrivateLessonBookingCreated(params: {
   studentEmail?: string | null;
 }): Promise<void> {
   const { bookingId, instructorId, studioId, studioName, instructorName, date, timeSlot, amountPaid, authUid, studentEmail } = params;
-  const db = getFirestore();
 
   try {
     if (studentEmail) {
@@ -69,40 +69,21 @@ async function notifyPrivateLessonBookingCreated(params: {
   } catch (err) { console.error("[booking] Studio notification error:", err); }
 
   try {
-    const instructorDoc = await db.collection("instructors").doc(instructorId).get();
-    const instructorAuthUid = instructorDoc.exists
-      ? (instructorDoc.data() as Record<string, unknown>)["authUid"] as string | undefined
-      : undefined;
-    if (instructorAuthUid) {
-      const pushTitle = "New private lesson request";
-      const pushBody = `New request for ${date} at ${timeSlot.startTime} — payment received.`;
-      await db.collection("studentNotifications").add({
-        authUid: instructorAuthUid,
-        context: "instructor",
-        type: "new_private_booking",
-        title: pushTitle,
-        body: pushBody,
-        bookingId,
-        read: false,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-      await sendStudentPush(instructorAuthUid, pushTitle, pushBody);
-    }
+    await notifyInstructor(instructorId, {
+      type: "new_private_booking",
+      title: "New private lesson request",
+      body: `New request for ${date} at ${timeSlot.startTime} — payment received.`,
+      refs: { bookingId },
+    });
   } catch (err) { console.error("[booking] Instructor notification error:", err); }
 
   try {
-    const pushTitle = "Private Lesson Payment Confirmed";
-    const pushBody = `${instructorName} at ${studioName} — ${date} · $${amountPaid}`;
-    await db.collection("studentNotifications").add({
-      authUid,
+    await notifyAppUser(authUid, {
       type: "payment",
-      title: pushTitle,
-      body: pushBody,
-      bookingId,
-      read: false,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      title: "Private Lesson Payment Confirmed",
+      body: `${instructorName} at ${studioName} — ${date} · $${amountPaid}`,
+      refs: { bookingId },
     });
-    await sendStudentPush(authUid, pushTitle, pushBody);
   } catch (err) { console.error("[booking] Student notification error:", err); }
 }
 
@@ -154,7 +135,7 @@ app.post("/", async (req, res) => {
       });
     }
 
-    const bookingId = await bookingsService.createBooking(req.body, studentId);
+    const bookingId = await bookingsService.createBooking(req.body, studentId, user.uid);
     const booking = await bookingsService.getBookingById(bookingId);
 
     try {
@@ -180,37 +161,20 @@ app.post("/", async (req, res) => {
 
     try {
       const instructorId = (req.body as Record<string, unknown>)["instructorId"] as string;
-      const instructorDoc = await getFirestore().collection("instructors").doc(instructorId).get();
-      const instructorAuthUid = instructorDoc.exists
-        ? (instructorDoc.data() as Record<string, unknown>)["authUid"] as string | undefined
-        : undefined;
-
-      // Only linked instructors have a mobile identity to notify — a no-op for
-      // instructors who haven't claimed a users-app account yet.
-      if (instructorAuthUid) {
-        const bookingDate = new Date((req.body as Record<string, unknown>)["date"] as string);
-        const timeSlot = (req.body as Record<string, unknown>)["timeSlot"] as Record<string, unknown> | undefined;
-        const formattedDate = bookingDate.toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric" });
-        const studentProfileDoc = await getFirestore().collection("usersStudentProfiles").doc(studentId).get();
-        const studentName = studentProfileDoc.exists
-          ? `${(studentProfileDoc.data() as Record<string, unknown>)["firstName"] ?? ""} ${(studentProfileDoc.data() as Record<string, unknown>)["lastName"] ?? ""}`.trim()
-          : "A student";
-
-        const pushTitle = "New private lesson request";
-        const pushBody = `${studentName || "A student"} requested a private lesson on ${formattedDate}${timeSlot?.["startTime"] ? ` at ${timeSlot["startTime"] as string}` : ""}`;
-
-        await getFirestore().collection("studentNotifications").add({
-          authUid: instructorAuthUid,
-          context: "instructor",
-          type: "new_private_booking",
-          title: pushTitle,
-          body: pushBody,
-          bookingId,
-          read: false,
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
-        await sendStudentPush(instructorAuthUid, pushTitle, pushBody);
-      }
+      const bookingDate = new Date((req.body as Record<string, unknown>)["date"] as string);
+      const timeSlot = (req.body as Record<string, unknown>)["timeSlot"] as Record<string, unknown> | undefined;
+      const formattedDate = bookingDate.toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric" });
+      const studentProfileDoc = await getFirestore().collection("usersStudentProfiles").doc(studentId).get();
+      const studentName = studentProfileDoc.exists
+        ? `${(studentProfileDoc.data() as Record<string, unknown>)["firstName"] ?? ""} ${(studentProfileDoc.data() as Record<string, unknown>)["lastName"] ?? ""}`.trim()
+        : "A student";
+
+      await notifyInstructor(instructorId, {
+        type: "new_private_booking",
+        title: "New private lesson request",
+        body: `${studentName || "A student"} requested a private lesson on ${formattedDate}${timeSlot?.["startTime"] ? ` at ${timeSlot["startTime"] as string}` : ""}`,
+        refs: { bookingId },
+      });
     } catch (err) { console.error("Error notifying instructor of new booking:", err); }
 
     sendJsonResponse(req, res, 201, booking);
@@ -219,6 +183,9 @@ app.post("/", async (req, res) => {
     if ((error as Error).message === "Time slot is already booked") {
       return sendErrorResponse(req, res, 409, "Conflict", (error as Error).message);
     }
+    if ((error as Error).message === "Invalid time slot") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "timeSlot must have a startTime before its endTime (HH:mm)");
+    }
     handleError(req, res, error);
   }
 });
@@ -261,6 +228,9 @@ app.post("/create-payment-intent", async (req, res) => {
     if ((error as Error).message === "This time slot is no longer available") {
       return sendErrorResponse(req, res, 409, "Conflict", (error as Error).message);
     }
+    if ((error as Error).message === "Invalid time slot") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "timeSlot must have a startTime before its endTime (HH:mm)");
+    }
     handleError(req, res, error);
   }
 });
@@ -323,6 +293,109 @@ app.post("/confirm-payment", async (req, res) => {
   }
 });
 
+interface SavedCard {
+  platformCustomerId: string;
+  connectedAccountId: string;
+  connectedCustomerId: string;
+  connectedPaymentMethodId: string;
+  studioName: string;
+  profileDoc: FirebaseFirestore.DocumentSnapshot | null;
+}
+
+/**
+ * Gets a student's saved card ready for a direct charge on the studio's
+ * connected account: finds or creates their customer there and clones the card
+ * onto it. When that isn't possible it sends the error response and returns null.
+ */
+async function prepareSavedCard(
+  req: Request, res: Response, user: { uid: string; email?: string | null }, paymentMethodId: string, studioId: string,
+): Promise<SavedCard | null> {
+  const db = getFirestore();
+  const profileDoc = await authService.getStudentProfileByAuthUid(user.uid);
+  const profileData = profileDoc ? (profileDoc.data() as Record<string, unknown>) : null;
+  let stripeCustomerId: string | null = (profileData?.["stripeCustomerId"] as string) || null;
+  let studentDocRef: FirebaseFirestore.DocumentReference | null =
+    profileDoc ? db.collection("usersStudentProfiles").doc(profileDoc.id) : null;
+  let studentConnectedCustomers: Record<string, string> =
+    (profileData?.["stripeConnectedCustomers"] as Record<string, string>) || {};
+  const studentEmail: string = (profileData?.["email"] as string) || user.email || "";
+
+  if (!stripeCustomerId) {
+    const userQuery = await db.collection("users").where("authUid", "==", user.uid).limit(1).get();
+    if (!userQuery.empty) {
+      const firstDoc = userQuery.docs[0];
+      if (firstDoc) {
+        const userData = firstDoc.data() as Record<string, unknown>;
+        stripeCustomerId = (userData["stripeCustomerId"] as string) || null;
+        studentDocRef = studentDocRef ?? db.collection("users").doc(firstDoc.id);
+        studentConnectedCustomers =
+          (userData["stripeConnectedCustomers"] as Record<string, string>) || {};
+      }
+    }
+  }
+
+  if (!stripeCustomerId) {
+    sendErrorResponse(req, res, 400, "Bad Request", "No saved payment method on file. Please add a card first.");
+    return null;
+  }
+
+  const savedMethods = await stripeService.listPaymentMethods(stripeCustomerId);
+  if (!savedMethods.some((pm) => pm.id === paymentMethodId)) {
+    sendErrorResponse(req, res, 403, "Forbidden", "Payment method does not belong to this account");
+    return null;
+  }
+
+  const studioOwnerDoc = await db.collection("users").doc(studioId).get();
+  const studioOwnerData = studioOwnerDoc.exists ? (studioOwnerDoc.data() as Record<string, unknown>) : {};
+  const connectedAccountId = (studioOwnerData["stripeAccountId"] as string) || null;
+  const studioName = (studioOwnerData["studioName"] as string) || "Studio";
+
+  if (!connectedAccountId) {
+    sendErrorResponse(req, res, 400, "Bad Request", "This studio has not completed Stripe setup.");
+    return null;
+  }
+
+  // Find or create the student as a customer on the studio's connected Stripe account
+  const existingConnectedCustomerId = studentConnectedCustomers[connectedAccountId] ?? null;
+  const { customer: connectedCustomer, isNew } = await stripeService.findOrCreateConnectedCustomer(
+    studentEmail,
+    stripeCustomerId,
+    connectedAccountId,
+    undefined,
+    existingConnectedCustomerId,
+  );
+  const connectedCustomerId = connectedCustomer.id;
+  if ((isNew || !existingConnectedCustomerId) && studentDocRef) {
+    await studentDocRef.update({
+      [`stripeConnectedCustomers.${connectedAccountId}`]: connectedCustomerId,
+    });
+  }
+
+  // Find the cloned PM on the connected account (by fingerprint) or clone it now
+  let connectedPm = await stripeService.findConnectedPaymentMethod(
+    paymentMethodId,
+    connectedCustomerId,
+    connectedAccountId,
+  );
+  if (!connectedPm) {
+    connectedPm = await stripeService.clonePaymentMethodToConnectedAccount(
+      paymentMethodId,
+      stripeCustomerId,
+      connectedCustomerId,
+      connectedAccountId,
+    );
+  }
+
+  return {
+    platformCustomerId: stripeCustomerId,
+    connectedAccountId,
+    connectedCustomerId,
+    connectedPaymentMethodId: connectedPm.id,
+    studioName,
+    profileDoc,
+  };
+}
+
 app.post("/charge-saved", async (req, res) => {
   try {
     let user;
@@ -349,82 +422,13 @@ app.post("/charge-saved", async (req, res) => {
 
     const instructorName = [instructor["firstName"], instructor["lastName"]].filter(Boolean).join(" ");
 
-    const db = getFirestore();
-    const profileDoc = await authService.getStudentProfileByAuthUid(user.uid);
-    const profileData = profileDoc ? (profileDoc.data() as Record<string, unknown>) : null;
-    let stripeCustomerId: string | null = (profileData?.["stripeCustomerId"] as string) || null;
-    let studentDocRef: FirebaseFirestore.DocumentReference | null =
-      profileDoc ? db.collection("usersStudentProfiles").doc(profileDoc.id) : null;
-    let studentConnectedCustomers: Record<string, string> =
-      (profileData?.["stripeConnectedCustomers"] as Record<string, string>) || {};
-    const studentEmail: string = (profileData?.["email"] as string) || user.email || "";
-
-    if (!stripeCustomerId) {
-      const userQuery = await db.collection("users").where("authUid", "==", user.uid).limit(1).get();
-      if (!userQuery.empty) {
-        const firstDoc = userQuery.docs[0];
-        if (firstDoc) {
-          const userData = firstDoc.data() as Record<string, unknown>;
-          stripeCustomerId = (userData["stripeCustomerId"] as string) || null;
-          studentDocRef = studentDocRef ?? db.collection("users").doc(firstDoc.id);
-          studentConnectedCustomers =
-            (userData["stripeConnectedCustomers"] as Record<string, string>) || {};
-        }
-      }
-    }
-
-    if (!stripeCustomerId) {
-      return sendErrorResponse(req, res, 400, "Bad Request", "No saved payment method on file. Please add a card first.");
-    }
-
-    const savedMethods = await stripeService.listPaymentMethods(stripeCustomerId);
-    if (!savedMethods.some((pm) => pm.id === paymentMethodId)) {
-      return sendErrorResponse(req, res, 403, "Forbidden", "Payment method does not belong to this account");
-    }
-
-    const studioOwnerDoc = await db.collection("users").doc(studioId as string).get();
-    const studioOwnerData = studioOwnerDoc.exists ? (studioOwnerDoc.data() as Record<string, unknown>) : {};
-    const connectedAccountId = (studioOwnerData["stripeAccountId"] as string) || null;
-    const studioName = (studioOwnerData["studioName"] as string) || "Studio";
-
-    if (!connectedAccountId) {
-      return sendErrorResponse(req, res, 400, "Bad Request", "This studio has not completed Stripe setup.");
-    }
+    const card = await prepareSavedCard(req, res, user, paymentMethodId as string, studioId as string);
+    if (!card) return;
+    const { connectedAccountId, connectedCustomerId, connectedPaymentMethodId, studioName, profileDoc } = card;
 
     const amountCents = Math.round((instructor["privateRate"] as number) * 100);
     const studentId = await bookingsService.getStudentId(user.uid);
 
-    // Find or create the student as a customer on the studio's connected Stripe account
-    const existingConnectedCustomerId = studentConnectedCustomers[connectedAccountId] ?? null;
-    const { customer: connectedCustomer, isNew } = await stripeService.findOrCreateConnectedCustomer(
-      studentEmail,
-      stripeCustomerId,
-      connectedAccountId,
-      undefined,
-      existingConnectedCustomerId,
-    );
-    const connectedCustomerId = connectedCustomer.id;
-    if ((isNew || !existingConnectedCustomerId) && studentDocRef) {
-      await studentDocRef.update({
-        [`stripeConnectedCustomers.${connectedAccountId}`]: connectedCustomerId,
-      });
-    }
-
-    // Find the cloned PM on the connected account (by fingerprint) or clone it now
-    let connectedPm = await stripeService.findConnectedPaymentMethod(
-      paymentMethodId as string,
-      connectedCustomerId,
-      connectedAccountId,
-    );
-    if (!connectedPm) {
-      connectedPm = await stripeService.clonePaymentMethodToConnectedAccount(
-        paymentMethodId as string,
-        stripeCustomerId,
-        connectedCustomerId,
-        connectedAccountId,
-      );
-    }
-
     const metadata = {
       purchaseType: "private_lesson",
       instructorId: instructorId as string,
@@ -441,14 +445,20 @@ app.post("/charge-saved", async (req, res) => {
     };
 
     // Direct charge on the studio's connected account — consistent with package and
-    // subscription charges so all revenue appears in the studio's Stripe dashboard.
-    const paymentIntent = await stripeService.chargePaymentMethodDirectly(
-      connectedCustomerId,
-      connectedPm.id,
-      amountCents,
-      metadata,
-      connectedAccountId,
-    );
+    // subscription charges so all revenue appears in the studio's Stripe dashboard —
+    // unless the instructor is paid by split, which charges on the platform and transfers.
+    const payoutSplit = await instructorPayoutsService.planSplit(instructorId as string, connectedAccountId, amountCents);
+    const paymentIntent = payoutSplit
+      ? await stripeService.chargeSavedCardOnPlatform(
+        card.platformCustomerId, paymentMethodId as string, amountCents, metadata, payoutSplit.transferGroup,
+      )
+      : await stripeService.chargePaymentMethodDirectly(
+        connectedCustomerId,
+        connectedPaymentMethodId,
+        amountCents,
+        metadata,
+        connectedAccountId,
+      );
 
     const piData = paymentIntent as unknown as Record<string, unknown>;
     if (piData["status"] === "requires_action") {
@@ -469,8 +479,9 @@ app.post("/charge-saved", async (req, res) => {
       notes: (notes as string) || null,
       amountPaid: instructor["privateRate"] as number,
       stripePaymentIntentId: piData["id"] as string,
-      stripeConnectedAccountId: connectedAccountId,
+      stripeConnectedAccountId: payoutSplit ? null : connectedAccountId,
       dependentId: typeof dependentId === "string" ? dependentId : null,
+      payoutSplit,
     });
 
     const recipientEmail = profileDoc ? ((profileDoc.data() as Record<string, unknown>)["email"] as string) : user.email;
@@ -498,6 +509,9 @@ app.post("/charge-saved", async (req, res) => {
     });
   } catch (error) {
     console.error("charge-saved booking error:", error);
+    if ((error as Error).message === "Invalid time slot") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "timeSlot must have a startTime before its endTime (HH:mm)");
+    }
     handleError(req, res, error);
   }
 });
@@ -547,6 +561,206 @@ app.get("/instructor/:instructorId", async (req, res) => {
   }
 });
 
+/** Body shared by the student and studio reschedule endpoints; null when date or timeSlot is missing. */
+function parseRescheduleBody(body: unknown): { date: string; timeSlot: { startTime: string; endTime: string }; reason: string | null } | null {
+  const { date, timeSlot, reason } = (body ?? {}) as Record<string, unknown>;
+  const ts = timeSlot as Record<string, unknown> | undefined;
+  if (typeof date !== "string" || typeof ts?.["startTime"] !== "string" || typeof ts?.["endTime"] !== "string") return null;
+  return {
+    date,
+    timeSlot: { startTime: ts["startTime"] as string, endTime: ts["endTime"] as string },
+    reason: typeof reason === "string" ? reason.trim().slice(0, 500) || null : null,
+  };
+}
+
+function sendRescheduleError(req: Request, res: Response, error: unknown): void {
+  console.error("Error rescheduling booking:", error);
+  const msg = (error as Error).message;
+  if (msg === "Booking not found") return sendErrorResponse(req, res, 404, "Not Found", msg);
+  if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+  if (msg === "This time slot is no longer available") return sendErrorResponse(req, res, 409, "Conflict", msg);
+  if (msg === "Invalid time slot") {
+    return sendErrorResponse(req, res, 400, "Validation Error", "date must be YYYY-MM-DD and timeSlot must have a startTime before its endTime (HH:mm)");
+  }
+  if (
+    msg?.includes("rescheduled") || msg?.includes("same length") ||
+    msg?.includes("already at this time") || msg?.includes("must be in the future")
+  ) {
+    return sendErrorResponse(req, res, 400, "Bad Request", msg);
+  }
+  handleError(req, res, error);
+}
+
+function sendSeriesError(req: Request, res: Response, error: unknown): void {
+  console.error("Private lesson series error:", error);
+  const msg = (error as Error).message;
+  if (msg === "Series not found" || msg === "Instructor not found") return sendErrorResponse(req, res, 404, "Not Found", msg);
+  if (msg === "Access denied") return sendErrorResponse(req, res, 403, "Access Denied", msg);
+  if (msg?.includes("not available")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+  if (msg?.includes("Payment could not be completed")) return sendErrorResponse(req, res, 402, "Payment Failed", msg);
+  if (msg === "Invalid time slot") {
+    return sendErrorResponse(req, res, 400, "Validation Error", "timeSlot must have a startTime before its endTime (HH:mm)");
+  }
+  if (
+    msg?.startsWith("startDate") || msg?.startsWith("occurrences") || msg?.startsWith("intervalWeeks") ||
+    msg?.includes("private lesson rate") || msg?.includes("not awaiting payment") || msg === "Payment not completed"
+  ) {
+    return sendErrorResponse(req, res, 400, "Bad Request", msg);
+  }
+  handleError(req, res, error);
+}
+
+app.post("/series/check", async (req, res) => {
+  try {
+    try { await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const { instructorId, startDate, timeSlot, occurrences, intervalWeeks } = req.body as Record<string, unknown>;
+    const ts = timeSlot as Record<string, unknown> | undefined;
+    if (!instructorId || !startDate || typeof ts?.["startTime"] !== "string" || typeof ts?.["endTime"] !== "string") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "instructorId, startDate, timeSlot, and occurrences are required");
+    }
+
+    const results = await privateLessonSeriesService.checkOccurrences(
+      instructorId as string,
+      startDate as string,
+      { startTime: ts["startTime"] as string, endTime: ts["endTime"] as string },
+      Number(occurrences),
+      intervalWeeks === undefined ? 1 : Number(intervalWeeks),
+    );
+    sendJsonResponse(req, res, 200, { available: results.every((occurrence) => occurrence.available), occurrences: results });
+  } catch (error) {
+    sendSeriesError(req, res, error);
+  }
+});
+
+app.post("/series", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch {
+      return sendErrorResponse(req, res, 401, "Authentication Failed", "Login required to book a private lesson.");
+    }
+
+    const {
+      instructorId, studioId, startDate, timeSlot, occurrences, intervalWeeks, paymentPlan, paymentMethodId, notes, dependentId,
+    } = req.body as Record<string, unknown>;
+    const ts = timeSlot as Record<string, unknown> | undefined;
+    if (
+      !instructorId || !studioId || !startDate || typeof ts?.["startTime"] !== "string" ||
+      typeof ts?.["endTime"] !== "string" || !paymentMethodId
+    ) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "instructorId, studioId, startDate, timeSlot, occurrences, and paymentMethodId are required");
+    }
+    if (paymentPlan !== "per_lesson" && paymentPlan !== "bundle") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "paymentPlan must be one of: per_lesson, bundle");
+    }
+
+    const card = await prepareSavedCard(req, res, user, paymentMethodId as string, studioId as string);
+    if (!card) return;
+
+    const result = await privateLessonSeriesService.createSeries({
+      studentId: await bookingsService.getStudentId(user.uid),
+      authUid: user.uid,
+      instructorId: instructorId as string,
+      studioId: studioId as string,
+      startDate: startDate as string,
+      timeSlot: { startTime: ts["startTime"] as string, endTime: ts["endTime"] as string },
+      occurrences: Number(occurrences),
+      intervalWeeks: intervalWeeks === undefined ? 1 : Number(intervalWeeks),
+      paymentPlan,
+      notes: typeof notes === "string" ? notes : null,
+      dependentId: typeof dependentId === "string" ? dependentId : null,
+      card,
+    });
+    sendJsonResponse(req, res, result.requiresAction ? 200 : 201, result);
+  } catch (error) {
+    sendSeriesError(req, res, error);
+  }
+});
+
+app.post("/series/:seriesId/confirm-payment", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const result = await privateLessonSeriesService.confirmSeriesPayment(req.params["seriesId"] as string, user.uid);
+    sendJsonResponse(req, res, 200, result);
+  } catch (error) {
+    sendSeriesError(req, res, error);
+  }
+});
+
+app.get("/series", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studentId = await bookingsService.getStudentId(user.uid);
+    sendJsonResponse(req, res, 200, await privateLessonSeriesService.listForStudent(studentId));
+  } catch (error) {
+    sendSeriesError(req, res, error);
+  }
+});
+
+app.get("/series/:seriesId", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studentId = await bookingsService.getStudentId(user.uid);
+    const series = await privateLessonSeriesService.getSeries(req.params["seriesId"] as string, { studentId });
+    sendJsonResponse(req, res, 200, series);
+  } catch (error) {
+    sendSeriesError(req, res, error);
+  }
+});
+
+app.patch("/series/:seriesId/cancel", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studentId = await bookingsService.getStudentId(user.uid);
+    const result = await privateLessonSeriesService.cancelRemaining(req.params["seriesId"] as string, { type: "student", studentId });
+    sendJsonResponse(req, res, 200, result);
+  } catch (error) {
+    sendSeriesError(req, res, error);
+  }
+});
+
+app.get("/studio/series/:seriesId", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const userDoc = await authService.getUserDocumentByAuthUid(user.uid);
+    if (!userDoc) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+    const series = await privateLessonSeriesService.getSeries(req.params["seriesId"] as string, { studioOwnerId: userDoc.id });
+    sendJsonResponse(req, res, 200, series);
+  } catch (error) {
+    sendSeriesError(req, res, error);
+  }
+});
+
+app.patch("/studio/series/:seriesId/cancel", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const userDoc = await authService.getUserDocumentByAuthUid(user.uid);
+    if (!userDoc) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+    const result = await privateLessonSeriesService.cancelRemaining(
+      req.params["seriesId"] as string, { type: "studio", studioOwnerId: userDoc.id },
+    );
+    sendJsonResponse(req, res, 200, result);
+  } catch (error) {
+    sendSeriesError(req, res, error);
+  }
+});
+
 app.get("/studio", async (req, res) => {
   try {
     let user;
@@ -576,20 +790,52 @@ app.patch("/studio/:bookingId/cancel", async (req, res) => {
       return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
     }
 
-    await bookingsService.cancelBookingAsStudio(req.params["bookingId"] as string, userDoc.id);
+    const { type, waiveFee, reason } = (req.body ?? {}) as Record<string, unknown>;
+    if (type !== undefined && !["studio", "student_request", "no_show"].includes(type as string)) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "type must be one of: studio, student_request, no_show");
+    }
+    if (waiveFee !== undefined && typeof waiveFee !== "boolean") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "waiveFee must be a boolean");
+    }
+    await bookingsService.cancelBookingAsStudio(req.params["bookingId"] as string, userDoc.id, {
+      kind: type as "studio" | "student_request" | "no_show" | undefined,
+      waiveFee: waiveFee as boolean | undefined,
+      reason: typeof reason === "string" ? reason.trim().slice(0, 500) || null : null,
+    });
     const booking = await bookingsService.getBookingByIdForStudio(req.params["bookingId"] as string, userDoc.id);
     sendJsonResponse(req, res, 200, booking);
   } catch (error) {
     console.error("Error cancelling booking as studio:", error);
     const msg = (error as Error).message;
     if (msg === "Booking not found") return sendErrorResponse(req, res, 404, "Not Found", msg);
-    if (msg?.includes("Access denied") || msg?.includes("already cancelled")) {
+    if (msg?.includes("Access denied") || msg?.includes("already cancelled") || msg?.includes("no-show")) {
       return sendErrorResponse(req, res, 400, "Bad Request", msg);
     }
     handleError(req, res, error);
   }
 });
 
+app.patch("/studio/:bookingId/reschedule", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const userDoc = await authService.getUserDocumentByAuthUid(user.uid);
+    if (!userDoc) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+    const input = parseRescheduleBody(req.body);
+    if (!input) return sendErrorResponse(req, res, 400, "Validation Error", "date and timeSlot are required");
+
+    const booking = await bookingsService.rescheduleBooking(
+      req.params["bookingId"] as string, { type: "studio", studioOwnerId: userDoc.id }, input.date, input.timeSlot, input.reason,
+    );
+    sendJsonResponse(req, res, 200, booking);
+  } catch (error) {
+    sendRescheduleError(req, res, error);
+  }
+});
+
 app.get("/studio/:bookingId", async (req, res) => {
   try {
     let user;
@@ -637,6 +883,23 @@ app.get("/:bookingId", async (req, res) => {
   }
 });
 
+app.get("/:bookingId/cancellation-preview", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studentId = await bookingsService.getStudentId(user.uid);
+    const preview = await bookingsService.previewCancellation(req.params["bookingId"] as string, studentId);
+    sendJsonResponse(req, res, 200, preview);
+  } catch (error) {
+    console.error("Error previewing booking cancellation:", error);
+    const msg = (error as Error).message;
+    if (msg === "Booking not found") return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    handleError(req, res, error);
+  }
+});
+
 app.patch("/:bookingId/cancel", async (req, res) => {
   try {
     let user;
@@ -650,13 +913,31 @@ app.patch("/:bookingId/cancel", async (req, res) => {
     console.error("Error cancelling booking:", error);
     const msg = (error as Error).message;
     if (msg === "Booking not found") return sendErrorResponse(req, res, 404, "Not Found", msg);
-    if (msg?.includes("Access denied") || msg?.includes("already cancelled")) {
+    if (msg?.includes("Access denied") || msg?.includes("already cancelled") || msg?.includes("has started")) {
       return sendErrorResponse(req, res, 400, "Bad Request", msg);
     }
     handleError(req, res, error);
   }
 });
 
+app.patch("/:bookingId/reschedule", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const input = parseRescheduleBody(req.body);
+    if (!input) return sendErrorResponse(req, res, 400, "Validation Error", "date and timeSlot are required");
+
+    const studentId = await bookingsService.getStudentId(user.uid);
+    const booking = await bookingsService.rescheduleBooking(
+      req.params["bookingId"] as string, { type: "student", studentId }, input.date, input.timeSlot, input.reason,
+    );
+    sendJsonResponse(req, res, 200, booking);
+  } catch (error) {
+    sendRescheduleError(req, res, error);
+  }
+});
+
 app.patch("/:bookingId/confirm", async (req, res) => {
   try {
     let user;
@@ -678,82 +959,7 @@ app.patch("/:bookingId/confirm", async (req, res) => {
     const booking = await bookingsService.confirmBooking(bookingId, userDoc
       ? { studioOwnerId: userDoc.id }
       : { instructorId: instructorLink!.instructorId });
-    const studioOwnerId = (booking["studioId"] as string) ?? userDoc?.id ?? instructorLink?.studioOwnerId;
-
-    const db = getFirestore();
-
-    try {
-      const notificationsSnapshot = await db.collection("notifications")
-        .where("studioId", "==", studioOwnerId)
-        .where("bookingId", "==", bookingId)
-        .limit(1)
-        .get();
-      if (!notificationsSnapshot.empty) {
-        const notificationDoc = notificationsSnapshot.docs[0];
-        if (notificationDoc) {
-          await notificationsService.markNotificationAsRead(notificationDoc.id, studioOwnerId);
-        }
-      }
-    } catch (err) { console.error("Error marking studio notification as read:", err); }
-
-    try {
-      const bookingData = booking as Record<string, unknown>;
-      const studentAuthUid = bookingData["authUid"] as string | undefined;
-      if (studentAuthUid) {
-        const bookingDate = bookingData["date"] as string | undefined;
-        const bookingTs = bookingData["timeSlot"] as Record<string, unknown> | undefined;
-        const timeLabel = bookingTs ? `${bookingTs["startTime"] as string} – ${bookingTs["endTime"] as string}` : "";
-        const pushTitle = "Private Lesson Confirmed!";
-        const defaultBody = `Your lesson${bookingDate ? ` on ${bookingDate}` : ""}${timeLabel ? ` at ${timeLabel}` : ""} has been confirmed.`;
-        const pushBody = studioMessage ?? defaultBody;
-        await db.collection("studentNotifications").add({
-          authUid: studentAuthUid,
-          type: "booking_confirmed",
-          title: pushTitle,
-          body: pushBody,
-          bookingId,
-          read: false,
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
-        try {
-          await sendStudentPush(studentAuthUid, pushTitle, pushBody);
-        } catch (pushErr) { console.error("[confirm booking] Push notification error:", pushErr); }
-
-        // Send confirmation email to student
-        try {
-          const studentProfileSnap = await db.collection("usersStudentProfiles")
-            .where("authUid", "==", studentAuthUid)
-            .limit(1)
-            .get();
-          const rawStudentEmail = studentProfileSnap.empty
-            ? undefined
-            : (studentProfileSnap.docs[0]!.data() as Record<string, unknown>)["email"];
-          const studentEmail = typeof rawStudentEmail === "string" ? rawStudentEmail.trim() : "";
-
-          if (studentEmail) {
-            const instructorId = bookingData["instructorId"] as string | undefined;
-            const instructorDoc = instructorId ? await db.collection("instructors").doc(instructorId).get() : null;
-            const instructorData = instructorDoc?.exists ? instructorDoc.data() as Record<string, unknown> : null;
-            const instructorName = instructorData
-              ? `${instructorData["firstName"] ?? ""} ${instructorData["lastName"] ?? ""}`.trim()
-              : "Your Instructor";
-
-            const studioDoc = await db.collection("users").doc(studioOwnerId).get();
-            const studioName = studioDoc.exists
-              ? ((studioDoc.data() as Record<string, unknown>)["studioName"] as string ?? "The Studio")
-              : "The Studio";
-
-            await sendgridService.sendConfirmationEmail(studentEmail, "private_lesson_confirmed", {
-              instructorName,
-              studioName,
-              date: bookingDate ?? "",
-              timeSlot: timeLabel,
-              studioMessage,
-            });
-          }
-        } catch (emailErr) { console.error("[confirm booking] Confirmation email error:", emailErr); }
-      }
-    } catch (err) { console.error("Error notifying student of booking confirmation:", err); }
+    await bookingsService.notifyBookingConfirmed(booking, studioMessage);
 
     sendJsonResponse(req, res, 200, booking);
   } catch (error) {
@@ -0,0 +1,29 @@
+import * as functions from "firebase-functions";
+import express from "express";
+import calendarFeedsService from "../services/calendar-feeds.service";
+import { applySecurityMiddleware } from "../utils/http";
+
+// Calendar apps fetch these URLs directly: no login, no CORS, and the token in the path is the credential.
+const app = express();
+applySecurityMiddleware(app);
+
+/** GET /:token.ics — the subscribed calendar, rebuilt on every fetch. */
+app.get("/:token", async (req, res) => {
+  try {
+    const token = (req.params["token"] as string).replace(/\.ics$/i, "");
+    const body = await calendarFeedsService.renderFeed(token);
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", "inline; filename=\"danceup.ics\"");
+    res.setHeader("Cache-Control", "private, max-age=900");
+    res.status(200).send(body);
+  } catch (error) {
+    if ((error as Error).message?.includes("not found")) {
+      res.status(404).type("text/plain").send("Calendar feed not found");
+      return;
+    }
+    console.error("Error rendering calendar feed:", error);
+    res.status(500).type("text/plain").send("Calendar feed unavailable");
+  }
+});
+
+export const calendarFeeds = functions.https.onRequest(app);
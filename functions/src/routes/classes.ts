@@ -2,6 +2,12 @@ import * as functions from "firebase-functions";
 import express, { Request, Response, NextFunction } from "express";
 import cors from "cors";
 import classesService from "../services/classes.service";
+import waitlistPromotionService from "../services/waitlist-promotion.service";
+import classExceptionsService from "../services/class-exceptions.service";
+import classInstanceChangesService from "../services/class-instance-changes.service";
+import studioClosuresService from "../services/studio-closures.service";
+import substituteRequestsService, { SubstituteRequestStatus } from "../services/substitute-requests.service";
+import { logAuditEvent } from "../services/audit.service";
 import storageService from "../services/storage.service";
 import { autoGenerateClassFlyer } from "../services/auto-flyer.service";
 import { verifyToken } from "../utils/auth";
@@ -138,6 +144,8 @@ app.post("/", async (req, res) => {
     delete classBody["imageFile"];
 
     const classId = await classesService.createClass(classBody, studioOwnerId);
+    studioClosuresService.applyClosuresToClass(classId, studioOwnerId, user.uid)
+      .catch((err: Error) => console.error("[Closure] applyClosuresToClass error:", err.message));
     const flyer = await autoGenerateClassFlyer(classBody, studioOwnerId);
     sendJsonResponse(req, res, 201, { id: classId, message: "Class created successfully", flyer });
   } catch (error) {
@@ -146,6 +154,56 @@ app.post("/", async (req, res) => {
   }
 });
 
+const SUBSTITUTE_REQUEST_STATUSES: SubstituteRequestStatus[] = ["open", "filled", "cancelled"];
+
+/** GET /substitute-requests?status= — class instances needing (or given) cover, soonest first. */
+app.get("/substitute-requests", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+    const status = req.query["status"] as string | undefined;
+    if (status && !SUBSTITUTE_REQUEST_STATUSES.includes(status as SubstituteRequestStatus)) {
+      return sendErrorResponse(req, res, 400, "Validation Error", `status must be one of: ${SUBSTITUTE_REQUEST_STATUSES.join(", ")}`);
+    }
+
+    const requests = await substituteRequestsService.listForStudio(studioOwnerId, status as SubstituteRequestStatus | undefined);
+    sendJsonResponse(req, res, 200, requests);
+  } catch (error) {
+    console.error("Error listing substitute requests:", error);
+    handleError(req, res, error);
+  }
+});
+
+app.patch("/substitute-requests/:requestId/cancel", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const request = await substituteRequestsService.cancel(req.params["requestId"] as string, studioOwnerId);
+    logAuditEvent(user.uid, studioOwnerId, "class_substitute_request_cancelled", "class", request.classId, {
+      instanceDate: request.instanceDate,
+    });
+    sendJsonResponse(req, res, 200, request);
+  } catch (error) {
+    console.error("Error cancelling substitute request:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    if (msg?.includes("Only open")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+    handleError(req, res, error);
+  }
+});
+
 app.get("/:id", async (req, res) => {
   try {
     let user;
@@ -205,6 +263,18 @@ app.put("/:id", async (req, res) => {
     delete updateBody["imageFile"];
 
     await classesService.updateClass(req.params["id"] as string, updateBody, studioOwnerId);
+
+    // A capacity change may open spots on upcoming instances; promotion no-ops when none are free.
+    if (updateBody["maxCapacity"] !== undefined) {
+      waitlistPromotionService.promoteForClass(req.params["id"] as string, studioOwnerId, "capacity_increased")
+        .catch((err: Error) => console.error("[Waitlist] promoteForClass error:", err.message));
+    }
+    // Moving the class to another weekday can land new instances inside an upcoming closure.
+    if (updateBody["dayOfWeek"] !== undefined || updateBody["isActive"] === true) {
+      studioClosuresService.applyClosuresToClass(req.params["id"] as string, studioOwnerId, user.uid)
+        .catch((err: Error) => console.error("[Closure] applyClosuresToClass error:", err.message));
+    }
+
     sendJsonResponse(req, res, 200, { message: "Class updated successfully" });
   } catch (error) {
     console.error("Error updating class:", error);
@@ -236,6 +306,203 @@ app.delete("/:id", async (req, res) => {
   }
 });
 
+app.post("/exceptions/cancel-range", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const { startDate, endDate, reason, classIds } = req.body as Record<string, unknown>;
+    if (typeof startDate !== "string" || typeof endDate !== "string") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "startDate and endDate are required (YYYY-MM-DD)");
+    }
+    if (classIds !== undefined && (!Array.isArray(classIds) || classIds.some((id) => typeof id !== "string"))) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "classIds must be an array of strings");
+    }
+
+    const saved = await classExceptionsService.cancelRange(
+      studioOwnerId, startDate, endDate, typeof reason === "string" ? reason : null, user.uid,
+      { classIds: classIds as string[] | undefined },
+    );
+    let attendanceRemoved = 0;
+    for (const { exception, previous, classData } of saved) {
+      const result = await classInstanceChangesService.applyException(exception, previous, classData);
+      attendanceRemoved += result.attendanceRemoved;
+    }
+
+    logAuditEvent(user.uid, studioOwnerId, "class_instances_cancelled", "class", "bulk", {
+      startDate, endDate, instances: saved.length,
+    });
+    sendJsonResponse(req, res, 200, {
+      cancelled: saved.map(({ exception }) => ({ classId: exception.classId, instanceDate: exception.instanceDate })),
+      attendanceRemoved,
+    });
+  } catch (error) {
+    console.error("Error cancelling class instances:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("YYYY-MM-DD") || msg?.includes("must not be before") || msg?.includes("cannot exceed")) {
+      return sendErrorResponse(req, res, 400, "Validation Error", msg);
+    }
+    handleError(req, res, error);
+  }
+});
+
+app.get("/:classId/exceptions", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const exceptions = await classExceptionsService.listExceptions(
+      req.params["classId"] as string,
+      studioOwnerId,
+      (req.query["from"] as string | undefined) || undefined,
+      (req.query["to"] as string | undefined) || undefined,
+    );
+    sendJsonResponse(req, res, 200, exceptions);
+  } catch (error) {
+    console.error("Error listing class exceptions:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    handleError(req, res, error);
+  }
+});
+
+app.put("/:classId/exceptions/:instanceDate", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const body = req.body as Record<string, unknown>;
+    if (body["cancelled"] !== undefined && typeof body["cancelled"] !== "boolean") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "cancelled must be a boolean");
+    }
+    for (const field of ["reason", "rescheduledDate", "startTime", "endTime", "room"]) {
+      if (body[field] !== undefined && body[field] !== null && typeof body[field] !== "string") {
+        return sendErrorResponse(req, res, 400, "Validation Error", `${field} must be a string`);
+      }
+    }
+
+    const { exception, previous, classData } = await classExceptionsService.setException(
+      req.params["classId"] as string,
+      studioOwnerId,
+      req.params["instanceDate"] as string,
+      {
+        cancelled: body["cancelled"] as boolean | undefined,
+        reason: body["reason"] as string | null | undefined,
+        rescheduledDate: body["rescheduledDate"] as string | null | undefined,
+        startTime: body["startTime"] as string | null | undefined,
+        endTime: body["endTime"] as string | null | undefined,
+        instructorIds: body["instructorIds"] as string[] | null | undefined,
+        room: body["room"] as string | null | undefined,
+      },
+      user.uid,
+    );
+    const result = await classInstanceChangesService.applyException(exception, previous, classData);
+    if (previous?.substitute && exception.substitute?.requestId !== previous.substitute.requestId) {
+      await substituteRequestsService.releaseSubstitute(previous.substitute, exception);
+    }
+
+    logAuditEvent(user.uid, studioOwnerId, "class_instance_exception_set", "class", exception.classId, {
+      instanceDate: exception.instanceDate, cancelled: exception.cancelled,
+    });
+    sendJsonResponse(req, res, 200, { ...exception, ...result });
+  } catch (error) {
+    console.error("Error saving class exception:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    if (msg?.includes("format") || msg?.includes("must") || msg?.includes("does not match")) {
+      return sendErrorResponse(req, res, 400, "Validation Error", msg);
+    }
+    handleError(req, res, error);
+  }
+});
+
+app.delete("/:classId/exceptions/:instanceDate", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const removed = await classExceptionsService.removeException(
+      req.params["classId"] as string, studioOwnerId, req.params["instanceDate"] as string,
+    );
+    if (removed.substitute) await substituteRequestsService.releaseSubstitute(removed.substitute, null);
+    logAuditEvent(user.uid, studioOwnerId, "class_instance_exception_removed", "class", req.params["classId"] as string, {
+      instanceDate: req.params["instanceDate"],
+    });
+    sendJsonResponse(req, res, 200, { message: "Class instance restored to its regular schedule" });
+  } catch (error) {
+    console.error("Error removing class exception:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    handleError(req, res, error);
+  }
+});
+
+/**
+ * POST /:classId/instances/:instanceDate/substitute-request — `instructorId` is out for this
+ * occurrence. Qualified instructors are offered it and the first to accept covers it.
+ */
+app.post("/:classId/instances/:instanceDate/substitute-request", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const { instructorId, reason } = req.body as Record<string, unknown>;
+    if (!instructorId || typeof instructorId !== "string") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "instructorId is required");
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== "string") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "reason must be a string");
+    }
+
+    const request = await substituteRequestsService.openRequest(
+      studioOwnerId, req.params["classId"] as string, req.params["instanceDate"] as string, instructorId, user.uid,
+      { reason: (reason as string | null | undefined) ?? null },
+    );
+    logAuditEvent(user.uid, studioOwnerId, "class_substitute_requested", "class", request.classId, {
+      instanceDate: request.instanceDate, absentInstructorId: instructorId, offeredTo: request.notifiedInstructorIds.length,
+    });
+    sendJsonResponse(req, res, 201, request);
+  } catch (error) {
+    console.error("Error requesting substitute:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    if (msg?.includes("format") || msg?.includes("does not match") || msg?.includes("not teaching") ||
+      msg?.includes("cancelled") || msg?.includes("already started")) {
+      return sendErrorResponse(req, res, 400, "Validation Error", msg);
+    }
+    handleError(req, res, error);
+  }
+});
+
 app.post("/:classId/waitlist", async (req, res) => {
   try {
     let user;
@@ -247,12 +514,21 @@ app.post("/:classId/waitlist", async (req, res) => {
     }
 
     const { classId } = req.params;
-    const { studentId, classInstanceDate } = req.body as Record<string, string>;
-    if (!studentId || !classInstanceDate) {
+    const { studentId, classInstanceDate, autoClaim } = req.body as Record<string, unknown>;
+    if (!studentId || !classInstanceDate || typeof studentId !== "string" || typeof classInstanceDate !== "string") {
       return sendErrorResponse(req, res, 400, "Validation Error", "studentId and classInstanceDate are required");
     }
+    if (autoClaim !== undefined && typeof autoClaim !== "boolean") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "autoClaim must be a boolean");
+    }
+
+    if (await classExceptionsService.isInstanceCancelled(classId as string, classInstanceDate)) {
+      return sendErrorResponse(req, res, 409, "Conflict", "This class instance has been cancelled");
+    }
 
-    const entryId = await classesService.addToWaitlist(classId as string, studentId, classInstanceDate, studioOwnerId);
+    const entryId = await classesService.addToWaitlist(
+      classId as string, studentId, classInstanceDate, studioOwnerId, autoClaim === true,
+    );
     sendJsonResponse(req, res, 201, { id: entryId, message: "Added to waitlist successfully" });
   } catch (error) {
     console.error("Error adding to waitlist:", error);
@@ -286,6 +562,60 @@ app.get("/:classId/waitlist", async (req, res) => {
   }
 });
 
+app.get("/:classId/waitlist/history", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const classInstanceDate = req.query["classInstanceDate"] as string | undefined;
+    const history = await waitlistPromotionService.getPromotionHistory(
+      req.params["classId"] as string, studioOwnerId, classInstanceDate,
+    );
+    sendJsonResponse(req, res, 200, history);
+  } catch (error) {
+    console.error("Error getting waitlist promotion history:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    if (msg?.includes("Invalid classInstanceDate")) return sendErrorResponse(req, res, 400, "Validation Error", msg);
+    handleError(req, res, error);
+  }
+});
+
+app.post("/:classId/waitlist/promote", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const { classInstanceDate } = req.body as Record<string, unknown>;
+    if (!classInstanceDate || typeof classInstanceDate !== "string") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "classInstanceDate is required");
+    }
+
+    const promoted = await waitlistPromotionService.promoteNext(
+      req.params["classId"] as string, classInstanceDate, studioOwnerId, "manual",
+    );
+    sendJsonResponse(req, res, 200, { promoted });
+  } catch (error) {
+    console.error("Error promoting waitlist:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    if (msg?.includes("Invalid classInstanceDate")) return sendErrorResponse(req, res, 400, "Validation Error", msg);
+    handleError(req, res, error);
+  }
+});
+
 app.delete("/:classId/waitlist/:entryId", async (req, res) => {
   try {
     let user;
@@ -296,7 +626,15 @@ app.delete("/:classId/waitlist/:entryId", async (req, res) => {
       return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
     }
 
-    await classesService.removeFromWaitlist(req.params["entryId"] as string, studioOwnerId);
+    const removed = await classesService.removeFromWaitlist(req.params["entryId"] as string, studioOwnerId);
+
+    // Removing someone who was holding an offer frees that spot for the next person.
+    if (removed["status"] === "offered") {
+      waitlistPromotionService.promoteNext(
+        removed["classId"] as string, removed["classInstanceDate"], studioOwnerId, "entry_removed",
+      ).catch((err: Error) => console.error("[Waitlist] promoteNext error:", err.message));
+    }
+
     sendJsonResponse(req, res, 200, { message: "Removed from waitlist successfully" });
   } catch (error) {
     console.error("Error removing from waitlist:", error);
@@ -1,4 +1,5 @@
 import * as functions from "firebase-functions";
+import * as admin from "firebase-admin";
 import express, { Request, Response } from "express";
 import cors from "cors";
 import Stripe from "stripe";
@@ -13,6 +14,7 @@ import {
 } from "../utils/http";
 import { getFirestore } from "../utils/firestore";
 import { getStripeClient } from "../services/stripe.service";
+import type { PurchaseRefund } from "../services/refund.service";
 
 const THIRTY_DAYS_S = 30 * 24 * 60 * 60;
 
@@ -99,7 +101,8 @@ app.get("/", async (req: Request, res: Response) => {
 
     // Expand data.source to get ApplicationFee/Charge objects,
     // and data.source.charge to get the underlying charge nested inside ApplicationFee.
-    const [balTxns, balance, disputes, payouts, studiosSnap] = await Promise.all([
+    const since30dTs = admin.firestore.Timestamp.fromMillis(since30d * 1000);
+    const [balTxns, balance, disputes, payouts, studiosSnap, refundedPurchasesSnap, refundedCashSnap] = await Promise.all([
       stripe.balanceTransactions.list({
         limit: 100,
         expand: ["data.source", "data.source.charge"],
@@ -108,6 +111,8 @@ app.get("/", async (req: Request, res: Response) => {
       stripe.disputes.list({ limit: 50, expand: ["data.charge"] }),
       stripe.payouts.list({ limit: 10 }),
       db.collection("users").where("roles", "array-contains", "studio_owner").get(),
+      db.collection("purchases").where("lastRefundedAt", ">=", since30dTs).get(),
+      db.collection("cashPurchases").where("lastRefundedAt", ">=", since30dTs).get(),
     ]);
 
     // studioOwnerId (Firestore doc id) → studioName
@@ -228,6 +233,37 @@ app.get("/", async (req: Request, res: Response) => {
     refunds30d       = Math.round(refunds30d        * 100) / 100;
     stripeFees30d    = Math.round(stripeFees30d     * 100) / 100;
 
+    // Studio-issued refunds, from each purchase's refund history. Card purchases are
+    // direct charges on the studio's connected account, so these refunds never reach
+    // the platform balance above; cash refunds never touch Stripe at all.
+    const since30dIso = new Date(since30d * 1000).toISOString();
+    const purchaseRefunds = [...refundedPurchasesSnap.docs, ...refundedCashSnap.docs]
+      .flatMap((doc) => {
+        const d = doc.data() as Record<string, unknown>;
+        const studioId = (d["studioOwnerId"] as string) || null;
+        return ((d["refunds"] as PurchaseRefund[] | undefined) ?? [])
+          .filter((r) => r.status === "succeeded" && r.createdAt >= since30dIso)
+          .map((r) => ({
+            id: r.id,
+            purchaseId: doc.id,
+            amount: r.amount,
+            credits: r.credits,
+            method: r.method,
+            reason: r.reason,
+            studioId,
+            studioName: studioId ? studioNames.get(studioId) ?? null : null,
+            created: r.createdAt,
+          }));
+      })
+      .sort((a, b) => b.created.localeCompare(a.created));
+
+    const studioRefunds30d = Math.round(
+      purchaseRefunds.filter((r) => r.method === "stripe").reduce((s, r) => s + r.amount, 0) * 100,
+    ) / 100;
+    const cashRefunds30d = Math.round(
+      purchaseRefunds.filter((r) => r.method === "cash").reduce((s, r) => s + r.amount, 0) * 100,
+    ) / 100;
+
     // Available and pending balance
     const availableBalance = Math.round(
       balance.available.reduce((s, b) => s + b.amount / 100, 0) * 100,
@@ -281,6 +317,8 @@ app.get("/", async (req: Request, res: Response) => {
         grossVolume30d,
         platformFees30d,
         refunds30d,
+        studioRefunds30d,
+        cashRefunds30d,
         availableBalance,
         pendingBalance,
         nextPayoutDate,
@@ -288,6 +326,7 @@ app.get("/", async (req: Request, res: Response) => {
       transactions,
       disputes: disputeList,
       payouts: payoutList,
+      purchaseRefunds,
       feeBreakdown: {
         bookingFees: platformFees30d,
         stripeFees: stripeFees30d,
@@ -3,6 +3,9 @@ import * as functions from "firebase-functions";
 import express, { Request, Response, NextFunction } from "express";
 import cors from "cors";
 import eventsService from "../services/events.service";
+import eventTicketsService from "../services/event-tickets.service";
+import tierInventoryService, { ticketTiersOf } from "../services/tier-inventory.service";
+import performerApplicationsService from "../services/performer-applications.service";
 import storageService from "../services/storage.service";
 import { autoGenerateEventOrWorkshopFlyer } from "../services/auto-flyer.service";
 import { verifyToken } from "../utils/auth";
@@ -75,7 +78,21 @@ app.get("/public/:id", async (req, res) => {
     if (!eventData) {
       return sendErrorResponse(req, res, 404, "Not Found", "Event not found or not available");
     }
-    sendJsonResponse(req, res, 200, eventData);
+    const availability = await tierInventoryService.getAvailability(
+      "event", req.params["id"] as string, ticketTiersOf(eventData["priceTiers"]),
+    );
+    sendJsonResponse(req, res, 200, {
+      ...eventData,
+      tierAvailability: availability.map((tier) => ({
+        name: tier.name,
+        remaining: tier.remaining,
+        soldOut: tier.soldOut,
+        onSale: tier.onSale,
+        saleStartsAt: tier.saleStartsAt,
+        saleEndsAt: tier.saleEndsAt,
+        maxPerOrder: tier.maxPerOrder,
+      })),
+    });
   } catch (error) {
     console.error("Error getting public event:", error);
     handleError(req, res, error);
@@ -219,6 +236,9 @@ app.get("/:id/attendees", async (req, res) => {
       priceToTierName.set(tier["price"] as number, (tier["name"] as string) || "");
     }
 
+    // One row per purchase, with a line per ticket so the door can see who each seat is for.
+    const ticketsByPurchase = await eventTicketsService.ticketsByPurchase(studioOwnerId, "event", id);
+
     const attendees: Record<string, unknown>[] = [];
     for (const doc of purchasesSnapshot.docs) {
       const purchase = doc.data() as Record<string, unknown>;
@@ -280,6 +300,17 @@ app.get("/:id/attendees", async (req, res) => {
         checkedIn: purchase["checkedIn"] || false,
         checkedInAt: purchase["checkedInAt"] || null,
         checkedInBy: purchase["checkedInBy"] || null,
+        tickets: (ticketsByPurchase.get(doc.id) ?? []).map((ticket) => ({
+          ticketId: ticket.id,
+          seq: ticket.seq,
+          tierName: ticket.tierName,
+          attendeeName: ticket.attendeeName ?? ticket.holderName,
+          attendeeEmail: ticket.attendeeEmail,
+          needsAttendeeDetails: ticket.needsAttendeeDetails,
+          status: ticket.status,
+          checkedIn: ticket.status === "used",
+          checkedInAt: ticket.usedAt,
+        })),
         eventCode: null,
         stripePaymentIntentId: purchase["stripePaymentIntentId"] || null,
         teamName: (meta["teamName"] as string) || null,
@@ -363,7 +394,24 @@ app.get("/:id/report", async (req, res) => {
       }
     }
 
-    const ticketSalesByTier = [...tierMap.values()];
+    // Stock comes from the tier inventory, which also counts seats held by checkouts in progress.
+    const stockByTier = new Map(
+      (await tierInventoryService.getAvailability("event", id, ticketTiersOf(priceTiers)))
+        .map((tier) => [tier.name.trim().toLowerCase(), tier]),
+    );
+    const ticketSalesByTier: Array<Record<string, unknown>> = [...tierMap.values()].map((entry) => {
+      const stock = stockByTier.get(entry.tierName.trim().toLowerCase());
+      return {
+        ...entry,
+        capacity: stock?.capacity ?? null,
+        held: stock?.held ?? 0,
+        remaining: stock?.remaining ?? null,
+        soldOut: stock?.soldOut ?? false,
+        onSale: stock?.onSale ?? true,
+        saleStartsAt: stock?.saleStartsAt ?? null,
+        saleEndsAt: stock?.saleEndsAt ?? null,
+      };
+    });
     if (fallback.quantity > 0) ticketSalesByTier.push(fallback);
 
     sendJsonResponse(req, res, 200, {
@@ -507,6 +555,7 @@ app.post("/performer-applications", async (req, res) => {
       studioOwnerId: eventDoc.data()!["studioOwnerId"],
       teamName: teamName.trim(),
       answers: answers ?? {},
+      email: user.email ? user.email.toLowerCase() : null,
       status: "pending",
       paymentUrl: null,
       submittedBy: user.uid,
@@ -521,6 +570,118 @@ app.post("/performer-applications", async (req, res) => {
   }
 });
 
+function sendPerformerError(req: Request, res: Response, error: unknown): void {
+  const msg = (error as Error).message ?? "";
+  if (msg.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+  if (msg.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+  if (msg.includes("already")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+  if (msg.includes("Stripe Connect")) return sendErrorResponse(req, res, 400, "Payment Setup Required", msg);
+  if (/must be|can only|at most/.test(msg)) return sendErrorResponse(req, res, 400, "Validation Error", msg);
+  handleError(req, res, error);
+}
+
+app.post("/performer-applications/:appId/approve", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await eventsService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const { fee } = req.body as { fee?: number | null };
+    const result = await performerApplicationsService.approve(req.params["appId"] as string, studioOwnerId, fee);
+    sendJsonResponse(req, res, 200, result);
+  } catch (error) {
+    console.error("Error approving performer application:", error);
+    sendPerformerError(req, res, error);
+  }
+});
+
+app.post("/performer-applications/:appId/decline", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const { reason } = req.body as { reason: string };
+    if (!reason || typeof reason !== "string" || reason.trim() === "") {
+      return sendErrorResponse(req, res, 400, "Bad Request", "reason is required");
+    }
+
+    const studioOwnerId = await eventsService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const result = await performerApplicationsService.decline(req.params["appId"] as string, studioOwnerId, reason.trim());
+    sendJsonResponse(req, res, 200, result);
+  } catch (error) {
+    console.error("Error declining performer application:", error);
+    sendPerformerError(req, res, error);
+  }
+});
+
+// ─── Running Order ─────────────────────────────────────────────────────────────
+
+app.get("/:id/running-order", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await eventsService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const order = await performerApplicationsService.getRunningOrder(req.params["id"] as string, studioOwnerId);
+    sendJsonResponse(req, res, 200, order);
+  } catch (error) {
+    console.error("Error fetching running order:", error);
+    sendPerformerError(req, res, error);
+  }
+});
+
+app.put("/:id/running-order", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await eventsService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const order = await performerApplicationsService.saveRunningOrder(
+      req.params["id"] as string, studioOwnerId, (req.body ?? {}) as Record<string, unknown>,
+    );
+    sendJsonResponse(req, res, 200, order);
+  } catch (error) {
+    console.error("Error saving running order:", error);
+    sendPerformerError(req, res, error);
+  }
+});
+
+app.get("/:id/running-order/program", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await eventsService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const html = await performerApplicationsService.renderProgram(req.params["id"] as string, studioOwnerId);
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Cache-Control", "private, no-store");
+    res.status(200).send(html);
+  } catch (error) {
+    console.error("Error rendering event program:", error);
+    sendPerformerError(req, res, error);
+  }
+});
+
 // ─── Vendor Applications ──────────────────────────────────────────────────────
 
 app.post("/vendor-applications", async (req, res) => {
@@ -5,6 +5,7 @@ import studentsService from "../services/students.service";
 import * as flyersService from "../services/flyers.service";
 import * as flyerGen from "../services/flyer-generator.service";
 import { formatEventDate, formatEventTime, formatPrice } from "../services/auto-flyer.service";
+import classExceptionsService, { addDays, dayOfWeekFor, toInstanceDay } from "../services/class-exceptions.service";
 import { getFirestore } from "../utils/firestore";
 import { verifyToken } from "../utils/auth";
 import {
@@ -94,13 +95,38 @@ async function fetchWorkshop(workshopId: string, studioOwnerId: string): Promise
   return data;
 }
 
-async function fetchAllClasses(studioOwnerId: string): Promise<Array<flyerGen.ScheduleClass>> {
+// Schedule flyers describe one concrete week, so per-instance exceptions in that
+// week (cancellations, reschedules, substitutes) are applied to each class row.
+async function fetchAllClasses(studioOwnerId: string, weekStart: string): Promise<Array<flyerGen.ScheduleClass>> {
   const db = getFirestore();
   const snap = await db.collection("classes").where("studioOwnerId", "==", studioOwnerId).get();
 
-  const rawClasses = snap.docs
+  const weekEnd = addDays(weekStart, 6);
+  const baseClasses = snap.docs
     .map((d) => ({ id: d.id, ...(d.data() as RawClass) }))
     .filter((c) => !!c.dayOfWeek);
+  const exceptionsByClass = await classExceptionsService.getExceptionsInRange(
+    baseClasses.map((c) => c.id), weekStart, weekEnd,
+  );
+  const rawClasses = baseClasses.map((cls) => {
+    const exceptions = exceptionsByClass.get(cls.id);
+    const instance = exceptions
+      ? classExceptionsService.getOccurrences(cls, weekStart, weekEnd, exceptions)[0]
+      : undefined;
+    if (!instance || instance.status === "scheduled") return { ...cls, note: undefined as string | undefined, cancelled: false };
+    const note = instance.status === "cancelled"
+      ? `Cancelled${instance.reason ? ` — ${instance.reason}` : ""}`
+      : instance.date !== instance.originalDate ? `Moved from ${dayOfWeekFor(instance.originalDate)}` : "Substitute";
+    return {
+      ...cls,
+      dayOfWeek: dayOfWeekFor(instance.date),
+      startTime: instance.startTime,
+      endTime: instance.endTime,
+      instructorIds: instance.instructorIds,
+      note,
+      cancelled: instance.status === "cancelled",
+    };
+  });
 
   // Collect unique instructor IDs across all classes
   const instructorIdSet = new Set<string>();
@@ -139,6 +165,8 @@ async function fetchAllClasses(studioOwnerId: string): Promise<Array<flyerGen.Sc
       danceGenre: data.danceGenre,
       level: data.level,
       instructors: instructors.length > 0 ? instructors : undefined,
+      note: data.note,
+      cancelled: data.cancelled || undefined,
     };
   });
 }
@@ -206,7 +234,12 @@ app.post("/generate", async (req, res) => {
       : null;
 
     if (type === "schedule") {
-      const classes = await fetchAllClasses(studioOwnerId);
+      const rawWeekStart = body["weekStart"];
+      if (rawWeekStart !== undefined && (typeof rawWeekStart !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(rawWeekStart))) {
+        return sendErrorResponse(req, res, 400, "Validation Error", "weekStart must be in YYYY-MM-DD format");
+      }
+      const weekStart = (rawWeekStart as string | undefined) ?? (toInstanceDay(new Date()) as string);
+      const classes = await fetchAllClasses(studioOwnerId, weekStart);
       if (classes.length === 0) {
         return sendErrorResponse(req, res, 400, "No Content", "No classes found for this studio. Add classes first.");
       }
@@ -0,0 +1,17 @@
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import instructorPayoutsService from "../services/instructor-payouts.service";
+
+// Split private lesson payouts whose transfers failed (e.g. the charge's funds
+// weren't available yet, or the instructor's account was restricted) are sent again.
+export const retryInstructorPayouts = onSchedule(
+  { schedule: "45 * * * *", timeZone: "UTC", memory: "256MiB" },
+  async (_event) => {
+    try {
+      const retried = await instructorPayoutsService.retryFailed();
+      console.log(`[InstructorPayouts] Retried ${retried} failed payout split(s)`);
+    } catch (error) {
+      console.error("[InstructorPayouts] Error retrying payouts:", error);
+      throw error;
+    }
+  },
+);
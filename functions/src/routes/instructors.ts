@@ -4,10 +4,15 @@ import cors from "cors";
 import instructorsService from "../services/instructors.service";
 import storageService from "../services/storage.service";
 import instructorLinkingService from "../services/instructor-linking.service";
+import instructorAvailabilityService, { conflictsWith } from "../services/instructor-availability.service";
+import payrollService from "../services/payroll.service";
+import instructorPayoutsService from "../services/instructor-payouts.service";
+import instructorTimeOffService, { TimeOffStatus } from "../services/instructor-time-off.service";
 import { logAuditEvent } from "../services/audit.service";
 import { verifyToken } from "../utils/auth";
 import { validateCreateInstructorPayload, validateUpdateInstructorPayload } from "../utils/validation";
 import { getFirestore } from "../utils/firestore";
+import { localDateParts, studioTimezone } from "../utils/timezone";
 import {
   sendJsonResponse,
   sendErrorResponse,
@@ -27,9 +32,9 @@ app.use((req, res, next) => {
     res.setHeader("Access-Control-Allow-Origin", origin);
     res.setHeader("Access-Control-Allow-Credentials", "true");
   }
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With");
-  res.setHeader("Access-Control-Expose-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Expose-Headers", "Content-Type, Content-Disposition, Authorization");
   res.setHeader("Access-Control-Max-Age", "3600");
   if (req.method === "OPTIONS") { res.status(204).send(""); return; }
   next();
@@ -65,6 +70,11 @@ app.post("/", async (req, res) => {
     try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
 
     const { photoFile, ...instructorData } = req.body as Record<string, unknown>;
+    // The instructor connects their own Stripe account; the studio can't point payouts elsewhere.
+    delete instructorData["stripeConnectAccountId"];
+    delete instructorData["stripeConnectStatus"];
+    // Approved time off is only written by the time-off review endpoints.
+    delete instructorData["timeOffBlackouts"];
 
     const validation = validateCreateInstructorPayload(instructorData);
     if (!validation.valid) {
@@ -110,6 +120,152 @@ app.post("/", async (req, res) => {
   }
 });
 
+/** Shared by the payroll report and its CSV export: the caller's studio and the ?startDate=&endDate= period. */
+async function resolvePayrollRequest(
+  req: Request, res: Response,
+): Promise<{ studioOwnerId: string; startDate: string; endDate: string } | null> {
+  let user;
+  try { user = await verifyToken(req); } catch (authError) { handleError(req, res, authError); return null; }
+
+  const studioOwnerId = await instructorsService.getStudioOwnerId(user.uid);
+  if (!studioOwnerId) {
+    sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    return null;
+  }
+  const { startDate, endDate } = req.query as { startDate?: string; endDate?: string };
+  if (!startDate || !endDate) {
+    sendErrorResponse(req, res, 400, "Validation Error", "startDate and endDate query parameters are required");
+    return null;
+  }
+  return { studioOwnerId, startDate, endDate };
+}
+
+function sendPayrollError(req: Request, res: Response, error: unknown): void {
+  console.error("Error building payroll report:", error);
+  const msg = (error as Error).message;
+  if (msg?.includes("YYYY-MM-DD") || msg?.includes("endDate") || msg?.includes("Date range")) {
+    return sendErrorResponse(req, res, 400, "Validation Error", msg);
+  }
+  handleError(req, res, error);
+}
+
+/** GET /payroll?startDate=&endDate= — what each instructor earned over the period, with the classes and privates behind it. */
+app.get("/payroll", async (req, res) => {
+  try {
+    const params = await resolvePayrollRequest(req, res);
+    if (!params) return;
+
+    const report = await payrollService.getPayrollReport(params.studioOwnerId, params.startDate, params.endDate);
+    sendJsonResponse(req, res, 200, report);
+  } catch (error) {
+    sendPayrollError(req, res, error);
+  }
+});
+
+/** GET /payroll/export?startDate=&endDate= — the same report as a CSV download. */
+app.get("/payroll/export", async (req, res) => {
+  try {
+    const params = await resolvePayrollRequest(req, res);
+    if (!params) return;
+
+    const report = await payrollService.getPayrollReport(params.studioOwnerId, params.startDate, params.endDate);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="payroll-${params.startDate}-to-${params.endDate}.csv"`);
+    res.status(200).send(payrollService.toCsv(report));
+  } catch (error) {
+    sendPayrollError(req, res, error);
+  }
+});
+
+const TIME_OFF_STATUSES: TimeOffStatus[] = ["pending", "approved", "declined", "cancelled"];
+
+function reviewNoteOf(req: Request): string | null {
+  const note = (req.body as Record<string, unknown> | undefined)?.["note"];
+  return typeof note === "string" ? note.trim().slice(0, 500) || null : null;
+}
+
+/** GET /time-off?status= — instructors' time-off requests, soonest first. */
+app.get("/time-off", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await instructorsService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+    const status = req.query["status"] as string | undefined;
+    if (status && !TIME_OFF_STATUSES.includes(status as TimeOffStatus)) {
+      return sendErrorResponse(req, res, 400, "Validation Error", `status must be one of: ${TIME_OFF_STATUSES.join(", ")}`);
+    }
+
+    sendJsonResponse(req, res, 200, await instructorTimeOffService.listForStudio(studioOwnerId, status as TimeOffStatus | undefined));
+  } catch (error) {
+    console.error("Error listing time-off requests:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** GET /time-off/:requestId — one request with a live check of the classes and privates it collides with. */
+app.get("/time-off/:requestId", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await instructorsService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    sendJsonResponse(req, res, 200, await instructorTimeOffService.getForStudio(req.params["requestId"] as string, studioOwnerId));
+  } catch (error) {
+    console.error("Error getting time-off request:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** PATCH /time-off/:requestId/approve — blocks the dates out and returns the classes needing a substitute and privates to move. */
+app.patch("/time-off/:requestId/approve", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await instructorsService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const requestId = req.params["requestId"] as string;
+    const result = await instructorTimeOffService.approve(requestId, studioOwnerId, user.uid, reviewNoteOf(req));
+    logAuditEvent(user.uid, studioOwnerId, "instructor_time_off_approved", "instructor", result.request.instructorId);
+    sendJsonResponse(req, res, 200, result);
+  } catch (error) {
+    console.error("Error approving time off:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** PATCH /time-off/:requestId/decline — an optional `note` is passed on to the instructor. */
+app.patch("/time-off/:requestId/decline", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await instructorsService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const requestId = req.params["requestId"] as string;
+    const request = await instructorTimeOffService.decline(requestId, studioOwnerId, user.uid, reviewNoteOf(req));
+    logAuditEvent(user.uid, studioOwnerId, "instructor_time_off_declined", "instructor", request.instructorId);
+    sendJsonResponse(req, res, 200, request);
+  } catch (error) {
+    console.error("Error declining time off:", error);
+    handleError(req, res, error);
+  }
+});
+
 app.get("/options", async (req, res) => {
   try {
     let user;
@@ -169,36 +325,6 @@ function formatMinutesAsTime(totalMinutes: number): string {
   return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
 }
 
-// Resolves "today"/"now" in the studio's local timezone (via lat/lng), matching the
-// geo-tz-based timezone handling used by auto-checkin, instead of the server's local time.
-function getStudioLocalDateParts(lat: number | undefined, lng: number | undefined): {
-  year: number; month: number; day: number; minutes: number;
-} {
-  let zone: string | undefined;
-  if (lat != null && lng != null) {
-    try {
-      // eslint-disable-next-line @typescript-eslint/no-require-imports
-      const { find } = require("geo-tz") as { find: (lat: number, lng: number) => string[] };
-      zone = find(lat, lng)[0];
-    } catch {
-      zone = undefined;
-    }
-  }
-
-  const parts = new Intl.DateTimeFormat("en-US", {
-    timeZone: zone ?? "UTC",
-    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hour12: false,
-  }).formatToParts(new Date());
-  const get = (type: string) => Number(parts.find((p) => p.type === type)?.value ?? 0);
-
-  return {
-    year: get("year"),
-    month: get("month"),
-    day: get("day"),
-    minutes: (get("hour") % 24) * 60 + get("minute"),
-  };
-}
-
 function getSlotsForDayConfig(dayConfig: DayConfig): DaySlot[] {
   if (dayConfig.timeSlots && dayConfig.timeSlots.length > 0) return dayConfig.timeSlots;
   // Legacy format: expand startTime–endTime range into 1-hour blocks
@@ -261,38 +387,16 @@ app.get("/public/:id/available-slots", async (req, res) => {
 
     // Resolve the studio's timezone via its lat/lng so "today"/past-time filtering
     // reflects the studio's local time, not the server's.
-    let studioLat: number | undefined;
-    let studioLng: number | undefined;
+    // "Today" and "now" are the studio's, not the server's.
+    let studioData: Record<string, unknown> | undefined;
     if (instructor.studioOwnerId) {
       const studioDoc = await db.collection("users").doc(instructor.studioOwnerId).get();
-      if (studioDoc.exists) {
-        const sd = studioDoc.data() as Record<string, unknown>;
-        studioLat = sd["lat"] as number | undefined;
-        studioLng = sd["lng"] as number | undefined;
-      }
+      studioData = studioDoc.data();
     }
-    const studioToday = getStudioLocalDateParts(studioLat, studioLng);
-
-    // Fetch existing confirmed/pending bookings for this instructor this month
-    const snapshot = await db.collection("privateLessonBookings")
-      .where("instructorId", "==", instructorId)
-      .where("date", ">=", startDate)
-      .where("date", "<=", endDate)
-      .where("status", "in", ["pending", "confirmed"])
-      .get();
-
-    // Keyed by startTime only, matching the booking conflict check in bookingsService
-    // (createBooking/isTimeSlotAvailable both key conflicts on timeSlot.startTime alone).
-    const bookedByDate = new Map<string, Set<string>>();
-    snapshot.docs.forEach((doc) => {
-      const d = doc.data() as Record<string, unknown>;
-      const date = d["date"];
-      const ts = d["timeSlot"] as Record<string, unknown> | undefined;
-      const startTime = ts?.["startTime"];
-      if (typeof date !== "string" || typeof startTime !== "string") return;
-      if (!bookedByDate.has(date)) bookedByDate.set(date, new Set());
-      bookedByDate.get(date)!.add(startTime);
-    });
+    const studioToday = localDateParts(studioTimezone(studioData));
+
+    // Other privates, classes, workshop/event slots and blackouts this month, with the instructor's buffer.
+    const { bufferMinutes, busyByDate } = await instructorAvailabilityService.getSchedule(instructorId, startDate, endDate);
 
     const dayNames = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
 
@@ -311,8 +415,12 @@ app.get("/public/:id/available-slots", async (req, res) => {
       const allSlots = getSlotsForDayConfig(dayConfig);
       if (allSlots.length === 0) continue;
 
-      const booked = bookedByDate.get(dateStr) ?? new Set<string>();
-      let open = allSlots.filter((s) => !booked.has(s.startTime));
+      const busy = busyByDate.get(dateStr) ?? [];
+      let open = allSlots.filter((s) => {
+        const slotStart = parseTimeToMinutes(s.startTime);
+        const slotEnd = parseTimeToMinutes(s.endTime);
+        return !busy.some((interval) => conflictsWith(slotStart, slotEnd, interval, bufferMinutes));
+      });
       const isToday = year === studioToday.year && month === studioToday.month && day === studioToday.day;
       if (isToday) {
         open = open.filter((s) => parseTimeToMinutes(s.startTime) > studioToday.minutes);
@@ -330,6 +438,25 @@ app.get("/public/:id/available-slots", async (req, res) => {
   }
 });
 
+/** GET /:id/payouts?startDate=&endDate= — the instructor's private lesson payout splits over the period. */
+app.get("/:id/payouts", async (req, res) => {
+  try {
+    const params = await resolvePayrollRequest(req, res);
+    if (!params) return;
+
+    const instructorId = req.params["id"] as string;
+    const instructor = await instructorsService.getInstructorById(instructorId, params.studioOwnerId);
+    if (!instructor) return sendErrorResponse(req, res, 404, "Not Found", "Instructor not found");
+    const statement = await instructorPayoutsService.getStatement(instructorId, params.startDate, params.endDate);
+    sendJsonResponse(req, res, 200, statement);
+  } catch (error) {
+    if ((error as Error).message?.includes("Access denied")) {
+      return sendErrorResponse(req, res, 403, "Access Denied", (error as Error).message);
+    }
+    sendPayrollError(req, res, error);
+  }
+});
+
 app.get("/:id", async (req, res) => {
   try {
     let user;
@@ -361,6 +488,11 @@ app.put("/:id", async (req, res) => {
     try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
 
     const { photoFile, ...instructorData } = req.body as Record<string, unknown>;
+    // The instructor connects their own Stripe account; the studio can't point payouts elsewhere.
+    delete instructorData["stripeConnectAccountId"];
+    delete instructorData["stripeConnectStatus"];
+    // Approved time off is only written by the time-off review endpoints.
+    delete instructorData["timeOffBlackouts"];
 
     const validation = validateUpdateInstructorPayload(instructorData);
     if (!validation.valid) {
@@ -7,6 +7,7 @@ import packagesService from "../services/packages.service";
 import studentsService from "../services/students.service";
 import * as stripeService from "../services/stripe.service";
 import authService from "../services/auth.service";
+import { isMembershipPackage } from "../services/memberships.service";
 import { getFirestore } from "../utils/firestore";
 import { verifyToken } from "../utils/auth";
 import {
@@ -57,7 +58,9 @@ app.post("/", async (req, res) => {
     if (msg?.includes("not found") || msg?.includes("not enrolled")) {
       return sendErrorResponse(req, res, 404, "Not Found", msg);
     }
-    if (msg?.includes("not active")) return sendErrorResponse(req, res, 400, "Bad Request", msg);
+    if (msg?.includes("not active") || msg?.includes("billed as a subscription")) {
+      return sendErrorResponse(req, res, 400, "Bad Request", msg);
+    }
     handleError(req, res, error);
   }
 });
@@ -83,7 +86,9 @@ app.post("/for-student", async (req, res) => {
     console.error("Error purchasing package for student:", error);
     const msg = (error as Error).message;
     if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
-    if (msg?.includes("not active")) return sendErrorResponse(req, res, 400, "Bad Request", msg);
+    if (msg?.includes("not active") || msg?.includes("billed as a subscription")) {
+      return sendErrorResponse(req, res, 400, "Bad Request", msg);
+    }
     if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
     handleError(req, res, error);
   }
@@ -168,6 +173,9 @@ app.post("/charge-card-for-student", async (req, res) => {
     if (!packageData || !packageData["isActive"]) {
       return sendErrorResponse(req, res, 404, "Not Found", "Package not found or not active");
     }
+    if (isMembershipPackage(packageData)) {
+      return sendErrorResponse(req, res, 400, "Bad Request", "Memberships are billed as a subscription and can't be charged this way");
+    }
 
     const db = getFirestore();
     const studioOwnerDoc = await db.collection("users").doc(studioOwnerId).get();
@@ -257,6 +265,9 @@ app.post("/cash-for-student", async (req, res) => {
         purchaseType: "package",
         itemId: packageId,
         itemName: result["packageName"],
+        // Lets a cash refund take back exactly the credits this payment granted.
+        creditIds: [result["creditId"]],
+        creditsGranted: result["creditsAdded"],
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
       };
 
@@ -276,6 +287,8 @@ app.post("/cash-for-student", async (req, res) => {
     sendJsonResponse(req, res, 200, { message: "Cash payment recorded and package credited successfully", paymentMethod: "cash", ...result });
   } catch (error) {
     console.error("Error recording cash payment:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("billed as a subscription")) return sendErrorResponse(req, res, 400, "Bad Request", msg);
     handleError(req, res, error);
   }
 });
@@ -3,6 +3,7 @@ import express, { Request, Response, NextFunction } from "express";
 import cors from "cors";
 import packagesService from "../services/packages.service";
 import packagePurchaseService from "../services/package-purchase.service";
+import membershipsService from "../services/memberships.service";
 import { verifyToken } from "../utils/auth";
 import { validateCreatePackagePayload, validateUpdatePackagePayload } from "../utils/validation";
 import { sanitizeRichText } from "../utils/sanitize";
@@ -118,6 +119,26 @@ app.get("/analytics", async (req, res) => {
   }
 });
 
+// GET /memberships?studentId= — the studio's student memberships and their usage this cycle
+app.get("/memberships", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await packagesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const studentId = typeof req.query["studentId"] === "string" ? req.query["studentId"] : undefined;
+    const memberships = await membershipsService.listForStudio(studioOwnerId, studentId);
+    sendJsonResponse(req, res, 200, memberships);
+  } catch (error) {
+    console.error("Error listing memberships:", error);
+    handleError(req, res, error);
+  }
+});
+
 app.get("/:id", async (req, res) => {
   try {
     let user;
@@ -215,7 +236,9 @@ app.post("/:id/purchase", async (req, res) => {
     if (msg?.includes("not found") || msg?.includes("not enrolled")) {
       return sendErrorResponse(req, res, 404, "Not Found", msg);
     }
-    if (msg?.includes("not active")) return sendErrorResponse(req, res, 400, "Bad Request", msg);
+    if (msg?.includes("not active") || msg?.includes("billed as a subscription")) {
+      return sendErrorResponse(req, res, 400, "Bad Request", msg);
+    }
     handleError(req, res, error);
   }
 });
@@ -240,7 +263,9 @@ app.post("/:id/purchase-for-student", async (req, res) => {
     console.error("Error purchasing package for student:", error);
     const msg = (error as Error).message;
     if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
-    if (msg?.includes("not active")) return sendErrorResponse(req, res, 400, "Bad Request", msg);
+    if (msg?.includes("not active") || msg?.includes("billed as a subscription")) {
+      return sendErrorResponse(req, res, 400, "Bad Request", msg);
+    }
     if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
     handleError(req, res, error);
   }
@@ -0,0 +1,17 @@
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import privateLessonSeriesService from "../services/private-lesson-series.service";
+
+// Pay-per-lesson series charge each lesson's saved card a couple of days ahead;
+// this picks up whatever has come due since the last run.
+export const processPrivateLessonSeriesPayments = onSchedule(
+  { schedule: "30 * * * *", timeZone: "UTC", memory: "256MiB" },
+  async (_event) => {
+    try {
+      const { charged, failed } = await privateLessonSeriesService.chargeDueOccurrences();
+      console.log(`[Series] Charged ${charged}, failed ${failed} lesson payment(s)`);
+    } catch (error) {
+      console.error("[Series] Error charging series lessons:", error);
+      throw error;
+    }
+  },
+);
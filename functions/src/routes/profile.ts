@@ -5,6 +5,8 @@ import cors from "cors";
 import authService from "../services/auth.service";
 import storageService from "../services/storage.service";
 import { getStripeClient } from "../services/stripe.service";
+import { policyFromStudio } from "../services/booking-cancellation.service";
+import calendarFeedsService, { CalendarFeedOwner, describeFeed } from "../services/calendar-feeds.service";
 import { verifyToken } from "../utils/auth";
 import { validateUpdateProfilePayload } from "../utils/validation";
 import { getFirestore } from "../utils/firestore";
@@ -16,6 +18,7 @@ import {
   corsOptions,
   isAllowedOrigin,
   applySecurityMiddleware,
+  getFunctionBaseUrl,
 } from "../utils/http";
 
 const app = express();
@@ -73,6 +76,8 @@ app.get("/", async (req, res) => {
       youtube: userData["youtube"] || null,
       classrooms: userData["classrooms"] || [],
       dropInPrice: userData["dropInPrice"] ?? null,
+      waitlistOfferMinutes: userData["waitlistOfferMinutes"] ?? null,
+      privateLessonPolicy: policyFromStudio(userData),
       email: userData["email"],
       membership: userData["membership"],
       stripeAccountId: userData["stripeAccountId"] || null,
@@ -113,7 +118,7 @@ app.put("/", async (req, res) => {
     const {
       firstName, lastName, studioName, studioAddressLine1, studioAddressLine2,
       city, state, zip, facebook, instagram, tiktok, youtube, studioImageFile,
-      classrooms, dropInPrice,
+      classrooms, dropInPrice, waitlistOfferMinutes, privateLessonPolicy,
     } = req.body as Record<string, unknown>;
 
     const existingData = userDoc.data() as Record<string, unknown>;
@@ -180,6 +185,24 @@ app.put("/", async (req, res) => {
       }
       updateData["dropInPrice"] = dropInPrice;
     }
+    if (waitlistOfferMinutes !== undefined) {
+      if (waitlistOfferMinutes !== null && (!Number.isInteger(waitlistOfferMinutes) || (waitlistOfferMinutes as number) < 5)) {
+        return sendErrorResponse(req, res, 400, "Validation Error", "waitlistOfferMinutes must be an integer ≥ 5 or null");
+      }
+      updateData["waitlistOfferMinutes"] = waitlistOfferMinutes;
+    }
+    if (privateLessonPolicy !== undefined) {
+      // Only the known keys are stored; anything left out falls back to the defaults.
+      const policy = (privateLessonPolicy ?? {}) as Record<string, unknown>;
+      updateData["privateLessonPolicy"] = privateLessonPolicy === null ? null : Object.fromEntries(
+        [
+          "freeCancelHours", "lateCancelFeePercent", "noShowFeePercent", "refundAs", "rescheduleCutoffHours",
+          "requireInstructorApproval",
+        ]
+          .filter((key) => policy[key] !== undefined)
+          .map((key) => [key, policy[key]]),
+      );
+    }
 
     const addressChanged = studioAddressLine1 !== undefined || city !== undefined ||
       state !== undefined || zip !== undefined;
@@ -231,6 +254,7 @@ app.put("/", async (req, res) => {
       youtube: updatedData["youtube"] || null,
       classrooms: updatedData["classrooms"] || [],
       dropInPrice: updatedData["dropInPrice"] ?? null,
+      waitlistOfferMinutes: updatedData["waitlistOfferMinutes"] ?? null,
       email: updatedData["email"],
       membership: updatedData["membership"],
     });
@@ -362,6 +386,61 @@ app.get("/export-data", async (req, res) => {
   }
 });
 
+/** The studio's whole timetable as an iCalendar feed, for the owner and staff to subscribe to. */
+async function resolveStudioFeedOwner(req: Request, res: Response): Promise<CalendarFeedOwner | null> {
+  let user;
+  try { user = await verifyToken(req); } catch (authError) { handleError(req, res, authError); return null; }
+
+  const userDoc = await authService.getUserDocumentByAuthUid(user.uid);
+  if (!userDoc || !authService.hasStudioOwnerRole(userDoc)) {
+    sendErrorResponse(req, res, 403, "Access Denied", "This account does not have studio owner access");
+    return null;
+  }
+  return { kind: "studio", authUid: user.uid, studioOwnerId: userDoc.id, instructorId: null };
+}
+
+// GET /calendar-feed — current subscribe link, or null
+app.get("/calendar-feed", async (req, res) => {
+  try {
+    const owner = await resolveStudioFeedOwner(req, res);
+    if (!owner) return;
+
+    const feed = await calendarFeedsService.getFeed(owner);
+    sendJsonResponse(req, res, 200, { feed: feed ? describeFeed(feed, getFunctionBaseUrl("calendarFeeds", req)) : null });
+  } catch (error) {
+    console.error("GET /calendar-feed error:", error);
+    handleError(req, res, error);
+  }
+});
+
+// POST /calendar-feed — issue a new link, revoking the previous one
+app.post("/calendar-feed", async (req, res) => {
+  try {
+    const owner = await resolveStudioFeedOwner(req, res);
+    if (!owner) return;
+
+    const feed = await calendarFeedsService.issueFeed(owner);
+    sendJsonResponse(req, res, 201, { feed: describeFeed(feed, getFunctionBaseUrl("calendarFeeds", req)) });
+  } catch (error) {
+    console.error("POST /calendar-feed error:", error);
+    handleError(req, res, error);
+  }
+});
+
+// DELETE /calendar-feed — turn the link off
+app.delete("/calendar-feed", async (req, res) => {
+  try {
+    const owner = await resolveStudioFeedOwner(req, res);
+    if (!owner) return;
+
+    const revoked = await calendarFeedsService.revokeFeed(owner);
+    sendJsonResponse(req, res, 200, { revoked });
+  } catch (error) {
+    console.error("DELETE /calendar-feed error:", error);
+    handleError(req, res, error);
+  }
+});
+
 // PATCH /fcm-token — update FCM push token for the authenticated studio owner
 app.patch("/fcm-token", async (req, res) => {
   try {
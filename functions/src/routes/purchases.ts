@@ -7,7 +7,19 @@ import { getFirestore } from "../utils/firestore";
 import { sendStudentPush } from "../utils/push-notifications";
 import * as stripeService from "../services/stripe.service";
 import purchaseService from "../services/purchase.service";
-import creditTrackingService from "../services/credit-tracking.service";
+import refundService from "../services/refund.service";
+import membershipsService, { isMembershipPackage } from "../services/memberships.service";
+import subscriptionFreezesService from "../services/subscription-freezes.service";
+import type { FreezeRequester } from "../services/subscription-freezes.service";
+import disputesService from "../services/disputes.service";
+import eventTicketsService from "../services/event-tickets.service";
+import ticketTransfersService from "../services/ticket-transfers.service";
+import tierInventoryService, { OVERSOLD_MESSAGE, TIER_HOLD_MINUTES } from "../services/tier-inventory.service";
+import type { TierLine } from "../services/tier-inventory.service";
+import { withoutQr } from "../services/event-tickets.service";
+import type { TicketItemType } from "../services/event-tickets.service";
+import type { RefundMode } from "../services/refund.service";
+import { logAuditEvent } from "../services/audit.service";
 import attendanceService from "../services/attendance.service";
 import authService from "../services/auth.service";
 import { sendConfirmationEmail } from "../services/sendgrid.service";
@@ -22,25 +34,60 @@ import {
 } from "../utils/http";
 import rateLimit from "express-rate-limit";
 
-// Validate and sum the tiers the user selected against backend-stored tier prices.
-// Returns total in dollars, or null if no tiers are provided / applicable.
-function computeTotalFromSelectedTiers(
+// Checkout sessions for tiered items expire a few minutes before their seat hold lapses,
+// so Stripe never lets a buyer pay for seats that went back on sale.
+const TIERED_CHECKOUT_MINUTES = TIER_HOLD_MINUTES - 4;
+
+// Prices the tiers the buyer selected against backend-stored tier data — never client
+// prices — and holds the seats for this checkout.
+async function reserveTiers(
+  purchaseType: "event" | "workshop",
+  itemId: string,
+  itemDetails: Awaited<ReturnType<typeof purchaseService.getItemDetails>>,
   selectedTiers: unknown,
-  backendTiers: Array<{ name: string; price: number }> | null,
-): number | null {
-  if (!Array.isArray(selectedTiers) || selectedTiers.length === 0) return null;
-  if (!backendTiers || backendTiers.length === 0) return null;
-
-  const tierMap = new Map(backendTiers.map((t) => [t.name.toLowerCase(), t.price]));
-  let total = 0;
-  for (const s of selectedTiers as Array<Record<string, unknown>>) {
-    const name = (s["tierName"] as string | undefined)?.toLowerCase() ?? "";
-    const qty = typeof s["quantity"] === "number" ? Math.max(1, Math.floor(s["quantity"])) : 1;
-    const unitPrice = tierMap.get(name);
-    if (unitPrice === undefined) throw new Error(`Unknown tier "${s["tierName"] as string}"`);
-    total += unitPrice * qty;
+  authUid: string,
+): Promise<{ reservationId: string; lines: TierLine[]; total: number }> {
+  const tiers = itemDetails.priceTiers ?? [];
+  const lines = tierInventoryService.resolveSelection(tiers, selectedTiers);
+  const reservationId = await tierInventoryService.reserve(purchaseType, itemId, tiers, lines, authUid);
+  return { reservationId, lines, total: Math.round(lines.reduce((sum, line) => sum + line.total, 0) * 100) / 100 };
+}
+
+function sendTierError(req: Request, res: Response, error: unknown): void {
+  const msg = (error as Error).message ?? "";
+  if (msg.includes("sold out") || msg.includes("left")) return sendErrorResponse(req, res, 409, "Sold Out", msg);
+  if (
+    msg.includes("tier") || msg.includes("on sale") || msg.includes("sales have ended") ||
+    msg.includes("per order") || msg.toLowerCase().includes("attendee")
+  ) {
+    return sendErrorResponse(req, res, 400, "Validation Error", msg);
   }
-  return total;
+  handleError(req, res, error);
+}
+
+// A payment confirmed after its seat hold lapsed, for seats that sold in the meantime,
+// is refunded in full instead of overselling the tier.
+async function refundOversold(paymentIntentId: string, studioOwnerId: string, context: string): Promise<void> {
+  const studioDoc = await getFirestore().collection("users").doc(studioOwnerId).get();
+  const connectedAccountId = (studioDoc.data()?.["stripeAccountId"] as string) || undefined;
+  await stripeService.createRefund(paymentIntentId, OVERSOLD_MESSAGE, connectedAccountId)
+    .catch((err) => console.error(`[${context}] Failed to refund oversold payment ${paymentIntentId}:`, err));
+}
+
+// Event and workshop tickets are issued as the purchase completes, guest checkouts included.
+async function issueTickets(purchaseId: string, purchaseType: string, context: string): Promise<void> {
+  if (purchaseType !== "event" && purchaseType !== "workshop") return;
+  try {
+    await eventTicketsService.issueTickets(await getFirestore().collection("purchases").doc(purchaseId).get());
+  } catch (err) {
+    console.error(`[${context}] Failed to issue tickets for purchase ${purchaseId}:`, err);
+  }
+}
+
+function releaseTiers(reservationId: string | null, context: string): Promise<void> {
+  if (!reservationId) return Promise.resolve();
+  return tierInventoryService.release(reservationId)
+    .catch((err) => console.error(`[${context}] Failed to release ticket reservation ${reservationId}:`, err));
 }
 
 // Limit payment-creation endpoints to 20 requests per 15 minutes per IP
@@ -85,6 +132,7 @@ app.use(express.urlencoded({ extended: true }));
 
 // POST /create-payment-link
 app.post("/create-payment-link", paymentCreationLimiter, async (req, res) => {
+  let tierReservationId: string | null = null;
   try {
     const body = req.body as Record<string, unknown>;
     const purchaseType = body["purchaseType"] as string | undefined;
@@ -247,12 +295,17 @@ app.post("/create-payment-link", paymentCreationLimiter, async (req, res) => {
     };
 
     // For events/workshops, compute the actual total from the tiers the user selected.
-    // The backend-stored prices are already grossed-up when passFees=true, so we
-    // validate selected tier names against our own data and never trust client prices.
+    // The backend-stored prices are already grossed-up when passFees=true.
     let chargePrice = itemDetails.price;
-    if ((purchaseType === "event" || purchaseType === "workshop") && itemDetails.priceTiers) {
-      const tiersTotal = computeTotalFromSelectedTiers(selectedTiers, itemDetails.priceTiers);
-      if (tiersTotal !== null) chargePrice = tiersTotal;
+    if (purchaseType === "event" || purchaseType === "workshop") {
+      try {
+        const reservation = await reserveTiers(purchaseType, itemId, itemDetails, selectedTiers, user.uid);
+        tierReservationId = reservation.reservationId;
+        chargePrice = reservation.total;
+        metadata["tierReservationId"] = reservation.reservationId;
+      } catch (tierErr) {
+        return sendTierError(req, res, tierErr);
+      }
     }
 
     const applicationFeeAmount = 25 + Math.round(chargePrice * 100 * 0.01);
@@ -319,11 +372,13 @@ app.post("/create-payment-link", paymentCreationLimiter, async (req, res) => {
         metadata,
         successUrl,
         cancelUrl,
+        tierReservationId ? Math.floor(Date.now() / 1000) + TIERED_CHECKOUT_MINUTES * 60 : undefined,
       ) as unknown as { url: string; id: string };
     }
 
     sendJsonResponse(req, res, 200, { url: checkoutSession.url, id: checkoutSession.id });
   } catch (error) {
+    await releaseTiers(tierReservationId, "create-payment-link");
     console.error("Create Payment Link error:", error);
     handleError(req, res, error);
   }
@@ -331,6 +386,7 @@ app.post("/create-payment-link", paymentCreationLimiter, async (req, res) => {
 
 // POST /charge-saved
 app.post("/charge-saved", paymentCreationLimiter, async (req, res) => {
+  let tierReservationId: string | null = null;
   try {
     let user;
     try { user = await verifyToken(req); } catch (authError) {
@@ -487,23 +543,23 @@ app.post("/charge-saved", paymentCreationLimiter, async (req, res) => {
     }
     console.log("[charge-saved] using connected PM", { connectedPmId: connectedPm.id });
 
-    // Compute the actual charge amount from selected tiers (event/workshop only).
+    // Compute the actual charge amount from selected tiers (event/workshop only) and hold the seats.
     let chargePrice = itemDetails.price;
-    let tierBreakdown: Array<{ tierName: string; quantity: number; unitPrice: number; total: number }> | null = null;
-    if ((purchaseType === "event" || purchaseType === "workshop") && itemDetails.priceTiers && Array.isArray(selectedTiers) && selectedTiers.length > 0) {
-      const tierPriceMap = new Map(itemDetails.priceTiers.map((t) => [t.name.toLowerCase(), t.price]));
-      tierBreakdown = (selectedTiers as Array<Record<string, unknown>>).map((s) => {
-        const name = (s["tierName"] as string) || "";
-        const qty = typeof s["quantity"] === "number" ? Math.max(1, Math.floor(s["quantity"])) : 1;
-        const unitPrice = tierPriceMap.get(name.toLowerCase()) ?? 0;
-        return { tierName: name, quantity: qty, unitPrice, total: unitPrice * qty };
-      });
-      chargePrice = tierBreakdown.reduce((sum, t) => sum + t.total, 0);
+    let tierBreakdown: TierLine[] | null = null;
+    if (purchaseType === "event" || purchaseType === "workshop") {
+      try {
+        const reservation = await reserveTiers(purchaseType, itemId, itemDetails, selectedTiers, user.uid);
+        tierReservationId = reservation.reservationId;
+        tierBreakdown = reservation.lines;
+        chargePrice = reservation.total;
+      } catch (tierErr) {
+        return sendTierError(req, res, tierErr);
+      }
     }
 
     const purchaseMetadata: Record<string, unknown> = {
       ...itemDetails.metadata,
-      ...(tierBreakdown ? { tierBreakdown } : {}),
+      ...(tierBreakdown ? { tierBreakdown, tierReservationId } : {}),
       ...(teamName ? { teamName } : {}),
     };
 
@@ -517,6 +573,7 @@ app.post("/charge-saved", paymentCreationLimiter, async (req, res) => {
       studentId: studentDoc.id,
       authUid: user.uid,
       ...(dependentId ? { dependentId } : {}),
+      ...(tierReservationId ? { tierReservationId } : {}),
     };
     // Non-recurring packages must NOT use a stable idempotency key. A stable key causes
     // Stripe to return the cached PI from the first purchase on every subsequent attempt,
@@ -533,6 +590,7 @@ app.post("/charge-saved", paymentCreationLimiter, async (req, res) => {
     let paymentIntentId: string | null | undefined;
     let subscriptionId: string | null = null;
     let subscriptionStatus: string | null = null;
+    let subscriptionObject: Record<string, unknown> = {};
 
     if (isRecurring) {
       const intervalMap: Record<string, string> = { monthly: "month", weekly: "week", daily: "day", yearly: "year" };
@@ -574,6 +632,7 @@ app.post("/charge-saved", paymentCreationLimiter, async (req, res) => {
 
       subscriptionId = subscription["id"] as string;
       subscriptionStatus = subscription["status"] as string;
+      subscriptionObject = subscription;
       paymentIntentId = latestInvoicePI?.["id"] as string | undefined;
     } else {
       const paymentIntent = await stripeService.chargePaymentMethodDirectly(
@@ -593,20 +652,35 @@ app.post("/charge-saved", paymentCreationLimiter, async (req, res) => {
       }
 
       if (paymentIntent["status"] !== "succeeded") {
+        await releaseTiers(tierReservationId, "charge-saved");
         return sendErrorResponse(req, res, 402, "Payment Failed", "Payment could not be completed. Please try a different card.");
       }
 
       paymentIntentId = paymentIntent["id"] as string;
     }
 
+    const allocatedPurchaseId = purchaseService.allocatePurchaseId();
+    if (tierReservationId) {
+      try {
+        await tierInventoryService.commit(tierReservationId, allocatedPurchaseId);
+      } catch (tierErr) {
+        if ((tierErr as Error).message === OVERSOLD_MESSAGE && paymentIntentId) {
+          await refundOversold(paymentIntentId, studioOwnerId, "charge-saved");
+          return sendErrorResponse(req, res, 409, "Sold Out", `${OVERSOLD_MESSAGE}. Your payment has been refunded.`);
+        }
+        console.error("[charge-saved] Failed to commit ticket reservation:", tierErr);
+      }
+    }
     const creditResult = await purchaseService.grantCreditsForPurchase(
       purchaseType as "class" | "event" | "workshop" | "package",
       studentDoc.id,
       studioOwnerId,
       itemDetails,
+      { actor: { type: "student", id: studentDoc.id }, source: { purchaseId: allocatedPurchaseId } },
     );
 
     const purchaseId = await purchaseService.createPurchaseRecord({
+      id: allocatedPurchaseId,
       studentId: studentDoc.id,
       authUid: user.uid,
       purchaseType,
@@ -628,6 +702,24 @@ app.post("/charge-saved", paymentCreationLimiter, async (req, res) => {
       classId: purchaseType === "class" ? itemId : null,
       metadata: purchaseMetadata,
     });
+    await issueTickets(purchaseId, purchaseType, "charge-saved");
+
+    if (subscriptionId && isMembershipPackage(itemDetails.metadata)) {
+      try {
+        await membershipsService.recordBillingCycle({
+          subscriptionId,
+          studentId: studentDoc.id,
+          studioOwnerId,
+          packageId: itemId,
+          authUid: user.uid,
+          status: subscriptionStatus || "active",
+          subscription: subscriptionObject,
+        });
+      } catch (membershipErr) {
+        // The subscription's first invoice webhook records the cycle as well.
+        console.error("[charge-saved] Failed to activate membership:", membershipErr);
+      }
+    }
 
     try {
       const typeLabels: Record<string, string> = {
@@ -708,6 +800,7 @@ app.post("/charge-saved", paymentCreationLimiter, async (req, res) => {
       subscriptionId,
     });
   } catch (error) {
+    await releaseTiers(tierReservationId, "charge-saved");
     console.error("charge-saved error:", error);
     handleError(req, res, error);
   }
@@ -719,6 +812,7 @@ app.post("/charge-saved", paymentCreationLimiter, async (req, res) => {
 // to mount a Stripe Payment Element without redirecting to stripe.com.
 // Recurring packages are not supported here — use /create-payment-link for those.
 app.post("/create-payment-intent", paymentCreationLimiter, async (req, res) => {
+  let tierReservationId: string | null = null;
   try {
     let user;
     try { user = await verifyToken(req); } catch (authError) {
@@ -728,6 +822,7 @@ app.post("/create-payment-intent", paymentCreationLimiter, async (req, res) => {
     const body = req.body as Record<string, unknown>;
     const purchaseType = body["purchaseType"] as string | undefined;
     const itemId = body["itemId"] as string | undefined;
+    const selectedTiers = body["selectedTiers"];
     const dependentId = typeof body["dependentId"] === "string" && body["dependentId"].trim() ? body["dependentId"].trim() : null;
 
     if (!purchaseType || !itemId) {
@@ -826,7 +921,18 @@ app.post("/create-payment-intent", paymentCreationLimiter, async (req, res) => {
       });
     }
 
-    const amountCents = Math.round(itemDetails.price * 100);
+    let chargePrice = itemDetails.price;
+    if (purchaseType === "event" || purchaseType === "workshop") {
+      try {
+        const reservation = await reserveTiers(purchaseType, itemId, itemDetails, selectedTiers, user.uid);
+        tierReservationId = reservation.reservationId;
+        chargePrice = reservation.total;
+      } catch (tierErr) {
+        return sendTierError(req, res, tierErr);
+      }
+    }
+
+    const amountCents = Math.round(chargePrice * 100);
     const applicationFeeAmount = 25 + Math.round(amountCents * 0.01);
 
     const metadata: Record<string, string> = {
@@ -839,6 +945,7 @@ app.post("/create-payment-intent", paymentCreationLimiter, async (req, res) => {
       authUid: user.uid,
       connectedCustomerId,
       ...(dependentId ? { dependentId } : {}),
+      ...(tierReservationId ? { tierReservationId } : {}),
     };
 
     const paymentIntent = await stripeService.createDirectPaymentIntent(
@@ -863,6 +970,7 @@ app.post("/create-payment-intent", paymentCreationLimiter, async (req, res) => {
       connectedAccountId,
     });
   } catch (error) {
+    await releaseTiers(tierReservationId, "create-payment-intent");
     console.error("create-payment-intent error:", error);
     handleError(req, res, error);
   }
@@ -1078,11 +1186,13 @@ app.post("/success", async (req, res) => {
     const isRecurring = purchaseType === "package" && itemDetails.isRecurring === true;
     const stripeSubscriptionId = metadata["stripeSubscriptionId"] || null;
     let subscriptionStatus: string | null = null;
+    let subscriptionObject: Record<string, unknown> = {};
 
     if (isRecurring && stripeSubscriptionId) {
       try {
         const subscription = await stripe.subscriptions.retrieve(stripeSubscriptionId);
         subscriptionStatus = subscription.status;
+        subscriptionObject = subscription as unknown as Record<string, unknown>;
 
         if (itemDetails.subscriptionDuration && (itemDetails.subscriptionDuration as number) > 0) {
           try {
@@ -1124,14 +1234,36 @@ app.post("/success", async (req, res) => {
       }
     }
 
+    const allocatedPurchaseId = purchaseService.allocatePurchaseId();
+
+    // The seats were held when checkout opened; the reservation is also the record of which tiers were paid for.
+    const tierReservationId = metadata["tierReservationId"] || null;
+    let tierBreakdown: TierLine[] | null = null;
+    if (tierReservationId) {
+      try {
+        tierBreakdown = await tierInventoryService.commit(tierReservationId, allocatedPurchaseId);
+      } catch (tierErr) {
+        if ((tierErr as Error).message === OVERSOLD_MESSAGE && paymentIntent?.id) {
+          await refundOversold(paymentIntent.id, studioOwnerId, "Purchase Success");
+          return sendErrorResponse(req, res, 409, "Sold Out", `${OVERSOLD_MESSAGE}. Your payment has been refunded.`);
+        }
+        console.error("[Purchase Success] Failed to commit ticket reservation:", tierErr);
+      }
+    }
+
     const creditResult = await purchaseService.grantCreditsForPurchase(
       purchaseType as "class" | "event" | "workshop" | "package",
       studentId,
       studioOwnerId,
       itemDetails,
+      { actor: { type: "student", id: studentId }, source: { purchaseId: allocatedPurchaseId } },
     );
+    const purchasePrice = tierBreakdown
+      ? Math.round(tierBreakdown.reduce((sum, line) => sum + line.total, 0) * 100) / 100
+      : itemDetails.price;
 
     const purchaseId = await purchaseService.createPurchaseRecord({
+      id: allocatedPurchaseId,
       studentId,
       authUid: user.uid,
       purchaseType,
@@ -1139,7 +1271,7 @@ app.post("/success", async (req, res) => {
       studioOwnerId,
       itemName: itemDetails.itemName,
       studioName: itemDetails.studioName,
-      price: itemDetails.price,
+      price: purchasePrice,
       stripePaymentIntentId: paymentIntent?.id || sessionId,
       stripeCustomerId: typeof paymentIntent?.customer === "string" ? paymentIntent.customer : null,
       stripeSubscriptionId: stripeSubscriptionId,
@@ -1153,9 +1285,27 @@ app.post("/success", async (req, res) => {
       classId: purchaseType === "class" ? itemId : null,
       metadata: {
         ...itemDetails.metadata,
+        ...(tierBreakdown ? { tierBreakdown, tierReservationId } : {}),
         ...(metadata["teamName"] ? { teamName: metadata["teamName"] } : {}),
       },
     });
+    await issueTickets(purchaseId, purchaseType, "Purchase Success");
+
+    if (stripeSubscriptionId && isMembershipPackage(itemDetails.metadata)) {
+      try {
+        await membershipsService.recordBillingCycle({
+          subscriptionId: stripeSubscriptionId,
+          studentId,
+          studioOwnerId,
+          packageId: itemId,
+          authUid: user.uid,
+          status: subscriptionStatus || "active",
+          subscription: subscriptionObject,
+        });
+      } catch (membershipErr) {
+        console.error("[Purchase Success] Failed to activate membership:", membershipErr);
+      }
+    }
 
     try {
       await purchaseService.createPurchaseNotification({
@@ -1164,7 +1314,7 @@ app.post("/success", async (req, res) => {
         authUid: user.uid,
         itemId,
         studioName: itemDetails.studioName,
-        price: itemDetails.price,
+        price: purchasePrice,
         studentName: studentInfo.studentName,
         purchaseType,
         itemName: itemDetails.itemName,
@@ -1327,6 +1477,8 @@ app.get("/student/:studentId", async (req, res) => {
         price: (data["amount"] as number) || 0,
         status: (data["status"] as string) || "completed",
         paymentMethod: "cash",
+        refundedAmount: (data["refundedAmount"] as number) || 0,
+        refundStatus: data["refundStatus"] ?? null,
         createdAt: data["createdAt"],
       };
     });
@@ -1413,6 +1565,9 @@ app.get("/subscriptions", async (req, res) => {
           studioName: purchaseData["studioName"],
           price: purchaseData["price"],
           status: subscription.status,
+          pausedUntil: subscription.pause_collection?.resumes_at
+            ? new Date(subscription.pause_collection.resumes_at * 1000).toISOString()
+            : null,
           nextBillingDate: nextBillingDate?.toISOString() || null,
           billingFrequency: meta?.["billingFrequency"] || null,
           billingInterval: meta?.["billingInterval"] || 1,
@@ -1493,6 +1648,104 @@ app.post("/subscriptions/:subscriptionId/cancel", async (req, res) => {
   }
 });
 
+/** Freeze routes serve both sides: the studio that owns the subscription and the dancer who bought it. */
+async function freezeRequesterFor(authUid: string): Promise<FreezeRequester> {
+  const studioOwnerId = await classesService.getStudioOwnerId(authUid);
+  return studioOwnerId
+    ? { type: "studio", id: authUid, studioOwnerId }
+    : { type: "student", id: authUid, authUid };
+}
+
+function sendFreezeError(req: Request, res: Response, error: unknown): void {
+  const msg = (error as Error).message;
+  if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+  if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+  if (msg?.includes("overlaps") || msg?.includes("already") || msg?.includes("still being set up")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+  if (msg?.includes("payment failed")) return sendErrorResponse(req, res, 402, "Payment Failed", msg);
+  if (msg?.includes("must") || msg?.includes("cannot") || msg?.includes("Only active") || msg?.includes("No saved payment method") || msg?.includes("Stripe Connect")) {
+    return sendErrorResponse(req, res, 400, "Validation Error", msg);
+  }
+  handleError(req, res, error);
+}
+
+// GET /subscriptions/:subscriptionId/freezes
+app.get("/subscriptions/:subscriptionId/freezes", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const requester = await freezeRequesterFor(user.uid);
+    const freezes = await subscriptionFreezesService.listFreezes(req.params["subscriptionId"] as string, requester);
+    sendJsonResponse(req, res, 200, freezes);
+  } catch (error) {
+    console.error("Error listing subscription freezes:", error);
+    sendFreezeError(req, res, error);
+  }
+});
+
+// POST /subscriptions/:subscriptionId/freeze
+// Body: { startDate, endDate, reason?, fee? } — dates are YYYY-MM-DD, inclusive.
+// Pauses billing for the range; `fee` is honoured for studio owners only.
+app.post("/subscriptions/:subscriptionId/freeze", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const body = req.body as Record<string, unknown>;
+    if (typeof body["startDate"] !== "string" || typeof body["endDate"] !== "string") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "startDate and endDate are required");
+    }
+    if (body["fee"] !== undefined && body["fee"] !== null && typeof body["fee"] !== "number") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "fee must be a number");
+    }
+
+    const subscriptionId = req.params["subscriptionId"] as string;
+    const requester = await freezeRequesterFor(user.uid);
+    const freeze = await subscriptionFreezesService.createFreeze(subscriptionId, {
+      startDate: body["startDate"] as string,
+      endDate: body["endDate"] as string,
+      reason: typeof body["reason"] === "string" ? body["reason"] : null,
+      fee: body["fee"] as number | null | undefined,
+    }, requester);
+
+    if (requester.type === "studio") {
+      logAuditEvent(user.uid, requester.studioOwnerId, "subscription_frozen", "subscription", subscriptionId, {
+        freezeId: freeze.id,
+        startDate: freeze.startDate,
+        endDate: freeze.endDate,
+        fee: freeze.fee,
+      });
+    }
+    sendJsonResponse(req, res, 201, { message: "Subscription freeze created", freeze });
+  } catch (error) {
+    console.error("Error freezing subscription:", error);
+    sendFreezeError(req, res, error);
+  }
+});
+
+// POST /subscriptions/:subscriptionId/freezes/:freezeId/cancel — cancels a scheduled freeze or ends an active one early
+app.post("/subscriptions/:subscriptionId/freezes/:freezeId/cancel", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const subscriptionId = req.params["subscriptionId"] as string;
+    const requester = await freezeRequesterFor(user.uid);
+    const freeze = await subscriptionFreezesService.cancelFreeze(req.params["freezeId"] as string, subscriptionId, requester);
+
+    if (requester.type === "studio") {
+      logAuditEvent(user.uid, requester.studioOwnerId, "subscription_freeze_cancelled", "subscription", subscriptionId, {
+        freezeId: freeze.id,
+        status: freeze.status,
+      });
+    }
+    sendJsonResponse(req, res, 200, { message: freeze.status === "ended" ? "Freeze ended early" : "Freeze cancelled", freeze });
+  } catch (error) {
+    console.error("Error cancelling subscription freeze:", error);
+    sendFreezeError(req, res, error);
+  }
+});
+
 // GET /cash
 app.get("/cash", async (req, res) => {
   try {
@@ -1638,6 +1891,163 @@ app.post("/cash", async (req, res) => {
   }
 });
 
+// GET /tickets/keys — public keys ticket QR codes are signed with, for door scanners to cache and verify offline
+app.get("/tickets/keys", async (req, res) => {
+  try {
+    const keys = await eventTicketsService.getPublicKeys();
+    res.set("Cache-Control", "public, max-age=3600");
+    sendJsonResponse(req, res, 200, { keys });
+  } catch (error) {
+    console.error("Error getting ticket keys:", error);
+    handleError(req, res, error);
+  }
+});
+
+// GET /tickets/manifest?itemType=event|workshop&itemId= — every ticket issued for an event or workshop, with used/void status and current revision
+app.get("/tickets/manifest", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Not authorized");
+    }
+
+    const itemType = req.query["itemType"];
+    const itemId = req.query["itemId"];
+    if ((itemType !== "event" && itemType !== "workshop") || typeof itemId !== "string" || !itemId) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "itemType (event or workshop) and itemId are required");
+    }
+
+    const tickets = await eventTicketsService.getManifest(studioOwnerId, itemType as TicketItemType, itemId);
+    sendJsonResponse(req, res, 200, { tickets, total: tickets.length, generatedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error("Error getting ticket manifest:", error);
+    handleError(req, res, error);
+  }
+});
+
+// GET /transfers?itemType=event|workshop&itemId= — passes transferred or resold (or being transferred) for an event or workshop
+app.get("/transfers", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Not authorized");
+    }
+
+    const itemType = req.query["itemType"];
+    const itemId = req.query["itemId"];
+    if ((itemType !== "event" && itemType !== "workshop") || typeof itemId !== "string" || !itemId) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "itemType (event or workshop) and itemId are required");
+    }
+
+    const transfers = await ticketTransfersService.listForItem(studioOwnerId, itemType as TicketItemType, itemId);
+    sendJsonResponse(req, res, 200, { transfers });
+  } catch (error) {
+    console.error("Error listing pass transfers:", error);
+    handleError(req, res, error);
+  }
+});
+
+// POST /tickets/scan — admit a ticket at the door from its QR payload. Rejections come back as 200 with admitted: false and a reason.
+app.post("/tickets/scan", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Only studio owners can scan tickets");
+    }
+
+    const token = (req.body as Record<string, unknown>)["token"];
+    if (typeof token !== "string" || !token.trim()) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "token is required");
+    }
+
+    const result = await eventTicketsService.scan(studioOwnerId, token.trim(), user.uid);
+    sendJsonResponse(req, res, 200, result);
+  } catch (error) {
+    console.error("Error scanning ticket:", error);
+    handleError(req, res, error);
+  }
+});
+
+// POST /tickets/sync — upload scans a door scanner admitted offline: { scans: [{ token, scannedAt }] }
+app.post("/tickets/sync", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Only studio owners can sync ticket scans");
+    }
+
+    const rawScans = (req.body as Record<string, unknown>)["scans"];
+    if (!Array.isArray(rawScans) || rawScans.length === 0) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "scans must be a non-empty array");
+    }
+    const scans: Array<{ token: string; scannedAt: Date }> = [];
+    for (const raw of rawScans as Array<Record<string, unknown>>) {
+      const scannedAt = new Date(raw?.["scannedAt"] as string);
+      if (typeof raw?.["token"] !== "string" || isNaN(scannedAt.getTime()) || scannedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+        return sendErrorResponse(req, res, 400, "Validation Error", "Each scan needs a token and a past scannedAt timestamp");
+      }
+      scans.push({ token: (raw["token"] as string).trim(), scannedAt });
+    }
+
+    const results = await eventTicketsService.syncOfflineScans(studioOwnerId, scans, user.uid);
+    sendJsonResponse(req, res, 200, {
+      results,
+      admitted: results.filter((result) => result.admitted).length,
+      rejected: results.filter((result) => !result.admitted).length,
+    });
+  } catch (error) {
+    const msg = (error as Error).message ?? "";
+    if (msg.includes("Cannot sync")) return sendErrorResponse(req, res, 400, "Validation Error", msg);
+    console.error("Error syncing ticket scans:", error);
+    handleError(req, res, error);
+  }
+});
+
+// POST /tickets/:ticketId/check-in — check one ticket in from the door list, for attendees without their QR code
+app.post("/tickets/:ticketId/check-in", async (req, res) => {
+  await setTicketCheckIn(req, res, true);
+});
+
+// POST /tickets/:ticketId/check-out — undo a ticket's check-in
+app.post("/tickets/:ticketId/check-out", async (req, res) => {
+  await setTicketCheckIn(req, res, false);
+});
+
+async function setTicketCheckIn(req: Request, res: Response, checkedIn: boolean): Promise<void> {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Only studio owners can check in tickets");
+    }
+
+    const ticket = await eventTicketsService.setCheckedIn(studioOwnerId, req.params["ticketId"] as string, checkedIn, user.uid);
+    sendJsonResponse(req, res, 200, withoutQr(ticket));
+  } catch (error) {
+    const msg = (error as Error).message ?? "";
+    if (msg.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg.includes("already checked in") || msg.includes("not checked in") || msg.includes("no longer valid")) {
+      return sendErrorResponse(req, res, 409, "Conflict", msg);
+    }
+    console.error("Error updating ticket check-in:", error);
+    handleError(req, res, error);
+  }
+}
+
 // POST /:purchaseId/check-in
 app.post("/:purchaseId/check-in", async (req, res) => {
   try {
@@ -1675,6 +2085,17 @@ app.post("/:purchaseId/check-in", async (req, res) => {
 
     const checkedInBy = isStudioOwner ? "studio" : "student";
 
+    // Ticketed purchases check in through their tickets, so the door list and scanners agree.
+    const tickets = await eventTicketsService.listForPurchase(purchaseId);
+    if (tickets.length > 1) {
+      return sendErrorResponse(req, res, 409, "Conflict",
+        `This purchase has ${tickets.length} tickets; check each one in from the door list or scan its QR code`);
+    }
+    if (tickets.length === 1) {
+      await eventTicketsService.setCheckedIn(purchase["studioOwnerId"] as string, tickets[0]!.id, true, user.uid, checkedInBy);
+      return sendJsonResponse(req, res, 200, { message: "Attendee checked in successfully" });
+    }
+
     await purchaseRef.update({
       checkedIn: true,
       checkedInAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -1684,6 +2105,10 @@ app.post("/:purchaseId/check-in", async (req, res) => {
 
     sendJsonResponse(req, res, 200, { message: "Attendee checked in successfully" });
   } catch (error) {
+    const msg = (error as Error).message ?? "";
+    if (msg.includes("already checked in") || msg.includes("no longer valid")) {
+      return sendErrorResponse(req, res, 409, "Conflict", msg);
+    }
     console.error("Error checking in attendee:", error);
     handleError(req, res, error);
   }
@@ -1718,6 +2143,16 @@ app.post("/:purchaseId/check-out", async (req, res) => {
       return sendErrorResponse(req, res, 403, "Access Denied", "Only studio owners can remove a check-in");
     }
 
+    const tickets = await eventTicketsService.listForPurchase(purchaseId);
+    if (tickets.length > 1) {
+      return sendErrorResponse(req, res, 409, "Conflict",
+        `This purchase has ${tickets.length} tickets; check each one out from the door list`);
+    }
+    if (tickets[0]?.status === "used") {
+      await eventTicketsService.setCheckedIn(purchase["studioOwnerId"] as string, tickets[0].id, false, user.uid);
+      return sendJsonResponse(req, res, 200, { message: "Check-in removed successfully" });
+    }
+
     await purchaseRef.update({
       checkedIn: false,
       checkedInAt: null,
@@ -1732,68 +2167,99 @@ app.post("/:purchaseId/check-out", async (req, res) => {
   }
 });
 
-// POST /:purchaseId/refund
-app.post("/:purchaseId/refund", async (req, res) => {
+// GET /disputes — chargebacks against this studio's card purchases, newest first. ?status=open filters to unresolved ones.
+app.get("/disputes", async (req, res) => {
   try {
     let user;
     try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
 
-    const authUid = user.uid;
-    const purchaseId = req.params["purchaseId"] as string;
-    const body = req.body as Record<string, unknown>;
-    const reason = body["reason"] as string | undefined;
-
-    const db = getFirestore();
-
-    const studioOwnerSnapshot = await db.collection("users")
-      .where("authUid", "==", authUid)
-      .limit(1)
-      .get();
-    if (studioOwnerSnapshot.empty) {
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
       return sendErrorResponse(req, res, 403, "Access Denied", "Not authorized");
     }
-    const studioOwnerId = studioOwnerSnapshot.docs[0]!.id;
 
-    const purchaseRef = db.collection("purchases").doc(purchaseId);
-    const purchaseSnap = await purchaseRef.get();
-    if (!purchaseSnap.exists) {
-      return sendErrorResponse(req, res, 404, "Not Found", "Purchase not found");
-    }
-    const purchase = purchaseSnap.data() as Record<string, unknown>;
+    const disputes = await disputesService.listDisputes(studioOwnerId, req.query["status"] === "open");
+    sendJsonResponse(req, res, 200, { disputes, total: disputes.length });
+  } catch (error) {
+    console.error("Error fetching disputes:", error);
+    handleError(req, res, error);
+  }
+});
 
-    if (purchase["studioOwnerId"] !== studioOwnerId) {
-      return sendErrorResponse(req, res, 403, "Access Denied", "Not authorized to refund this purchase");
-    }
+// GET /:purchaseId/refunds
+app.get("/:purchaseId/refunds", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
 
-    if (purchase["status"] === "refunded") {
-      return sendErrorResponse(req, res, 400, "Conflict", "This purchase has already been refunded");
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Not authorized");
     }
 
-    const stripePaymentIntentId = purchase["stripePaymentIntentId"] as string | undefined;
-    const creditIds = purchase["creditIds"] as string[] | undefined;
-    const studentId = purchase["studentId"] as string;
-    const creditsGranted = purchase["creditsGranted"] as number | undefined;
+    const summary = await refundService.getRefundSummary(req.params["purchaseId"] as string, studioOwnerId);
+    sendJsonResponse(req, res, 200, summary);
+  } catch (error) {
+    console.error("Error fetching refund history:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    handleError(req, res, error);
+  }
+});
 
-    if (!stripePaymentIntentId || !stripePaymentIntentId.startsWith("pi_")) {
-      return sendErrorResponse(req, res, 400, "Validation Error", "This was a cash purchase and cannot be refunded through Stripe");
-    }
+// POST /:purchaseId/refund
+// Body: { mode?: "full" | "amount" | "unused_credits", amount?, credits?, reason? } — mode defaults to "full".
+app.post("/:purchaseId/refund", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
 
-    await stripeService.createRefund(stripePaymentIntentId, reason || "");
+    const purchaseId = req.params["purchaseId"] as string;
+    const body = req.body as Record<string, unknown>;
+    const mode = (body["mode"] ?? "full") as RefundMode;
+    const reason = typeof body["reason"] === "string" ? body["reason"] : undefined;
 
-    if (creditIds && creditIds.length > 0 && creditsGranted && creditsGranted > 0) {
-      await creditTrackingService.removeCredits(studentId, studioOwnerId, creditsGranted);
+    if (!["full", "amount", "unused_credits"].includes(mode)) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "mode must be one of full, amount, unused_credits");
+    }
+    if (mode === "amount" && typeof body["amount"] !== "number") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "amount is required for an amount refund");
+    }
+    if (body["credits"] !== undefined && typeof body["credits"] !== "number") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "credits must be a number");
     }
 
-    await purchaseRef.update({
-      status: "refunded",
-      refundedAt: admin.firestore.FieldValue.serverTimestamp(),
-      refundReason: reason || "",
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Not authorized");
+    }
+
+    const result = await refundService.refundPurchase(purchaseId, studioOwnerId, user.uid, {
+      mode,
+      amount: body["amount"] as number | undefined,
+      credits: body["credits"] as number | undefined,
+      reason: reason ?? null,
     });
 
-    sendJsonResponse(req, res, 200, { message: "Refund processed successfully" });
+    logAuditEvent(user.uid, studioOwnerId, "purchase_refunded", result.summary.collection, purchaseId, {
+      mode,
+      method: result.refund.method,
+      amount: result.refund.amount,
+      credits: result.refund.credits,
+    });
+    sendJsonResponse(req, res, 200, { message: "Refund processed successfully", ...result });
   } catch (error) {
     console.error("Error processing refund:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    if (msg?.includes("already been refunded") || msg?.includes("Nothing left to refund") || msg?.includes("under dispute")) {
+      return sendErrorResponse(req, res, 409, "Conflict", msg);
+    }
+    if (msg?.includes("must be") || msg?.includes("exceeds") || msg?.includes("unused credit")) {
+      return sendErrorResponse(req, res, 400, "Validation Error", msg);
+    }
     handleError(req, res, error);
   }
 });
@@ -18,6 +18,11 @@ import {
 import authService from "../services/auth.service";
 import purchaseService from "../services/purchase.service";
 import notificationsService from "../services/notifications.service";
+import refundService from "../services/refund.service";
+import disputesService from "../services/disputes.service";
+import membershipsService from "../services/memberships.service";
+import tierInventoryService from "../services/tier-inventory.service";
+import performerApplicationsService from "../services/performer-applications.service";
 import { logAuditEvent } from "../services/audit.service";
 import {
   sendJsonResponse,
@@ -156,6 +161,49 @@ async function resolveDiscount(
   return {};
 }
 
+// Refund and dispute events arrive on /webhook for platform charges and on
+// /webhook-connect for direct charges on a studio's connected account, so both
+// endpoints share this handler. Returns false for any other event type. Failures
+// are thrown so the endpoint answers 500 and Stripe retries the event.
+async function handleChargeLifecycleEvent(
+  event: import("stripe").default.Event,
+  stripeAccountId: string | null,
+): Promise<boolean> {
+  switch (event.type) {
+    case "charge.refunded": {
+      const charge = event.data.object as import("stripe").default.Charge;
+      const paymentIntentId = typeof charge.payment_intent === "string" ? charge.payment_intent : charge.payment_intent?.id;
+      if (!paymentIntentId) return true;
+      const synced = await refundService.syncStripeRefund(
+        paymentIntentId, charge.amount_refunded, charge.refunds?.data?.[0]?.id ?? null,
+      );
+      if (synced) {
+        notificationsService.createNotification(
+          synced.studioOwnerId,
+          null,
+          "purchase_refunded",
+          "Payment Refunded",
+          `A $${synced.amount.toFixed(2)} refund was issued in Stripe` +
+            (synced.credits > 0 ? ` and ${synced.credits} unused credit${synced.credits === 1 ? " was" : "s were"} removed` : ""),
+        ).catch((err) => console.error("[webhook] Failed to create refund notification:", err));
+        console.log("[webhook] charge.refunded synced:", synced);
+      }
+      return true;
+    }
+
+    case "charge.dispute.created":
+      await disputesService.recordDisputeCreated(event.data.object as import("stripe").default.Dispute, stripeAccountId);
+      return true;
+
+    case "charge.dispute.closed":
+      await disputesService.recordDisputeClosed(event.data.object as import("stripe").default.Dispute, stripeAccountId);
+      return true;
+
+    default:
+      return false;
+  }
+}
+
 // GET /config/publishable-key
 app.get("/config/publishable-key", async (req, res) => {
   try {
@@ -1852,7 +1900,14 @@ app.post("/webhook", async (req, res) => {
       }
 
       default:
-        console.log(`Unhandled event type: ${event.type}`);
+        try {
+          if (!(await handleChargeLifecycleEvent(event, null))) {
+            console.log(`Unhandled event type: ${event.type}`);
+          }
+        } catch (err) {
+          console.error(`[webhook] Error handling ${event.type}:`, err);
+          return sendErrorResponse(req, res, 500, "Webhook Processing Error", (err as Error).message);
+        }
     }
 
     res.status(200).json({ received: true });
@@ -1945,6 +2000,22 @@ app.post("/webhook-connect", async (req, res) => {
           break;
         }
 
+        // Memberships start a new allowance cycle on every paid invoice, the first included
+        // (a no-op when the purchase handler already recorded it).
+        try {
+          await membershipsService.recordBillingCycle({
+            subscriptionId,
+            studentId,
+            studioOwnerId,
+            packageId: itemId,
+            authUid,
+            status: subscription.status,
+            subscription: subscription as unknown as Record<string, unknown>,
+          });
+        } catch (error) {
+          console.error("[webhook-connect] Error recording membership billing cycle:", error);
+        }
+
         const billingReason = invoice["billing_reason"] as string | undefined;
         const isFirstPayment = billingReason === "subscription_create";
 
@@ -1966,8 +2037,10 @@ app.post("/webhook-connect", async (req, res) => {
             studentName = `${firstName} ${lastName}`.trim() || "Student";
           }
 
+          const renewalPurchaseId = purchaseService.allocatePurchaseId();
           const creditResult = await purchaseService.grantCreditsForPurchase(
             "package", studentId, studioOwnerId, itemDetailsRaw,
+            { reason: "Subscription renewal", source: { purchaseId: renewalPurchaseId } },
           ) as { creditsGranted: number; creditIds: string[] };
 
           const existingRenewalsSnapshot = await db.collection("purchases")
@@ -1982,6 +2055,7 @@ app.post("/webhook-connect", async (req, res) => {
           const customerField = invoice["customer"];
 
           await purchaseService.createPurchaseRecord({
+            id: renewalPurchaseId,
             studentId,
             authUid,
             purchaseType: "package",
@@ -2083,6 +2157,8 @@ app.post("/webhook-connect", async (req, res) => {
             });
           }
 
+          await membershipsService.updateStatus(subscriptionId, subscription.status);
+
           console.log(`[webhook-connect] invoice.payment_failed sub=${subscriptionId} authUid=${authUid} status=${subscription.status}`);
 
           const studentProfileDoc = await authService.getStudentProfileByAuthUid(authUid);
@@ -2142,8 +2218,65 @@ app.post("/webhook-connect", async (req, res) => {
         break;
       }
 
+      case "checkout.session.completed": {
+        // Other connected-account checkouts are verified on their success redirect;
+        // performer fee Payment Links have no redirect back, so they're recorded here.
+        const session = event.data.object as import("stripe").default.Checkout.Session;
+        const performerApplicationId = session.metadata?.["performerApplicationId"];
+        if (!performerApplicationId || session.payment_status !== "paid") break;
+        const paymentIntentId = typeof session.payment_intent === "string"
+          ? session.payment_intent
+          : session.payment_intent?.id ?? null;
+        try {
+          await performerApplicationsService.markFeePaid(
+            performerApplicationId, session.metadata?.["studioOwnerId"] ?? "", paymentIntentId, connectedAccountId,
+          );
+        } catch (err) {
+          console.error("[webhook-connect] Error recording performer fee payment:", err);
+        }
+        break;
+      }
+
+      case "checkout.session.expired":
+      case "payment_intent.canceled": {
+        // An abandoned event/workshop checkout gives its held seats back right away
+        // instead of waiting for the hold to lapse.
+        const object = event.data.object as { metadata?: Record<string, string> | null };
+        const tierReservationId = object.metadata?.["tierReservationId"];
+        if (!tierReservationId) break;
+        try {
+          await tierInventoryService.release(tierReservationId);
+        } catch (err) {
+          console.error(`[webhook-connect] Error releasing ticket reservation on ${event.type}:`, err);
+        }
+        break;
+      }
+
+      case "customer.subscription.updated":
+      case "customer.subscription.deleted": {
+        // Keeps membership access in step with the subscription (past_due, canceled,
+        // or paused by a freeze — Stripe leaves a paused subscription "active").
+        const subscription = event.data.object as import("stripe").default.Subscription;
+        if (subscription.metadata?.["purchaseType"] !== "package") break;
+        try {
+          await membershipsService.updateStatus(
+            subscription.id, subscription.pause_collection ? "paused" : subscription.status,
+          );
+        } catch (err) {
+          console.error(`[webhook-connect] Error handling ${event.type}:`, err);
+        }
+        break;
+      }
+
       default:
-        console.log(`[webhook-connect] Unhandled event type: ${event.type}`);
+        try {
+          if (!(await handleChargeLifecycleEvent(event, connectedAccountId))) {
+            console.log(`[webhook-connect] Unhandled event type: ${event.type}`);
+          }
+        } catch (err) {
+          console.error(`[webhook-connect] Error handling ${event.type}:`, err);
+          return sendErrorResponse(req, res, 500, "Webhook Processing Error", (err as Error).message);
+        }
     }
 
     res.status(200).json({ received: true });
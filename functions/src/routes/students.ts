@@ -305,10 +305,15 @@ app.post("/:id/adjust-credits", async (req, res) => {
       return sendErrorResponse(req, res, 404, "Not Found", "Student not found");
     }
 
+    const ledger = {
+      type: "adjustment" as const,
+      actor: { type: "studio" as const, id: studioOwnerId },
+      reason: reason.trim(),
+    };
     if (amount > 0) {
-      await creditTrackingService.addCredits(id, studioOwnerId, amount, 365, null, null);
+      await creditTrackingService.addCredits(id, studioOwnerId, amount, 365, null, null, ledger);
     } else {
-      await creditTrackingService.removeCredits(id, studioOwnerId, Math.abs(amount));
+      await creditTrackingService.removeCredits(id, studioOwnerId, Math.abs(amount), ledger);
     }
 
     const newBalance = await creditTrackingService.getAvailableCredits(id, studioOwnerId);
@@ -330,6 +335,33 @@ app.post("/:id/adjust-credits", async (req, res) => {
   }
 });
 
+// GET /:id/credit-history — ledger replayed into a running balance, reconciled against live credit docs
+app.get("/:id/credit-history", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await studentsService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const id = req.params["id"] as string;
+    const studentData = await studentsService.getStudentById(id, studioOwnerId);
+    if (!studentData) {
+      return sendErrorResponse(req, res, 404, "Not Found", "Student not found");
+    }
+
+    const history = await creditTrackingService.getCreditHistory(id, studioOwnerId);
+    sendJsonResponse(req, res, 200, history);
+  } catch (error) {
+    console.error("Error getting credit history:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    handleError(req, res, error);
+  }
+});
+
 app.use((err: unknown, _req: Request, res: Response, _next: NextFunction) => handleError(_req, res, err));
 
 export const students = functions.https.onRequest(app);
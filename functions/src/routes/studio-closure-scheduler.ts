@@ -0,0 +1,17 @@
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import studioClosuresService from "../services/studio-closures.service";
+
+// New closures cancel every class they cover and may extend every credit entry
+// at the studio; that fan-out runs here rather than in the request creating them.
+export const applyStudioClosures = onSchedule(
+  { schedule: "*/5 * * * *", timeZone: "UTC", memory: "256MiB" },
+  async (_event) => {
+    try {
+      const applied = await studioClosuresService.applyPending();
+      console.log(`[Closure] Applied ${applied} pending closure(s)`);
+    } catch (error) {
+      console.error("[Closure] Error applying closures:", error);
+      throw error;
+    }
+  },
+);
@@ -0,0 +1,187 @@
+import * as functions from "firebase-functions";
+import express, { Request, Response, NextFunction } from "express";
+import cors from "cors";
+import classesService from "../services/classes.service";
+import studioClosuresService from "../services/studio-closures.service";
+import { logAuditEvent } from "../services/audit.service";
+import { verifyToken } from "../utils/auth";
+import {
+  sendJsonResponse,
+  sendErrorResponse,
+  handleError,
+  corsOptions,
+  isAllowedOrigin,
+  applySecurityMiddleware,
+} from "../utils/http";
+
+const app = express();
+
+app.options("*", (req, res) => {
+  const origin = req.headers.origin;
+  if (origin && isAllowedOrigin(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS, PATCH");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With, Accept, Origin");
+  res.setHeader("Access-Control-Max-Age", "86400");
+  return res.status(204).send();
+});
+
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  if (origin && isAllowedOrigin(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+  }
+  res.setHeader("Access-Control-Expose-Headers", "Content-Type, Authorization");
+  next();
+});
+
+app.use(cors(corsOptions));
+app.use(express.json());
+applySecurityMiddleware(app);
+app.use(express.urlencoded({ extended: true }));
+
+function isRangeError(msg: string | undefined): boolean {
+  return !!msg && (msg.includes("YYYY-MM-DD") || msg.includes("must not be before") || msg.includes("cannot exceed"));
+}
+
+app.get("/", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const closures = await studioClosuresService.listClosures(studioOwnerId);
+    sendJsonResponse(req, res, 200, closures);
+  } catch (error) {
+    console.error("Error getting studio closures:", error);
+    handleError(req, res, error);
+  }
+});
+
+app.get("/preview", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const startDate = req.query["startDate"];
+    const endDate = req.query["endDate"];
+    if (typeof startDate !== "string" || typeof endDate !== "string") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "startDate and endDate are required (YYYY-MM-DD)");
+    }
+
+    const preview = await studioClosuresService.previewClosure(studioOwnerId, startDate, endDate);
+    sendJsonResponse(req, res, 200, preview);
+  } catch (error) {
+    console.error("Error previewing studio closure:", error);
+    const msg = (error as Error).message;
+    if (isRangeError(msg)) return sendErrorResponse(req, res, 400, "Validation Error", msg);
+    handleError(req, res, error);
+  }
+});
+
+app.post("/", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const { startDate, endDate, reason, extendCredits } = req.body as Record<string, unknown>;
+    if (typeof startDate !== "string" || typeof endDate !== "string") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "startDate and endDate are required (YYYY-MM-DD)");
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== "string") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "reason must be a string");
+    }
+    if (extendCredits !== undefined && typeof extendCredits !== "boolean") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "extendCredits must be a boolean");
+    }
+
+    const closure = await studioClosuresService.createClosure(studioOwnerId, {
+      startDate,
+      endDate,
+      reason: typeof reason === "string" && reason.trim() ? reason.trim() : null,
+      extendCredits: extendCredits === true,
+    }, user.uid);
+
+    logAuditEvent(user.uid, studioOwnerId, "studio_closure_created", "studioClosure", closure.id, {
+      startDate,
+      endDate,
+      extendCredits: closure.extendCredits,
+    });
+    // Classes are cancelled (and credits extended) in the background; `status` turns "applied" once done.
+    sendJsonResponse(req, res, 202, closure);
+  } catch (error) {
+    console.error("Error creating studio closure:", error);
+    const msg = (error as Error).message;
+    if (isRangeError(msg)) return sendErrorResponse(req, res, 400, "Validation Error", msg);
+    if (msg?.includes("overlaps")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+    handleError(req, res, error);
+  }
+});
+
+app.post("/:id/extend-credits", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const closureId = req.params["id"] as string;
+    const closure = await studioClosuresService.requestCreditExtension(closureId, studioOwnerId, user.uid);
+    logAuditEvent(user.uid, studioOwnerId, "studio_closure_credits_extended", "studioClosure", closureId);
+    sendJsonResponse(req, res, 202, closure);
+  } catch (error) {
+    console.error("Error extending credits for studio closure:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    handleError(req, res, error);
+  }
+});
+
+app.delete("/:id", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const studioOwnerId = await classesService.getStudioOwnerId(user.uid);
+    if (!studioOwnerId) {
+      return sendErrorResponse(req, res, 403, "Access Denied", "Studio owner not found or insufficient permissions");
+    }
+
+    const closureId = req.params["id"] as string;
+    const result = await studioClosuresService.deleteClosure(closureId, studioOwnerId);
+    logAuditEvent(user.uid, studioOwnerId, "studio_closure_deleted", "studioClosure", closureId, result);
+    sendJsonResponse(req, res, 200, { message: "Closure deleted successfully", ...result });
+  } catch (error) {
+    console.error("Error deleting studio closure:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    if (msg?.includes("still being applied")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+    handleError(req, res, error);
+  }
+});
+
+app.use((err: unknown, _req: Request, res: Response, _next: NextFunction) => handleError(_req, res, err));
+
+export const studioClosures = functions.https.onRequest(app);
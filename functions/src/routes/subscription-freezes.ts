@@ -0,0 +1,17 @@
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import subscriptionFreezesService from "../services/subscription-freezes.service";
+
+// Freezes are stored as calendar days; this starts the ones due today (pausing
+// billing) and closes out the ones that have ended.
+export const processSubscriptionFreezes = onSchedule(
+  { schedule: "15 * * * *", timeZone: "UTC", memory: "256MiB" },
+  async (_event) => {
+    try {
+      const { started, ended } = await subscriptionFreezesService.processDueFreezes();
+      console.log(`[Freeze] Started ${started}, ended ${ended} freeze(s)`);
+    } catch (error) {
+      console.error("[Freeze] Error processing freezes:", error);
+      throw error;
+    }
+  },
+);
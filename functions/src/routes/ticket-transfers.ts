@@ -0,0 +1,17 @@
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import ticketTransfersService from "../services/ticket-transfers.service";
+
+// Resale offers are time-boxed; each lapsed one passes to the next dancer on the
+// waitlist. Transfers and listings still open when their event starts are closed.
+export const expireTicketTransfers = onSchedule(
+  { schedule: "*/5 * * * *", timeZone: "UTC", memory: "256MiB" },
+  async (_event) => {
+    try {
+      const closed = await ticketTransfersService.expireStale();
+      console.log(`[TicketTransfers] Closed ${closed} lapsed offer(s) and transfer(s)`);
+    } catch (error) {
+      console.error("[TicketTransfers] Error expiring transfers:", error);
+      throw error;
+    }
+  },
+);
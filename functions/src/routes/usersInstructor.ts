@@ -6,8 +6,13 @@ import instructorLinkingService from "../services/instructor-linking.service";
 import studentsService from "../services/students.service";
 import classesService from "../services/classes.service";
 import bookingsService from "../services/bookings.service";
+import instructorPayoutsService from "../services/instructor-payouts.service";
+import instructorTimeOffService from "../services/instructor-time-off.service";
+import substituteRequestsService from "../services/substitute-requests.service";
+import calendarFeedsService, { CalendarFeedOwner, describeFeed } from "../services/calendar-feeds.service";
 import { verifyToken } from "../utils/auth";
 import { getFirestore } from "../utils/firestore";
+import { validateTimeOffRequestPayload } from "../utils/validation";
 import {
   sendJsonResponse,
   sendErrorResponse,
@@ -15,6 +20,7 @@ import {
   corsOptions,
   isAllowedOrigin,
   applySecurityMiddleware,
+  getFunctionBaseUrl,
 } from "../utils/http";
 
 if (!admin.apps.length) {
@@ -29,7 +35,7 @@ app.use((req: Request, res: Response, next: NextFunction) => {
     res.setHeader("Access-Control-Allow-Origin", origin);
     res.setHeader("Access-Control-Allow-Credentials", "true");
   }
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With");
   res.setHeader("Access-Control-Expose-Headers", "Content-Type, Authorization");
   res.setHeader("Access-Control-Max-Age", "3600");
@@ -165,6 +171,279 @@ app.get("/privates", async (req, res) => {
   }
 });
 
+/** Error mapping shared by the booking actions below. */
+function sendBookingActionError(req: Request, res: Response, error: unknown): void {
+  const msg = (error as Error).message;
+  if (msg === "Booking not found") return sendErrorResponse(req, res, 404, "Not Found", msg);
+  if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+  if (
+    msg?.includes("already") || msg?.includes("Cannot") || msg?.includes("Only pending") || msg?.includes("no-show")
+  ) {
+    return sendErrorResponse(req, res, 400, "Bad Request", msg);
+  }
+  handleError(req, res, error);
+}
+
+/** PATCH /privates/:bookingId/accept?studioOwnerId= — accept a pending request; an optional `message` replaces the default note to the student. */
+app.patch("/privates/:bookingId/accept", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const rawMessage = (req.body as Record<string, unknown> | undefined)?.["message"];
+    const message = typeof rawMessage === "string" ? rawMessage.trim().slice(0, 500) || undefined : undefined;
+    const booking = await bookingsService.confirmBooking(req.params["bookingId"] as string, { instructorId: link.instructorId });
+    await bookingsService.notifyBookingConfirmed(booking, message);
+    sendJsonResponse(req, res, 200, booking);
+  } catch (error) {
+    console.error("Error accepting booking as instructor:", error);
+    sendBookingActionError(req, res, error);
+  }
+});
+
+/** PATCH /privates/:bookingId/decline?studioOwnerId= — turn down a pending request; the student is refunded in full. */
+app.patch("/privates/:bookingId/decline", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const rawReason = (req.body as Record<string, unknown> | undefined)?.["reason"];
+    const reason = typeof rawReason === "string" ? rawReason.trim().slice(0, 500) || null : null;
+    const outcome = await bookingsService.declineBooking(req.params["bookingId"] as string, link.instructorId, reason);
+    sendJsonResponse(req, res, 200, outcome);
+  } catch (error) {
+    console.error("Error declining booking as instructor:", error);
+    sendBookingActionError(req, res, error);
+  }
+});
+
+/** PATCH /privates/:bookingId/no-show?studioOwnerId= — the student missed the lesson; the studio's no-show fee applies. */
+app.patch("/privates/:bookingId/no-show", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const outcome = await bookingsService.markNoShowAsInstructor(req.params["bookingId"] as string, link.instructorId);
+    sendJsonResponse(req, res, 200, outcome);
+  } catch (error) {
+    console.error("Error marking no-show as instructor:", error);
+    sendBookingActionError(req, res, error);
+  }
+});
+
+/** PUT /privates/:bookingId/notes?studioOwnerId= — lesson notes and homework, visible to the student on their booking. */
+app.put("/privates/:bookingId/notes", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const { notes, homework } = (req.body ?? {}) as Record<string, unknown>;
+    for (const [field, value] of [["notes", notes], ["homework", homework]] as const) {
+      if (value !== undefined && value !== null && (typeof value !== "string" || value.length > 5000)) {
+        return sendErrorResponse(req, res, 400, "Validation Error", `${field} must be a string of at most 5000 characters`);
+      }
+    }
+    const booking = await bookingsService.setLessonNotes(req.params["bookingId"] as string, link.instructorId, {
+      notes: typeof notes === "string" ? notes.trim() || null : null,
+      homework: typeof homework === "string" ? homework.trim() || null : null,
+    });
+    sendJsonResponse(req, res, 200, booking);
+  } catch (error) {
+    console.error("Error saving lesson notes:", error);
+    sendBookingActionError(req, res, error);
+  }
+});
+
+/** POST /stripe/connect?studioOwnerId= — onboarding link for the instructor's own Stripe account, which receives private lesson payout splits. */
+app.post("/stripe/connect", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const db = getFirestore();
+    const instructorDoc = await db.collection("instructors").doc(link.instructorId).get();
+    const email = instructorDoc.exists ? (instructorDoc.data() as Record<string, unknown>)["email"] as string | undefined : undefined;
+    if (!email) return sendErrorResponse(req, res, 400, "Validation Error", "Your instructor profile has no email address");
+
+    const origin = (req.headers.origin as string | undefined) || process.env["FRONTEND_URL"] || "https://users.danceup.com";
+    const result = await instructorPayoutsService.createOnboardingLink(link.instructorId, email, origin);
+    sendJsonResponse(req, res, 200, { accountLinkUrl: result.url, accountId: result.accountId });
+  } catch (error) {
+    console.error("Error creating instructor Stripe onboarding link:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** GET /stripe/status?studioOwnerId= — refreshes and returns whether the instructor's Stripe account can receive payouts. */
+app.get("/stripe/status", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    sendJsonResponse(req, res, 200, await instructorPayoutsService.refreshAccountStatus(link.instructorId));
+  } catch (error) {
+    console.error("Error getting instructor Stripe status:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** GET /payouts?studioOwnerId=&startDate=&endDate= — statement of private lesson payout splits sent to this instructor. */
+app.get("/payouts", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const { startDate, endDate } = req.query as { startDate?: string; endDate?: string };
+    if (!startDate || !endDate) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "startDate and endDate query parameters are required");
+    }
+    sendJsonResponse(req, res, 200, await instructorPayoutsService.getStatement(link.instructorId, startDate, endDate));
+  } catch (error) {
+    console.error("Error getting instructor payout statement:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("YYYY-MM-DD") || msg?.includes("endDate") || msg?.includes("Date range")) {
+      return sendErrorResponse(req, res, 400, "Validation Error", msg);
+    }
+    handleError(req, res, error);
+  }
+});
+
+/**
+ * POST /time-off?studioOwnerId= — ask for dated time off ({ startDate, endDate, startTime?, endTime?, reason? }).
+ * The response lists classes that would need a substitute and privates already booked in the range.
+ */
+app.post("/time-off", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const body = (req.body ?? {}) as Record<string, unknown>;
+    const validation = validateTimeOffRequestPayload(body);
+    if (!validation.valid) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "Invalid time-off request", {
+        errors: (validation as { valid: false; errors: unknown[] }).errors,
+      });
+    }
+    const result = await instructorTimeOffService.requestTimeOff(link.instructorId, link.studioOwnerId, {
+      startDate: body["startDate"] as string,
+      endDate: body["endDate"] as string,
+      startTime: (body["startTime"] as string | null | undefined) ?? null,
+      endTime: (body["endTime"] as string | null | undefined) ?? null,
+      reason: (body["reason"] as string | null | undefined) ?? null,
+    });
+    sendJsonResponse(req, res, 201, result);
+  } catch (error) {
+    console.error("Error requesting time off:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** GET /time-off?studioOwnerId= — this instructor's time-off requests, newest first. */
+app.get("/time-off", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    sendJsonResponse(req, res, 200, await instructorTimeOffService.listForInstructor(link.instructorId));
+  } catch (error) {
+    console.error("Error listing time off:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** PATCH /time-off/:requestId/cancel?studioOwnerId= — withdraw a pending request, or an approved one that hasn't started. */
+app.patch("/time-off/:requestId/cancel", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const request = await instructorTimeOffService.cancel(req.params["requestId"] as string, link.instructorId);
+    sendJsonResponse(req, res, 200, request);
+  } catch (error) {
+    console.error("Error withdrawing time off:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** GET /substitutes?studioOwnerId= — classes this instructor has been asked to cover, and the ones they've taken. */
+app.get("/substitutes", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    sendJsonResponse(req, res, 200, await substituteRequestsService.listForInstructor(link.instructorId, link.studioOwnerId));
+  } catch (error) {
+    console.error("Error listing substitute requests:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** POST /substitutes/:requestId/accept?studioOwnerId= — cover the class; the first instructor to accept gets it. */
+app.post("/substitutes/:requestId/accept", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const request = await substituteRequestsService.accept(req.params["requestId"] as string, link.instructorId, link.uid);
+    sendJsonResponse(req, res, 200, request);
+  } catch (error) {
+    console.error("Error accepting substitute request:", error);
+    const msg = (error as Error).message;
+    if (msg?.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg?.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    if (msg?.includes("already accepted") || msg?.includes("no longer") || msg?.includes("cancelled")) {
+      return sendErrorResponse(req, res, 409, "Conflict", msg);
+    }
+    handleError(req, res, error);
+  }
+});
+
+function instructorFeedOwner(link: { uid: string; studioOwnerId: string; instructorId: string }): CalendarFeedOwner {
+  return { kind: "instructor", authUid: link.uid, studioOwnerId: link.studioOwnerId, instructorId: link.instructorId };
+}
+
+/** GET /calendar-feed?studioOwnerId= — the iCalendar link for this instructor's teaching schedule at the studio, or null. */
+app.get("/calendar-feed", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const feed = await calendarFeedsService.getFeed(instructorFeedOwner(link));
+    sendJsonResponse(req, res, 200, { feed: feed ? describeFeed(feed, getFunctionBaseUrl("calendarFeeds", req)) : null });
+  } catch (error) {
+    console.error("Error getting instructor calendar feed:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** POST /calendar-feed?studioOwnerId= — issue a new link; the previous one stops working. */
+app.post("/calendar-feed", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const feed = await calendarFeedsService.issueFeed(instructorFeedOwner(link));
+    sendJsonResponse(req, res, 201, { feed: describeFeed(feed, getFunctionBaseUrl("calendarFeeds", req)) });
+  } catch (error) {
+    console.error("Error issuing instructor calendar feed:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** DELETE /calendar-feed?studioOwnerId= — turn the link off. */
+app.delete("/calendar-feed", async (req, res) => {
+  try {
+    const link = await requireInstructorLink(req, res);
+    if (!link) return;
+
+    const revoked = await calendarFeedsService.revokeFeed(instructorFeedOwner(link));
+    sendJsonResponse(req, res, 200, { revoked });
+  } catch (error) {
+    console.error("Error revoking instructor calendar feed:", error);
+    handleError(req, res, error);
+  }
+});
+
 /** GET /students?studioOwnerId= — read-only, the full studio roster (not filtered to this instructor's own students). */
 app.get("/students", async (req, res) => {
   try {
@@ -9,12 +9,18 @@ import storageService from "../services/storage.service";
 import studioEnrollmentService from "../services/studio-enrollment.service";
 import instructorLinkingService from "../services/instructor-linking.service";
 import creditTrackingService from "../services/credit-tracking.service";
+import membershipsService from "../services/memberships.service";
 import studentsService from "../services/students.service";
 import classesService from "../services/classes.service";
 import attendanceService from "../services/attendance.service";
+import waitlistPromotionService from "../services/waitlist-promotion.service";
+import classExceptionsService, { addDays, toInstanceDay } from "../services/class-exceptions.service";
 import studiosService from "../services/studios.service";
 import workshopsService from "../services/workshops.service";
 import eventsService from "../services/events.service";
+import calendarFeedsService, { CalendarFeedOwner, describeFeed } from "../services/calendar-feeds.service";
+import eventTicketsService, { EventTicket } from "../services/event-tickets.service";
+import ticketTransfersService from "../services/ticket-transfers.service";
 import {
   createCustomer,
   createSetupIntent,
@@ -45,6 +51,7 @@ import {
   corsOptions,
   isAllowedOrigin,
   applySecurityMiddleware,
+  getFunctionBaseUrl,
 } from "../utils/http";
 
 if (!admin.apps.length) {
@@ -925,6 +932,54 @@ app.patch("/me/fcm-token", async (req, res) => {
   }
 });
 
+/**
+ * Calendar feed — an iCalendar URL of the student's booked and auto-check-in
+ * classes, workshops, events and private lessons. GET shows the current link
+ * (or null), POST issues a new one and revokes the old, DELETE turns it off.
+ */
+function studentFeedOwner(authUid: string): CalendarFeedOwner {
+  return { kind: "student", authUid, studioOwnerId: null, instructorId: null };
+}
+
+app.get("/calendar-feed", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const feed = await calendarFeedsService.getFeed(studentFeedOwner(user.uid));
+    sendJsonResponse(req, res, 200, { feed: feed ? describeFeed(feed, getFunctionBaseUrl("calendarFeeds", req)) : null });
+  } catch (error) {
+    console.error("Error getting calendar feed:", error);
+    handleError(req, res, error);
+  }
+});
+
+app.post("/calendar-feed", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const feed = await calendarFeedsService.issueFeed(studentFeedOwner(user.uid));
+    sendJsonResponse(req, res, 201, { feed: describeFeed(feed, getFunctionBaseUrl("calendarFeeds", req)) });
+  } catch (error) {
+    console.error("Error issuing calendar feed:", error);
+    handleError(req, res, error);
+  }
+});
+
+app.delete("/calendar-feed", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const revoked = await calendarFeedsService.revokeFeed(studentFeedOwner(user.uid));
+    sendJsonResponse(req, res, 200, { revoked });
+  } catch (error) {
+    console.error("Error revoking calendar feed:", error);
+    handleError(req, res, error);
+  }
+});
+
 app.get("/my-classes", async (req, res) => {
   try {
     let user;
@@ -932,9 +987,11 @@ app.get("/my-classes", async (req, res) => {
 
     const studioIds = await studentsService.getEnrolledStudios(user.uid) as string[];
     if (studioIds.length === 0) {
-      return sendJsonResponse(req, res, 200, { upcoming: [], past: [] });
+      return sendJsonResponse(req, res, 200, { upcoming: [], past: [], waitlists: [] });
     }
 
+    const waitlists = await waitlistPromotionService.getStudentEntries(user.uid);
+
     const allClasses: Array<Record<string, unknown>> = [];
     for (const studioId of studioIds) {
       try {
@@ -950,6 +1007,31 @@ app.get("/my-classes", async (req, res) => {
     const upcoming: Array<Record<string, unknown>> = [];
     const past: Array<Record<string, unknown>> = [];
 
+    const today = toInstanceDay(now) as string;
+    const exceptionsByClass = await classExceptionsService.getExceptionsInRange(
+      allClasses.map((cls) => cls["id"] as string), addDays(today, -31), addDays(today, 8),
+    );
+    // Cancellations, reschedules, substitutes and room changes overlay the weekly slot.
+    const effectiveFields = (classData: Record<string, unknown>, instanceDate: Date): Record<string, unknown> => {
+      const day = toInstanceDay(instanceDate) as string;
+      const exception = exceptionsByClass.get(classData["id"] as string)?.get(day) ?? null;
+      if (!exception) return { instanceDate: instanceDate.toISOString(), instanceStatus: "scheduled" };
+      const instance = classExceptionsService.resolveInstance(
+        classData as Record<string, unknown> & { id: string }, day, exception,
+      );
+      return {
+        startTime: instance.startTime,
+        endTime: instance.endTime,
+        room: instance.room,
+        instructorIds: instance.instructorIds,
+        substitute: instance.substitute,
+        instanceDate: instance.startsAt.toISOString(),
+        originalInstanceDate: instanceDate.toISOString(),
+        instanceStatus: instance.status,
+        instanceNote: instance.reason,
+      };
+    };
+
     for (const classData of allClasses) {
       try {
         const studio = await studiosService.getPublicStudioById(classData["studioOwnerId"] as string) as Record<string, unknown> | null;
@@ -962,6 +1044,8 @@ app.get("/my-classes", async (req, res) => {
         ) as Date;
 
         if (nextInstance > now) {
+          const waitlistEntry = waitlists.find((entry) => entry["classId"] === classData["id"] &&
+            new Date(entry["classInstanceDate"] as string).toDateString() === nextInstance.toDateString());
           upcoming.push({
             id: classData["id"],
             name: classData["name"],
@@ -974,7 +1058,14 @@ app.get("/my-classes", async (req, res) => {
             room: classData["room"],
             danceGenre: classData["danceGenre"],
             instanceDate: nextInstance.toISOString(),
+            ...effectiveFields(classData, nextInstance),
             studio: { id: studio["id"], name: studio["studioName"], city: studio["city"], state: studio["state"], lat: studio["studioLat"] ?? null, lng: studio["studioLng"] ?? null },
+            waitlist: waitlistEntry ? {
+              id: waitlistEntry["id"],
+              status: waitlistEntry["status"],
+              position: waitlistEntry["position"],
+              offerExpiresAt: waitlistEntry["offerExpiresAt"],
+            } : null,
           });
         }
 
@@ -998,6 +1089,7 @@ app.get("/my-classes", async (req, res) => {
             room: classData["room"],
             danceGenre: classData["danceGenre"],
             instanceDate: instanceDate.toISOString(),
+            ...effectiveFields(classData, instanceDate),
             studio: { id: studio["id"], name: studio["studioName"], city: studio["city"], state: studio["state"], lat: studio["studioLat"] ?? null, lng: studio["studioLng"] ?? null },
           });
         }
@@ -1009,7 +1101,7 @@ app.get("/my-classes", async (req, res) => {
     upcoming.sort((a, b) => new Date(a["instanceDate"] as string).getTime() - new Date(b["instanceDate"] as string).getTime());
     past.sort((a, b) => new Date(b["instanceDate"] as string).getTime() - new Date(a["instanceDate"] as string).getTime());
 
-    sendJsonResponse(req, res, 200, { upcoming, past });
+    sendJsonResponse(req, res, 200, { upcoming, past, waitlists });
   } catch (error) {
     console.error("Error getting my classes:", error);
     handleError(req, res, error);
@@ -1219,6 +1311,13 @@ app.get("/event-passes", async (req, res) => {
         }
       } catch (_) { /* item may have been deleted */ }
 
+      let tickets: EventTicket[] = [];
+      try {
+        tickets = await eventTicketsService.listForPurchase(doc.id);
+      } catch (ticketErr) {
+        console.error(`Error loading tickets for purchase ${doc.id}:`, ticketErr);
+      }
+
       return {
         name: (data["itemName"] as string) || "",
         studioName: (data["studioName"] as string) || "",
@@ -1227,6 +1326,9 @@ app.get("/event-passes", async (req, res) => {
         eventCode: doc.id,
         eventId: purchaseType === "event" ? itemId : undefined,
         workshopId: purchaseType === "workshop" ? itemId : undefined,
+        tickets,
+        pendingTransferId: (data["pendingTransferId"] as string | null) ?? null,
+        ownershipHistory: (data["ownershipHistory"] as unknown[] | undefined) ?? [],
       };
     });
 
@@ -1238,6 +1340,198 @@ app.get("/event-passes", async (req, res) => {
   }
 });
 
+// PATCH /event-passes/tickets/:ticketId/attendee — name who a ticket is for, or reassign it, before the event.
+// Body: { name, email? }, or { attendee: null } to give the ticket back to the buyer.
+app.patch("/event-passes/tickets/:ticketId/attendee", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const body = (req.body ?? {}) as Record<string, unknown>;
+    const attendee = "attendee" in body && body["attendee"] === null ? null : body;
+    const ticket = await eventTicketsService.updateAttendee(req.params["ticketId"] as string, user.uid, attendee);
+    sendJsonResponse(req, res, 200, ticket);
+  } catch (error) {
+    const msg = (error as Error).message ?? "";
+    if (msg.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", "This ticket is not yours");
+    if (msg.includes("already been checked in") || msg.includes("no longer valid") || msg.includes("has started")) {
+      return sendErrorResponse(req, res, 409, "Conflict", msg);
+    }
+    if (msg.toLowerCase().includes("attendee")) return sendErrorResponse(req, res, 400, "Validation Error", msg);
+    console.error("Error updating ticket attendee:", error);
+    handleError(req, res, error);
+  }
+});
+
+/** Maps pass transfer, resale and waitlist errors onto HTTP statuses. */
+function sendTransferError(req: Request, res: Response, error: unknown, context: string): void {
+  const msg = (error as Error).message ?? "";
+  if (msg.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+  if (msg.includes("Access denied") || msg.includes("does not belong")) {
+    return sendErrorResponse(req, res, 403, "Access Denied", msg.includes("Access denied") ? "This is not yours" : msg);
+  }
+  if (msg.includes("no longer") || msg.includes("already") || msg.includes("cannot change hands") ||
+    msg.includes("has started") || msg.includes("expired") || msg.includes("does not allow resale") ||
+    msg.includes("partly refunded") || msg.includes("as a gift")) {
+    return sendErrorResponse(req, res, 409, "Conflict", msg);
+  }
+  if (msg.includes("required") || msg.includes("yourself") || msg.includes("your own") ||
+    msg.includes("No Stripe customer") || msg.includes("Stripe Connect setup")) {
+    return sendErrorResponse(req, res, 400, "Validation Error", msg);
+  }
+  console.error(`Error ${context}:`, error);
+  handleError(req, res, error);
+}
+
+// POST /event-passes/:purchaseId/transfer — send a pass to another dancer by email; they accept it to take it over.
+app.post("/event-passes/:purchaseId/transfer", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const email = (req.body as Record<string, unknown> | undefined)?.["email"];
+    const transfer = await ticketTransfersService.startTransfer(req.params["purchaseId"] as string, user, email);
+    sendJsonResponse(req, res, 201, transfer);
+  } catch (error) {
+    sendTransferError(req, res, error, "starting pass transfer");
+  }
+});
+
+// POST /event-passes/:purchaseId/resale — offer a pass back to the studio's waitlist at the price paid.
+app.post("/event-passes/:purchaseId/resale", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const transfer = await ticketTransfersService.listForResale(req.params["purchaseId"] as string, user.uid);
+    sendJsonResponse(req, res, 201, transfer);
+  } catch (error) {
+    sendTransferError(req, res, error, "listing pass for resale");
+  }
+});
+
+// GET /ticket-transfers — passes the caller has sent or listed, and ones sent or offered to them.
+app.get("/ticket-transfers", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const transfers = await ticketTransfersService.listForAccount(user.uid, user.email);
+    sendJsonResponse(req, res, 200, transfers);
+  } catch (error) {
+    sendTransferError(req, res, error, "listing pass transfers");
+  }
+});
+
+// POST /ticket-transfers/:transferId/accept — take a pass sent to you, or buy one offered from the waitlist.
+// Body for resale offers: { paymentMethodId } — omit it when finishing a payment that needed 3-D Secure.
+app.post("/ticket-transfers/:transferId/accept", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const transferId = req.params["transferId"] as string;
+    const paymentMethodId = (req.body as Record<string, unknown> | undefined)?.["paymentMethodId"];
+    const kind = (await getFirestore().collection("ticketTransfers").doc(transferId).get()).data()?.["kind"];
+    if (kind === "resale") {
+      const result = await ticketTransfersService.acceptResale(
+        transferId, user, typeof paymentMethodId === "string" ? paymentMethodId : undefined,
+      );
+      return sendJsonResponse(req, res, result.requiresAction ? 202 : 200, result);
+    }
+    const transfer = await ticketTransfersService.acceptTransfer(transferId, user);
+    sendJsonResponse(req, res, 200, { transfer, requiresAction: false, clientSecret: null });
+  } catch (error) {
+    sendTransferError(req, res, error, "accepting pass transfer");
+  }
+});
+
+// POST /ticket-transfers/:transferId/decline — turn down a pass sent or offered to you.
+app.post("/ticket-transfers/:transferId/decline", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const transfer = await ticketTransfersService.decline(req.params["transferId"] as string, user);
+    sendJsonResponse(req, res, 200, transfer);
+  } catch (error) {
+    sendTransferError(req, res, error, "declining pass transfer");
+  }
+});
+
+// POST /ticket-transfers/:transferId/cancel — withdraw your own transfer or resale listing.
+app.post("/ticket-transfers/:transferId/cancel", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const transfer = await ticketTransfersService.cancel(req.params["transferId"] as string, user.uid);
+    sendJsonResponse(req, res, 200, transfer);
+  } catch (error) {
+    sendTransferError(req, res, error, "cancelling pass transfer");
+  }
+});
+
+// POST /event-waitlist — join the resale waitlist for an event or workshop. Body: { itemType, itemId }
+app.post("/event-waitlist", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const { itemType, itemId } = (req.body ?? {}) as { itemType?: unknown; itemId?: unknown };
+    if (itemType !== "event" && itemType !== "workshop") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "itemType must be 'event' or 'workshop'");
+    }
+    if (typeof itemId !== "string" || !itemId.trim()) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "itemId is required");
+    }
+    const entry = await ticketTransfersService.joinWaitlist(user.uid, itemType, itemId.trim());
+    sendJsonResponse(req, res, 201, entry);
+  } catch (error) {
+    sendTransferError(req, res, error, "joining event waitlist");
+  }
+});
+
+// GET /event-waitlist — the caller's active resale waitlist entries
+app.get("/event-waitlist", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    sendJsonResponse(req, res, 200, await ticketTransfersService.listWaitlist(user.uid));
+  } catch (error) {
+    sendTransferError(req, res, error, "listing event waitlist");
+  }
+});
+
+// DELETE /event-waitlist/:entryId — leave a resale waitlist
+app.delete("/event-waitlist/:entryId", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    await ticketTransfersService.leaveWaitlist(req.params["entryId"] as string, user.uid);
+    sendJsonResponse(req, res, 200, { message: "Left the waitlist" });
+  } catch (error) {
+    sendTransferError(req, res, error, "leaving event waitlist");
+  }
+});
+
+// GET /memberships — the caller's recurring memberships with this cycle's remaining allowance
+app.get("/memberships", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const memberships = await membershipsService.listForAuthUser(user.uid);
+    sendJsonResponse(req, res, 200, memberships);
+  } catch (error) {
+    console.error("Memberships list error:", error);
+    handleError(req, res, error);
+  }
+});
+
 app.post("/forgot-password", async (req, res) => {
   try {
     const validation = validateForgotPasswordPayload(req.body);
@@ -1734,7 +2028,9 @@ app.post("/checkin", async (req, res) => {
     let user;
     try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
 
-    const { classId, classInstanceDate, dependentId } = req.body as { classId?: string; classInstanceDate?: string; dependentId?: string };
+    const { classId, classInstanceDate, dependentId, idempotencyKey } = req.body as {
+      classId?: string; classInstanceDate?: string; dependentId?: string; idempotencyKey?: string;
+    };
     if (!classId) return sendErrorResponse(req, res, 400, "Validation Error", "classId is required");
     if (!classInstanceDate) return sendErrorResponse(req, res, 400, "Validation Error", "classInstanceDate is required");
 
@@ -1760,7 +2056,7 @@ app.post("/checkin", async (req, res) => {
     // (Previously loaded via a dynamic require() with a path that doesn't resolve in the
     // compiled output — attendanceService is already imported above; use it directly.)
     await attendanceService.createAttendanceRecord(
-      { studentId, classId, classInstanceDate, checkedInBy: "student" },
+      { studentId, classId, classInstanceDate, checkedInBy: "student", idempotencyKey: idempotencyKey ?? null },
       studioOwnerId,
     );
 
@@ -1770,6 +2066,7 @@ app.post("/checkin", async (req, res) => {
     if (msg.toLowerCase().includes("already checked in") || msg.toLowerCase().includes("already checked")) {
       return sendErrorResponse(req, res, 409, "Conflict", "Already checked in");
     }
+    if (msg.includes("has been cancelled")) return sendErrorResponse(req, res, 409, "Conflict", msg);
     if (msg.toLowerCase().includes("insufficient credits") || msg.toLowerCase().includes("no credits")) {
       return sendErrorResponse(req, res, 402, "Payment Required", "Insufficient credits");
     }
@@ -1778,6 +2075,145 @@ app.post("/checkin", async (req, res) => {
   }
 });
 
+// POST /waitlist — join the waitlist for a full class instance (self or a dependent)
+app.post("/waitlist", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const { classId, classInstanceDate, dependentId, autoClaim } = req.body as {
+      classId?: string; classInstanceDate?: string; dependentId?: string; autoClaim?: unknown;
+    };
+    if (!classId) return sendErrorResponse(req, res, 400, "Validation Error", "classId is required");
+    if (!classInstanceDate) return sendErrorResponse(req, res, 400, "Validation Error", "classInstanceDate is required");
+    if (autoClaim !== undefined && typeof autoClaim !== "boolean") {
+      return sendErrorResponse(req, res, 400, "Validation Error", "autoClaim must be a boolean");
+    }
+    const instanceDate = new Date(classInstanceDate);
+    if (isNaN(instanceDate.getTime())) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "Invalid classInstanceDate format");
+    }
+    if (instanceDate.getTime() < Date.now()) {
+      return sendErrorResponse(req, res, 400, "Validation Error", "Cannot join the waitlist for a class that has already started");
+    }
+
+    const db = getFirestore();
+    const classDoc = await db.collection("classes").doc(classId).get();
+    if (!classDoc.exists) return sendErrorResponse(req, res, 404, "Not Found", "Class not found");
+    const classData = classDoc.data() as Record<string, unknown>;
+    const studioOwnerId = classData["studioOwnerId"] as string | undefined;
+    if (!studioOwnerId) return sendErrorResponse(req, res, 400, "Bad Request", "Class has no studio owner");
+    if (!classData["isActive"]) return sendErrorResponse(req, res, 400, "Bad Request", "Class is not active");
+
+    const studentId = dependentId
+      ? await attendanceService.resolveOrCreateStudentIdForDependent(user.uid, studioOwnerId, dependentId)
+      : await attendanceService.getStudentIdByAuthUidAndStudio(user.uid, studioOwnerId);
+    if (!studentId) {
+      return sendErrorResponse(req, res, 404, "Not Found", "Student enrollment not found for this studio. Please contact your studio.");
+    }
+
+    if (await classExceptionsService.isInstanceCancelled(classId, classInstanceDate)) {
+      return sendErrorResponse(req, res, 409, "Conflict", "This class instance has been cancelled");
+    }
+    if (!await classesService.isClassFull(classId, classInstanceDate, studioOwnerId)) {
+      return sendErrorResponse(req, res, 409, "Conflict", "Class still has open spots — book it directly instead");
+    }
+    const existingCheckIn = await attendanceService.checkDuplicateCheckIn(
+      studentId, classId, null, null, admin.firestore.Timestamp.fromDate(instanceDate),
+    );
+    if (existingCheckIn) return sendErrorResponse(req, res, 409, "Conflict", "Already booked into this class");
+
+    const entryId = await classesService.addToWaitlist(classId, studentId, classInstanceDate, studioOwnerId, autoClaim === true);
+    const entries = await waitlistPromotionService.getStudentEntries(user.uid);
+    const entry = entries.find((e) => e["id"] === entryId);
+
+    sendJsonResponse(req, res, 201, {
+      id: entryId,
+      position: entry?.["position"] ?? null,
+      message: "Added to waitlist successfully",
+    });
+  } catch (error) {
+    const msg = (error as Error).message ?? "";
+    if (msg.includes("already on the waitlist")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+    if (msg.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    console.error("Waitlist join error:", error);
+    handleError(req, res, error);
+  }
+});
+
+// GET /waitlist — the caller's active waitlist entries with their current position
+app.get("/waitlist", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const entries = await waitlistPromotionService.getStudentEntries(user.uid);
+    sendJsonResponse(req, res, 200, entries);
+  } catch (error) {
+    console.error("Waitlist list error:", error);
+    handleError(req, res, error);
+  }
+});
+
+// DELETE /waitlist/:entryId — leave a waitlist (also releases a pending offer)
+app.delete("/waitlist/:entryId", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    await waitlistPromotionService.leaveWaitlist(req.params["entryId"] as string, user.uid);
+    sendJsonResponse(req, res, 200, { message: "Removed from waitlist successfully" });
+  } catch (error) {
+    const msg = (error as Error).message ?? "";
+    if (msg.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    if (msg.includes("no longer active")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+    console.error("Waitlist leave error:", error);
+    handleError(req, res, error);
+  }
+});
+
+// POST /waitlist-offers/:entryId/claim — books the spot held for the caller by a waitlist offer
+app.post("/waitlist-offers/:entryId/claim", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    const attendanceId = await waitlistPromotionService.claimOffer(req.params["entryId"] as string, user.uid);
+    sendJsonResponse(req, res, 201, { message: "Spot claimed successfully", attendanceId });
+  } catch (error) {
+    const msg = (error as Error).message ?? "";
+    if (msg.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    if (msg.includes("expired") || msg.includes("No open offer")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+    if (msg.toLowerCase().includes("already checked in")) return sendErrorResponse(req, res, 409, "Conflict", "Already checked in");
+    if (msg.includes("has been cancelled")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+    if (msg.toLowerCase().includes("insufficient credits")) {
+      return sendErrorResponse(req, res, 402, "Payment Required", "Insufficient credits");
+    }
+    console.error("Waitlist claim error:", error);
+    handleError(req, res, error);
+  }
+});
+
+// POST /waitlist-offers/:entryId/decline — releases the held spot to the next student in line
+app.post("/waitlist-offers/:entryId/decline", async (req, res) => {
+  try {
+    let user;
+    try { user = await verifyToken(req); } catch (authError) { return handleError(req, res, authError); }
+
+    await waitlistPromotionService.declineOffer(req.params["entryId"] as string, user.uid);
+    sendJsonResponse(req, res, 200, { message: "Waitlist offer declined" });
+  } catch (error) {
+    const msg = (error as Error).message ?? "";
+    if (msg.includes("not found")) return sendErrorResponse(req, res, 404, "Not Found", msg);
+    if (msg.includes("Access denied")) return sendErrorResponse(req, res, 403, "Access Denied", msg);
+    if (msg.includes("No open offer")) return sendErrorResponse(req, res, 409, "Conflict", msg);
+    console.error("Waitlist decline error:", error);
+    handleError(req, res, error);
+  }
+});
+
 app.use((err: unknown, _req: Request, res: Response, _next: NextFunction) => handleError(_req, res, err));
 
 export const usersstudent = functions.https.onRequest(app);
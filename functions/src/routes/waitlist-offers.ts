@@ -0,0 +1,17 @@
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import waitlistPromotionService from "../services/waitlist-promotion.service";
+
+// Offers are time-boxed; each lapsed one is closed and its spot cascades to the
+// next student on that instance's waitlist.
+export const expireWaitlistOffers = onSchedule(
+  { schedule: "*/5 * * * *", timeZone: "UTC", memory: "256MiB" },
+  async (_event) => {
+    try {
+      const expired = await waitlistPromotionService.expireOffers();
+      console.log(`[Waitlist] Expired ${expired} offer(s)`);
+    } catch (error) {
+      console.error("[Waitlist] Error expiring offers:", error);
+      throw error;
+    }
+  },
+);
@@ -2,6 +2,8 @@ import * as functions from "firebase-functions";
 import express, { Request, Response, NextFunction } from "express";
 import cors from "cors";
 import workshopsService from "../services/workshops.service";
+import eventTicketsService from "../services/event-tickets.service";
+import tierInventoryService, { ticketTiersOf } from "../services/tier-inventory.service";
 import storageService from "../services/storage.service";
 import { autoGenerateEventOrWorkshopFlyer } from "../services/auto-flyer.service";
 import { verifyToken } from "../utils/auth";
@@ -69,7 +71,21 @@ app.get("/public/:id", async (req, res) => {
     if (!workshopData) {
       return sendErrorResponse(req, res, 404, "Not Found", "Workshop not found or not available");
     }
-    sendJsonResponse(req, res, 200, workshopData);
+    const availability = await tierInventoryService.getAvailability(
+      "workshop", req.params["id"] as string, ticketTiersOf(workshopData["priceTiers"]),
+    );
+    sendJsonResponse(req, res, 200, {
+      ...workshopData,
+      tierAvailability: availability.map((tier) => ({
+        name: tier.name,
+        remaining: tier.remaining,
+        soldOut: tier.soldOut,
+        onSale: tier.onSale,
+        saleStartsAt: tier.saleStartsAt,
+        saleEndsAt: tier.saleEndsAt,
+        maxPerOrder: tier.maxPerOrder,
+      })),
+    });
   } catch (error) {
     console.error("Error getting public workshop:", error);
     handleError(req, res, error);
@@ -213,6 +229,9 @@ app.get("/:id/attendees", async (req, res) => {
       priceToTierName.set(tier["price"] as number, (tier["name"] as string) || "");
     }
 
+    // One row per purchase, with a line per ticket so the door can see who each seat is for.
+    const ticketsByPurchase = await eventTicketsService.ticketsByPurchase(studioOwnerId, "workshop", id);
+
     const attendees: Record<string, unknown>[] = [];
     for (const doc of purchasesSnapshot.docs) {
       const purchase = doc.data() as Record<string, unknown>;
@@ -274,6 +293,17 @@ app.get("/:id/attendees", async (req, res) => {
         checkedIn: purchase["checkedIn"] || false,
         checkedInAt: purchase["checkedInAt"] || null,
         checkedInBy: purchase["checkedInBy"] || null,
+        tickets: (ticketsByPurchase.get(doc.id) ?? []).map((ticket) => ({
+          ticketId: ticket.id,
+          seq: ticket.seq,
+          tierName: ticket.tierName,
+          attendeeName: ticket.attendeeName ?? ticket.holderName,
+          attendeeEmail: ticket.attendeeEmail,
+          needsAttendeeDetails: ticket.needsAttendeeDetails,
+          status: ticket.status,
+          checkedIn: ticket.status === "used",
+          checkedInAt: ticket.usedAt,
+        })),
         eventCode: null,
         stripePaymentIntentId: purchase["stripePaymentIntentId"] || null,
       });
@@ -359,7 +389,24 @@ app.get("/:id/report", async (req, res) => {
       }
     }
 
-    const ticketSalesByTier = [...tierMap.values()];
+    // Stock comes from the tier inventory, which also counts seats held by checkouts in progress.
+    const stockByTier = new Map(
+      (await tierInventoryService.getAvailability("workshop", id, ticketTiersOf(priceTiers)))
+        .map((tier) => [tier.name.trim().toLowerCase(), tier]),
+    );
+    const ticketSalesByTier: Array<Record<string, unknown>> = [...tierMap.values()].map((entry) => {
+      const stock = stockByTier.get(entry.tierName.trim().toLowerCase());
+      return {
+        ...entry,
+        capacity: stock?.capacity ?? null,
+        held: stock?.held ?? 0,
+        remaining: stock?.remaining ?? null,
+        soldOut: stock?.soldOut ?? false,
+        onSale: stock?.onSale ?? true,
+        saleStartsAt: stock?.saleStartsAt ?? null,
+        saleEndsAt: stock?.saleEndsAt ?? null,
+      };
+    });
     if (fallback.quantity > 0) ticketSalesByTier.push(fallback);
 
     sendJsonResponse(req, res, 200, {
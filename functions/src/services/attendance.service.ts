@@ -1,8 +1,12 @@
 import * as admin from "firebase-admin";
 import authService from "./auth.service";
 import creditTrackingService from "./credit-tracking.service";
+import type { CreditLedgerContext } from "./credit-tracking.service";
+import membershipsService from "./memberships.service";
 import studioEnrollmentService from "./studio-enrollment.service";
 import notificationsService from "./notifications.service";
+import classExceptionsService, { ClassSubstitute, toInstanceDay } from "./class-exceptions.service";
+import { netPurchaseAmount } from "./refund.service";
 import { getFirestore } from "../utils/firestore";
 
 interface AttendanceData {
@@ -14,6 +18,8 @@ interface AttendanceData {
   classId?: string | null;
   workshopId?: string | null;
   eventId?: string | null;
+  /** Client-supplied key; retrying with the same key returns the original record instead of a 409. */
+  idempotencyKey?: string | null;
 }
 
 interface PaginationOptions {
@@ -652,6 +658,21 @@ export class AttendanceService {
       throw new Error("Student does not belong to this studio owner");
     }
 
+    // Cancelled instances can't be booked; a date an instance was rescheduled onto
+    // is recorded against that instance's original day so keys and waitlists line up.
+    let substitute: ClassSubstitute | null = null;
+    if (attendanceData.classId) {
+      const instanceDay = await classExceptionsService.resolveBookableDay(attendanceData.classId, classInstanceTimestamp);
+      if (instanceDay !== toInstanceDay(classInstanceTimestamp)) {
+        classInstanceTimestamp = admin.firestore.Timestamp.fromDate(new Date(`${instanceDay}T12:00:00.000Z`));
+      }
+      substitute = (await classExceptionsService.getException(attendanceData.classId, instanceDay))?.substitute ?? null;
+    }
+
+    const requestKey = attendanceData.idempotencyKey?.trim() || null;
+
+    // Fast path for records written before check-in keys existed; the transaction
+    // below is what actually guarantees a single check-in per instance.
     const existingCheckIn = await this.checkDuplicateCheckIn(
       attendanceData.studentId,
       attendanceData.classId,
@@ -659,60 +680,111 @@ export class AttendanceService {
       attendanceData.eventId,
       classInstanceTimestamp,
     );
-    if (existingCheckIn) throw new Error("Student is already checked in for this class instance");
+    if (existingCheckIn) {
+      if (requestKey && existingCheckIn["idempotencyKey"] === requestKey) return existingCheckIn.id;
+      throw new Error("Student is already checked in for this class instance");
+    }
 
     const classId = attendanceData.classId ?? null;
-    let availableCredits: number;
+    const checkedInById = attendanceData.checkedInById ??
+      (attendanceData.checkedInBy === "studio" ? studioOwnerId : attendanceData.studentId);
+    const checkedInAt = attendanceData.checkedInAt ?? admin.firestore.FieldValue.serverTimestamp();
 
-    if (classId) {
-      availableCredits = await creditTrackingService.getAvailableCredits(attendanceData.studentId, studioOwnerId, classId);
-      if (availableCredits < 1) {
-        availableCredits = await creditTrackingService.getAvailableCredits(attendanceData.studentId, studioOwnerId, null);
-      }
-    } else {
-      availableCredits = await creditTrackingService.getAvailableCredits(attendanceData.studentId, studioOwnerId, null);
-    }
+    const checkInKey = this.buildCheckInKey(attendanceData, classInstanceTimestamp);
+    const checkInKeyRef = db.collection("attendanceCheckInKeys").doc(checkInKey);
 
-    if (availableCredits < 1) throw new Error("Insufficient credits");
+    // Allocate the attendance ID up front so the credit ledger entry can point at it.
+    const attendanceRef = db.collection("attendance").doc();
+    const ledger: CreditLedgerContext = {
+      actor: { type: attendanceData.checkedInBy, id: checkedInById },
+      source: { attendanceId: attendanceRef.id },
+    };
 
-    let creditUsedId: string;
-    try {
-      if (classId) {
-        try {
-          creditUsedId = await creditTrackingService.useCredit(attendanceData.studentId, studioOwnerId, classId);
-        } catch (_classCreditError) {
-          creditUsedId = await creditTrackingService.useCredit(attendanceData.studentId, studioOwnerId, null);
+    // Credit spend, attendance doc and check-in key commit together or not at all:
+    // two devices racing on the same instance both read the key doc, so whichever
+    // commits second is retried by Firestore, sees the key, and stops before spending.
+    return db.runTransaction(async (tx) => {
+      const keyDoc = await tx.get(checkInKeyRef);
+      if (keyDoc.exists) {
+        const keyData = keyDoc.data() as Record<string, unknown>;
+        const existingRef = db.collection("attendance").doc(keyData["attendanceId"] as string);
+        const existingDoc = await tx.get(existingRef);
+        const existingData = existingDoc.data() as Record<string, unknown> | undefined;
+        if (existingDoc.exists && !existingData?.["isRemoved"]) {
+          if (requestKey && keyData["requestKey"] === requestKey) return existingRef.id;
+          throw new Error("Student is already checked in for this class instance");
         }
-      } else {
-        creditUsedId = await creditTrackingService.useCredit(attendanceData.studentId, studioOwnerId, null);
       }
-    } catch (error) {
-      const err = error as Error;
-      throw new Error(`Failed to use credit: ${err.message}`);
-    }
 
-    const checkedInById = attendanceData.checkedInById ??
-      (attendanceData.checkedInBy === "studio" ? studioOwnerId : attendanceData.studentId);
-    const checkedInAt = attendanceData.checkedInAt ?? admin.firestore.FieldValue.serverTimestamp();
+      // An active membership covering the class is used before any credits.
+      const membershipDoc = classId
+        ? await membershipsService.findCoveringMembership(tx, attendanceData.studentId, studioOwnerId, classId)
+        : null;
+
+      let creditEntryDoc: FirebaseFirestore.QueryDocumentSnapshot | null = null;
+      if (!membershipDoc) {
+        creditEntryDoc = classId
+          ? await creditTrackingService.findSpendableCreditEntry(tx, attendanceData.studentId, studioOwnerId, classId)
+          : null;
+        if (!creditEntryDoc) {
+          creditEntryDoc = await creditTrackingService.findSpendableCreditEntry(
+            tx, attendanceData.studentId, studioOwnerId, null,
+          );
+        }
+        if (!creditEntryDoc) throw new Error("Insufficient credits");
+      }
 
-    const attendanceDoc: Record<string, unknown> = {
-      studentId: attendanceData.studentId,
-      classInstanceDate: classInstanceTimestamp,
-      checkedInBy: attendanceData.checkedInBy,
-      checkedInById,
-      checkedInAt,
-      studioOwnerId,
-      creditUsedId,
-      isRemoved: false,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+      const membershipCycle = membershipDoc ? membershipsService.useMembership(tx, membershipDoc) : null;
+      const creditUsedId = creditEntryDoc
+        ? creditTrackingService.spendCreditEntry(tx, creditEntryDoc, attendanceData.studentId, studioOwnerId, ledger)
+        : null;
+
+      const attendanceDoc: Record<string, unknown> = {
+        studentId: attendanceData.studentId,
+        classInstanceDate: classInstanceTimestamp,
+        checkedInBy: attendanceData.checkedInBy,
+        checkedInById,
+        checkedInAt,
+        studioOwnerId,
+        creditUsedId,
+        membershipId: membershipDoc?.id ?? null,
+        membershipCycle,
+        checkInKey,
+        idempotencyKey: requestKey,
+        isRemoved: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
 
-    if (attendanceData.classId) attendanceDoc["classId"] = attendanceData.classId;
-    else if (attendanceData.workshopId) attendanceDoc["workshopId"] = attendanceData.workshopId;
-    else if (attendanceData.eventId) attendanceDoc["eventId"] = attendanceData.eventId;
+      if (attendanceData.classId) attendanceDoc["classId"] = attendanceData.classId;
+      else if (attendanceData.workshopId) attendanceDoc["workshopId"] = attendanceData.workshopId;
+      else if (attendanceData.eventId) attendanceDoc["eventId"] = attendanceData.eventId;
+      if (substitute) attendanceDoc["substitute"] = substitute;
+
+      tx.set(attendanceRef, attendanceDoc);
+      tx.set(checkInKeyRef, {
+        attendanceId: attendanceRef.id,
+        requestKey,
+        studentId: attendanceData.studentId,
+        studioOwnerId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return attendanceRef.id;
+    });
+  }
 
-    const docRef = await db.collection("attendance").add(attendanceDoc);
-    return docRef.id;
+  /** One key per student per class/workshop/event per calendar day — the same granularity checkDuplicateCheckIn uses. */
+  buildCheckInKey(
+    attendanceData: Pick<AttendanceData, "studentId" | "classId" | "workshopId" | "eventId">,
+    classInstanceDate: admin.firestore.Timestamp,
+  ): string {
+    const target = attendanceData.classId
+      ? `class_${attendanceData.classId}`
+      : attendanceData.workshopId
+        ? `workshop_${attendanceData.workshopId}`
+        : `event_${attendanceData.eventId}`;
+    const d = classInstanceDate.toDate();
+    const day = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+    return `${attendanceData.studentId}_${target}_${day}`;
   }
 
   async getAttendanceRecordById(
@@ -822,35 +894,83 @@ export class AttendanceService {
     };
   }
 
-  async removeAttendanceRecord(attendanceId: string, studioOwnerId: string): Promise<void> {
+  /** Active attendance records for one class instance (by calendar day). */
+  async getInstanceAttendance(classId: string, day: string): Promise<Array<Record<string, unknown> & { id: string }>> {
+    const db = getFirestore();
+    const startOfDay = new Date(`${day}T00:00:00`);
+    const endOfDay = new Date(startOfDay);
+    endOfDay.setDate(endOfDay.getDate() + 1);
+    const snapshot = await db.collection("attendance")
+      .where("classId", "==", classId)
+      .where("classInstanceDate", ">=", admin.firestore.Timestamp.fromDate(startOfDay))
+      .where("classInstanceDate", "<", admin.firestore.Timestamp.fromDate(endOfDay))
+      .get();
+    return snapshot.docs
+      .map((doc): Record<string, unknown> & { id: string } => ({ id: doc.id, ...(doc.data() as Record<string, unknown>) }))
+      .filter((record) => !record["isRemoved"]);
+  }
+
+  /** Students with attendance on the class in the `days` days before `day`, removed records included. */
+  async getRecentAttendeeIds(classId: string, day: string, days: number): Promise<string[]> {
+    const db = getFirestore();
+    const endOfRange = new Date(`${day}T00:00:00`);
+    const startOfRange = new Date(endOfRange);
+    startOfRange.setDate(startOfRange.getDate() - days);
+    const snapshot = await db.collection("attendance")
+      .where("classId", "==", classId)
+      .where("classInstanceDate", ">=", admin.firestore.Timestamp.fromDate(startOfRange))
+      .where("classInstanceDate", "<", admin.firestore.Timestamp.fromDate(endOfRange))
+      .get();
+    return [...new Set(snapshot.docs.map((doc) => doc.get("studentId") as string | undefined).filter((id): id is string => !!id))];
+  }
+
+  async removeAttendanceRecord(attendanceId: string, studioOwnerId: string, reason = "Attendance removed"): Promise<void> {
     const db = getFirestore();
     const ref = db.collection("attendance").doc(attendanceId);
-    const attendanceDoc = await ref.get();
-    if (!attendanceDoc.exists) throw new Error("Attendance record not found");
-    const attendanceData = attendanceDoc.data() as Record<string, unknown>;
-    if (attendanceData["studioOwnerId"] !== studioOwnerId) {
-      throw new Error("Access denied: Attendance record does not belong to this studio owner");
-    }
-    if (attendanceData["isRemoved"]) throw new Error("Attendance record is already removed");
 
-    if (attendanceData["creditUsedId"]) {
-      try {
-        await creditTrackingService.restoreCredit(
-          attendanceData["studentId"] as string,
-          studioOwnerId,
-          attendanceData["creditUsedId"] as string,
+    // Restore, soft-delete and key release share one transaction so a double-tapped
+    // remove can't hand the credit back twice.
+    await db.runTransaction(async (tx) => {
+      const attendanceDoc = await tx.get(ref);
+      if (!attendanceDoc.exists) throw new Error("Attendance record not found");
+      const attendanceData = attendanceDoc.data() as Record<string, unknown>;
+      if (attendanceData["studioOwnerId"] !== studioOwnerId) {
+        throw new Error("Access denied: Attendance record does not belong to this studio owner");
+      }
+      if (attendanceData["isRemoved"]) throw new Error("Attendance record is already removed");
+
+      if (attendanceData["creditUsedId"]) {
+        try {
+          await creditTrackingService.restoreCreditInTransaction(
+            tx,
+            attendanceData["studentId"] as string,
+            studioOwnerId,
+            attendanceData["creditUsedId"] as string,
+            {
+              actor: { type: "studio", id: studioOwnerId },
+              reason,
+              source: { attendanceId, classId: (attendanceData["classId"] as string | undefined) ?? null },
+            },
+          );
+        } catch (error) {
+          const err = error as Error;
+          throw new Error(`Failed to restore credit: ${err.message}`);
+        }
+      } else if (attendanceData["membershipId"]) {
+        await membershipsService.releaseMembershipUse(
+          tx, attendanceData["membershipId"] as string, attendanceData["membershipCycle"] as number,
         );
-      } catch (error) {
-        const err = error as Error;
-        throw new Error(`Failed to restore credit: ${err.message}`);
       }
-    }
 
-    await ref.update({
-      isRemoved: true,
-      removedAt: admin.firestore.FieldValue.serverTimestamp(),
-      removedBy: studioOwnerId,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      tx.update(ref, {
+        isRemoved: true,
+        removedAt: admin.firestore.FieldValue.serverTimestamp(),
+        removedBy: studioOwnerId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      if (attendanceData["checkInKey"]) {
+        tx.delete(db.collection("attendanceCheckInKeys").doc(attendanceData["checkInKey"] as string));
+      }
     });
   }
 
@@ -950,7 +1070,7 @@ export class AttendanceService {
       if (data["paymentMethod"] === "cash") return;
       const ca = tsToDate(data["createdAt"]);
       if (!ca) return;
-      const amount = (data["price"] as number) ?? (data["amount"] as number) ?? 0;
+      const amount = netPurchaseAmount(data);
       if (ca >= currentStart) currentRevenue += amount;
       else if (ca >= prevStart && ca <= prevEnd) prevRevenue += amount;
     });
@@ -959,7 +1079,7 @@ export class AttendanceService {
       if (data["status"] && data["status"] !== "completed") return;
       const ca = tsToDate(data["createdAt"]);
       if (!ca) return;
-      const amount = (data["amount"] as number) ?? 0;
+      const amount = netPurchaseAmount(data);
       if (ca >= currentStart) currentRevenue += amount;
       else if (ca >= prevStart && ca <= prevEnd) prevRevenue += amount;
     });
@@ -967,7 +1087,7 @@ export class AttendanceService {
       const data = doc.data() as Record<string, unknown>;
       const ca = tsToDate(data["createdAt"]);
       if (!ca) return;
-      const amount = (data["amountPaid"] as number) ?? 0;
+      const amount = ((data["amountPaid"] as number) ?? 0) - ((data["refundedAmount"] as number) || 0);
       if (ca >= currentStart) currentRevenue += amount;
       else if (ca >= prevStart && ca <= prevEnd) prevRevenue += amount;
     });
@@ -1079,7 +1199,7 @@ export class AttendanceService {
       const ca = tsToDate(d["createdAt"]);
       if (!ca || ca < startDate) return;
       const key = `${ca.getFullYear()}-${String(ca.getMonth() + 1).padStart(2, '0')}`;
-      if (bucketMap.has(key)) bucketMap.set(key, (bucketMap.get(key) ?? 0) + ((d["price"] as number) ?? (d["amount"] as number) ?? 0));
+      if (bucketMap.has(key)) bucketMap.set(key, (bucketMap.get(key) ?? 0) + netPurchaseAmount(d));
     });
     cashSnap.forEach((doc) => {
       const d = doc.data() as Record<string, unknown>;
@@ -1087,14 +1207,14 @@ export class AttendanceService {
       const ca = tsToDate(d["createdAt"]);
       if (!ca || ca < startDate) return;
       const key = `${ca.getFullYear()}-${String(ca.getMonth() + 1).padStart(2, '0')}`;
-      if (bucketMap.has(key)) bucketMap.set(key, (bucketMap.get(key) ?? 0) + ((d["amount"] as number) ?? 0));
+      if (bucketMap.has(key)) bucketMap.set(key, (bucketMap.get(key) ?? 0) + netPurchaseAmount(d));
     });
     plSnap.forEach((doc) => {
       const d = doc.data() as Record<string, unknown>;
       const ca = tsToDate(d["createdAt"]);
       if (!ca || ca < startDate) return;
       const key = `${ca.getFullYear()}-${String(ca.getMonth() + 1).padStart(2, '0')}`;
-      if (bucketMap.has(key)) bucketMap.set(key, (bucketMap.get(key) ?? 0) + ((d["amountPaid"] as number) ?? 0));
+      if (bucketMap.has(key)) bucketMap.set(key, (bucketMap.get(key) ?? 0) + ((d["amountPaid"] as number) ?? 0) - ((d["refundedAmount"] as number) || 0));
     });
 
     return ordered.map((month) => ({ month, revenue: bucketMap.get(month) ?? 0 }));
@@ -7,10 +7,15 @@ export type AuditAction =
   | "instructor_created"
   | "instructor_updated"
   | "instructor_deleted"
+  | "instructor_time_off_approved"
+  | "instructor_time_off_declined"
   | "subscription_cancelled"
   | "subscription_plan_changed"
+  | "subscription_frozen"
+  | "subscription_freeze_cancelled"
   | "payment_method_deleted"
   | "payment_method_set_default"
+  | "purchase_refunded"
   | "assistant_email_campaign_sent"
   | "assistant_automation_rule_created"
   | "assistant_class_created"
@@ -21,6 +26,14 @@ export type AuditAction =
   | "class_admin_updated"
   | "class_admin_deleted"
   | "class_reassigned"
+  | "class_instance_exception_set"
+  | "class_instance_exception_removed"
+  | "class_instances_cancelled"
+  | "class_substitute_requested"
+  | "class_substitute_request_cancelled"
+  | "studio_closure_created"
+  | "studio_closure_credits_extended"
+  | "studio_closure_deleted"
   | "workshop_admin_created"
   | "workshop_admin_updated"
   | "workshop_admin_deleted"
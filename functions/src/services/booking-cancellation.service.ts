@@ -0,0 +1,304 @@
+import * as admin from "firebase-admin";
+import * as stripeService from "./stripe.service";
+import creditTrackingService from "./credit-tracking.service";
+import instructorPayoutsService from "./instructor-payouts.service";
+import { getFirestore } from "../utils/firestore";
+import { localDateParts, studioTimezone } from "../utils/timezone";
+
+/** A studio's rules for cancelled, missed and moved private lessons (`users.privateLessonPolicy`). */
+export interface PrivateLessonPolicy {
+  /** Cancelling at least this many hours before the start is free. */
+  freeCancelHours: number;
+  /** Share of the lesson price kept when the student cancels inside the free window. */
+  lateCancelFeePercent: number;
+  /** Share of the lesson price kept when the student doesn't show up. */
+  noShowFeePercent: number;
+  /** "credit" gives the student class credits instead of money back. */
+  refundAs: "refund" | "credit";
+  /** Students can move a lesson until this many hours before it starts. */
+  rescheduleCutoffHours: number;
+  /** New bookings wait for the instructor (or studio) to accept; when off they are confirmed straight away. */
+  requireInstructorApproval: boolean;
+}
+
+/**
+ * - `student`: the student cancelled.
+ * - `student_request`: the studio cancelled on the student's behalf, so the student's rules apply.
+ * - `studio`: the studio cancelled. Always a full refund.
+ * - `no_show`: the studio marked a missed lesson.
+ */
+export type CancellationKind = "student" | "student_request" | "studio" | "no_show";
+
+/** Who closed the booking. Linked instructors act for the studio. */
+export interface CancellationActor {
+  type: "student" | "studio" | "instructor";
+  id: string;
+}
+
+export interface CancellationOutcome {
+  kind: CancellationKind;
+  policy: PrivateLessonPolicy;
+  minutesBeforeStart: number;
+  late: boolean;
+  feeWaived: boolean;
+  feePercent: number;
+  amountPaid: number;
+  feeAmount: number;
+  refundAmount: number;
+  refundAs: "refund" | "credit" | "none";
+  creditsIssued: number;
+  creditEntryId: string | null;
+  stripeRefundId: string | null;
+  refundStatus: "pending" | "succeeded" | "failed" | "none";
+}
+
+export type CancellationPreview =
+  Omit<CancellationOutcome, "creditsIssued" | "creditEntryId" | "stripeRefundId" | "refundStatus">;
+
+export const DEFAULT_PRIVATE_LESSON_POLICY: PrivateLessonPolicy = {
+  freeCancelHours: 24,
+  lateCancelFeePercent: 100,
+  noShowFeePercent: 100,
+  refundAs: "refund",
+  rescheduleCutoffHours: 24,
+  requireInstructorApproval: true,
+};
+
+const CLOSED_STATUSES = ["cancelled", "no_show"];
+const CREDIT_BACK_EXPIRATION_DAYS = 365;
+
+function round2(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/** The studio's policy with defaults filled in for anything it hasn't set. */
+export function policyFromStudio(studioData: Record<string, unknown>): PrivateLessonPolicy {
+  const stored = (studioData["privateLessonPolicy"] as Partial<PrivateLessonPolicy> | undefined) ?? {};
+  return {
+    freeCancelHours: stored.freeCancelHours ?? DEFAULT_PRIVATE_LESSON_POLICY.freeCancelHours,
+    lateCancelFeePercent: stored.lateCancelFeePercent ?? DEFAULT_PRIVATE_LESSON_POLICY.lateCancelFeePercent,
+    noShowFeePercent: stored.noShowFeePercent ?? DEFAULT_PRIVATE_LESSON_POLICY.noShowFeePercent,
+    refundAs: stored.refundAs === "credit" ? "credit" : "refund",
+    rescheduleCutoffHours: stored.rescheduleCutoffHours ?? DEFAULT_PRIVATE_LESSON_POLICY.rescheduleCutoffHours,
+    requireInstructorApproval: stored.requireInstructorApproval ?? DEFAULT_PRIVATE_LESSON_POLICY.requireInstructorApproval,
+  };
+}
+
+/**
+ * Minutes from now until `date` + `startTime` in the studio's own timezone
+ * (negative once the lesson has started). Falls back to UTC when the studio
+ * has no resolvable location.
+ */
+export function minutesUntilLesson(date: string, startTime: string, studioData: Record<string, unknown>): number {
+  const now = localDateParts(studioTimezone(studioData));
+  const [hour, minute] = startTime.split(":").map(Number);
+  const dayDiff = Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${now.date}T00:00:00Z`)) / 86400000);
+  return dayDiff * 24 * 60 + ((hour ?? 0) * 60 + (minute ?? 0)) - now.minutes;
+}
+
+/** How much of a paid lesson the studio keeps, and how much goes back, for a cancellation. */
+export function evaluateCancellation(
+  policy: PrivateLessonPolicy,
+  kind: CancellationKind,
+  amountPaid: number,
+  minutesBeforeStart: number,
+  waiveFee = false,
+): Pick<CancellationOutcome, "late" | "feePercent" | "feeAmount" | "refundAmount"> {
+  const late = minutesBeforeStart < policy.freeCancelHours * 60;
+  let feePercent = 0;
+  if (kind === "no_show") feePercent = policy.noShowFeePercent;
+  else if (kind !== "studio" && late) feePercent = policy.lateCancelFeePercent;
+  if (waiveFee) feePercent = 0;
+
+  const feeAmount = round2(amountPaid * feePercent / 100);
+  return { late, feePercent, feeAmount, refundAmount: round2(amountPaid - feeAmount) };
+}
+
+/**
+ * Cancellations and no-shows for private lessons, priced by the studio's
+ * `privateLessonPolicy`. The outcome is stored on the booking as
+ * `cancellation`, with the policy as it stood at the time. Money goes back as
+ * a partial refund on the connected account, or as class credits under a
+ * credit-back policy.
+ */
+export class BookingCancellationService {
+  /** What cancelling now would cost, without cancelling. */
+  async previewCancellation(
+    bookingId: string, kind: CancellationKind, waiveFee = false,
+  ): Promise<CancellationPreview> {
+    const db = getFirestore();
+    const doc = await db.collection("privateLessonBookings").doc(bookingId).get();
+    if (!doc.exists) throw new Error("Booking not found");
+    const booking = doc.data() as Record<string, unknown>;
+    const studioData = await this.studioData(booking["studioId"] as string);
+    return this.evaluate(booking, studioData, kind, waiveFee);
+  }
+
+  /**
+   * Closes the booking and settles the payment. The booking is marked closed
+   * in a transaction before any money moves, so a repeated request can't
+   * refund twice. A failed refund doesn't undo the cancellation; it is
+   * recorded as `refundStatus: "failed"` for the studio to follow up.
+   */
+  async cancel(
+    bookingId: string,
+    kind: CancellationKind,
+    actor: CancellationActor,
+    options: { waiveFee?: boolean; reason?: string | null } = {},
+  ): Promise<CancellationOutcome> {
+    const db = getFirestore();
+    const ref = db.collection("privateLessonBookings").doc(bookingId);
+    const snapshot = await ref.get();
+    if (!snapshot.exists) throw new Error("Booking not found");
+    const studioData = await this.studioData((snapshot.data() as Record<string, unknown>)["studioId"] as string);
+
+    const { booking, outcome } = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const data = doc.data() as Record<string, unknown>;
+      if (CLOSED_STATUSES.includes(data["status"] as string)) throw new Error("Booking is already cancelled");
+
+      const evaluated = this.evaluate(data, studioData, kind, !!options.waiveFee);
+      if (kind === "no_show" && evaluated.minutesBeforeStart > 0) {
+        throw new Error("A booking can only be marked as a no-show once the lesson has started");
+      }
+      if (kind === "student" && evaluated.minutesBeforeStart <= 0) {
+        throw new Error("This lesson can no longer be cancelled because it has started");
+      }
+      const pending: CancellationOutcome = {
+        ...evaluated,
+        creditsIssued: 0,
+        creditEntryId: null,
+        stripeRefundId: null,
+        refundStatus: evaluated.refundAmount > 0 ? "pending" : "none",
+      };
+      tx.update(ref, {
+        status: kind === "no_show" ? "no_show" : "cancelled",
+        cancelledBy: actor.type,
+        cancellationReason: options.reason ?? null,
+        cancellation: pending,
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { booking: data, outcome: pending };
+    });
+    if (outcome.refundStatus === "none") return outcome;
+
+    if (outcome.refundAs === "credit") {
+      try {
+        const credit = await this.issueCreditBack(bookingId, booking, studioData, outcome.refundAmount, actor);
+        if (credit) {
+          outcome.creditsIssued = credit.credits;
+          outcome.creditEntryId = credit.creditEntryId;
+          outcome.refundStatus = "succeeded";
+        } else {
+          // The student has no record at this studio, it has no drop-in price to convert at,
+          // or the refund is worth less than one class — refund instead.
+          outcome.refundAs = "refund";
+        }
+      } catch (err) {
+        console.error("[BookingCancellation] Credit-back failed, refunding instead:", err);
+        outcome.refundAs = "refund";
+      }
+    }
+
+    if (outcome.refundAs === "refund") {
+      try {
+        // Direct-charge bookings store stripeConnectedAccountId; destination-charge
+        // (legacy) and split bookings do not — omitting the account ID refunds on the platform.
+        const stripeRefund = await stripeService.createRefund(
+          booking["stripePaymentIntentId"] as string,
+          options.reason || (kind === "studio" ? "Studio cancelled the booking" : "Private lesson cancelled"),
+          (booking["stripeConnectedAccountId"] as string | undefined) || undefined,
+          { amount: Math.round(outcome.refundAmount * 100), metadata: { bookingId } },
+        );
+        outcome.stripeRefundId = stripeRefund.id;
+        outcome.refundStatus = "succeeded";
+      } catch (err) {
+        console.error("[BookingCancellation] Refund failed:", err);
+        outcome.refundStatus = "failed";
+      }
+      if (outcome.stripeRefundId && booking["payoutSplit"]) {
+        // Split lessons were refunded on the platform; take the money back from the transfers.
+        await instructorPayoutsService
+          .reverseForRefund(bookingId, Math.round(outcome.refundAmount * 100), outcome.stripeRefundId)
+          .catch((err) => console.error("[BookingCancellation] Transfer reversal failed:", err));
+      }
+    }
+
+    await ref.update({
+      cancellation: outcome,
+      // paymentStatus stays "paid" — revenue reports net the refund off amountPaid.
+      ...(outcome.refundAs === "refund" && outcome.refundStatus === "succeeded"
+        ? { refundedAmount: outcome.refundAmount }
+        : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return outcome;
+  }
+
+  private evaluate(
+    booking: Record<string, unknown>, studioData: Record<string, unknown>, kind: CancellationKind, waiveFee: boolean,
+  ): CancellationPreview {
+    const policy = policyFromStudio(studioData);
+    const timeSlot = booking["timeSlot"] as { startTime?: string } | undefined;
+    const minutesBeforeStart = minutesUntilLesson(booking["date"] as string, timeSlot?.startTime ?? "00:00", studioData);
+    // Only card-paid bookings have anything to give back.
+    const paid = booking["paymentStatus"] === "paid" && !!booking["stripePaymentIntentId"];
+    const amountPaid = paid ? round2((booking["amountPaid"] as number) || 0) : 0;
+    const evaluated = evaluateCancellation(policy, kind, amountPaid, minutesBeforeStart, waiveFee);
+    return {
+      kind,
+      policy,
+      minutesBeforeStart,
+      feeWaived: waiveFee,
+      amountPaid,
+      ...evaluated,
+      refundAs: evaluated.refundAmount <= 0 ? "none" : kind !== "studio" && policy.refundAs === "credit" ? "credit" : "refund",
+    };
+  }
+
+  /**
+   * Class credits worth the refund at the studio's drop-in price, rounded down
+   * to whole credits. Returns null when the refund won't buy a single class.
+   */
+  private async issueCreditBack(
+    bookingId: string,
+    booking: Record<string, unknown>,
+    studioData: Record<string, unknown>,
+    refundAmount: number,
+    actor: CancellationActor,
+  ): Promise<{ credits: number; creditEntryId: string } | null> {
+    const dropInPrice = studioData["dropInPrice"] as number | undefined;
+    const authUid = booking["authUid"] as string | undefined;
+    if (!dropInPrice || dropInPrice <= 0 || !authUid) return null;
+    const credits = Math.floor(refundAmount / dropInPrice);
+    if (credits < 1) return null;
+
+    const studioOwnerId = booking["studioId"] as string;
+    const studentSnapshot = await getFirestore().collection("students")
+      .where("authUid", "==", authUid)
+      .where("studioOwnerId", "==", studioOwnerId)
+      .limit(1)
+      .get();
+    const student = studentSnapshot.docs[0];
+    if (!student) return null;
+
+    const creditEntryId = await creditTrackingService.addCredits(
+      student.id, studioOwnerId, credits, CREDIT_BACK_EXPIRATION_DAYS, null, null,
+      {
+        type: "grant",
+        actor: actor.type === "student" ? { type: "student", id: student.id } : { type: "studio", id: studioOwnerId },
+        reason: "Private lesson cancelled — credited instead of refunded",
+        source: { bookingId },
+      },
+    );
+    return { credits, creditEntryId };
+  }
+
+  private async studioData(studioOwnerId: string): Promise<Record<string, unknown>> {
+    const doc = await getFirestore().collection("users").doc(studioOwnerId).get();
+    return doc.exists ? doc.data() as Record<string, unknown> : {};
+  }
+}
+
+export default new BookingCancellationService();
@@ -1,7 +1,15 @@
 import * as admin from "firebase-admin";
 import * as stripeService from "./stripe.service";
+import * as sendgridService from "./sendgrid.service";
 import instructorsService from "./instructors.service";
+import notificationsService from "./notifications.service";
+import instructorAvailabilityService, { timeToMinutes } from "./instructor-availability.service";
+import instructorPayoutsService, { PayoutSplit } from "./instructor-payouts.service";
+import bookingCancellationService, {
+  CancellationKind, CancellationOutcome, CancellationPreview, minutesUntilLesson, policyFromStudio,
+} from "./booking-cancellation.service";
 import { getFirestore } from "../utils/firestore";
+import { notifyAppUser, notifyInstructor } from "../utils/push-notifications";
 
 interface TimeSlot {
   startTime: string;
@@ -51,7 +59,8 @@ export class BookingsService {
     return authUid;
   }
 
-  async createBooking(bookingData: BookingData, studentId: string): Promise<string> {
+  /** Creates a booking for `studentId`; `authUid` is who booked it, told straight away if it is auto-confirmed. */
+  async createBooking(bookingData: BookingData, studentId: string, authUid?: string): Promise<string> {
     const db = getFirestore();
 
     const isAvailable = await this.isTimeSlotAvailable(
@@ -60,26 +69,23 @@ export class BookingsService {
       bookingData.timeSlot,
     );
     if (!isAvailable) throw new Error("Time slot is already booked");
+    const status = await this.initialStatusFor(bookingData.studioId);
 
-    return await db.runTransaction(async (transaction) => {
-      const bookingsRef = db.collection("privateLessonBookings");
-      const existingBookings = await transaction.get(
-        bookingsRef
-          .where("instructorId", "==", bookingData.instructorId)
-          .where("date", "==", bookingData.date)
-          .where("timeSlot.startTime", "==", bookingData.timeSlot.startTime)
-          .where("status", "in", ["pending", "confirmed"]),
+    const bookingId = await db.runTransaction(async (transaction) => {
+      const overlapping = await instructorAvailabilityService.hasOverlappingBooking(
+        transaction, bookingData.instructorId, bookingData.date, bookingData.timeSlot,
       );
-      if (!existingBookings.empty) throw new Error("Time slot is already booked");
+      if (overlapping) throw new Error("Time slot is already booked");
 
-      const docRef = bookingsRef.doc();
+      const docRef = db.collection("privateLessonBookings").doc();
       transaction.set(docRef, {
         studentId,
+        ...(authUid ? { authUid } : {}),
         instructorId: bookingData.instructorId,
         studioId: bookingData.studioId,
         date: bookingData.date,
         timeSlot: bookingData.timeSlot,
-        status: "pending",
+        status,
         notes: bookingData.notes ?? null,
         contactInfo: bookingData.contactInfo ?? null,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -87,6 +93,9 @@ export class BookingsService {
       });
       return docRef.id;
     });
+    const created = status === "confirmed" ? await this.getBookingById(bookingId) : null;
+    if (created) await this.notifyBookingConfirmed(created);
+    return bookingId;
   }
 
   async getBookingsByInstructor(
@@ -111,16 +120,12 @@ export class BookingsService {
     return { id: doc.id, ...(doc.data() as Record<string, unknown>) };
   }
 
+  /**
+   * False when the slot overlaps (buffer included) another private, a class or
+   * workshop/event slot the instructor teaches, or one of their blackouts.
+   */
   async isTimeSlotAvailable(instructorId: string, date: string, timeSlot: TimeSlot): Promise<boolean> {
-    const db = getFirestore();
-    const snapshot = await db.collection("privateLessonBookings")
-      .where("instructorId", "==", instructorId)
-      .where("date", "==", date)
-      .where("timeSlot.startTime", "==", timeSlot.startTime)
-      .where("status", "in", ["pending", "confirmed"])
-      .limit(1)
-      .get();
-    return snapshot.empty;
+    return (await instructorAvailabilityService.findConflict(instructorId, date, timeSlot)) === null;
   }
 
   async getBookingsByStudent(studentId: string): Promise<Array<Record<string, unknown> & { id: string }>> {
@@ -146,17 +151,16 @@ export class BookingsService {
     }));
   }
 
-  async cancelBooking(bookingId: string, studentId: string): Promise<void> {
-    const db = getFirestore();
-    const ref = db.collection("privateLessonBookings").doc(bookingId);
-    const doc = await ref.get();
-    if (!doc.exists) throw new Error("Booking not found");
-    const bookingData = doc.data() as Record<string, unknown>;
-    if (bookingData["studentId"] !== studentId) {
-      throw new Error("Access denied: You can only cancel your own bookings");
-    }
-    if (bookingData["status"] === "cancelled") throw new Error("Booking is already cancelled");
-    await ref.update({ status: "cancelled", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  /** Student cancellation, priced by the studio's private lesson policy. */
+  async cancelBooking(bookingId: string, studentId: string): Promise<CancellationOutcome> {
+    await this.getOwnBooking(bookingId, studentId);
+    return await bookingCancellationService.cancel(bookingId, "student", { type: "student", id: studentId });
+  }
+
+  /** What the student would get back if they cancelled now. */
+  async previewCancellation(bookingId: string, studentId: string): Promise<CancellationPreview> {
+    await this.getOwnBooking(bookingId, studentId);
+    return await bookingCancellationService.previewCancellation(bookingId, "student");
   }
 
   /**
@@ -180,39 +184,331 @@ export class BookingsService {
       throw new Error("Access denied: Booking does not belong to this studio");
     }
     if (bookingData["status"] === "confirmed") throw new Error("Booking is already confirmed");
-    if (bookingData["status"] === "cancelled") throw new Error("Cannot confirm a cancelled booking");
-    await ref.update({ status: "confirmed", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    if (bookingData["status"] === "cancelled" || bookingData["status"] === "no_show") {
+      throw new Error("Cannot confirm a cancelled booking");
+    }
+    await ref.update({
+      status: "confirmed",
+      confirmedBy: isStudioOwner ? "studio" : "instructor",
+      confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
     const updatedDoc = await ref.get();
     return { id: updatedDoc.id, ...(updatedDoc.data() as Record<string, unknown>) };
   }
 
-  async cancelBookingAsStudio(bookingId: string, studioOwnerId: string): Promise<void> {
+  /**
+   * After a confirm: clears the studio's "new booking" notification and tells
+   * the student by push and email. `studioMessage` replaces the default push text.
+   */
+  async notifyBookingConfirmed(booking: Record<string, unknown> & { id: string }, studioMessage?: string): Promise<void> {
+    const db = getFirestore();
+    const bookingId = booking.id;
+    const studioOwnerId = booking["studioId"] as string;
+
+    try {
+      const notificationsSnapshot = await db.collection("notifications")
+        .where("studioId", "==", studioOwnerId)
+        .where("bookingId", "==", bookingId)
+        .limit(1)
+        .get();
+      if (!notificationsSnapshot.empty) {
+        const notificationDoc = notificationsSnapshot.docs[0];
+        if (notificationDoc) {
+          await notificationsService.markNotificationAsRead(notificationDoc.id, studioOwnerId);
+        }
+      }
+    } catch (err) { console.error("Error marking studio notification as read:", err); }
+
+    try {
+      const bookingData = booking;
+      const studentAuthUid = bookingData["authUid"] as string | undefined;
+      if (studentAuthUid) {
+        const bookingDate = bookingData["date"] as string | undefined;
+        const bookingTs = bookingData["timeSlot"] as Record<string, unknown> | undefined;
+        const timeLabel = bookingTs ? `${bookingTs["startTime"] as string} – ${bookingTs["endTime"] as string}` : "";
+        const pushTitle = "Private Lesson Confirmed!";
+        const defaultBody = `Your lesson${bookingDate ? ` on ${bookingDate}` : ""}${timeLabel ? ` at ${timeLabel}` : ""} has been confirmed.`;
+        const pushBody = studioMessage ?? defaultBody;
+        try {
+          await notifyAppUser(studentAuthUid, {
+            type: "booking_confirmed", title: pushTitle, body: pushBody, refs: { bookingId },
+          });
+        } catch (pushErr) { console.error("[confirm booking] Push notification error:", pushErr); }
+
+        // Send confirmation email to student
+        try {
+          const studentProfileSnap = await db.collection("usersStudentProfiles")
+            .where("authUid", "==", studentAuthUid)
+            .limit(1)
+            .get();
+          const rawStudentEmail = studentProfileSnap.empty
+            ? undefined
+            : (studentProfileSnap.docs[0]!.data() as Record<string, unknown>)["email"];
+          const studentEmail = typeof rawStudentEmail === "string" ? rawStudentEmail.trim() : "";
+
+          if (studentEmail) {
+            const instructorId = bookingData["instructorId"] as string | undefined;
+            const instructorDoc = instructorId ? await db.collection("instructors").doc(instructorId).get() : null;
+            const instructorData = instructorDoc?.exists ? instructorDoc.data() as Record<string, unknown> : null;
+            const instructorName = instructorData
+              ? `${instructorData["firstName"] ?? ""} ${instructorData["lastName"] ?? ""}`.trim()
+              : "Your Instructor";
+
+            const studioDoc = await db.collection("users").doc(studioOwnerId).get();
+            const studioName = studioDoc.exists
+              ? ((studioDoc.data() as Record<string, unknown>)["studioName"] as string ?? "The Studio")
+              : "The Studio";
+
+            await sendgridService.sendConfirmationEmail(studentEmail, "private_lesson_confirmed", {
+              instructorName,
+              studioName,
+              date: bookingDate ?? "",
+              timeSlot: timeLabel,
+              studioMessage,
+            });
+          }
+        } catch (emailErr) { console.error("[confirm booking] Confirmation email error:", emailErr); }
+      }
+    } catch (err) { console.error("Error notifying student of booking confirmation:", err); }
+  }
+
+  /**
+   * Studio cancellation. A plain cancel refunds in full; `student_request` and
+   * `no_show` apply the studio's late-cancel and no-show fees unless waived.
+   */
+  async cancelBookingAsStudio(
+    bookingId: string,
+    studioOwnerId: string,
+    options: { kind?: Exclude<CancellationKind, "student">; waiveFee?: boolean; reason?: string | null } = {},
+  ): Promise<CancellationOutcome> {
+    const db = getFirestore();
+    const doc = await db.collection("privateLessonBookings").doc(bookingId).get();
+    if (!doc.exists) throw new Error("Booking not found");
+    const bookingData = doc.data() as Record<string, unknown>;
+    if (bookingData["studioId"] !== studioOwnerId) {
+      throw new Error("Access denied: Booking does not belong to this studio");
+    }
+    return await bookingCancellationService.cancel(
+      bookingId, options.kind ?? "studio", { type: "studio", id: studioOwnerId },
+      { waiveFee: options.waiveFee, reason: options.reason },
+    );
+  }
+
+  /**
+   * The assigned instructor turns down a pending request. The booking is
+   * cancelled as if by the studio, so the student gets a full refund.
+   */
+  async declineBooking(bookingId: string, instructorId: string, reason: string | null = null): Promise<CancellationOutcome> {
+    const booking = await this.getInstructorBooking(bookingId, instructorId);
+    if (booking["status"] !== "pending") throw new Error("Only pending bookings can be declined");
+    const outcome = await bookingCancellationService.cancel(
+      bookingId, "studio", { type: "instructor", id: instructorId },
+      { reason: reason ?? "Declined by the instructor" },
+    );
+    await getFirestore().collection("privateLessonBookings").doc(bookingId).update({ declinedByInstructor: true });
+
+    const timeSlot = booking["timeSlot"] as TimeSlot;
+    notificationsService.createNotification(
+      booking["studioId"] as string, bookingId, "private_lesson_declined", "Private Lesson Declined",
+      `The instructor declined the private lesson request for ${booking["date"] as string} at ${timeSlot.startTime}`,
+    ).catch((err) => console.error("[declineBooking] Failed to notify studio:", err));
+    const authUid = booking["authUid"] as string | undefined;
+    if (authUid) {
+      const title = "Private Lesson Declined";
+      const body = `Your lesson request for ${booking["date"] as string} at ${timeSlot.startTime} was declined.` +
+        (outcome.refundAmount > 0 ? " You'll receive a full refund." : "");
+      notifyAppUser(authUid, { type: "booking_declined", title, body, refs: { bookingId } })
+        .catch((err) => console.error("[declineBooking] Failed to notify student:", err));
+    }
+    return outcome;
+  }
+
+  /** The assigned instructor marks a missed lesson; the studio's no-show fee applies. */
+  async markNoShowAsInstructor(bookingId: string, instructorId: string): Promise<CancellationOutcome> {
+    await this.getInstructorBooking(bookingId, instructorId);
+    return await bookingCancellationService.cancel(bookingId, "no_show", { type: "instructor", id: instructorId });
+  }
+
+  /**
+   * Notes and homework from the instructor, shown to the student on the
+   * booking as `lessonNotes`. Each save replaces the previous one; the student
+   * is told the first time notes appear.
+   */
+  async setLessonNotes(
+    bookingId: string, instructorId: string, input: { notes: string | null; homework: string | null },
+  ): Promise<Record<string, unknown> & { id: string }> {
+    const booking = await this.getInstructorBooking(bookingId, instructorId);
+    if (booking["status"] === "cancelled") throw new Error("Cannot add notes to a cancelled booking");
+
+    const ref = getFirestore().collection("privateLessonBookings").doc(bookingId);
+    await ref.update({
+      lessonNotes: {
+        notes: input.notes,
+        homework: input.homework,
+        instructorId,
+        updatedAt: new Date().toISOString(),
+      },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const authUid = booking["authUid"] as string | undefined;
+    if (authUid && !booking["lessonNotes"] && (input.notes || input.homework)) {
+      const title = "Notes from your lesson";
+      const body = `Your instructor added ${input.homework ? "notes and homework" : "notes"} for your lesson on ${booking["date"] as string}.`;
+      notifyAppUser(authUid, { type: "lesson_notes", title, body, refs: { bookingId } })
+        .catch((err) => console.error("[setLessonNotes] Failed to notify student:", err));
+    }
+    const updated = await ref.get();
+    return { id: updated.id, ...(updated.data() as Record<string, unknown>) };
+  }
+
+  private async getInstructorBooking(bookingId: string, instructorId: string): Promise<Record<string, unknown> & { id: string }> {
+    const doc = await getFirestore().collection("privateLessonBookings").doc(bookingId).get();
+    if (!doc.exists) throw new Error("Booking not found");
+    const bookingData = doc.data() as Record<string, unknown>;
+    if (bookingData["instructorId"] !== instructorId) {
+      throw new Error("Access denied: This booking is not assigned to you");
+    }
+    return { id: doc.id, ...bookingData };
+  }
+
+  /** "confirmed" straight away when the studio has turned off instructor approval. */
+  async initialStatusFor(studioId: string): Promise<"pending" | "confirmed"> {
+    const studioDoc = await getFirestore().collection("users").doc(studioId).get();
+    const policy = policyFromStudio(studioDoc.exists ? studioDoc.data() as Record<string, unknown> : {});
+    return policy.requireInstructorApproval ? "pending" : "confirmed";
+  }
+
+  private async getOwnBooking(bookingId: string, studentId: string): Promise<void> {
+    const doc = await getFirestore().collection("privateLessonBookings").doc(bookingId).get();
+    if (!doc.exists) throw new Error("Booking not found");
+    const bookingData = doc.data() as Record<string, unknown>;
+    if (bookingData["studentId"] !== studentId) {
+      throw new Error("Access denied: You can only cancel your own bookings");
+    }
+  }
+
+  /**
+   * Moves a pending or confirmed booking to a new date/time, keeping its payment.
+   * Students must do so at least `rescheduleCutoffHours` before the lesson; the
+   * studio can until it starts. The slot must be the same length (it was paid
+   * for) and is re-checked against the instructor's availability, ignoring the
+   * booking itself. Each move is appended to `rescheduleHistory`.
+   */
+  async rescheduleBooking(
+    bookingId: string,
+    actor: { type: "student"; studentId: string } | { type: "studio"; studioOwnerId: string },
+    date: string,
+    timeSlot: TimeSlot,
+    reason: string | null = null,
+  ): Promise<Record<string, unknown> & { id: string }> {
     const db = getFirestore();
     const ref = db.collection("privateLessonBookings").doc(bookingId);
     const doc = await ref.get();
     if (!doc.exists) throw new Error("Booking not found");
     const bookingData = doc.data() as Record<string, unknown>;
-    if (bookingData["studioId"] !== studioOwnerId) {
+    if (actor.type === "student" && bookingData["studentId"] !== actor.studentId) {
+      throw new Error("Access denied: You can only reschedule your own bookings");
+    }
+    if (actor.type === "studio" && bookingData["studioId"] !== actor.studioOwnerId) {
       throw new Error("Access denied: Booking does not belong to this studio");
     }
-    if (bookingData["status"] === "cancelled") throw new Error("Booking is already cancelled");
-
-    // Issue refund if the student already paid
-    const paymentIntentId = bookingData["stripePaymentIntentId"] as string | undefined;
-    if (paymentIntentId && bookingData["paymentStatus"] === "paid") {
-      const stripeService = await import("./stripe.service");
-      // Direct-charge bookings store stripeConnectedAccountId; destination-charge
-      // (legacy) bookings do not — omitting the account ID refunds on the platform.
-      const connectedAccountId = bookingData["stripeConnectedAccountId"] as string | undefined;
-      try {
-        await stripeService.createRefund(paymentIntentId, "Studio cancelled the booking", connectedAccountId);
-      } catch (refundErr) {
-        console.error("[cancelBookingAsStudio] Refund failed:", refundErr);
-        // Don't block the cancellation if refund fails — log and continue
+    if (!["pending", "confirmed"].includes(bookingData["status"] as string)) {
+      throw new Error("Only pending or confirmed bookings can be rescheduled");
+    }
+
+    const studioDoc = await db.collection("users").doc(bookingData["studioId"] as string).get();
+    const studioData = studioDoc.exists ? studioDoc.data() as Record<string, unknown> : {};
+    const policy = policyFromStudio(studioData);
+    const currentSlot = bookingData["timeSlot"] as TimeSlot;
+    const minutesBefore = minutesUntilLesson(bookingData["date"] as string, currentSlot.startTime, studioData);
+    if (minutesBefore <= 0) throw new Error("This lesson has already started and can't be rescheduled");
+    if (actor.type === "student" && minutesBefore < policy.rescheduleCutoffHours * 60) {
+      throw new Error(`Lessons can only be rescheduled at least ${policy.rescheduleCutoffHours} hours before they start`);
+    }
+
+    const newStart = timeToMinutes(timeSlot.startTime);
+    const newEnd = timeToMinutes(timeSlot.endTime);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || newStart === null || newEnd === null || newEnd <= newStart) {
+      throw new Error("Invalid time slot");
+    }
+    const currentLength = (timeToMinutes(currentSlot.endTime) ?? 0) - (timeToMinutes(currentSlot.startTime) ?? 0);
+    if (currentLength > 0 && newEnd - newStart !== currentLength) {
+      throw new Error("The new time slot must be the same length as the original lesson");
+    }
+    if (date === bookingData["date"] && timeSlot.startTime === currentSlot.startTime) {
+      throw new Error("The booking is already at this time");
+    }
+    if (minutesUntilLesson(date, timeSlot.startTime, studioData) <= 0) {
+      throw new Error("The new time must be in the future");
+    }
+
+    const instructorId = bookingData["instructorId"] as string;
+    const conflict = await instructorAvailabilityService.findConflict(instructorId, date, timeSlot, bookingId);
+    if (conflict) throw new Error("This time slot is no longer available");
+
+    await db.runTransaction(async (tx) => {
+      const overlapping = await instructorAvailabilityService.hasOverlappingBooking(tx, instructorId, date, timeSlot, bookingId);
+      const current = await tx.get(ref);
+      if (overlapping) throw new Error("This time slot is no longer available");
+      const currentData = current.data() as Record<string, unknown>;
+      if (!["pending", "confirmed"].includes(currentData["status"] as string)) {
+        throw new Error("Only pending or confirmed bookings can be rescheduled");
       }
+      const entry = {
+        fromDate: currentData["date"],
+        fromTimeSlot: currentData["timeSlot"],
+        toDate: date,
+        toTimeSlot: { startTime: timeSlot.startTime, endTime: timeSlot.endTime },
+        rescheduledBy: actor.type,
+        reason,
+        rescheduledAt: new Date().toISOString(),
+      };
+      tx.update(ref, {
+        date,
+        timeSlot: { startTime: timeSlot.startTime, endTime: timeSlot.endTime },
+        rescheduleHistory: [...((currentData["rescheduleHistory"] as unknown[] | undefined) ?? []), entry],
+        rescheduleCount: ((currentData["rescheduleCount"] as number) || 0) + 1,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    const updated = await ref.get();
+    const booking = { id: updated.id, ...(updated.data() as Record<string, unknown>) };
+    this.notifyReschedule(booking, actor.type, bookingData["date"] as string, currentSlot)
+      .catch((err) => console.error("[rescheduleBooking] Failed to send reschedule notifications:", err));
+    return booking;
+  }
+
+  /** Tells whoever didn't make the change — the studio, or the student — plus the instructor if they're linked. */
+  private async notifyReschedule(
+    booking: Record<string, unknown> & { id: string },
+    movedBy: "student" | "studio",
+    fromDate: string,
+    fromSlot: TimeSlot,
+  ): Promise<void> {
+    const db = getFirestore();
+    const timeSlot = booking["timeSlot"] as TimeSlot;
+    const change = `from ${fromDate} at ${fromSlot.startTime} to ${booking["date"] as string} at ${timeSlot.startTime}`;
+    const title = "Private Lesson Rescheduled";
+    const notification = { type: "booking_rescheduled", title, refs: { bookingId: booking.id } };
+
+    if (movedBy === "student") {
+      const studentDoc = await db.collection("usersStudentProfiles").doc(booking["studentId"] as string).get();
+      const studentData = studentDoc.exists ? studentDoc.data() as Record<string, unknown> : {};
+      const studentName = [studentData["firstName"], studentData["lastName"]].filter(Boolean).join(" ") || "A student";
+      await notificationsService.createNotification(
+        booking["studioId"] as string, booking.id, "private_lesson_rescheduled", title,
+        `${studentName} moved their private lesson ${change}`,
+      );
+    } else if (booking["authUid"]) {
+      await notifyAppUser(booking["authUid"] as string, { ...notification, body: `Your private lesson was moved ${change}.` });
     }
 
-    await ref.update({ status: "cancelled", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    await notifyInstructor(booking["instructorId"] as string, {
+      ...notification, body: `A private lesson was moved ${change}.`,
+    });
   }
 
   async getBookingsByStudio(
@@ -338,7 +634,7 @@ export class BookingsService {
     bookingData: BookingData,
     user: { uid: string; email?: string | null },
     studentId: string,
-  ): Promise<{ clientSecret: string; paymentIntentId: string; connectedAccountId: string }> {
+  ): Promise<{ clientSecret: string; paymentIntentId: string; connectedAccountId: string | null }> {
     const isAvailable = await this.isTimeSlotAvailable(
       bookingData.instructorId,
       bookingData.date,
@@ -381,17 +677,18 @@ export class BookingsService {
     if (bookingData.contactInfo?.phone) metadata["contactPhone"] = bookingData.contactInfo.phone;
     if (bookingData.dependentId) metadata["dependentId"] = bookingData.dependentId;
 
-    const paymentIntent = await stripeService.createDirectPaymentIntent(
-      amountCents,
-      connectedAccountId,
-      applicationFeeAmount,
-      metadata,
-    );
+    // Instructors paid by split take the charge on the platform; everyone else is a direct charge.
+    const payoutSplit = await instructorPayoutsService.planSplit(bookingData.instructorId, connectedAccountId, amountCents);
+    const paymentIntent = payoutSplit
+      ? await stripeService.createPlatformPaymentIntent(amountCents, metadata, payoutSplit.transferGroup)
+      : await stripeService.createDirectPaymentIntent(amountCents, connectedAccountId, applicationFeeAmount, metadata);
 
     // Server-side record of which connected account this PaymentIntent lives on, so
     // /confirm-payment never has to trust a client-supplied connectedAccountId.
+    // Null means the platform.
     await db.collection("pendingPrivateLessonPaymentIntents").doc(paymentIntent.id).set({
-      connectedAccountId,
+      connectedAccountId: payoutSplit ? null : connectedAccountId,
+      payoutSplit,
       authUid: user.uid,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
     });
@@ -399,7 +696,7 @@ export class BookingsService {
     return {
       clientSecret: paymentIntent.client_secret as string,
       paymentIntentId: paymentIntent.id,
-      connectedAccountId,
+      connectedAccountId: payoutSplit ? null : connectedAccountId,
     };
   }
 
@@ -422,6 +719,8 @@ export class BookingsService {
     stripePaymentIntentId: string;
     stripeConnectedAccountId: string | null;
     dependentId?: string | null;
+    /** Present for platform charges whose shares are transferred to the instructor and studio. */
+    payoutSplit?: PayoutSplit | null;
   }): Promise<Record<string, unknown> & { id: string }> {
     const db = getFirestore();
 
@@ -441,7 +740,7 @@ export class BookingsService {
       studioId: params.studioId,
       date: params.date,
       timeSlot: params.timeSlot,
-      status: "pending",
+      status: await this.initialStatusFor(params.studioId),
       paymentStatus: "paid",
       stripePaymentIntentId: params.stripePaymentIntentId,
       stripeConnectedAccountId: params.stripeConnectedAccountId,
@@ -453,10 +752,13 @@ export class BookingsService {
       // ledger), so there's no identity resolution to change here, just
       // which family member this booking is actually for.
       dependentId: params.dependentId || null,
+      ...(params.payoutSplit ? { payoutSplit: params.payoutSplit } : {}),
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
     const bookingRef = await db.collection("privateLessonBookings").add(bookingDoc);
+    if (params.payoutSplit) await instructorPayoutsService.distribute(bookingRef.id);
+    if (bookingDoc.status === "confirmed") await this.notifyBookingConfirmed({ id: bookingRef.id, ...bookingDoc });
     return { id: bookingRef.id, ...bookingDoc };
   }
 
@@ -484,9 +786,11 @@ export class BookingsService {
 
     const pendingData = pendingDoc.data() as Record<string, unknown>;
     if (pendingData["authUid"] !== authUid) throw new Error("Access denied");
-    const connectedAccountId = pendingData["connectedAccountId"] as string;
+    const connectedAccountId = (pendingData["connectedAccountId"] as string | null) ?? null;
 
-    const paymentIntent = await stripeService.retrieveConnectedPaymentIntent(paymentIntentId, connectedAccountId);
+    const paymentIntent = connectedAccountId
+      ? await stripeService.retrieveConnectedPaymentIntent(paymentIntentId, connectedAccountId)
+      : await stripeService.retrievePaymentIntent(paymentIntentId);
     if (paymentIntent.status !== "succeeded") throw new Error("Payment not completed");
 
     const meta = (paymentIntent.metadata || {}) as Record<string, string>;
@@ -504,6 +808,7 @@ export class BookingsService {
       stripePaymentIntentId: paymentIntentId,
       stripeConnectedAccountId: connectedAccountId,
       dependentId: meta["dependentId"] || null,
+      payoutSplit: (pendingData["payoutSplit"] as PayoutSplit | null | undefined) ?? null,
     });
     await pendingDoc.ref.delete();
 
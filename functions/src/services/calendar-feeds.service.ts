@@ -0,0 +1,430 @@
+import * as admin from "firebase-admin";
+import * as crypto from "crypto";
+import authService from "./auth.service";
+import classExceptionsService, { addDays, toInstanceDay } from "./class-exceptions.service";
+import instructorAvailabilityService from "./instructor-availability.service";
+import { getFirestore } from "../utils/firestore";
+import { buildCalendar, IcalEvent, IcalTime } from "../utils/ical";
+import { studioTimezone, zonedTimeToDate } from "../utils/timezone";
+
+export type CalendarFeedKind = "student" | "instructor" | "studio";
+
+/** Whose schedule a feed shows. Instructor feeds are per studio link. */
+export interface CalendarFeedOwner {
+  kind: CalendarFeedKind;
+  authUid: string;
+  studioOwnerId: string | null;
+  instructorId: string | null;
+}
+
+export interface CalendarFeed {
+  token: string;
+  kind: CalendarFeedKind;
+  createdAt: string | null;
+  lastFetchedAt: string | null;
+}
+
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 120;
+const PRIVATE_LESSON_STATUSES = ["pending", "confirmed", "cancelled"];
+
+type ClassDoc = Record<string, unknown> & { id: string };
+
+function ownerKey(owner: CalendarFeedOwner): string {
+  if (owner.kind === "instructor") return `instructor_${owner.instructorId as string}`;
+  if (owner.kind === "studio") return `studio_${owner.studioOwnerId as string}`;
+  return `student_${owner.authUid}`;
+}
+
+function isoOf(value: unknown): string | null {
+  return value instanceof admin.firestore.Timestamp ? value.toDate().toISOString() : null;
+}
+
+function docToFeed(doc: FirebaseFirestore.DocumentSnapshot): CalendarFeed {
+  const data = doc.data() as Record<string, unknown>;
+  return {
+    token: doc.id,
+    kind: data["kind"] as CalendarFeedKind,
+    createdAt: isoOf(data["createdAt"]),
+    lastFetchedAt: isoOf(data["lastFetchedAt"]),
+  };
+}
+
+function toDate(raw: unknown): Date | null {
+  if (!raw) return null;
+  if (raw instanceof admin.firestore.Timestamp) return raw.toDate();
+  const date = new Date(raw as string);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function minutesToTime(minutes: number): string {
+  const clamped = Math.min(minutes, 23 * 60 + 59);
+  return `${String(Math.floor(clamped / 60)).padStart(2, "0")}:${String(clamped % 60).padStart(2, "0")}`;
+}
+
+/** A studio-local time as an instant, or floating when the studio's zone is unknown. */
+function studioTime(studio: Record<string, unknown> | null, date: string, time: string): IcalTime {
+  const zone = studioTimezone(studio ?? undefined);
+  return zone ? zonedTimeToDate(date, time, zone) : { date, time };
+}
+
+function fullName(data: Record<string, unknown> | undefined): string {
+  return data ? [data["firstName"], data["lastName"]].filter(Boolean).join(" ") : "";
+}
+
+function addressOf(data: Record<string, unknown>, prefix: "studio" | ""): string {
+  const line1 = prefix ? data["studioAddressLine1"] : data["addressLine1"];
+  const line2 = prefix ? data["studioAddressLine2"] : data["addressLine2"];
+  return [data["locationName"], line1, line2, data["city"], data["state"], data["zip"]]
+    .filter((part) => typeof part === "string" && part.trim())
+    .join(", ");
+}
+
+/** What the owner is shown: subscribe links (https and webcal) rather than the bare token. */
+export function describeFeed(feed: CalendarFeed, functionBaseUrl: string): Record<string, unknown> {
+  const url = `${functionBaseUrl}/${feed.token}.ics`;
+  return {
+    url,
+    webcalUrl: url.replace(/^https?:/, "webcal:"),
+    createdAt: feed.createdAt,
+    lastFetchedAt: feed.lastFetchedAt,
+  };
+}
+
+/** Studio and instructor docs read while building one feed, each fetched once. */
+class FeedLookups {
+  private studios = new Map<string, Record<string, unknown> | null>();
+  private instructors = new Map<string, Record<string, unknown> | null>();
+
+  async studio(studioOwnerId: string | undefined): Promise<Record<string, unknown> | null> {
+    if (!studioOwnerId) return null;
+    if (!this.studios.has(studioOwnerId)) {
+      const doc = await getFirestore().collection("users").doc(studioOwnerId).get();
+      this.studios.set(studioOwnerId, doc.exists ? doc.data() as Record<string, unknown> : null);
+    }
+    return this.studios.get(studioOwnerId) ?? null;
+  }
+
+  async instructor(instructorId: string | undefined): Promise<Record<string, unknown> | null> {
+    if (!instructorId) return null;
+    if (!this.instructors.has(instructorId)) {
+      const doc = await getFirestore().collection("instructors").doc(instructorId).get();
+      this.instructors.set(instructorId, doc.exists ? doc.data() as Record<string, unknown> : null);
+    }
+    return this.instructors.get(instructorId) ?? null;
+  }
+}
+
+/**
+ * Tokenized iCalendar feeds. The token in the URL is the only credential, so
+ * each owner has at most one live token; issuing a new one revokes the old.
+ * Feeds cover the last 30 and next 120 days and are rebuilt on every fetch,
+ * so cancellations, reschedules and substitutes show up on the next refresh.
+ */
+export class CalendarFeedsService {
+  async getFeed(owner: CalendarFeedOwner): Promise<CalendarFeed | null> {
+    const snapshot = await getFirestore().collection("calendarFeeds")
+      .where("ownerKey", "==", ownerKey(owner))
+      .where("revoked", "==", false)
+      .limit(1)
+      .get();
+    const doc = snapshot.docs[0];
+    return doc ? docToFeed(doc) : null;
+  }
+
+  /**
+   * A new token for the owner; any previous URL stops working. Revoking and issuing
+   * share a transaction so two concurrent requests can't leave two live tokens.
+   */
+  async issueFeed(owner: CalendarFeedOwner): Promise<CalendarFeed> {
+    const db = getFirestore();
+    const ref = db.collection("calendarFeeds").doc(crypto.randomBytes(24).toString("hex"));
+    await db.runTransaction(async (tx) => {
+      const live = await tx.get(db.collection("calendarFeeds")
+        .where("ownerKey", "==", ownerKey(owner))
+        .where("revoked", "==", false));
+      for (const doc of live.docs) {
+        tx.update(doc.ref, { revoked: true, revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+      tx.set(ref, {
+        ownerKey: ownerKey(owner),
+        kind: owner.kind,
+        authUid: owner.authUid,
+        studioOwnerId: owner.studioOwnerId,
+        instructorId: owner.instructorId,
+        revoked: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastFetchedAt: null,
+      });
+    });
+    return docToFeed(await ref.get());
+  }
+
+  async revokeFeed(owner: CalendarFeedOwner): Promise<number> {
+    const snapshot = await getFirestore().collection("calendarFeeds")
+      .where("ownerKey", "==", ownerKey(owner))
+      .where("revoked", "==", false)
+      .get();
+    for (const doc of snapshot.docs) {
+      await doc.ref.update({ revoked: true, revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+    return snapshot.size;
+  }
+
+  /** The .ics body for a token. Throws "not found" for unknown or revoked tokens. */
+  async renderFeed(token: string): Promise<string> {
+    const db = getFirestore();
+    const doc = /^[a-f0-9]{48}$/.test(token) ? await db.collection("calendarFeeds").doc(token).get() : null;
+    if (!doc?.exists || (doc.data() as Record<string, unknown>)["revoked"]) throw new Error("Calendar feed not found");
+    const feed = doc.data() as Record<string, unknown>;
+    const lookups = new FeedLookups();
+
+    const today = new Date().toISOString().slice(0, 10);
+    const fromDay = addDays(today, -FEED_PAST_DAYS);
+    const toDay = addDays(today, FEED_FUTURE_DAYS);
+    let name: string;
+    let events: IcalEvent[];
+    if (feed["kind"] === "studio") {
+      const studioOwnerId = feed["studioOwnerId"] as string;
+      name = ((await lookups.studio(studioOwnerId))?.["studioName"] as string) || "Studio schedule";
+      events = await this.studioEvents(lookups, studioOwnerId, fromDay, toDay);
+    } else if (feed["kind"] === "instructor") {
+      // Unlinking the instructor from the studio switches their feed off too.
+      const instructor = await lookups.instructor(feed["instructorId"] as string);
+      if (instructor?.["authUid"] !== feed["authUid"]) throw new Error("Calendar feed not found");
+      const studioName = (await lookups.studio(feed["studioOwnerId"] as string))?.["studioName"] as string | undefined;
+      name = studioName ? `Teaching at ${studioName}` : "Teaching schedule";
+      events = await this.instructorEvents(lookups, feed["instructorId"] as string, feed["studioOwnerId"] as string, fromDay, toDay);
+    } else {
+      name = "My DanceUp classes";
+      events = await this.studentEvents(lookups, feed["authUid"] as string, fromDay, toDay);
+    }
+
+    await doc.ref.update({ lastFetchedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return buildCalendar(name, events);
+  }
+
+  /** Classes the student booked or auto-checks in to, plus their workshops, events and privates. */
+  private async studentEvents(lookups: FeedLookups, authUid: string, fromDay: string, toDay: string): Promise<IcalEvent[]> {
+    const db = getFirestore();
+    const today = new Date().toISOString().slice(0, 10);
+    const fromTimestamp = admin.firestore.Timestamp.fromDate(new Date(`${fromDay}T00:00:00.000Z`));
+
+    // Booked instances, for the account holder and any dependents.
+    const bookedDays = new Map<string, Set<string>>();
+    const studentSnapshot = await db.collection("students").where("authUid", "==", authUid).get();
+    for (const studentDoc of studentSnapshot.docs) {
+      const attendance = await db.collection("attendance")
+        .where("studentId", "==", studentDoc.id)
+        .where("classInstanceDate", ">=", fromTimestamp)
+        .get();
+      for (const record of attendance.docs) {
+        const data = record.data() as Record<string, unknown>;
+        const day = toInstanceDay(data["classInstanceDate"]);
+        if (data["isRemoved"] || !data["classId"] || !day) continue;
+        if (!bookedDays.has(data["classId"] as string)) bookedDays.set(data["classId"] as string, new Set());
+        bookedDays.get(data["classId"] as string)!.add(day);
+      }
+    }
+
+    // Auto-check-in classes recur every week until the student turns it off.
+    const recurringClassIds = new Set<string>();
+    const profileDoc = await authService.getStudentProfileByAuthUid(authUid);
+    const profile = (profileDoc?.data() as Record<string, unknown> | undefined) ?? {};
+    const entries = (profile["autoCheckInEntries"] as Array<{ classId?: string }> | undefined) ?? [];
+    const legacyIds = (profile["autoCheckInClassIds"] as string[] | undefined) ?? [];
+    for (const classId of entries.length > 0 ? entries.map((entry) => entry.classId) : legacyIds) {
+      if (typeof classId === "string") recurringClassIds.add(classId);
+    }
+
+    const classes: ClassDoc[] = [];
+    for (const classId of new Set([...bookedDays.keys(), ...recurringClassIds])) {
+      const classDoc = await db.collection("classes").doc(classId).get();
+      if (classDoc.exists) classes.push({ id: classDoc.id, ...(classDoc.data() as Record<string, unknown>) });
+    }
+    const events: IcalEvent[] = [];
+    if (classes.length > 0) {
+      const exceptionsByClass = await classExceptionsService.getExceptionsInRange(classes.map((cls) => cls.id), fromDay, toDay);
+      for (const cls of classes) {
+        const exceptions = exceptionsByClass.get(cls.id) ?? new Map();
+        const seen = new Set<string>();
+        for (const day of bookedDays.get(cls.id) ?? []) {
+          seen.add(day);
+          events.push(await this.classEvent(lookups, cls, classExceptionsService.resolveInstance(cls, day, exceptions.get(day) ?? null)));
+        }
+        if (!recurringClassIds.has(cls.id) || !cls["isActive"]) continue;
+        for (const occurrence of classExceptionsService.getOccurrences(cls, today, toDay, exceptions)) {
+          if (!seen.has(occurrence.originalDate)) events.push(await this.classEvent(lookups, cls, occurrence));
+        }
+      }
+    }
+
+    for (const purchaseType of ["workshop", "event"] as const) {
+      const purchases = await db.collection("purchases")
+        .where("authUid", "==", authUid)
+        .where("purchaseType", "==", purchaseType)
+        .where("status", "==", "completed")
+        .get();
+      const itemIds = new Set(purchases.docs.map((doc) => doc.data()["itemId"] as string).filter(Boolean));
+      for (const itemId of itemIds) {
+        const itemDoc = await db.collection(purchaseType === "workshop" ? "workshops" : "events").doc(itemId).get();
+        if (!itemDoc.exists) continue;
+        const event = this.datedItemEvent(purchaseType, itemDoc.id, itemDoc.data() as Record<string, unknown>, fromDay, toDay);
+        if (event) events.push(event);
+      }
+    }
+
+    const bookings = await db.collection("privateLessonBookings").where("authUid", "==", authUid).get();
+    for (const doc of bookings.docs) {
+      const booking = doc.data() as Record<string, unknown>;
+      const date = booking["date"] as string;
+      if (!date || date < fromDay || date > toDay || !PRIVATE_LESSON_STATUSES.includes(booking["status"] as string)) continue;
+      const instructor = await lookups.instructor(booking["instructorId"] as string);
+      const event = await this.privateLessonEvent(lookups, doc.id, booking, `Private lesson with ${fullName(instructor ?? undefined) || "your instructor"}`);
+      if (event) events.push(event);
+    }
+    return events;
+  }
+
+  /**
+   * Everything the instructor teaches — the same commitments private lesson
+   * availability is worked out from, minus their own blackouts.
+   */
+  private async instructorEvents(
+    lookups: FeedLookups, instructorId: string, studioOwnerId: string, fromDay: string, toDay: string,
+  ): Promise<IcalEvent[]> {
+    const { busyByDate } = await instructorAvailabilityService.getSchedule(instructorId, fromDay, toDay);
+    const studio = await lookups.studio(studioOwnerId);
+    const location = studio ? addressOf(studio, "studio") || (studio["studioName"] as string) || null : null;
+
+    const events: IcalEvent[] = [];
+    for (const intervals of busyByDate.values()) {
+      for (const busy of intervals) {
+        if (busy.source === "blackout") continue;
+        const label = busy.label || (busy.source === "booking" ? "Private lesson" : busy.source);
+        events.push({
+          uid: `${busy.source}-${busy.sourceId ?? "slot"}-${busy.date}-${busy.start}@danceup`,
+          summary: busy.source === "class" ? `Teach: ${label}` : label,
+          start: studioTime(studio, busy.date, minutesToTime(busy.start)),
+          end: studioTime(studio, busy.date, minutesToTime(busy.end)),
+          location,
+        });
+      }
+    }
+    return events;
+  }
+
+  /** The studio's whole timetable: class occurrences (cancelled ones marked), workshops, events and privates. */
+  private async studioEvents(lookups: FeedLookups, studioOwnerId: string, fromDay: string, toDay: string): Promise<IcalEvent[]> {
+    const db = getFirestore();
+    const events: IcalEvent[] = [];
+
+    const classSnapshot = await db.collection("classes")
+      .where("studioOwnerId", "==", studioOwnerId)
+      .where("isActive", "==", true)
+      .get();
+    const classes = classSnapshot.docs.map((doc): ClassDoc => ({ id: doc.id, ...(doc.data() as Record<string, unknown>) }));
+    if (classes.length > 0) {
+      const exceptionsByClass = await classExceptionsService.getExceptionsInRange(classes.map((cls) => cls.id), fromDay, toDay);
+      for (const cls of classes) {
+        for (const occurrence of classExceptionsService.getOccurrences(cls, fromDay, toDay, exceptionsByClass.get(cls.id))) {
+          events.push(await this.classEvent(lookups, cls, occurrence));
+        }
+      }
+    }
+
+    for (const collection of ["workshops", "events"] as const) {
+      const snapshot = await db.collection(collection).where("studioOwnerId", "==", studioOwnerId).get();
+      for (const doc of snapshot.docs) {
+        const event = this.datedItemEvent(
+          collection === "workshops" ? "workshop" : "event", doc.id, doc.data() as Record<string, unknown>, fromDay, toDay,
+        );
+        if (event) events.push(event);
+      }
+    }
+
+    const bookings = await db.collection("privateLessonBookings")
+      .where("studioId", "==", studioOwnerId)
+      .where("date", ">=", fromDay)
+      .where("date", "<=", toDay)
+      .get();
+    for (const doc of bookings.docs) {
+      const booking = doc.data() as Record<string, unknown>;
+      if (!PRIVATE_LESSON_STATUSES.includes(booking["status"] as string)) continue;
+      const instructor = await lookups.instructor(booking["instructorId"] as string);
+      const event = await this.privateLessonEvent(lookups, doc.id, booking, `Private lesson — ${fullName(instructor ?? undefined) || "Instructor"}`);
+      if (event) events.push(event);
+    }
+    return events;
+  }
+
+  private async classEvent(
+    lookups: FeedLookups, cls: ClassDoc, instance: ReturnType<typeof classExceptionsService.resolveInstance>,
+  ): Promise<IcalEvent> {
+    const studio = await lookups.studio(cls["studioOwnerId"] as string);
+    const instructors: string[] = [];
+    for (const instructorId of instance.instructorIds) {
+      const name = fullName((await lookups.instructor(instructorId)) ?? undefined);
+      if (name) instructors.push(name);
+    }
+    const notes = [
+      studio?.["studioName"] as string | undefined,
+      instructors.length ? `Taught by ${instructors.join(" & ")}` : null,
+      instance.substitute ? `Substitute: ${instance.substitute.instructorName}` : null,
+      instance.room ? `Room: ${instance.room}` : null,
+      instance.reason,
+    ].filter(Boolean).join("\n");
+    return {
+      uid: `class-${cls.id}-${instance.originalDate}@danceup`,
+      summary: instance.status === "cancelled"
+        ? `Cancelled: ${(cls["name"] as string) || "Class"}`
+        : (cls["name"] as string) || "Class",
+      start: studioTime(studio, instance.date, instance.startTime),
+      end: studioTime(studio, instance.date, instance.endTime > instance.startTime ? instance.endTime : instance.startTime),
+      description: notes || null,
+      location: studio ? addressOf(studio, "studio") || null : null,
+      status: instance.status === "cancelled" ? "CANCELLED" : "CONFIRMED",
+    };
+  }
+
+  private datedItemEvent(
+    kind: "workshop" | "event", id: string, data: Record<string, unknown>, fromDay: string, toDay: string,
+  ): IcalEvent | null {
+    const start = toDate(data["startTime"]);
+    if (!start) return null;
+    const end = toDate(data["endTime"]) ?? new Date(start.getTime() + 60 * 60 * 1000);
+    const day = start.toISOString().slice(0, 10);
+    if (end.toISOString().slice(0, 10) < fromDay || day > toDay) return null;
+    return {
+      uid: `${kind}-${id}@danceup`,
+      summary: (data["name"] as string) || (kind === "workshop" ? "Workshop" : "Event"),
+      start,
+      end,
+      location: addressOf(data, "") || null,
+      status: data["status"] === "cancelled" ? "CANCELLED" : "CONFIRMED",
+    };
+  }
+
+  private async privateLessonEvent(
+    lookups: FeedLookups, bookingId: string, booking: Record<string, unknown>, summary: string,
+  ): Promise<IcalEvent | null> {
+    const timeSlot = booking["timeSlot"] as { startTime?: string; endTime?: string } | undefined;
+    if (!timeSlot?.startTime) return null;
+    const [hours, minutes] = timeSlot.startTime.split(":").map(Number);
+    // Old bookings without an end time held a one-hour slot.
+    const endTime = timeSlot.endTime ?? minutesToTime((hours ?? 0) * 60 + (minutes ?? 0) + 60);
+    const studio = await lookups.studio(booking["studioId"] as string);
+    const status = booking["status"] as string;
+    return {
+      uid: `private-${bookingId}@danceup`,
+      summary: status === "cancelled" ? `Cancelled: ${summary}` : summary,
+      start: studioTime(studio, booking["date"] as string, timeSlot.startTime),
+      end: studioTime(studio, booking["date"] as string, endTime),
+      description: status === "pending" ? "Awaiting confirmation" : null,
+      location: studio ? addressOf(studio, "studio") || null : null,
+      status: status === "cancelled" ? "CANCELLED" : status === "pending" ? "TENTATIVE" : "CONFIRMED",
+    };
+  }
+}
+
+export default new CalendarFeedsService();
@@ -0,0 +1,482 @@
+import * as admin from "firebase-admin";
+import { getFirestore } from "../utils/firestore";
+import { validateTimeFormat } from "../utils/validation";
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const DAY_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_CANCEL_RANGE_DAYS = 62;
+
+export type ClassInstanceStatus = "scheduled" | "cancelled" | "rescheduled" | "modified";
+
+/** Who is covering an occurrence for an absent instructor, so schedules and attendance can say so. */
+export interface ClassSubstitute {
+  instructorId: string;
+  instructorName: string;
+  replacedInstructorId: string;
+  requestId: string | null;
+}
+
+/**
+ * Override for a single occurrence of a weekly class. `instanceDate` is the
+ * occurrence's original calendar day and is what identifies the instance
+ * everywhere else (attendance, waitlists), even after it is rescheduled.
+ */
+export interface ClassException {
+  id: string;
+  classId: string;
+  studioOwnerId: string;
+  instanceDate: string;
+  cancelled: boolean;
+  reason: string | null;
+  rescheduledDate: string | null;
+  startTime: string | null;
+  endTime: string | null;
+  instructorIds: string[] | null;
+  room: string | null;
+  closureId?: string | null;
+  substitute?: ClassSubstitute | null;
+}
+
+export interface ClassExceptionInput {
+  cancelled?: boolean;
+  reason?: string | null;
+  rescheduledDate?: string | null;
+  startTime?: string | null;
+  endTime?: string | null;
+  instructorIds?: string[] | null;
+  room?: string | null;
+  closureId?: string | null;
+  substitute?: ClassSubstitute | null;
+}
+
+/** One occurrence of a class after its exception (if any) has been applied. */
+export interface EffectiveClassInstance {
+  classId: string;
+  originalDate: string;
+  date: string;
+  startTime: string;
+  endTime: string;
+  instructorIds: string[];
+  room: string | null;
+  substitute: ClassSubstitute | null;
+  status: ClassInstanceStatus;
+  reason: string | null;
+  startsAt: Date;
+}
+
+/** Calendar day (YYYY-MM-DD) for a Timestamp, Date or date string, in the same frame as attendance check-in keys. */
+export function toInstanceDay(value: unknown): string | null {
+  if (!value) return null;
+  if (typeof value === "string" && DAY_KEY_RE.test(value)) return value;
+  let d: Date;
+  if (typeof value === "object" && value !== null && "toDate" in value) {
+    d = (value as { toDate(): Date }).toDate();
+  } else {
+    d = new Date(value as string);
+  }
+  if (isNaN(d.getTime())) return null;
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+export function addDays(day: string, days: number): string {
+  const d = new Date(`${day}T12:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Throws unless [fromDay, toDay] is a well-formed range no longer than a bulk cancellation allows. */
+export function validateDayRange(fromDay: string, toDay: string): void {
+  if (!DAY_KEY_RE.test(fromDay) || !DAY_KEY_RE.test(toDay)) throw new Error("Dates must be in YYYY-MM-DD format");
+  if (toDay < fromDay) throw new Error("endDate must not be before startDate");
+  if (addDays(fromDay, MAX_CANCEL_RANGE_DAYS) < toDay) {
+    throw new Error(`Date range cannot exceed ${MAX_CANCEL_RANGE_DAYS} days`);
+  }
+}
+
+export function dayOfWeekFor(day: string): string {
+  return DAY_NAMES[new Date(`${day}T12:00:00.000Z`).getUTCDay()] as string;
+}
+
+function startsAtFor(day: string, time: string): Date {
+  const [y, m, d] = day.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  return new Date(y ?? 0, (m ?? 1) - 1, d ?? 1, hh ?? 0, mm ?? 0, 0, 0);
+}
+
+/** Whether an exception still differs from the regular occurrence; one that doesn't needn't be stored. */
+function hasChange(exception: Omit<ClassException, "id">): boolean {
+  return exception.cancelled || !!exception.rescheduledDate || !!exception.startTime || !!exception.endTime ||
+    !!exception.instructorIds || !!exception.room;
+}
+
+function exceptionId(classId: string, day: string): string {
+  return `${classId}_${day}`;
+}
+
+function docToException(doc: FirebaseFirestore.DocumentSnapshot): ClassException {
+  const data = doc.data() as Record<string, unknown>;
+  return {
+    id: doc.id,
+    classId: data["classId"] as string,
+    studioOwnerId: data["studioOwnerId"] as string,
+    instanceDate: data["instanceDate"] as string,
+    cancelled: !!data["cancelled"],
+    reason: (data["reason"] as string | null) ?? null,
+    rescheduledDate: (data["rescheduledDate"] as string | null) ?? null,
+    startTime: (data["startTime"] as string | null) ?? null,
+    endTime: (data["endTime"] as string | null) ?? null,
+    instructorIds: (data["instructorIds"] as string[] | null) ?? null,
+    room: (data["room"] as string | null) ?? null,
+    substitute: (data["substitute"] as ClassSubstitute | null) ?? null,
+    closureId: (data["closureId"] as string | null) ?? null,
+  };
+}
+
+export class ClassExceptionsService {
+  async getException(classId: string, day: string): Promise<ClassException | null> {
+    const db = getFirestore();
+    const doc = await db.collection("classExceptions").doc(exceptionId(classId, day)).get();
+    return doc.exists ? docToException(doc) : null;
+  }
+
+  /** The exception whose instance was moved onto `day`, if any. */
+  async getRescheduledInto(classId: string, day: string): Promise<ClassException | null> {
+    const db = getFirestore();
+    const snapshot = await db.collection("classExceptions")
+      .where("classId", "==", classId)
+      .where("rescheduledDate", "==", day)
+      .limit(1)
+      .get();
+    const first = snapshot.docs[0];
+    return first ? docToException(first) : null;
+  }
+
+  /**
+   * Exceptions whose original day or rescheduled day falls in [fromDay, toDay],
+   * keyed by classId then original day.
+   */
+  async getExceptionsInRange(
+    classIds: string[], fromDay: string, toDay: string,
+  ): Promise<Map<string, Map<string, ClassException>>> {
+    const queries: FirebaseFirestore.Query[] = [];
+    for (let i = 0; i < classIds.length; i += 10) {
+      queries.push(getFirestore().collection("classExceptions").where("classId", "in", classIds.slice(i, i + 10)));
+    }
+    return this.collectInRange(queries, fromDay, toDay);
+  }
+
+  /** Same as getExceptionsInRange, for every class of the given studios — fewer queries for public listings. */
+  async getStudioExceptionsInRange(
+    studioOwnerIds: string[], fromDay: string, toDay: string,
+  ): Promise<Map<string, Map<string, ClassException>>> {
+    const queries: FirebaseFirestore.Query[] = [];
+    for (let i = 0; i < studioOwnerIds.length; i += 10) {
+      queries.push(getFirestore().collection("classExceptions").where("studioOwnerId", "in", studioOwnerIds.slice(i, i + 10)));
+    }
+    return this.collectInRange(queries, fromDay, toDay);
+  }
+
+  /** Applies an exception (or none) to the class's regular occurrence on `originalDay`. */
+  resolveInstance(
+    classData: Record<string, unknown> & { id: string }, originalDay: string, exception: ClassException | null,
+  ): EffectiveClassInstance {
+    const startTime = exception?.startTime || (classData["startTime"] as string) || "00:00";
+    const endTime = exception?.endTime || (classData["endTime"] as string) || startTime;
+    const date = exception?.rescheduledDate || originalDay;
+
+    let status: ClassInstanceStatus = "scheduled";
+    if (exception?.cancelled) status = "cancelled";
+    else if (exception?.rescheduledDate || exception?.startTime || exception?.endTime) status = "rescheduled";
+    else if (exception) status = "modified";
+
+    return {
+      classId: classData.id,
+      originalDate: originalDay,
+      date,
+      startTime,
+      endTime,
+      instructorIds: exception?.instructorIds ?? ((classData["instructorIds"] as string[] | undefined) ?? []),
+      room: exception?.room ?? ((classData["room"] as string | undefined) || null),
+      substitute: exception?.substitute ?? null,
+      status,
+      reason: exception?.reason ?? null,
+      startsAt: startsAtFor(date, startTime),
+    };
+  }
+
+  /**
+   * Every effective occurrence of a weekly class whose actual day falls in
+   * [fromDay, toDay], cancelled ones included, ordered by start time.
+   */
+  getOccurrences(
+    classData: Record<string, unknown> & { id: string },
+    fromDay: string,
+    toDay: string,
+    exceptions: Map<string, ClassException> = new Map(),
+  ): EffectiveClassInstance[] {
+    const dayOfWeek = classData["dayOfWeek"] as string | undefined;
+    if (!dayOfWeek || !DAY_NAMES.includes(dayOfWeek)) return [];
+
+    const occurrences: EffectiveClassInstance[] = [];
+    const seen = new Set<string>();
+    for (let day = fromDay; day <= toDay; day = addDays(day, 1)) {
+      if (dayOfWeekFor(day) !== dayOfWeek) continue;
+      const instance = this.resolveInstance(classData, day, exceptions.get(day) ?? null);
+      seen.add(day);
+      if (instance.date >= fromDay && instance.date <= toDay) occurrences.push(instance);
+    }
+    // Occurrences moved into the range from outside it.
+    for (const ex of exceptions.values()) {
+      if (seen.has(ex.instanceDate) || !ex.rescheduledDate) continue;
+      if (ex.rescheduledDate < fromDay || ex.rescheduledDate > toDay) continue;
+      occurrences.push(this.resolveInstance(classData, ex.instanceDate, ex));
+    }
+    return occurrences.sort((a, b) => a.startsAt.getTime() - b.startsAt.getTime());
+  }
+
+  /**
+   * The occurrence actually taking place on `day` — the regular one unless it was
+   * cancelled or moved away, or one moved onto this day. Null when nothing runs.
+   */
+  async getInstanceOn(
+    classData: Record<string, unknown> & { id: string }, day: string,
+  ): Promise<EffectiveClassInstance | null> {
+    const movedIn = await this.getRescheduledInto(classData.id, day);
+    if (movedIn && !movedIn.cancelled) return this.resolveInstance(classData, movedIn.instanceDate, movedIn);
+
+    if (dayOfWeekFor(day) !== classData["dayOfWeek"]) return null;
+    const instance = this.resolveInstance(classData, day, await this.getException(classData.id, day));
+    if (instance.status === "cancelled" || instance.date !== day) return null;
+    return instance;
+  }
+
+  /**
+   * Maps a booking date to the instance it belongs to: a date an occurrence was
+   * rescheduled onto resolves to that occurrence's original day. Throws when
+   * the instance is cancelled.
+   */
+  async resolveBookableDay(classId: string, classInstanceDate: unknown): Promise<string> {
+    const day = toInstanceDay(classInstanceDate);
+    if (!day) throw new Error("Invalid classInstanceDate format");
+
+    const direct = await this.getException(classId, day);
+    if (direct?.cancelled) throw new Error("This class instance has been cancelled");
+    if (direct) return day;
+
+    const movedIn = await this.getRescheduledInto(classId, day);
+    if (movedIn?.cancelled) throw new Error("This class instance has been cancelled");
+    return movedIn ? movedIn.instanceDate : day;
+  }
+
+  async isInstanceCancelled(classId: string, classInstanceDate: unknown): Promise<boolean> {
+    const day = toInstanceDay(classInstanceDate);
+    if (!day) return false;
+    return !!(await this.getException(classId, day))?.cancelled;
+  }
+
+  async listExceptions(
+    classId: string, studioOwnerId: string, fromDay?: string, toDay?: string,
+  ): Promise<ClassException[]> {
+    const db = getFirestore();
+    const classDoc = await db.collection("classes").doc(classId).get();
+    if (!classDoc.exists) throw new Error("Class not found");
+    if ((classDoc.data() as Record<string, unknown>)["studioOwnerId"] !== studioOwnerId) {
+      throw new Error("Access denied: Class does not belong to this studio owner");
+    }
+
+    let query = db.collection("classExceptions").where("classId", "==", classId) as FirebaseFirestore.Query;
+    if (fromDay) query = query.where("instanceDate", ">=", fromDay);
+    if (toDay) query = query.where("instanceDate", "<=", toDay);
+    const snapshot = await query.orderBy("instanceDate", "asc").get();
+    return snapshot.docs.map(docToException);
+  }
+
+  /**
+   * Creates or updates the exception for one occurrence. Fields left undefined
+   * keep their saved value and null clears them, so a cancellation doesn't undo
+   * a reschedule, room change or substitute already on the instance. Returns
+   * the saved exception together with the one it replaced so callers can tell
+   * whether the instance has just been cancelled or lost its substitute.
+   */
+  async setException(
+    classId: string, studioOwnerId: string, day: string, input: ClassExceptionInput, actorUid: string,
+  ): Promise<{ exception: ClassException; previous: ClassException | null; classData: Record<string, unknown> & { id: string } }> {
+    const db = getFirestore();
+    const classDoc = await db.collection("classes").doc(classId).get();
+    if (!classDoc.exists) throw new Error("Class not found");
+    const classData: Record<string, unknown> & { id: string } = { id: classDoc.id, ...(classDoc.data() as Record<string, unknown>) };
+    if (classData["studioOwnerId"] !== studioOwnerId) {
+      throw new Error("Access denied: Class does not belong to this studio owner");
+    }
+
+    if (!DAY_KEY_RE.test(day)) throw new Error("Instance date must be in YYYY-MM-DD format");
+    if (dayOfWeekFor(day) !== classData["dayOfWeek"]) {
+      throw new Error(`Instance date does not match the class schedule (${classData["dayOfWeek"] as string})`);
+    }
+    if (input.rescheduledDate != null && !DAY_KEY_RE.test(input.rescheduledDate)) {
+      throw new Error("rescheduledDate must be in YYYY-MM-DD format");
+    }
+    for (const time of [input.startTime, input.endTime]) {
+      if (time == null) continue;
+      const check = validateTimeFormat(time);
+      if (!check.valid) throw new Error(check.message);
+    }
+    if (input.instructorIds != null) {
+      if (!Array.isArray(input.instructorIds) || input.instructorIds.some((id) => typeof id !== "string")) {
+        throw new Error("instructorIds must be an array of strings");
+      }
+      for (const instructorId of input.instructorIds) {
+        const instructorDoc = await db.collection("instructors").doc(instructorId).get();
+        if (!instructorDoc.exists || (instructorDoc.data() as Record<string, unknown>)["studioOwnerId"] !== studioOwnerId) {
+          throw new Error(`Instructor ${instructorId} not found for this studio`);
+        }
+      }
+    }
+
+    const ref = db.collection("classExceptions").doc(exceptionId(classId, day));
+    const previousDoc = await ref.get();
+    const previous = previousDoc.exists ? docToException(previousDoc) : null;
+    const text = (value: string | null | undefined, saved: string | null | undefined) =>
+      value !== undefined ? value?.trim() || null : saved ?? null;
+
+    const rescheduledDate = text(input.rescheduledDate, previous?.rescheduledDate);
+    const instructorIds = input.instructorIds !== undefined ? input.instructorIds : previous?.instructorIds ?? null;
+    const substitute = input.substitute !== undefined ? input.substitute : previous?.substitute ?? null;
+    const record = {
+      classId,
+      studioOwnerId,
+      instanceDate: day,
+      cancelled: input.cancelled !== undefined ? !!input.cancelled : !!previous?.cancelled,
+      reason: text(input.reason, previous?.reason),
+      rescheduledDate: rescheduledDate !== day ? rescheduledDate : null,
+      startTime: text(input.startTime, previous?.startTime),
+      endTime: text(input.endTime, previous?.endTime),
+      instructorIds,
+      room: text(input.room, previous?.room),
+      closureId: input.closureId !== undefined ? input.closureId : previous?.closureId ?? null,
+      // A substitute only stands while they're still among the instance's instructors.
+      substitute: substitute && instructorIds?.includes(substitute.instructorId) ? substitute : null,
+    };
+    if (!hasChange(record)) throw new Error("Exception must cancel, reschedule, substitute or change the room");
+
+    const closing = !!record.closureId && record.closureId !== previous?.closureId;
+    await ref.set({
+      ...record,
+      // What a closure's cancellation replaced, so deleting the closure can put it back.
+      ...(closing ? { beforeClosure: { reason: previous?.reason ?? null } } : {}),
+      updatedBy: actorUid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(previous ? {} : { createdBy: actorUid, createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+    }, { merge: true });
+
+    return { exception: { id: ref.id, ...record }, previous, classData };
+  }
+
+  /**
+   * Cancels every regular occurrence of the studio's active classes between
+   * fromDay and toDay (inclusive) — used for holiday closures.
+   */
+  async cancelRange(
+    studioOwnerId: string,
+    fromDay: string,
+    toDay: string,
+    reason: string | null,
+    actorUid: string,
+    options: { classIds?: string[]; closureId?: string | null } = {},
+  ): Promise<Array<{ exception: ClassException; previous: ClassException | null; classData: Record<string, unknown> & { id: string } }>> {
+    validateDayRange(fromDay, toDay);
+
+    const db = getFirestore();
+    const snapshot = await db.collection("classes")
+      .where("studioOwnerId", "==", studioOwnerId)
+      .where("isActive", "==", true)
+      .get();
+    const classes = snapshot.docs
+      .map((doc) => ({ id: doc.id, ...(doc.data() as Record<string, unknown>) }))
+      .filter((cls) => !options.classIds || options.classIds.includes(cls.id));
+
+    // Instances that are already cancelled keep their own reason (and closure, if any).
+    const existing = await this.getExceptionsInRange(classes.map((cls) => cls.id), fromDay, toDay);
+    const results = [];
+    for (const cls of classes) {
+      for (const occurrence of this.getOccurrences(cls, fromDay, toDay)) {
+        if (existing.get(cls.id)?.get(occurrence.originalDate)?.cancelled) continue;
+        results.push(await this.setException(
+          cls.id, studioOwnerId, occurrence.originalDate,
+          { cancelled: true, reason, ...(options.closureId ? { closureId: options.closureId } : {}) },
+          actorUid,
+        ));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Undoes a closure's cancellation of one occurrence. The reason it had before
+   * comes back and any reschedule, room or substitute on it is kept; the
+   * exception is only deleted when the closure was all there was to it.
+   * Returns false when the occurrence isn't (or is no longer) the closure's.
+   */
+  async liftClosure(classId: string, day: string, closureId: string): Promise<boolean> {
+    const db = getFirestore();
+    const ref = db.collection("classExceptions").doc(exceptionId(classId, day));
+    return db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists || doc.data()?.["closureId"] !== closureId) return false;
+      const exception = docToException(doc);
+      const before = doc.data()?.["beforeClosure"] as { reason: string | null } | undefined;
+      if (!hasChange({ ...exception, cancelled: false })) {
+        tx.delete(ref);
+      } else {
+        tx.update(ref, {
+          cancelled: false,
+          reason: before?.reason ?? null,
+          closureId: null,
+          beforeClosure: admin.firestore.FieldValue.delete(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      return true;
+    });
+  }
+
+  /** Puts the occurrence back on its regular schedule. Credits restored on cancellation are not re-spent. */
+  async removeException(classId: string, studioOwnerId: string, day: string): Promise<ClassException> {
+    const db = getFirestore();
+    const ref = db.collection("classExceptions").doc(exceptionId(classId, day));
+    const doc = await ref.get();
+    if (!doc.exists) throw new Error("Class exception not found");
+    const exception = docToException(doc);
+    if (exception.studioOwnerId !== studioOwnerId) {
+      throw new Error("Access denied: Class exception does not belong to this studio owner");
+    }
+    await ref.delete();
+    return exception;
+  }
+
+  private async collectInRange(
+    queries: FirebaseFirestore.Query[], fromDay: string, toDay: string,
+  ): Promise<Map<string, Map<string, ClassException>>> {
+    const result = new Map<string, Map<string, ClassException>>();
+    // Reschedules rarely move an occurrence more than a month, so look back that far for moves into the range.
+    const queryFrom = addDays(fromDay, -31);
+    const queryTo = addDays(toDay, 31);
+
+    for (const query of queries) {
+      const snapshot = await query
+        .where("instanceDate", ">=", queryFrom)
+        .where("instanceDate", "<=", queryTo)
+        .get();
+      for (const doc of snapshot.docs) {
+        const ex = docToException(doc);
+        const inRange = (day: string | null) => !!day && day >= fromDay && day <= toDay;
+        if (!inRange(ex.instanceDate) && !inRange(ex.rescheduledDate)) continue;
+        if (!result.has(ex.classId)) result.set(ex.classId, new Map());
+        result.get(ex.classId)!.set(ex.instanceDate, ex);
+      }
+    }
+    return result;
+  }
+}
+
+export default new ClassExceptionsService();
@@ -0,0 +1,170 @@
+import attendanceService from "./attendance.service";
+import authService from "./auth.service";
+import classExceptionsService from "./class-exceptions.service";
+import type { ClassException } from "./class-exceptions.service";
+import waitlistPromotionService from "./waitlist-promotion.service";
+import { sendClassInstanceUpdateEmail } from "./sendgrid.service";
+import { notifyAppUser } from "../utils/push-notifications";
+import { getFirestore } from "../utils/firestore";
+
+export interface InstanceChangeResult {
+  attendanceRemoved: number;
+  waitlistClosed: number;
+  notified: number;
+}
+
+/** How far back to look for auto-check-in subscribers among the class's attendees. */
+const AUTO_CHECK_IN_LOOKBACK_DAYS = 35;
+
+function formatDay(day: string): string {
+  return new Date(`${day}T12:00:00.000Z`).toLocaleDateString("en-US", {
+    weekday: "long", month: "long", day: "numeric", timeZone: "UTC",
+  });
+}
+
+function formatTime(time: string): string {
+  const [h, m] = time.split(":").map(Number);
+  const hours = h ?? 0;
+  return `${hours % 12 || 12}:${String(m ?? 0).padStart(2, "0")} ${hours < 12 ? "AM" : "PM"}`;
+}
+
+/**
+ * Side effects of a class-instance exception: cancelling an instance removes its
+ * attendance (restoring the credits spent on it) and closes its waitlist, and
+ * any change is pushed to booked, waitlisted and auto-check-in students.
+ */
+export class ClassInstanceChangesService {
+  async applyException(
+    exception: ClassException,
+    previous: ClassException | null,
+    classData: Record<string, unknown> & { id: string },
+  ): Promise<InstanceChangeResult> {
+    const db = getFirestore();
+    const classId = classData.id;
+    const studioOwnerId = classData["studioOwnerId"] as string;
+    const day = exception.instanceDate;
+
+    const attendance = await attendanceService.getInstanceAttendance(classId, day);
+    const bookedStudentIds = new Set(attendance.map((record) => record["studentId"] as string));
+    const result: InstanceChangeResult = { attendanceRemoved: 0, waitlistClosed: 0, notified: 0 };
+    let waitlistedStudentIds: string[] = [];
+
+    if (exception.cancelled && !previous?.cancelled) {
+      for (const record of attendance) {
+        try {
+          await attendanceService.removeAttendanceRecord(record.id, studioOwnerId, "Class cancelled");
+          result.attendanceRemoved++;
+        } catch (err) {
+          console.error(`[ClassException] Failed to remove attendance ${record.id}:`, (err as Error).message);
+        }
+      }
+      const closed = await waitlistPromotionService.closeInstanceEntries(classId, day, "cancelled");
+      result.waitlistClosed = closed.length;
+      waitlistedStudentIds = closed.map((entry) => entry["studentId"] as string);
+    } else {
+      const entries = await waitlistPromotionService.getInstanceEntries(classId, new Date(`${day}T12:00:00.000Z`));
+      waitlistedStudentIds = entries.map((entry) => entry["studentId"] as string);
+    }
+
+    const studioDoc = await db.collection("users").doc(studioOwnerId).get();
+    const studioName = studioDoc.exists ? ((studioDoc.data() as Record<string, unknown>)["studioName"] as string) || "the studio" : "the studio";
+    const className = (classData["name"] as string) || "your class";
+    const { title, detail } = await this.describeChange(exception, classData, result.attendanceRemoved > 0);
+    const body = `${className} on ${formatDay(day)}: ${detail}`;
+
+    // Students are notified once per account, even when self and dependents are all affected.
+    const notifiedAuthUids = new Set<string>();
+    const notify = async (authUid: string): Promise<void> => {
+      if (notifiedAuthUids.has(authUid)) return;
+      notifiedAuthUids.add(authUid);
+      await notifyAppUser(authUid, {
+        type: exception.cancelled ? "class_cancelled" : "class_changed",
+        title,
+        body,
+        refs: { classId, classInstanceDate: day },
+      });
+    };
+
+    for (const studentId of new Set([...bookedStudentIds, ...waitlistedStudentIds])) {
+      try {
+        const studentDoc = await db.collection("students").doc(studentId).get();
+        if (!studentDoc.exists) continue;
+        const studentData = studentDoc.data() as Record<string, unknown>;
+        const authUid = studentData["authUid"] as string | undefined;
+        if (authUid) await notify(authUid);
+        if (bookedStudentIds.has(studentId) && studentData["email"]) {
+          await sendClassInstanceUpdateEmail(
+            studentData["email"] as string,
+            (studentData["firstName"] as string) || "there",
+            className,
+            studioName,
+            title,
+            `${formatDay(day)}: ${detail}`,
+          );
+        }
+      } catch (err) {
+        console.error(`[ClassException] Failed to notify student ${studentId}:`, (err as Error).message);
+      }
+    }
+
+    // Auto-check-in subscribers may not have a record for this instance yet. Auto-check-in
+    // books them every week, so they are among the class's recent attendees.
+    const recentStudentIds = await attendanceService.getRecentAttendeeIds(classId, day, AUTO_CHECK_IN_LOOKBACK_DAYS);
+    const checkedAuthUids = new Set<string>();
+    for (const studentId of recentStudentIds) {
+      try {
+        const studentDoc = await db.collection("students").doc(studentId).get();
+        const authUid = studentDoc.exists ? (studentDoc.data() as Record<string, unknown>)["authUid"] as string | undefined : undefined;
+        if (!authUid || notifiedAuthUids.has(authUid) || checkedAuthUids.has(authUid)) continue;
+        checkedAuthUids.add(authUid);
+        const profileDoc = await authService.getStudentProfileByAuthUid(authUid);
+        const profile = (profileDoc?.data() as Record<string, unknown> | undefined) ?? {};
+        const entries = (profile["autoCheckInEntries"] as Array<{ classId: string }> | undefined) ?? [];
+        const legacyIds = (profile["autoCheckInClassIds"] as string[] | undefined) ?? [];
+        const subscribed = entries.length > 0
+          ? entries.some((entry) => entry.classId === classId)
+          : legacyIds.includes(classId);
+        if (subscribed) await notify(authUid);
+      } catch (err) {
+        console.error(`[ClassException] Failed to notify auto-check-in student ${studentId}:`, (err as Error).message);
+      }
+    }
+
+    result.notified = notifiedAuthUids.size;
+    return result;
+  }
+
+  private async describeChange(
+    exception: ClassException, classData: Record<string, unknown>, creditsRestored: boolean,
+  ): Promise<{ title: string; detail: string }> {
+    if (exception.cancelled) {
+      const why = exception.reason ? ` (${exception.reason})` : "";
+      const credit = creditsRestored ? " Any credit you used has been returned to your account." : "";
+      return { title: "Class cancelled", detail: `this class is cancelled${why}.${credit}` };
+    }
+
+    const parts: string[] = [];
+    if (exception.rescheduledDate || exception.startTime || exception.endTime) {
+      const instance = classExceptionsService.resolveInstance(
+        { ...classData, id: exception.classId }, exception.instanceDate, exception,
+      );
+      parts.push(`moved to ${formatDay(instance.date)} at ${formatTime(instance.startTime)}`);
+    }
+    if (exception.instructorIds) {
+      const db = getFirestore();
+      const names: string[] = [];
+      for (const instructorId of exception.instructorIds) {
+        const doc = await db.collection("instructors").doc(instructorId).get();
+        if (!doc.exists) continue;
+        const data = doc.data() as Record<string, unknown>;
+        names.push([data["firstName"], data["lastName"]].filter(Boolean).join(" "));
+      }
+      if (names.length > 0) parts.push(`taught by ${names.join(" & ")}`);
+    }
+    if (exception.room) parts.push(`in ${exception.room}`);
+    const why = exception.reason ? ` (${exception.reason})` : "";
+    return { title: "Class update", detail: `this class will be ${parts.join(", ")}${why}.` };
+  }
+}
+
+export default new ClassInstanceChangesService();
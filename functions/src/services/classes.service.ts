@@ -3,12 +3,15 @@ import authService from "./auth.service";
 import { getFirestore } from "../utils/firestore";
 import { geocodeAddress } from "../utils/geocoding";
 import { haversineDistance } from "../utils/distance";
-import { sendWaitlistNotificationEmail } from "./sendgrid.service";
+import classExceptionsService, { addDays, toInstanceDay } from "./class-exceptions.service";
 import { AdminStudioInfo, batchGetStudios, toIso } from "../utils/admin-studio-enrichment";
 import {
   validateClassLevel, validateDayOfWeek, validateTimeFormat, validateDanceGenre, validateCost,
 } from "../utils/validation";
 
+/** How far ahead public class endpoints list per-instance changes. */
+const PUBLIC_INSTANCE_WINDOW_DAYS = 28;
+
 interface StudioInfo {
   id: string;
   name: string;
@@ -533,6 +536,22 @@ export class ClassesService {
       });
     }
 
+    // Surface upcoming cancellations/changes so listings don't advertise a session that isn't running.
+    const today = toInstanceDay(new Date()) as string;
+    const listedStudioIds = [...new Set(enrichedClasses.map((cls) => cls["studioOwnerId"] as string))];
+    const exceptionsByClass = await classExceptionsService.getStudioExceptionsInRange(
+      listedStudioIds, today, addDays(today, PUBLIC_INSTANCE_WINDOW_DAYS),
+    );
+    enrichedClasses = enrichedClasses.map((cls) => {
+      const exceptions = exceptionsByClass.get(cls["id"] as string);
+      const upcomingExceptions = exceptions
+        ? classExceptionsService
+          .getOccurrences(cls as Record<string, unknown> & { id: string }, today, addDays(today, PUBLIC_INSTANCE_WINDOW_DAYS), exceptions)
+          .filter((instance) => instance.status !== "scheduled")
+        : [];
+      return { ...cls, upcomingExceptions };
+    });
+
     if (filters.lat != null && filters.lng != null) {
       const radius = filters.radius ?? 25;
       const lat = filters.lat;
@@ -578,9 +597,16 @@ export class ClassesService {
       }
     }
 
+    const today = toInstanceDay(new Date()) as string;
+    const windowEnd = addDays(today, PUBLIC_INSTANCE_WINDOW_DAYS);
+    const exceptions = (await classExceptionsService.getExceptionsInRange([doc.id], today, windowEnd)).get(doc.id);
+    const upcomingInstances = classExceptionsService.getOccurrences({ id: doc.id, ...classData }, today, windowEnd, exceptions)
+      .filter((instance) => instance.startsAt > new Date());
+
     return {
       id: doc.id,
       ...classData,
+      upcomingInstances,
       studio: {
         id: classData["studioOwnerId"],
         name: (sd["studioName"] as string) || "",
@@ -625,14 +651,25 @@ export class ClassesService {
     return classes.map((cls) => ({ ...cls, studio }));
   }
 
-  async getEnrolledCount(classId: string, classInstanceDate: string): Promise<number> {
+  /**
+   * Active attendance on the instance's calendar day — attendance stores the
+   * instance as a Timestamp. Pass `tx` to count inside a transaction.
+   */
+  async getEnrolledCount(
+    classId: string, classInstanceDate: string | Date, tx?: FirebaseFirestore.Transaction,
+  ): Promise<number> {
     const db = getFirestore();
-    const snapshot = await db.collection("attendance")
+    const instanceDate = new Date(classInstanceDate);
+    if (isNaN(instanceDate.getTime())) throw new Error("Invalid classInstanceDate format");
+    const startOfDay = new Date(instanceDate.getFullYear(), instanceDate.getMonth(), instanceDate.getDate());
+    const endOfDay = new Date(startOfDay);
+    endOfDay.setDate(endOfDay.getDate() + 1);
+    const query = db.collection("attendance")
       .where("classId", "==", classId)
-      .where("classInstanceDate", "==", classInstanceDate)
-      .where("isRemoved", "==", false)
-      .get();
-    return snapshot.size;
+      .where("classInstanceDate", ">=", admin.firestore.Timestamp.fromDate(startOfDay))
+      .where("classInstanceDate", "<", admin.firestore.Timestamp.fromDate(endOfDay));
+    const snapshot = await (tx ? tx.get(query) : query.get());
+    return snapshot.docs.filter((doc) => !(doc.data() as Record<string, unknown>)["isRemoved"]).length;
   }
 
   async isClassFull(classId: string, classInstanceDate: string, studioOwnerId: string): Promise<boolean> {
@@ -643,8 +680,9 @@ export class ClassesService {
     return enrolled >= maxCapacity;
   }
 
+  /** `autoClaim` lets promotion book the student directly (spending a credit) instead of sending an offer. */
   async addToWaitlist(
-    classId: string, studentId: string, classInstanceDate: string, studioOwnerId: string,
+    classId: string, studentId: string, classInstanceDate: string, studioOwnerId: string, autoClaim = false,
   ): Promise<string> {
     const db = getFirestore();
     const existing = await db.collection("waitlists")
@@ -657,6 +695,8 @@ export class ClassesService {
     const docRef = await db.collection("waitlists").add({
       classId, studentId, classInstanceDate, studioOwnerId,
       isActive: true,
+      status: "waiting",
+      autoClaim,
       notificationSent: false,
       addedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
@@ -676,59 +716,16 @@ export class ClassesService {
     return snapshot.docs.map((doc) => ({ id: doc.id, ...(doc.data() as Record<string, unknown>) }));
   }
 
-  async removeFromWaitlist(entryId: string, studioOwnerId: string): Promise<void> {
+  async removeFromWaitlist(entryId: string, studioOwnerId: string): Promise<Record<string, unknown> & { id: string }> {
     const db = getFirestore();
     const doc = await db.collection("waitlists").doc(entryId).get();
     if (!doc.exists) throw new Error("Waitlist entry not found");
-    if ((doc.data() as Record<string, unknown>)["studioOwnerId"] !== studioOwnerId) {
+    const data = doc.data() as Record<string, unknown>;
+    if (data["studioOwnerId"] !== studioOwnerId) {
       throw new Error("Access denied: Waitlist entry does not belong to this studio owner");
     }
-    await db.collection("waitlists").doc(entryId).update({ isActive: false });
-  }
-
-  async notifyFirstWaiting(
-    classId: string, classInstanceDate: string, studioOwnerId: string,
-  ): Promise<string | null> {
-    const waitlist = await this.getWaitlist(classId, classInstanceDate);
-    if (waitlist.length === 0) return null;
-
-    const first = waitlist[0];
-    if (!first) return null;
-    const db = getFirestore();
-
-    const [studentDoc, classDoc, studioDoc] = await Promise.all([
-      db.collection("students").doc(first["studentId"] as string).get(),
-      db.collection("classes").doc(classId).get(),
-      db.collection("users").doc(studioOwnerId).get(),
-    ]);
-
-    if (!studentDoc.exists) return null;
-    const studentData = studentDoc.data() as Record<string, unknown>;
-    const classData = classDoc.exists ? (classDoc.data() as Record<string, unknown>) : {};
-    const studioData = studioDoc.exists ? (studioDoc.data() as Record<string, unknown>) : {};
-    const className = (classData["name"] as string) || "your class";
-    const studioName = (studioData["studioName"] as string) || "the studio";
-
-    if (studentData["email"]) {
-      try {
-        await sendWaitlistNotificationEmail(
-          studentData["email"] as string,
-          (studentData["firstName"] as string) || (studentData["name"] as string) || "there",
-          className,
-          studioName,
-          classInstanceDate,
-        );
-      } catch (err) {
-        console.error("[Waitlist] Failed to send notification email:", (err as Error).message);
-      }
-    }
-
-    await db.collection("waitlists").doc(first["id"] as string).update({
-      notificationSent: true,
-      notifiedAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    return first["studentId"] as string;
+    await db.collection("waitlists").doc(entryId).update({ isActive: false, status: "removed" });
+    return { id: doc.id, ...data };
   }
 }
 
@@ -6,6 +6,101 @@ interface ExpireCreditsResult {
   affectedStudents: number;
 }
 
+export type CreditLedgerEntryType =
+  "grant" | "use" | "restore" | "adjustment" | "refund_clawback" | "expiry" | "expiry_extension";
+
+export interface CreditLedgerActor {
+  type: "studio" | "student" | "system";
+  id: string | null;
+}
+
+export interface CreditLedgerSource {
+  attendanceId?: string | null;
+  purchaseId?: string | null;
+  packageId?: string | null;
+  classId?: string | null;
+  closureId?: string | null;
+  freezeId?: string | null;
+  bookingId?: string | null;
+}
+
+export interface ActiveCreditEntry {
+  studentId: string;
+  creditEntryId: string;
+  credits: number;
+  expirationDate: Date;
+  /** Extension keys (e.g. closure IDs) already applied to this entry. */
+  extensions: string[];
+}
+
+/** Who/why/where for a credit mutation — every field is optional so existing callers keep working. */
+export interface CreditLedgerContext {
+  type?: CreditLedgerEntryType;
+  actor?: CreditLedgerActor;
+  reason?: string | null;
+  source?: CreditLedgerSource;
+}
+
+export interface CreditHistoryEntry {
+  id: string;
+  type: CreditLedgerEntryType;
+  delta: number;
+  runningBalance: number;
+  creditEntryId: string | null;
+  actor: CreditLedgerActor;
+  reason: string | null;
+  source: CreditLedgerSource;
+  createdAt: string | null;
+}
+
+export interface CreditHistoryResult {
+  entries: CreditHistoryEntry[];
+  reconciliation: {
+    ledgerBalance: number;
+    currentBalance: number;
+    availableCredits: number;
+    discrepancy: number;
+    reconciled: boolean;
+    mismatchedEntries: Array<{ creditEntryId: string; ledgerCredits: number; actualCredits: number }>;
+  };
+}
+
+const SYSTEM_ACTOR: CreditLedgerActor = { type: "system", id: null };
+
+function ledgerRef(studentId: string): FirebaseFirestore.CollectionReference {
+  return getFirestore().collection("students").doc(studentId).collection("creditLedger");
+}
+
+/**
+ * Ledger entries are append-only: they are only ever written alongside the credit
+ * doc mutation they describe (same batch), never updated or deleted afterwards.
+ */
+function buildLedgerEntry(
+  studioOwnerId: string,
+  defaultType: CreditLedgerEntryType,
+  delta: number,
+  creditEntryId: string | null,
+  context: CreditLedgerContext,
+): Record<string, unknown> {
+  const source = context.source ?? {};
+  return {
+    studioOwnerId,
+    type: context.type ?? defaultType,
+    delta,
+    creditEntryId,
+    actor: context.actor ?? SYSTEM_ACTOR,
+    reason: context.reason ?? null,
+    source: {
+      attendanceId: source.attendanceId ?? null,
+      purchaseId: source.purchaseId ?? null,
+      packageId: source.packageId ?? null,
+      classId: source.classId ?? null,
+      closureId: source.closureId ?? null,
+    },
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
 export class CreditTrackingService {
   async addCredits(
     studentId: string,
@@ -14,6 +109,7 @@ export class CreditTrackingService {
     expirationDays: number,
     packageId: string | null = null,
     classId: string | null = null,
+    ledger: CreditLedgerContext = {},
   ): Promise<string> {
     const db = getFirestore();
     if (!studentId || !studioOwnerId || !credits || credits <= 0) {
@@ -29,7 +125,9 @@ export class CreditTrackingService {
     );
 
     const creditsRef = db.collection("students").doc(studentId).collection("credits");
-    const docRef = await creditsRef.add({
+    const docRef = creditsRef.doc();
+    const batch = db.batch();
+    batch.set(docRef, {
       credits,
       purchaseDate,
       expirationDate,
@@ -38,6 +136,11 @@ export class CreditTrackingService {
       studioOwnerId,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
     });
+    batch.set(ledgerRef(studentId).doc(), buildLedgerEntry(studioOwnerId, "grant", credits, docRef.id, {
+      ...ledger,
+      source: { packageId, classId: classId ?? null, ...ledger.source },
+    }));
+    await batch.commit();
     return docRef.id;
   }
 
@@ -82,53 +185,76 @@ export class CreditTrackingService {
     return this.getAvailableCredits(match.id, studioOwnerId);
   }
 
-  async useCredit(studentId: string, studioOwnerId: string, classId: string | null = null): Promise<string> {
+  /**
+   * Read half of a credit spend: picks the soonest-expiring entry with credits left,
+   * or null. Runs inside the caller's transaction so a concurrent spend of the same
+   * entry forces a retry instead of both sides decrementing from the same snapshot.
+   */
+  async findSpendableCreditEntry(
+    tx: FirebaseFirestore.Transaction, studentId: string, studioOwnerId: string, classId: string | null,
+  ): Promise<FirebaseFirestore.QueryDocumentSnapshot | null> {
     const db = getFirestore();
     const now = admin.firestore.Timestamp.now();
     const creditsRef = db.collection("students").doc(studentId).collection("credits");
 
-    const snapshot = classId
-      ? await creditsRef
-          .where("studioOwnerId", "==", studioOwnerId)
-          .where("classId", "==", classId)
-          .where("expirationDate", ">", now)
-          .orderBy("expirationDate", "asc")
-          .orderBy("purchaseDate", "asc")
-          .get()
-      : await creditsRef
-          .where("studioOwnerId", "==", studioOwnerId)
-          .where("classId", "==", null)
-          .where("expirationDate", ">", now)
-          .orderBy("expirationDate", "asc")
-          .orderBy("purchaseDate", "asc")
-          .get();
-
-    if (snapshot.empty) throw new Error("No available credits");
+    const snapshot = await tx.get(creditsRef
+      .where("studioOwnerId", "==", studioOwnerId)
+      .where("classId", "==", classId)
+      .where("expirationDate", ">", now)
+      .orderBy("expirationDate", "asc")
+      .orderBy("purchaseDate", "asc"));
 
-    let creditEntryDoc = null;
-    for (const doc of snapshot.docs) {
-      if ((doc.data() as Record<string, unknown>)["credits"] as number > 0) {
-        creditEntryDoc = doc;
-        break;
-      }
-    }
-    if (!creditEntryDoc) throw new Error("No available credits");
+    return snapshot.docs.find((doc) => ((doc.data() as Record<string, unknown>)["credits"] as number) > 0) ?? null;
+  }
 
-    const currentCredits = ((creditEntryDoc.data() as Record<string, unknown>)["credits"] as number) || 0;
+  /** Write half of a credit spend — call only after every read in the transaction is done. */
+  spendCreditEntry(
+    tx: FirebaseFirestore.Transaction,
+    creditEntryDoc: FirebaseFirestore.QueryDocumentSnapshot,
+    studentId: string,
+    studioOwnerId: string,
+    ledger: CreditLedgerContext = {},
+  ): string {
+    const data = creditEntryDoc.data() as Record<string, unknown>;
+    const currentCredits = (data["credits"] as number) || 0;
     if (currentCredits <= 0) throw new Error("No available credits");
 
-    await creditsRef.doc(creditEntryDoc.id).update({
+    tx.update(creditEntryDoc.ref, {
       credits: currentCredits - 1,
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
+    tx.set(ledgerRef(studentId).doc(), buildLedgerEntry(studioOwnerId, "use", -1, creditEntryDoc.id, {
+      ...ledger,
+      source: { classId: (data["classId"] as string | null) ?? null, ...ledger.source },
+    }));
     return creditEntryDoc.id;
   }
 
-  async restoreCredit(studentId: string, studioOwnerId: string, creditUsedId: string): Promise<void> {
+  async useCredit(
+    studentId: string, studioOwnerId: string, classId: string | null = null, ledger: CreditLedgerContext = {},
+  ): Promise<string> {
     const db = getFirestore();
-    const creditsRef = db.collection("students").doc(studentId).collection("credits");
-    const creditEntryRef = creditsRef.doc(creditUsedId);
-    const creditEntryDoc = await creditEntryRef.get();
+    return db.runTransaction(async (tx) => {
+      const creditEntryDoc = await this.findSpendableCreditEntry(tx, studentId, studioOwnerId, classId);
+      if (!creditEntryDoc) throw new Error("No available credits");
+      return this.spendCreditEntry(tx, creditEntryDoc, studentId, studioOwnerId, ledger);
+    });
+  }
+
+  /**
+   * Reads the credit entry then queues the +1 and its ledger entry on `tx`. Any reads
+   * the caller needs must happen before this, and its own writes after.
+   */
+  async restoreCreditInTransaction(
+    tx: FirebaseFirestore.Transaction,
+    studentId: string,
+    studioOwnerId: string,
+    creditUsedId: string,
+    ledger: CreditLedgerContext = {},
+  ): Promise<void> {
+    const db = getFirestore();
+    const creditEntryRef = db.collection("students").doc(studentId).collection("credits").doc(creditUsedId);
+    const creditEntryDoc = await tx.get(creditEntryRef);
 
     if (!creditEntryDoc.exists) throw new Error("Credit entry not found");
 
@@ -144,13 +270,23 @@ export class CreditTrackingService {
     }
 
     const currentCredits = (creditEntryData["credits"] as number) || 0;
-    await creditEntryRef.update({
+    tx.update(creditEntryRef, {
       credits: currentCredits + 1,
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
+    tx.set(ledgerRef(studentId).doc(), buildLedgerEntry(studioOwnerId, "restore", 1, creditUsedId, ledger));
+  }
+
+  async restoreCredit(
+    studentId: string, studioOwnerId: string, creditUsedId: string, ledger: CreditLedgerContext = {},
+  ): Promise<void> {
+    const db = getFirestore();
+    await db.runTransaction((tx) => this.restoreCreditInTransaction(tx, studentId, studioOwnerId, creditUsedId, ledger));
   }
 
-  async removeCredits(studentId: string, studioOwnerId: string, amount: number): Promise<void> {
+  async removeCredits(
+    studentId: string, studioOwnerId: string, amount: number, ledger: CreditLedgerContext = {},
+  ): Promise<void> {
     const db = getFirestore();
     const now = admin.firestore.Timestamp.now();
     const creditsRef = db.collection("students").doc(studentId).collection("credits");
@@ -178,21 +314,84 @@ export class CreditTrackingService {
       const current = ((doc.data() as Record<string, unknown>)["credits"] as number) || 0;
       if (current <= 0) continue;
 
+      const taken = Math.min(current, remaining);
       if (current <= remaining) {
         batch.delete(doc.ref);
-        remaining -= current;
       } else {
         batch.update(doc.ref, {
           credits: current - remaining,
           updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         });
-        remaining = 0;
       }
+      remaining -= taken;
+      batch.set(ledgerRef(studentId).doc(), buildLedgerEntry(studioOwnerId, "adjustment", -taken, doc.id, ledger));
     }
 
     await batch.commit();
   }
 
+  /** Credits still unspent (and unexpired) on the entries a single purchase granted. */
+  async getUnusedPurchaseCredits(studentId: string, studioOwnerId: string, creditIds: string[]): Promise<number> {
+    if (creditIds.length === 0) return 0;
+    const db = getFirestore();
+    const creditsRef = db.collection("students").doc(studentId).collection("credits");
+    const now = Date.now();
+    const docs = await db.getAll(...creditIds.map((id) => creditsRef.doc(id)));
+
+    let total = 0;
+    for (const doc of docs) {
+      if (!doc.exists) continue;
+      const data = doc.data() as Record<string, unknown>;
+      if (data["studioOwnerId"] !== studioOwnerId) continue;
+      if ((data["expirationDate"] as admin.firestore.Timestamp).toMillis() <= now) continue;
+      total += (data["credits"] as number) || 0;
+    }
+    return total;
+  }
+
+  /**
+   * Takes up to `amount` credits back from the entries a purchase granted, soonest
+   * expiring first. Unlike removeCredits this never touches credits bought
+   * elsewhere, and removes what it can rather than throwing when some were spent
+   * in the meantime. Returns how many were removed.
+   */
+  async removePurchaseCredits(
+    studentId: string, studioOwnerId: string, creditIds: string[], amount: number, ledger: CreditLedgerContext = {},
+  ): Promise<number> {
+    if (creditIds.length === 0 || amount <= 0) return 0;
+    const db = getFirestore();
+    const creditsRef = db.collection("students").doc(studentId).collection("credits");
+    const now = Date.now();
+
+    return db.runTransaction(async (tx) => {
+      const docs = (await tx.getAll(...creditIds.map((id) => creditsRef.doc(id))))
+        .filter((doc) => {
+          if (!doc.exists) return false;
+          const data = doc.data() as Record<string, unknown>;
+          return data["studioOwnerId"] === studioOwnerId &&
+            (data["expirationDate"] as admin.firestore.Timestamp).toMillis() > now &&
+            ((data["credits"] as number) || 0) > 0;
+        })
+        .sort((a, b) => (a.get("expirationDate") as admin.firestore.Timestamp).toMillis() -
+          (b.get("expirationDate") as admin.firestore.Timestamp).toMillis());
+
+      let remaining = amount;
+      for (const doc of docs) {
+        if (remaining <= 0) break;
+        const current = (doc.get("credits") as number) || 0;
+        const taken = Math.min(current, remaining);
+        if (taken === current) {
+          tx.delete(doc.ref);
+        } else {
+          tx.update(doc.ref, { credits: current - taken, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+        tx.set(ledgerRef(studentId).doc(), buildLedgerEntry(studioOwnerId, "adjustment", -taken, doc.id, ledger));
+        remaining -= taken;
+      }
+      return amount - remaining;
+    });
+  }
+
   async expireCredits(): Promise<ExpireCreditsResult> {
     const db = getFirestore();
     const now = admin.firestore.Timestamp.now();
@@ -210,8 +409,15 @@ export class CreditTrackingService {
       let studentExpired = 0;
 
       expiredSnapshot.forEach((doc) => {
-        studentExpired += ((doc.data() as Record<string, unknown>)["credits"] as number) || 0;
+        const data = doc.data() as Record<string, unknown>;
+        const credits = (data["credits"] as number) || 0;
+        studentExpired += credits;
         batch.delete(doc.ref);
+        if (credits > 0) {
+          batch.set(ledgerRef(studentDoc.id).doc(), buildLedgerEntry(
+            data["studioOwnerId"] as string, "expiry", -credits, doc.id, { reason: "Credits expired" },
+          ));
+        }
       });
 
       await batch.commit();
@@ -221,6 +427,154 @@ export class CreditTrackingService {
 
     return { totalExpired, affectedStudents };
   }
+
+  /** Unexpired credit entries that still hold credits, for every student at the studio. */
+  async getActiveCreditEntriesForStudio(studioOwnerId: string): Promise<ActiveCreditEntry[]> {
+    const db = getFirestore();
+    const studentsSnapshot = await db.collection("students").where("studioOwnerId", "==", studioOwnerId).get();
+
+    const entries: ActiveCreditEntry[] = [];
+    for (const studentDoc of studentsSnapshot.docs) {
+      entries.push(...await this.getActiveCreditEntriesForStudent(studentDoc.id, studioOwnerId));
+    }
+    return entries;
+  }
+
+  async getActiveCreditEntriesForStudent(studentId: string, studioOwnerId: string): Promise<ActiveCreditEntry[]> {
+    const db = getFirestore();
+    const creditsSnapshot = await db.collection("students").doc(studentId).collection("credits")
+      .where("studioOwnerId", "==", studioOwnerId)
+      .where("expirationDate", ">", admin.firestore.Timestamp.now())
+      .get();
+
+    const entries: ActiveCreditEntry[] = [];
+    creditsSnapshot.forEach((doc) => {
+      const data = doc.data() as Record<string, unknown>;
+      const credits = (data["credits"] as number) || 0;
+      if (credits <= 0) return;
+      entries.push({
+        studentId,
+        creditEntryId: doc.id,
+        credits,
+        expirationDate: (data["expirationDate"] as admin.firestore.Timestamp).toDate(),
+        extensions: (data["expiryExtensions"] as string[] | undefined) ?? [],
+      });
+    });
+    return entries;
+  }
+
+  /**
+   * Pushes one credit entry's expiration out by `days`. `extensionKey` makes this
+   * idempotent: an entry already extended under the same key is left alone and
+   * null is returned. The balance is unchanged, so the ledger entry has delta 0.
+   */
+  async extendCreditExpiration(
+    studentId: string,
+    studioOwnerId: string,
+    creditEntryId: string,
+    days: number,
+    extensionKey: string,
+    ledger: CreditLedgerContext = {},
+  ): Promise<Date | null> {
+    if (!Number.isInteger(days) || days <= 0) throw new Error("days must be a positive integer");
+    const db = getFirestore();
+    const ref = db.collection("students").doc(studentId).collection("credits").doc(creditEntryId);
+
+    return db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return null;
+      const data = doc.data() as Record<string, unknown>;
+      if (data["studioOwnerId"] !== studioOwnerId) return null;
+      if (((data["expiryExtensions"] as string[] | undefined) ?? []).includes(extensionKey)) return null;
+
+      const current = (data["expirationDate"] as admin.firestore.Timestamp).toMillis();
+      const newExpiration = admin.firestore.Timestamp.fromMillis(current + days * 24 * 60 * 60 * 1000);
+      tx.update(ref, {
+        expirationDate: newExpiration,
+        expiryExtensions: admin.firestore.FieldValue.arrayUnion(extensionKey),
+      });
+      tx.set(ledgerRef(studentId).doc(), buildLedgerEntry(
+        studioOwnerId, "expiry_extension", 0, creditEntryId,
+        { reason: `Expiration extended by ${days} day${days === 1 ? "" : "s"}`, ...ledger },
+      ));
+      return newExpiration.toDate();
+    });
+  }
+
+  /**
+   * Replays the student's ledger oldest-first into a running balance, then checks it
+   * against the credit docs as they stand now. Credits granted before the ledger existed
+   * have no entries, so older students will show a positive discrepancy until it's
+   * squared up with a manual adjustment.
+   */
+  async getCreditHistory(studentId: string, studioOwnerId: string): Promise<CreditHistoryResult> {
+    const db = getFirestore();
+    const [ledgerSnap, creditsSnap, availableCredits] = await Promise.all([
+      ledgerRef(studentId).orderBy("createdAt", "asc").get(),
+      db.collection("students").doc(studentId).collection("credits")
+        .where("studioOwnerId", "==", studioOwnerId)
+        .get(),
+      this.getAvailableCredits(studentId, studioOwnerId),
+    ]);
+
+    let runningBalance = 0;
+    const ledgerCreditsByEntry = new Map<string, number>();
+    const entries: CreditHistoryEntry[] = [];
+
+    ledgerSnap.forEach((doc) => {
+      const d = doc.data() as Record<string, unknown>;
+      if (d["studioOwnerId"] !== studioOwnerId) return;
+      const delta = (d["delta"] as number) || 0;
+      const creditEntryId = (d["creditEntryId"] as string | null) ?? null;
+      runningBalance += delta;
+      if (creditEntryId) {
+        ledgerCreditsByEntry.set(creditEntryId, (ledgerCreditsByEntry.get(creditEntryId) ?? 0) + delta);
+      }
+      const createdAt = d["createdAt"] as admin.firestore.Timestamp | null | undefined;
+      entries.push({
+        id: doc.id,
+        type: d["type"] as CreditLedgerEntryType,
+        delta,
+        runningBalance,
+        creditEntryId,
+        actor: (d["actor"] as CreditLedgerActor | undefined) ?? SYSTEM_ACTOR,
+        reason: (d["reason"] as string | null) ?? null,
+        source: (d["source"] as CreditLedgerSource | undefined) ?? {},
+        createdAt: createdAt?.toDate ? createdAt.toDate().toISOString() : null,
+      });
+    });
+
+    let currentBalance = 0;
+    const actualCreditsByEntry = new Map<string, number>();
+    creditsSnap.forEach((doc) => {
+      const credits = ((doc.data() as Record<string, unknown>)["credits"] as number) || 0;
+      currentBalance += credits;
+      actualCreditsByEntry.set(doc.id, credits);
+    });
+
+    // Credit docs are deleted once they hit zero (removeCredits/expireCredits), so an
+    // entry missing from actualCreditsByEntry is expected to net out to zero in the ledger.
+    const mismatchedEntries: CreditHistoryResult["reconciliation"]["mismatchedEntries"] = [];
+    const allEntryIds = new Set([...ledgerCreditsByEntry.keys(), ...actualCreditsByEntry.keys()]);
+    for (const creditEntryId of allEntryIds) {
+      const ledgerCredits = ledgerCreditsByEntry.get(creditEntryId) ?? 0;
+      const actualCredits = actualCreditsByEntry.get(creditEntryId) ?? 0;
+      if (ledgerCredits !== actualCredits) mismatchedEntries.push({ creditEntryId, ledgerCredits, actualCredits });
+    }
+
+    const discrepancy = currentBalance - runningBalance;
+    return {
+      entries,
+      reconciliation: {
+        ledgerBalance: runningBalance,
+        currentBalance,
+        availableCredits,
+        discrepancy,
+        reconciled: discrepancy === 0 && mismatchedEntries.length === 0,
+        mismatchedEntries,
+      },
+    };
+  }
 }
 
 export default new CreditTrackingService();
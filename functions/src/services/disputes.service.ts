@@ -0,0 +1,244 @@
+import * as admin from "firebase-admin";
+import Stripe from "stripe";
+import refundService from "./refund.service";
+import creditTrackingService from "./credit-tracking.service";
+import notificationsService from "./notifications.service";
+import tierInventoryService from "./tier-inventory.service";
+import { sendDisputeOpenedEmailToStudio } from "./sendgrid.service";
+import { getFirestore } from "../utils/firestore";
+
+export interface PaymentDispute {
+  id: string;
+  studioOwnerId: string;
+  purchaseId: string | null;
+  studentId: string | null;
+  itemName: string | null;
+  chargeId: string;
+  paymentIntentId: string | null;
+  stripeAccountId: string | null;
+  amount: number;
+  currency: string;
+  reason: string;
+  status: string;
+  evidenceDueBy: string | null;
+  creditsHeld: number;
+  createdAt: string | null;
+  closedAt: string | null;
+}
+
+function idOf(value: string | { id: string } | null): string | null {
+  if (!value) return null;
+  return typeof value === "string" ? value : value.id;
+}
+
+function toIso(value: unknown): string | null {
+  return value && typeof value === "object" && "toDate" in value
+    ? (value as admin.firestore.Timestamp).toDate().toISOString()
+    : null;
+}
+
+function docToDispute(doc: FirebaseFirestore.DocumentSnapshot): PaymentDispute {
+  const data = doc.data() as Record<string, unknown>;
+  return {
+    id: doc.id,
+    studioOwnerId: data["studioOwnerId"] as string,
+    purchaseId: (data["purchaseId"] as string | null) ?? null,
+    studentId: (data["studentId"] as string | null) ?? null,
+    itemName: (data["itemName"] as string | null) ?? null,
+    chargeId: data["chargeId"] as string,
+    paymentIntentId: (data["paymentIntentId"] as string | null) ?? null,
+    stripeAccountId: (data["stripeAccountId"] as string | null) ?? null,
+    amount: (data["amount"] as number) || 0,
+    currency: (data["currency"] as string) || "usd",
+    reason: (data["reason"] as string) || "general",
+    status: data["status"] as string,
+    evidenceDueBy: toIso(data["evidenceDueBy"]),
+    creditsHeld: (data["creditsHeld"] as number) || 0,
+    createdAt: toIso(data["createdAt"]),
+    closedAt: toIso(data["closedAt"]),
+  };
+}
+
+/**
+ * Chargebacks against card purchases. While a dispute is open the purchase is
+ * "disputed" and its unused credits are held (removed); a won dispute hands
+ * them back, a lost one leaves the purchase as a "chargeback".
+ */
+export class DisputesService {
+  async listDisputes(studioOwnerId: string, openOnly = false): Promise<PaymentDispute[]> {
+    const db = getFirestore();
+    const snapshot = await db.collection("disputes")
+      .where("studioOwnerId", "==", studioOwnerId)
+      .orderBy("createdAt", "desc")
+      .get();
+    const disputes = snapshot.docs.map(docToDispute);
+    return openOnly ? disputes.filter((dispute) => !dispute.closedAt) : disputes;
+  }
+
+  /** Handles `charge.dispute.created`. Redelivered events are ignored. */
+  async recordDisputeCreated(dispute: Stripe.Dispute, stripeAccountId: string | null): Promise<void> {
+    const db = getFirestore();
+    const paymentIntentId = idOf(dispute.payment_intent);
+    const purchase = paymentIntentId ? await refundService.findByPaymentIntent(paymentIntentId) : null;
+    if (!purchase) {
+      console.log(`[Disputes] No purchase for disputed payment ${paymentIntentId ?? dispute.id}, skipping`);
+      return;
+    }
+    const studioOwnerId = purchase.data["studioOwnerId"] as string;
+    const dueBy = dispute.evidence_details?.due_by;
+
+    const ref = db.collection("disputes").doc(dispute.id);
+    const isNew = await db.runTransaction(async (tx) => {
+      if ((await tx.get(ref)).exists) return false;
+      tx.set(ref, {
+        studioOwnerId,
+        purchaseId: purchase.ref.id,
+        studentId: (purchase.data["studentId"] as string) || null,
+        itemName: (purchase.data["itemName"] as string) || null,
+        chargeId: idOf(dispute.charge),
+        paymentIntentId,
+        stripeAccountId,
+        amount: dispute.amount / 100,
+        currency: dispute.currency,
+        reason: dispute.reason,
+        status: dispute.status,
+        evidenceDueBy: dueBy ? admin.firestore.Timestamp.fromMillis(dueBy * 1000) : null,
+        creditsHeld: 0,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        closedAt: null,
+      });
+      tx.update(purchase.ref, {
+        status: "disputed",
+        statusBeforeDispute: purchase.data["status"] ?? "completed",
+        disputeId: dispute.id,
+        disputeStatus: "open",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return true;
+    });
+    if (!isNew) return;
+
+    const unused = await creditTrackingService.getUnusedPurchaseCredits(
+      purchase.data["studentId"] as string, studioOwnerId, (purchase.data["creditIds"] as string[] | undefined) ?? [],
+    );
+    const creditsHeld = await refundService.clawBackCredits(purchase.ref.id, purchase.data, unused, "Payment disputed");
+    await ref.update({ creditsHeld });
+
+    const studentName = await this.studentName(purchase.data);
+    const itemName = (purchase.data["itemName"] as string) || "a purchase";
+    notificationsService.createNotification(
+      studioOwnerId,
+      null,
+      "payment_disputed",
+      "Payment Disputed",
+      `${studentName} disputed their $${(dispute.amount / 100).toFixed(2)} payment for "${itemName}"` +
+        (dueBy ? ` — evidence due ${new Date(dueBy * 1000).toLocaleDateString("en-US")}` : ""),
+      (purchase.data["studentId"] as string) || null,
+    ).catch((err) => console.error("[Disputes] Failed to create dispute notification:", err));
+
+    const studioDoc = await db.collection("users").doc(studioOwnerId).get();
+    const studioData = studioDoc.exists ? studioDoc.data() as Record<string, unknown> : {};
+    sendDisputeOpenedEmailToStudio(
+      (studioData["email"] as string) || "",
+      (studioData["firstName"] as string) || "",
+      studentName,
+      itemName,
+      dispute.amount / 100,
+      dueBy ? new Date(dueBy * 1000) : null,
+    ).catch((err) => console.error("[Disputes] Failed to send dispute email to studio:", err));
+  }
+
+  /** Handles `charge.dispute.closed`: restores the purchase and held credits when the studio won. */
+  async recordDisputeClosed(dispute: Stripe.Dispute, stripeAccountId: string | null): Promise<void> {
+    const db = getFirestore();
+    const ref = db.collection("disputes").doc(dispute.id);
+    const existing = await ref.get();
+    if (!existing.exists) {
+      // Opened before this handler existed (or its event was lost); record it so the list is complete.
+      await this.recordDisputeCreated(dispute, stripeAccountId);
+    }
+
+    const closed = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return null;
+      const data = doc.data() as Record<string, unknown>;
+      if (data["closedAt"]) return null;
+      tx.update(ref, { status: dispute.status, closedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return data;
+    });
+    if (!closed || !closed["purchaseId"]) return;
+
+    const purchaseRef = db.collection("purchases").doc(closed["purchaseId"] as string);
+    const purchaseDoc = await purchaseRef.get();
+    if (!purchaseDoc.exists) return;
+    const purchase = purchaseDoc.data() as Record<string, unknown>;
+    const studioOwnerId = closed["studioOwnerId"] as string;
+    // "warning_closed" is an inquiry that never became a chargeback — the money stayed with the studio.
+    const studioKeptFunds = dispute.status === "won" || dispute.status === "warning_closed";
+
+    if (studioKeptFunds) {
+      const creditsHeld = (closed["creditsHeld"] as number) || 0;
+      let creditId: string | null = null;
+      if (creditsHeld > 0 && purchase["studentId"]) {
+        creditId = await creditTrackingService.addCredits(
+          purchase["studentId"] as string,
+          studioOwnerId,
+          creditsHeld,
+          await this.expirationDaysFor(purchase),
+          purchase["purchaseType"] === "package" ? (purchase["itemId"] as string) : null,
+          (purchase["classId"] as string | null) ?? null,
+          { type: "restore", reason: "Dispute closed in the studio's favor", source: { purchaseId: purchaseRef.id } },
+        );
+      }
+      await purchaseRef.update({
+        status: (purchase["statusBeforeDispute"] as string) || "completed",
+        disputeStatus: dispute.status,
+        ...(creditId ? { creditIds: admin.firestore.FieldValue.arrayUnion(creditId) } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } else {
+      await purchaseRef.update({
+        status: "chargeback",
+        disputeStatus: dispute.status,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      // The buyer got their money back, so their seats go back on sale.
+      const tierReservationId = (purchase["metadata"] as Record<string, unknown> | undefined)?.["tierReservationId"];
+      if (typeof tierReservationId === "string") {
+        await tierInventoryService.returnStock(tierReservationId)
+          .catch((err) => console.error(`[Disputes] Failed to return ticket stock for purchase ${purchaseRef.id}:`, err));
+      }
+    }
+
+    const studentName = await this.studentName(purchase);
+    notificationsService.createNotification(
+      studioOwnerId,
+      null,
+      "payment_dispute_closed",
+      studioKeptFunds ? "Dispute Won" : "Dispute Lost",
+      studioKeptFunds
+        ? `The dispute on ${studentName}'s payment for "${purchase["itemName"] || "a purchase"}" closed in your favor`
+        : `The dispute on ${studentName}'s payment for "${purchase["itemName"] || "a purchase"}" was lost and the funds were returned to them`,
+      (purchase["studentId"] as string) || null,
+    ).catch((err) => console.error("[Disputes] Failed to create dispute-closed notification:", err));
+  }
+
+  /** Held credits come back with the package's usual validity — the originals may have expired meanwhile. */
+  private async expirationDaysFor(purchase: Record<string, unknown>): Promise<number> {
+    if (purchase["purchaseType"] === "package" && purchase["itemId"]) {
+      const packageDoc = await getFirestore().collection("packages").doc(purchase["itemId"] as string).get();
+      if (packageDoc.exists) return ((packageDoc.data() as Record<string, unknown>)["expirationDays"] as number) || 365;
+    }
+    return 365;
+  }
+
+  private async studentName(purchase: Record<string, unknown>): Promise<string> {
+    if (!purchase["studentId"]) return "A student";
+    const studentDoc = await getFirestore().collection("students").doc(purchase["studentId"] as string).get();
+    if (!studentDoc.exists) return "A student";
+    const data = studentDoc.data() as Record<string, unknown>;
+    return [data["firstName"], data["lastName"]].filter(Boolean).join(" ") || "A student";
+  }
+}
+
+export default new DisputesService();
@@ -329,6 +329,9 @@ export interface ScheduleClass {
   danceGenre?: string;
   level?: string;
   instructors?: ScheduleInstructor[];
+  /** Per-week change shown under the class name, e.g. "Cancelled — Holiday". */
+  note?: string;
+  cancelled?: boolean;
 }
 
 export interface ScheduleFlyerData {
@@ -780,10 +783,13 @@ export function buildScheduleFlyer(data: ScheduleFlyerData): string {
 
   <!-- Class name -->
   <text x="${PAD_X + TIME_BOX_W + 22}" y="${rowY + 32}"
-    font-family="${SANS}" font-size="21" font-weight="700" fill="white">
+    font-family="${SANS}" font-size="21" font-weight="700" fill="white"${cls.cancelled ? ` opacity="0.45" text-decoration="line-through"` : ""}>
     ${escapeXml(nameTrim)}
   </text>
-  ${levelStr ? `<text x="${PAD_X + TIME_BOX_W + 22}" y="${rowY + 51}"
+  ${cls.note ? `<text x="${PAD_X + TIME_BOX_W + 22}" y="${rowY + 51}"
+    font-family="${SANS}" font-size="14" font-weight="700" fill="${secondary}">
+    ${escapeXml(cls.note.toUpperCase())}
+  </text>` : levelStr ? `<text x="${PAD_X + TIME_BOX_W + 22}" y="${rowY + 51}"
     font-family="${SANS}" font-size="14" fill="#94a3b8">
     ${escapeXml(levelStr)}${endLabel ? "  " + escapeXml(endLabel.trim()) : ""}
   </text>` : ""}
@@ -0,0 +1,248 @@
+import classExceptionsService, { addDays } from "./class-exceptions.service";
+import { getFirestore } from "../utils/firestore";
+
+export type BusySource = "booking" | "class" | "workshop" | "event" | "blackout";
+
+/** A stretch of an instructor's day (minutes from midnight, studio-local) that a private can't overlap. */
+export interface BusyInterval {
+  date: string;
+  start: number;
+  end: number;
+  source: BusySource;
+  sourceId: string | null;
+  label: string | null;
+}
+
+export interface InstructorSchedule {
+  bufferMinutes: number;
+  busyByDate: Map<string, BusyInterval[]>;
+}
+
+const ACTIVE_BOOKING_STATUSES = ["pending", "confirmed"];
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export function timeToMinutes(time: unknown): number | null {
+  if (typeof time !== "string") return null;
+  const match = TIME_RE.exec(time);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Whether [start, end) clashes with a busy interval. Lessons, classes and
+ * workshops keep `bufferMinutes` clear on either side; blackouts don't.
+ */
+export function conflictsWith(start: number, end: number, busy: BusyInterval, bufferMinutes: number): boolean {
+  const buffer = busy.source === "blackout" ? 0 : bufferMinutes;
+  return start < busy.end + buffer && busy.start < end + buffer;
+}
+
+function bufferMinutesOf(instructorData: Record<string, unknown>): number {
+  const availability = (instructorData["availability"] as Record<string, unknown> | undefined) ?? {};
+  const buffer = availability["bufferMinutes"];
+  return typeof buffer === "number" && buffer > 0 ? buffer : 0;
+}
+
+function bookingInterval(doc: FirebaseFirestore.QueryDocumentSnapshot): BusyInterval | null {
+  const data = doc.data() as Record<string, unknown>;
+  const timeSlot = data["timeSlot"] as Record<string, unknown> | undefined;
+  const start = timeToMinutes(timeSlot?.["startTime"]);
+  if (start === null || typeof data["date"] !== "string") return null;
+  // Old bookings without an end time held a one-hour slot.
+  const end = timeToMinutes(timeSlot?.["endTime"]) ?? start + 60;
+  return { date: data["date"], start, end, source: "booking", sourceId: doc.id, label: "Private lesson" };
+}
+
+/**
+ * Schedule slots on workshops and events name their instructors in free text,
+ * so a slot counts when it lists the instructor's id or full name.
+ */
+function instructorKeys(instructorId: string, instructorData: Record<string, unknown>): Set<string> {
+  const keys = new Set([instructorId.toLowerCase()]);
+  const fullName = [instructorData["firstName"], instructorData["lastName"]]
+    .filter((part) => typeof part === "string" && part.trim())
+    .map((part) => (part as string).trim())
+    .join(" ")
+    .toLowerCase();
+  if (fullName) keys.add(fullName);
+  return keys;
+}
+
+function blackoutIntervals(instructorData: Record<string, unknown>, fromDay: string, toDay: string): BusyInterval[] {
+  const availability = (instructorData["availability"] as Record<string, unknown> | undefined) ?? {};
+  const listed = (value: unknown) => (Array.isArray(value) ? value as Array<Record<string, unknown>> : []);
+  // The studio's own blackouts plus approved time off, which is kept apart so editing one can't drop the other.
+  const blackouts = [...listed(availability["blackoutDates"]), ...listed(instructorData["timeOffBlackouts"])];
+  const intervals: BusyInterval[] = [];
+  for (const blackout of blackouts) {
+    const startDate = blackout["startDate"] as string;
+    const endDate = blackout["endDate"] as string;
+    if (!startDate || !endDate || endDate < fromDay || startDate > toDay) continue;
+    const start = timeToMinutes(blackout["startTime"]) ?? 0;
+    const end = timeToMinutes(blackout["endTime"]) ?? 24 * 60;
+    const first = startDate > fromDay ? startDate : fromDay;
+    const last = endDate < toDay ? endDate : toDay;
+    for (let day = first; day <= last; day = addDays(day, 1)) {
+      intervals.push({
+        date: day, start, end, source: "blackout", sourceId: null, label: (blackout["reason"] as string) || "Unavailable",
+      });
+    }
+  }
+  return intervals;
+}
+
+/**
+ * Private lesson availability. An instructor is busy during their other
+ * privates, the classes they teach (substitutions and reschedules applied),
+ * workshop and event schedule slots that list them, and their blackout dates.
+ */
+export class InstructorAvailabilityService {
+  /** Buffer setting and busy intervals per day for [fromDay, toDay]. */
+  async getSchedule(instructorId: string, fromDay: string, toDay: string): Promise<InstructorSchedule> {
+    const db = getFirestore();
+    const instructorDoc = await db.collection("instructors").doc(instructorId).get();
+    if (!instructorDoc.exists) throw new Error("Instructor not found");
+    const instructorData = instructorDoc.data() as Record<string, unknown>;
+    const studioOwnerId = instructorData["studioOwnerId"] as string | undefined;
+
+    const busy: BusyInterval[] = [
+      ...await this.bookingIntervals(instructorId, fromDay, toDay),
+      ...blackoutIntervals(instructorData, fromDay, toDay),
+    ];
+    if (studioOwnerId) {
+      const keys = instructorKeys(instructorId, instructorData);
+      busy.push(
+        ...await this.classIntervals(instructorId, studioOwnerId, fromDay, toDay),
+        ...await this.scheduleSlotIntervals("workshops", studioOwnerId, keys, fromDay, toDay),
+        ...await this.scheduleSlotIntervals("events", studioOwnerId, keys, fromDay, toDay),
+      );
+    }
+
+    const busyByDate = new Map<string, BusyInterval[]>();
+    for (const interval of busy) {
+      if (!busyByDate.has(interval.date)) busyByDate.set(interval.date, []);
+      busyByDate.get(interval.date)!.push(interval);
+    }
+    for (const intervals of busyByDate.values()) intervals.sort((a, b) => a.start - b.start);
+    return { bufferMinutes: bufferMinutesOf(instructorData), busyByDate };
+  }
+
+  /**
+   * The first commitment the slot would clash with, or null when the instructor
+   * is free. `excludeBookingId` ignores the booking being moved.
+   */
+  async findConflict(
+    instructorId: string, date: string, timeSlot: { startTime: string; endTime: string }, excludeBookingId?: string,
+  ): Promise<BusyInterval | null> {
+    const start = timeToMinutes(timeSlot.startTime);
+    const end = timeToMinutes(timeSlot.endTime);
+    if (start === null || end === null || end <= start) throw new Error("Invalid time slot");
+
+    const { bufferMinutes, busyByDate } = await this.getSchedule(instructorId, date, date);
+    return (busyByDate.get(date) ?? []).find((busy) =>
+      !(busy.source === "booking" && busy.sourceId === excludeBookingId) &&
+      conflictsWith(start, end, busy, bufferMinutes)) ?? null;
+  }
+
+  /**
+   * Transactional re-check against other privates only — the part of the
+   * schedule two concurrent bookings can race on.
+   */
+  async hasOverlappingBooking(
+    tx: FirebaseFirestore.Transaction,
+    instructorId: string,
+    date: string,
+    timeSlot: { startTime: string; endTime: string },
+    excludeBookingId?: string,
+  ): Promise<boolean> {
+    const db = getFirestore();
+    const start = timeToMinutes(timeSlot.startTime);
+    const end = timeToMinutes(timeSlot.endTime);
+    if (start === null || end === null || end <= start) throw new Error("Invalid time slot");
+
+    const instructorDoc = await tx.get(db.collection("instructors").doc(instructorId));
+    const bufferMinutes = instructorDoc.exists ? bufferMinutesOf(instructorDoc.data() as Record<string, unknown>) : 0;
+    const snapshot = await tx.get(db.collection("privateLessonBookings")
+      .where("instructorId", "==", instructorId)
+      .where("date", "==", date)
+      .where("status", "in", ACTIVE_BOOKING_STATUSES));
+    return snapshot.docs.some((doc) => {
+      if (doc.id === excludeBookingId) return false;
+      const busy = bookingInterval(doc);
+      return !!busy && conflictsWith(start, end, busy, bufferMinutes);
+    });
+  }
+
+  private async bookingIntervals(instructorId: string, fromDay: string, toDay: string): Promise<BusyInterval[]> {
+    const db = getFirestore();
+    const snapshot = await db.collection("privateLessonBookings")
+      .where("instructorId", "==", instructorId)
+      .where("date", ">=", fromDay)
+      .where("date", "<=", toDay)
+      .where("status", "in", ACTIVE_BOOKING_STATUSES)
+      .get();
+    return snapshot.docs.map(bookingInterval).filter((interval): interval is BusyInterval => interval !== null);
+  }
+
+  private async classIntervals(
+    instructorId: string, studioOwnerId: string, fromDay: string, toDay: string,
+  ): Promise<BusyInterval[]> {
+    const db = getFirestore();
+    // Every active class, not just ones listing the instructor — they may be subbing in on a single date.
+    const snapshot = await db.collection("classes")
+      .where("studioOwnerId", "==", studioOwnerId)
+      .where("isActive", "==", true)
+      .get();
+    if (snapshot.empty) return [];
+    const classes = snapshot.docs
+      .map((doc): Record<string, unknown> & { id: string } => ({ id: doc.id, ...(doc.data() as Record<string, unknown>) }));
+    const exceptionsByClass = await classExceptionsService.getExceptionsInRange(classes.map((cls) => cls.id), fromDay, toDay);
+
+    const intervals: BusyInterval[] = [];
+    for (const cls of classes) {
+      const occurrences = classExceptionsService.getOccurrences(cls, fromDay, toDay, exceptionsByClass.get(cls.id));
+      for (const occurrence of occurrences) {
+        if (occurrence.status === "cancelled" || !occurrence.instructorIds.includes(instructorId)) continue;
+        const start = timeToMinutes(occurrence.startTime);
+        const end = timeToMinutes(occurrence.endTime);
+        if (start === null || end === null) continue;
+        intervals.push({
+          date: occurrence.date, start, end, source: "class", sourceId: cls.id, label: (cls["name"] as string) || "Class",
+        });
+      }
+    }
+    return intervals;
+  }
+
+  private async scheduleSlotIntervals(
+    collection: "workshops" | "events", studioOwnerId: string, keys: Set<string>, fromDay: string, toDay: string,
+  ): Promise<BusyInterval[]> {
+    const db = getFirestore();
+    const snapshot = await db.collection(collection).where("studioOwnerId", "==", studioOwnerId).get();
+    const intervals: BusyInterval[] = [];
+    for (const doc of snapshot.docs) {
+      const data = doc.data() as Record<string, unknown>;
+      const schedule = Array.isArray(data["schedule"]) ? (data["schedule"] as Array<Record<string, unknown>>) : [];
+      for (const slot of schedule) {
+        const date = slot["date"];
+        if (typeof date !== "string" || date < fromDay || date > toDay) continue;
+        const instructors = Array.isArray(slot["instructors"]) ? (slot["instructors"] as unknown[]) : [];
+        const listed = instructors.some((name) => typeof name === "string" && keys.has(name.trim().toLowerCase()));
+        if (!listed) continue;
+        const start = timeToMinutes(slot["startTime"]);
+        const end = timeToMinutes(slot["endTime"]);
+        if (start === null || end === null) continue;
+        intervals.push({
+          date,
+          start,
+          end,
+          source: collection === "workshops" ? "workshop" : "event",
+          sourceId: doc.id,
+          label: (slot["className"] as string) || (data["name"] as string) || null,
+        });
+      }
+    }
+    return intervals;
+  }
+}
+
+export default new InstructorAvailabilityService();
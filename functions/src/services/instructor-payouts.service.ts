@@ -0,0 +1,330 @@
+import * as admin from "firebase-admin";
+import * as crypto from "crypto";
+import * as stripeService from "./stripe.service";
+import notificationsService from "./notifications.service";
+import { addDays } from "./class-exceptions.service";
+import { getFirestore } from "../utils/firestore";
+
+/**
+ * How a private lesson payment is divided, stored on the booking as
+ * `payoutSplit`. Amounts are in cents; the platform keeps its usual fee and
+ * the studio's share is whatever is left after the instructor's.
+ */
+export interface PayoutSplit {
+  instructorAccountId: string;
+  studioAccountId: string;
+  instructorPercent: number;
+  /** Set on the PaymentIntent and both transfers, linking them in the Stripe dashboard. */
+  transferGroup: string;
+  amountCents: number;
+  platformFeeCents: number;
+  instructorAmountCents: number;
+  studioAmountCents: number;
+  instructorTransferId: string | null;
+  studioTransferId: string | null;
+  instructorReversedCents: number;
+  studioReversedCents: number;
+  status: "planned" | "transferred" | "failed";
+  error: string | null;
+  /** Failed transfer attempts so far; absent on splits that have never failed. */
+  attempts?: number;
+}
+
+export interface PayoutStatementLine {
+  bookingId: string;
+  date: string;
+  startTime: string;
+  status: string;
+  amountPaid: number;
+  instructorPercent: number;
+  transferred: number;
+  reversed: number;
+  net: number;
+  transferId: string | null;
+  transferStatus: PayoutSplit["status"];
+}
+
+export interface PayoutStatement {
+  instructorId: string;
+  instructorName: string;
+  startDate: string;
+  endDate: string;
+  lessons: PayoutStatementLine[];
+  totals: { gross: number; transferred: number; reversed: number; net: number };
+}
+
+const MAX_STATEMENT_RANGE_DAYS = 366;
+/** A failed split is retried by `retryFailed` until it has failed this many times. */
+export const MAX_TRANSFER_ATTEMPTS = 5;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function cents(value: number): number {
+  return Math.round(value) / 100;
+}
+
+/**
+ * Private lesson revenue splits for instructors with their own Stripe Connect
+ * account. A split lesson is charged on the platform (separate charges and
+ * transfers) instead of directly on the studio's account; once paid, the
+ * instructor's share and the studio's share are transferred out, and a refund
+ * reverses them — the instructor's in proportion, the studio's for the rest.
+ */
+export class InstructorPayoutsService {
+  /**
+   * The split for a lesson of `amountCents`, or null when the instructor isn't
+   * set up for it: they need `payRates.payPrivatesByTransfer`, a
+   * `payRates.privateLessonPercent`, and a Connect account that can receive payouts.
+   */
+  async planSplit(instructorId: string, studioAccountId: string, amountCents: number): Promise<PayoutSplit | null> {
+    const doc = await getFirestore().collection("instructors").doc(instructorId).get();
+    if (!doc.exists) return null;
+    const data = doc.data() as Record<string, unknown>;
+    const payRates = (data["payRates"] as Record<string, unknown> | undefined) ?? {};
+    const percent = payRates["privateLessonPercent"];
+    const accountId = data["stripeConnectAccountId"] as string | undefined;
+    if (!payRates["payPrivatesByTransfer"] || typeof percent !== "number" || percent <= 0) return null;
+    if (!accountId || data["stripeConnectStatus"] !== "active") return null;
+
+    const platformFeeCents = stripeService.platformFeeCents(amountCents);
+    const instructorAmountCents = Math.min(Math.round(amountCents * percent / 100), amountCents - platformFeeCents);
+    return {
+      instructorAccountId: accountId,
+      studioAccountId,
+      instructorPercent: percent,
+      transferGroup: `private_lesson_${crypto.randomUUID()}`,
+      amountCents,
+      platformFeeCents,
+      instructorAmountCents,
+      studioAmountCents: amountCents - platformFeeCents - instructorAmountCents,
+      instructorTransferId: null,
+      studioTransferId: null,
+      instructorReversedCents: 0,
+      studioReversedCents: 0,
+      status: "planned",
+      error: null,
+    };
+  }
+
+  /**
+   * Sends both shares of a paid, split booking. Safe to repeat: transfers use
+   * idempotency keys and a share already sent is skipped. A failure is
+   * recorded as `status: "failed"` for `retryFailed` to pick up; the studio is
+   * told the first time, and again if the retries run out.
+   */
+  async distribute(bookingId: string): Promise<void> {
+    const ref = getFirestore().collection("privateLessonBookings").doc(bookingId);
+    const doc = await ref.get();
+    if (!doc.exists) return;
+    const booking = doc.data() as Record<string, unknown>;
+    const split = booking["payoutSplit"] as PayoutSplit | undefined;
+    if (!split || split.status === "transferred") return;
+
+    const paymentIntentId = booking["stripePaymentIntentId"] as string;
+    const update: Partial<PayoutSplit> = {};
+    try {
+      const paymentIntent = await stripeService.retrievePaymentIntent(paymentIntentId);
+      const chargeId = typeof paymentIntent.latest_charge === "string"
+        ? paymentIntent.latest_charge
+        : paymentIntent.latest_charge?.id ?? null;
+      const metadata = { bookingId, instructorId: booking["instructorId"] as string, studioId: booking["studioId"] as string };
+
+      if (!split.instructorTransferId && split.instructorAmountCents > 0) {
+        const transfer = await stripeService.createTransfer(
+          split.instructorAmountCents, split.instructorAccountId,
+          { transferGroup: split.transferGroup, sourceTransaction: chargeId, metadata: { ...metadata, share: "instructor" } },
+          `split_instructor_${bookingId}`,
+        );
+        update.instructorTransferId = transfer.id;
+      }
+      if (!split.studioTransferId && split.studioAmountCents > 0) {
+        const transfer = await stripeService.createTransfer(
+          split.studioAmountCents, split.studioAccountId,
+          { transferGroup: split.transferGroup, sourceTransaction: chargeId, metadata: { ...metadata, share: "studio" } },
+          `split_studio_${bookingId}`,
+        );
+        update.studioTransferId = transfer.id;
+      }
+      update.status = "transferred";
+      update.error = null;
+    } catch (err) {
+      console.error(`[InstructorPayouts] Transfer failed for booking ${bookingId}:`, err);
+      update.status = "failed";
+      update.error = (err as Error).message;
+      update.attempts = (split.attempts ?? (split.status === "failed" ? 1 : 0)) + 1;
+      if (update.attempts === 1 || update.attempts >= MAX_TRANSFER_ATTEMPTS) {
+        notificationsService.createNotification(
+          booking["studioId"] as string, bookingId, "instructor_payout_failed", "Instructor Payout Failed",
+          update.attempts === 1
+            ? `The payout split for the private lesson on ${booking["date"] as string} could not be transferred; it will be retried`
+            : `The payout split for the private lesson on ${booking["date"] as string} still could not be transferred ` +
+              `after ${update.attempts} attempts. Please contact support.`,
+        ).catch((notifyErr) => console.error("[InstructorPayouts] Failed to notify studio:", notifyErr));
+      }
+    }
+
+    await ref.update({
+      payoutSplit: { ...split, ...update },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  /** Retries failed splits that haven't used up their attempts. Returns how many were retried. */
+  async retryFailed(): Promise<number> {
+    const snapshot = await getFirestore().collection("privateLessonBookings")
+      .where("payoutSplit.status", "==", "failed")
+      .get();
+    let retried = 0;
+    for (const doc of snapshot.docs) {
+      const booking = doc.data() as Record<string, unknown>;
+      const split = booking["payoutSplit"] as PayoutSplit;
+      if ((split.attempts ?? 1) >= MAX_TRANSFER_ATTEMPTS) continue;
+      // Money already handed back to the student isn't paid out.
+      if (((booking["refundedAmount"] as number) || 0) > 0) continue;
+      await this.distribute(doc.id);
+      retried++;
+    }
+    return retried;
+  }
+
+  /**
+   * Claws back a refund of `refundCents` from the transfers: the instructor
+   * gives back their percentage of it, the studio the remainder (so, as with a
+   * direct charge, the studio absorbs the platform fee on refunded money).
+   * Whatever the split's status, every transfer that went out is reversed — a
+   * "failed" split may still have paid one side.
+   */
+  async reverseForRefund(bookingId: string, refundCents: number, refundId: string): Promise<void> {
+    const ref = getFirestore().collection("privateLessonBookings").doc(bookingId);
+    const doc = await ref.get();
+    if (!doc.exists) return;
+    const split = (doc.data() as Record<string, unknown>)["payoutSplit"] as PayoutSplit | undefined;
+    if (!split || (!split.instructorTransferId && !split.studioTransferId) || refundCents <= 0) return;
+
+    const instructorCents = split.instructorTransferId
+      ? Math.min(
+        Math.round(split.instructorAmountCents * refundCents / split.amountCents),
+        split.instructorAmountCents - split.instructorReversedCents,
+      )
+      : 0;
+    const studioCents = split.studioTransferId
+      ? Math.min(refundCents - instructorCents, split.studioAmountCents - split.studioReversedCents)
+      : 0;
+
+    const metadata = { bookingId, refundId };
+    if (instructorCents > 0) {
+      await stripeService.reverseTransfer(
+        split.instructorTransferId as string, instructorCents, metadata, `split_reversal_${refundId}_instructor`,
+      );
+    }
+    if (studioCents > 0) {
+      await stripeService.reverseTransfer(
+        split.studioTransferId as string, studioCents, metadata, `split_reversal_${refundId}_studio`,
+      );
+    }
+    await ref.update({
+      "payoutSplit.instructorReversedCents": split.instructorReversedCents + Math.max(0, instructorCents),
+      "payoutSplit.studioReversedCents": split.studioReversedCents + Math.max(0, studioCents),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  /** Every split private lesson the instructor gave in [startDate, endDate], with what reached their account. */
+  async getStatement(instructorId: string, startDate: string, endDate: string): Promise<PayoutStatement> {
+    if (!DATE_RE.test(startDate) || !DATE_RE.test(endDate)) throw new Error("Dates must be in YYYY-MM-DD format");
+    if (endDate < startDate) throw new Error("endDate must not be before startDate");
+    if (addDays(startDate, MAX_STATEMENT_RANGE_DAYS) < endDate) {
+      throw new Error(`Date range cannot exceed ${MAX_STATEMENT_RANGE_DAYS} days`);
+    }
+
+    const db = getFirestore();
+    const instructorDoc = await db.collection("instructors").doc(instructorId).get();
+    if (!instructorDoc.exists) throw new Error("Instructor not found");
+    const instructorData = instructorDoc.data() as Record<string, unknown>;
+
+    const snapshot = await db.collection("privateLessonBookings")
+      .where("instructorId", "==", instructorId)
+      .where("date", ">=", startDate)
+      .where("date", "<=", endDate)
+      .orderBy("date")
+      .get();
+
+    const lessons: PayoutStatementLine[] = [];
+    for (const doc of snapshot.docs) {
+      const booking = doc.data() as Record<string, unknown>;
+      const split = booking["payoutSplit"] as PayoutSplit | undefined;
+      if (!split) continue;
+      const transferredCents = split.instructorTransferId ? split.instructorAmountCents : 0;
+      lessons.push({
+        bookingId: doc.id,
+        date: booking["date"] as string,
+        startTime: (booking["timeSlot"] as { startTime?: string } | undefined)?.startTime ?? "",
+        status: booking["status"] as string,
+        amountPaid: cents(split.amountCents),
+        instructorPercent: split.instructorPercent,
+        transferred: cents(transferredCents),
+        reversed: cents(split.instructorReversedCents),
+        net: cents(transferredCents - split.instructorReversedCents),
+        transferId: split.instructorTransferId,
+        transferStatus: split.status,
+      });
+    }
+    lessons.sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+
+    const sum = (pick: (line: PayoutStatementLine) => number) =>
+      Math.round(lessons.reduce((total, line) => total + pick(line), 0) * 100) / 100;
+    return {
+      instructorId,
+      instructorName: [instructorData["firstName"], instructorData["lastName"]].filter(Boolean).join(" "),
+      startDate,
+      endDate,
+      lessons,
+      totals: {
+        gross: sum((line) => line.amountPaid),
+        transferred: sum((line) => line.transferred),
+        reversed: sum((line) => line.reversed),
+        net: sum((line) => line.net),
+      },
+    };
+  }
+
+  /**
+   * Onboarding link for the instructor's own Express account, creating the
+   * account on first use. Their status is refreshed by refreshAccountStatus
+   * when they come back.
+   */
+  async createOnboardingLink(instructorId: string, email: string, origin: string): Promise<{ url: string; accountId: string }> {
+    const ref = getFirestore().collection("instructors").doc(instructorId);
+    const doc = await ref.get();
+    if (!doc.exists) throw new Error("Instructor not found");
+    let accountId = (doc.data() as Record<string, unknown>)["stripeConnectAccountId"] as string | undefined;
+    if (!accountId) {
+      const account = await stripeService.createConnectedAccount(email, { instructorId, membership: "instructor" });
+      accountId = account.id;
+      await ref.update({
+        stripeConnectAccountId: accountId,
+        stripeConnectStatus: "pending",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    const link = await stripeService.createAccountLink(
+      accountId, `${origin}/instructor/payouts?stripe=return`, `${origin}/instructor/payouts?stripe=refresh`,
+    );
+    return { url: link.url, accountId };
+  }
+
+  async refreshAccountStatus(instructorId: string): Promise<{ accountId: string | null; status: string; payoutsEnabled: boolean }> {
+    const ref = getFirestore().collection("instructors").doc(instructorId);
+    const doc = await ref.get();
+    if (!doc.exists) throw new Error("Instructor not found");
+    const accountId = (doc.data() as Record<string, unknown>)["stripeConnectAccountId"] as string | undefined;
+    if (!accountId) return { accountId: null, status: "not_connected", payoutsEnabled: false };
+
+    const account = await stripeService.getAccount(accountId);
+    const payoutsEnabled = !!account.payouts_enabled;
+    const status = payoutsEnabled ? "active" : "pending";
+    await ref.update({ stripeConnectStatus: status, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { accountId, status, payoutsEnabled };
+  }
+}
+
+export default new InstructorPayoutsService();
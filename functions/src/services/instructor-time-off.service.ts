@@ -0,0 +1,399 @@
+import * as admin from "firebase-admin";
+import classExceptionsService, { addDays } from "./class-exceptions.service";
+import { timeToMinutes } from "./instructor-availability.service";
+import notificationsService from "./notifications.service";
+import substituteRequestsService from "./substitute-requests.service";
+import type { AppError } from "../types/api";
+import { getFirestore } from "../utils/firestore";
+import { notifyInstructor } from "../utils/push-notifications";
+import { localDateParts, studioTimezone } from "../utils/timezone";
+
+export type TimeOffStatus = "pending" | "approved" | "declined" | "cancelled";
+
+export interface TimeOffInput {
+  startDate: string;
+  endDate: string;
+  startTime?: string | null;
+  endTime?: string | null;
+  reason?: string | null;
+}
+
+export interface AffectedClass {
+  classId: string;
+  className: string;
+  date: string;
+  originalDate: string;
+  startTime: string;
+  endTime: string;
+}
+
+export interface AffectedBooking {
+  bookingId: string;
+  date: string;
+  startTime: string;
+  endTime: string | null;
+  status: string;
+  studentId: string | null;
+}
+
+/** What the time off collides with: classes that need a substitute and privates the studio has to move or cancel. */
+export interface TimeOffImpact {
+  classesNeedingSubstitute: AffectedClass[];
+  conflictingBookings: AffectedBooking[];
+}
+
+export interface TimeOffRequest {
+  id: string;
+  instructorId: string;
+  studioOwnerId: string;
+  instructorName: string;
+  startDate: string;
+  endDate: string;
+  startTime: string | null;
+  endTime: string | null;
+  reason: string | null;
+  status: TimeOffStatus;
+  reviewNote: string | null;
+  reviewedBy: string | null;
+  reviewedAt: string | null;
+  /** Snapshot taken when the request was approved; live requests are re-checked with `getImpact`. */
+  impact: TimeOffImpact | null;
+  createdAt: string | null;
+}
+
+const MAX_TIME_OFF_DAYS = 90;
+const ACTIVE_BOOKING_STATUSES = ["pending", "confirmed"];
+
+function isoOf(value: unknown): string | null {
+  return value instanceof admin.firestore.Timestamp ? value.toDate().toISOString() : null;
+}
+
+function docToRequest(doc: FirebaseFirestore.DocumentSnapshot): TimeOffRequest {
+  const data = doc.data() as Record<string, unknown>;
+  return {
+    id: doc.id,
+    instructorId: data["instructorId"] as string,
+    studioOwnerId: data["studioOwnerId"] as string,
+    instructorName: (data["instructorName"] as string) || "Instructor",
+    startDate: data["startDate"] as string,
+    endDate: data["endDate"] as string,
+    startTime: (data["startTime"] as string | null) ?? null,
+    endTime: (data["endTime"] as string | null) ?? null,
+    reason: (data["reason"] as string | null) ?? null,
+    status: data["status"] as TimeOffStatus,
+    reviewNote: (data["reviewNote"] as string | null) ?? null,
+    reviewedBy: (data["reviewedBy"] as string | null) ?? null,
+    reviewedAt: isoOf(data["reviewedAt"]),
+    impact: (data["impact"] as TimeOffImpact | null) ?? null,
+    createdAt: isoOf(data["createdAt"]),
+  };
+}
+
+/** Errors both the studio's and the instructor's routes pass straight to the client (see `handleError`). */
+function timeOffError(status: 400 | 403 | 404 | 409, message: string): AppError {
+  const error = { 400: "Validation Error", 403: "Access Denied", 404: "Not Found", 409: "Conflict" }[status];
+  return Object.assign(new Error(message), { status, error });
+}
+
+function describeRange(request: Pick<TimeOffRequest, "startDate" | "endDate" | "startTime" | "endTime">): string {
+  const days = request.startDate === request.endDate ? request.startDate : `${request.startDate} to ${request.endDate}`;
+  return request.startTime ? `${days}, ${request.startTime}–${request.endTime}` : days;
+}
+
+/** Whether [start, end) on a day falls inside the time off — the whole day when no times were given. */
+function overlapsTimeOff(range: TimeOffInput, date: string, start: number | null, end: number | null): boolean {
+  if (date < range.startDate || date > range.endDate) return false;
+  const offStart = timeToMinutes(range.startTime);
+  const offEnd = timeToMinutes(range.endTime);
+  if (offStart === null || offEnd === null || start === null) return true;
+  return start < offEnd && offStart < (end ?? start + 60);
+}
+
+/**
+ * Dated time off for instructors. A linked instructor asks for it, the studio
+ * owner approves or declines, and an approved request becomes a blackout in
+ * the instructor's `timeOffBlackouts` (tagged with `timeOffId`) so private
+ * lesson slots disappear. It is kept apart from `availability.blackoutDates`,
+ * which the studio edits as a whole. Classes inside the range get a substitute request; booked
+ * privates are only reported — the studio decides what moves.
+ */
+export class InstructorTimeOffService {
+  async getImpact(instructorId: string, studioOwnerId: string, range: TimeOffInput): Promise<TimeOffImpact> {
+    const db = getFirestore();
+    const [classSnapshot, bookingSnapshot] = await Promise.all([
+      db.collection("classes").where("studioOwnerId", "==", studioOwnerId).where("isActive", "==", true).get(),
+      db.collection("privateLessonBookings")
+        .where("instructorId", "==", instructorId)
+        .where("date", ">=", range.startDate)
+        .where("date", "<=", range.endDate)
+        .where("status", "in", ACTIVE_BOOKING_STATUSES)
+        .get(),
+    ]);
+
+    const classesNeedingSubstitute: AffectedClass[] = [];
+    const classes = classSnapshot.docs
+      .map((doc): Record<string, unknown> & { id: string } => ({ id: doc.id, ...(doc.data() as Record<string, unknown>) }));
+    if (classes.length > 0) {
+      const exceptionsByClass = await classExceptionsService.getExceptionsInRange(
+        classes.map((cls) => cls.id), range.startDate, range.endDate,
+      );
+      for (const cls of classes) {
+        const occurrences = classExceptionsService.getOccurrences(
+          cls, range.startDate, range.endDate, exceptionsByClass.get(cls.id),
+        );
+        for (const occurrence of occurrences) {
+          if (occurrence.status === "cancelled" || !occurrence.instructorIds.includes(instructorId)) continue;
+          const start = timeToMinutes(occurrence.startTime);
+          if (!overlapsTimeOff(range, occurrence.date, start, timeToMinutes(occurrence.endTime))) continue;
+          classesNeedingSubstitute.push({
+            classId: cls.id,
+            className: (cls["name"] as string) || "Class",
+            date: occurrence.date,
+            originalDate: occurrence.originalDate,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+          });
+        }
+      }
+    }
+
+    const conflictingBookings: AffectedBooking[] = [];
+    for (const doc of bookingSnapshot.docs) {
+      const booking = doc.data() as Record<string, unknown>;
+      const timeSlot = (booking["timeSlot"] as { startTime?: string; endTime?: string } | undefined) ?? {};
+      const start = timeToMinutes(timeSlot.startTime);
+      if (!overlapsTimeOff(range, booking["date"] as string, start, timeToMinutes(timeSlot.endTime))) continue;
+      conflictingBookings.push({
+        bookingId: doc.id,
+        date: booking["date"] as string,
+        startTime: timeSlot.startTime ?? "",
+        endTime: timeSlot.endTime ?? null,
+        status: booking["status"] as string,
+        studentId: (booking["studentId"] as string) || null,
+      });
+    }
+
+    const byTime = (a: { date: string; startTime: string }, b: { date: string; startTime: string }) =>
+      a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime);
+    return {
+      classesNeedingSubstitute: classesNeedingSubstitute.sort(byTime),
+      conflictingBookings: conflictingBookings.sort(byTime),
+    };
+  }
+
+  /** Submits a request (validated by the route) and tells the studio, including what it would clash with. */
+  async requestTimeOff(
+    instructorId: string, studioOwnerId: string, input: TimeOffInput,
+  ): Promise<{ request: TimeOffRequest; impact: TimeOffImpact }> {
+    const db = getFirestore();
+    const [instructorDoc, studioDoc] = await Promise.all([
+      db.collection("instructors").doc(instructorId).get(),
+      db.collection("users").doc(studioOwnerId).get(),
+    ]);
+    if (!instructorDoc.exists) throw timeOffError(404, "Instructor not found");
+    const today = localDateParts(studioTimezone(studioDoc.data())).date;
+    if (input.startDate < today) throw timeOffError(400, "Time off cannot start in the past");
+    if (addDays(input.startDate, MAX_TIME_OFF_DAYS - 1) < input.endDate) {
+      throw timeOffError(400, `Time off cannot be longer than ${MAX_TIME_OFF_DAYS} days`);
+    }
+    const instructorData = instructorDoc.data() as Record<string, unknown>;
+    const instructorName = [instructorData["firstName"], instructorData["lastName"]].filter(Boolean).join(" ") || "Instructor";
+
+    const ref = db.collection("instructorTimeOff").doc();
+    await ref.set({
+      instructorId,
+      studioOwnerId,
+      instructorName,
+      startDate: input.startDate,
+      endDate: input.endDate,
+      startTime: input.startTime ?? null,
+      endTime: input.endTime ?? null,
+      reason: input.reason?.trim() || null,
+      status: "pending",
+      reviewNote: null,
+      reviewedBy: null,
+      reviewedAt: null,
+      impact: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    const request = docToRequest(await ref.get());
+    const impact = await this.getImpact(instructorId, studioOwnerId, request);
+
+    const warnings = [
+      impact.classesNeedingSubstitute.length ? `${impact.classesNeedingSubstitute.length} class(es) will need a substitute` : "",
+      impact.conflictingBookings.length ? `${impact.conflictingBookings.length} private lesson(s) are booked in this time` : "",
+    ].filter(Boolean).join("; ");
+    await notificationsService.createNotification(
+      studioOwnerId, null, "instructor_time_off_requested", "Time Off Requested",
+      `${instructorName} requested time off ${describeRange(request)}${warnings ? ` — ${warnings}` : ""}`,
+    );
+    return { request, impact };
+  }
+
+  async listForInstructor(instructorId: string): Promise<TimeOffRequest[]> {
+    const snapshot = await getFirestore().collection("instructorTimeOff").where("instructorId", "==", instructorId).get();
+    return snapshot.docs.map(docToRequest).sort((a, b) => b.startDate.localeCompare(a.startDate));
+  }
+
+  async listForStudio(studioOwnerId: string, status?: TimeOffStatus): Promise<TimeOffRequest[]> {
+    const snapshot = await getFirestore().collection("instructorTimeOff").where("studioOwnerId", "==", studioOwnerId).get();
+    return snapshot.docs
+      .map(docToRequest)
+      .filter((request) => !status || request.status === status)
+      .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  /** One request for the studio, with a fresh impact check while it's still pending. */
+  async getForStudio(requestId: string, studioOwnerId: string): Promise<TimeOffRequest & { currentImpact: TimeOffImpact | null }> {
+    const request = await this.getRequest(requestId);
+    if (request.studioOwnerId !== studioOwnerId) throw timeOffError(403, "Access denied: Time-off request does not belong to this studio");
+    const currentImpact = request.status === "pending" || request.status === "approved"
+      ? await this.getImpact(request.instructorId, studioOwnerId, request)
+      : null;
+    return { ...request, currentImpact };
+  }
+
+  /** Approves a pending request, adds the blackout, and opens a substitute request for each class it covers. */
+  async approve(
+    requestId: string, studioOwnerId: string, actorUid: string, note: string | null,
+  ): Promise<{ request: TimeOffRequest; impact: TimeOffImpact }> {
+    const db = getFirestore();
+    const ref = db.collection("instructorTimeOff").doc(requestId);
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) throw timeOffError(404, "Time-off request not found");
+      const request = docToRequest(doc);
+      if (request.studioOwnerId !== studioOwnerId) throw timeOffError(403, "Access denied: Time-off request does not belong to this studio");
+      if (request.status !== "pending") throw timeOffError(409, `Only pending requests can be approved (this one is ${request.status})`);
+      const instructorRef = db.collection("instructors").doc(request.instructorId);
+      const instructorDoc = await tx.get(instructorRef);
+      if (!instructorDoc.exists) throw timeOffError(404, "Instructor not found");
+
+      tx.update(instructorRef, {
+        timeOffBlackouts: admin.firestore.FieldValue.arrayUnion({
+          startDate: request.startDate,
+          endDate: request.endDate,
+          startTime: request.startTime,
+          endTime: request.endTime,
+          reason: request.reason || "Time off",
+          timeOffId: requestId,
+        }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.update(ref, {
+        status: "approved",
+        reviewNote: note,
+        reviewedBy: actorUid,
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    const approved = await this.getRequest(requestId);
+    const impact = await this.getImpact(approved.instructorId, studioOwnerId, approved);
+    await ref.update({ impact });
+
+    for (const affected of impact.classesNeedingSubstitute) {
+      try {
+        await substituteRequestsService.openRequest(
+          studioOwnerId, affected.classId, affected.originalDate, approved.instructorId, actorUid,
+          { reason: approved.reason ? `Time off: ${approved.reason}` : "Time off", timeOffId: requestId },
+        );
+      } catch (err) {
+        console.error(`[TimeOff] Could not open substitute request for ${affected.classId} on ${affected.date}:`, (err as Error).message);
+      }
+    }
+
+    const needsSub = impact.classesNeedingSubstitute.length;
+    await notifyInstructor(approved.instructorId, {
+      type: "time_off_approved",
+      title: "Time off approved",
+      body: `Your time off ${describeRange(approved)} was approved.${needsSub ? ` Cover is being arranged for ${needsSub} class(es).` : ""}`,
+      refs: { timeOffId: requestId },
+    });
+    return { request: { ...approved, impact }, impact };
+  }
+
+  async decline(requestId: string, studioOwnerId: string, actorUid: string, note: string | null): Promise<TimeOffRequest> {
+    const db = getFirestore();
+    const ref = db.collection("instructorTimeOff").doc(requestId);
+    const request = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) throw timeOffError(404, "Time-off request not found");
+      const pending = docToRequest(doc);
+      if (pending.studioOwnerId !== studioOwnerId) throw timeOffError(403, "Access denied: Time-off request does not belong to this studio");
+      if (pending.status !== "pending") throw timeOffError(409, `Only pending requests can be declined (this one is ${pending.status})`);
+      tx.update(ref, {
+        status: "declined",
+        reviewNote: note,
+        reviewedBy: actorUid,
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return pending;
+    });
+    await notifyInstructor(request.instructorId, {
+      type: "time_off_declined",
+      title: "Time off declined",
+      body: `Your time off ${describeRange(request)} was declined.${note ? ` ${note}` : ""}`,
+      refs: { timeOffId: requestId },
+    });
+    return { ...request, status: "declined", reviewNote: note, reviewedBy: actorUid };
+  }
+
+  /**
+   * The instructor withdraws a request. An approved one can be withdrawn until
+   * it starts; its blackout is removed so the slots open up again, and cover
+   * nobody has taken yet is called off.
+   */
+  async cancel(requestId: string, instructorId: string): Promise<TimeOffRequest> {
+    const db = getFirestore();
+    const ref = db.collection("instructorTimeOff").doc(requestId);
+    const wasApproved = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) throw timeOffError(404, "Time-off request not found");
+      const request = docToRequest(doc);
+      if (request.instructorId !== instructorId) throw timeOffError(403, "Access denied: Time-off request does not belong to this instructor");
+      if (request.status !== "pending" && request.status !== "approved") {
+        throw timeOffError(400, `This request is already ${request.status}`);
+      }
+
+      const instructorRef = db.collection("instructors").doc(instructorId);
+      const [instructorDoc, studioDoc] = request.status === "approved"
+        ? await Promise.all([tx.get(instructorRef), tx.get(db.collection("users").doc(request.studioOwnerId))])
+        : [null, null];
+      if (request.status === "approved" && request.startDate <= localDateParts(studioTimezone(studioDoc?.data())).date) {
+        throw timeOffError(400, "Time off that has already started cannot be withdrawn");
+      }
+      if (instructorDoc?.exists) {
+        const blackouts = (instructorDoc.data() as Record<string, unknown>)["timeOffBlackouts"];
+        tx.update(instructorRef, {
+          timeOffBlackouts: (Array.isArray(blackouts) ? blackouts as Array<Record<string, unknown>> : [])
+            .filter((blackout) => blackout["timeOffId"] !== requestId),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      tx.update(ref, { status: "cancelled", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return request.status === "approved";
+    });
+
+    const request = await this.getRequest(requestId);
+    if (wasApproved) {
+      await substituteRequestsService.cancelForTimeOff(requestId);
+      await notificationsService.createNotification(
+        request.studioOwnerId, null, "instructor_time_off_withdrawn", "Time Off Withdrawn",
+        `${request.instructorName} withdrew their approved time off ${describeRange(request)}`,
+      );
+    }
+    return request;
+  }
+
+  private async getRequest(requestId: string): Promise<TimeOffRequest> {
+    const doc = await getFirestore().collection("instructorTimeOff").doc(requestId).get();
+    if (!doc.exists) throw timeOffError(404, "Time-off request not found");
+    return docToRequest(doc);
+  }
+}
+
+export default new InstructorTimeOffService();
@@ -0,0 +1,244 @@
+import * as admin from "firebase-admin";
+import { getFirestore } from "../utils/firestore";
+
+export type MembershipAccess = "unlimited" | "capped";
+
+/** Subscription statuses that still let a member check in. */
+const ACTIVE_STATUSES = ["active", "trialing"];
+
+export interface StudentMembership {
+  id: string;
+  studentId: string;
+  studioOwnerId: string;
+  packageId: string;
+  authUid: string | null;
+  planName: string;
+  access: MembershipAccess;
+  classesPerCycle: number | null;
+  classIds: string[];
+  status: string;
+  cycleNumber: number;
+  classesUsedThisCycle: number;
+  classesRemainingThisCycle: number | null;
+  currentPeriodStart: string | null;
+  currentPeriodEnd: string | null;
+}
+
+export interface BillingCycleInput {
+  subscriptionId: string;
+  studentId: string;
+  studioOwnerId: string;
+  packageId: string;
+  authUid: string | null;
+  status: string;
+  /** Stripe subscription object — its current period bounds the cycle. */
+  subscription: Record<string, unknown>;
+}
+
+/** Is this package a membership (access rules) rather than a credit pack? */
+export function isMembershipPackage(packageData: Record<string, unknown> | null | undefined): boolean {
+  return packageData?.["packageType"] === "membership";
+}
+
+function toIso(value: unknown): string | null {
+  return value && typeof value === "object" && "toDate" in value
+    ? (value as admin.firestore.Timestamp).toDate().toISOString()
+    : null;
+}
+
+function docToMembership(doc: FirebaseFirestore.DocumentSnapshot): StudentMembership {
+  const data = doc.data() as Record<string, unknown>;
+  const access = data["access"] === "capped" ? "capped" : "unlimited";
+  const classesPerCycle = access === "capped" ? (data["classesPerCycle"] as number) || 0 : null;
+  const used = (data["classesUsedThisCycle"] as number) || 0;
+  return {
+    id: doc.id,
+    studentId: data["studentId"] as string,
+    studioOwnerId: data["studioOwnerId"] as string,
+    packageId: data["packageId"] as string,
+    authUid: (data["authUid"] as string | null) ?? null,
+    planName: (data["planName"] as string) || "Membership",
+    access,
+    classesPerCycle,
+    classIds: Array.isArray(data["classIds"]) ? (data["classIds"] as string[]) : [],
+    status: data["status"] as string,
+    cycleNumber: (data["cycleNumber"] as number) || 1,
+    classesUsedThisCycle: used,
+    classesRemainingThisCycle: classesPerCycle === null ? null : Math.max(0, classesPerCycle - used),
+    currentPeriodStart: toIso(data["currentPeriodStart"]),
+    currentPeriodEnd: toIso(data["currentPeriodEnd"]),
+  };
+}
+
+/**
+ * Newer Stripe API versions moved the billing period from the subscription onto its
+ * items, so look in both places.
+ */
+function billingPeriodOf(subscription: Record<string, unknown>): { start: Date; end: Date } | null {
+  const items = (subscription["items"] as { data?: Array<Record<string, unknown>> } | undefined)?.data ?? [];
+  const start = (subscription["current_period_start"] ?? items[0]?.["current_period_start"]) as number | undefined;
+  const end = (subscription["current_period_end"] ?? items[0]?.["current_period_end"]) as number | undefined;
+  return start && end ? { start: new Date(start * 1000), end: new Date(end * 1000) } : null;
+}
+
+/** A first period estimated from the package's billing settings, for when Stripe's isn't available. */
+function estimatedFirstPeriod(packageData: Record<string, unknown>): { start: Date; end: Date } {
+  const startDate = new Date();
+  const endDate = new Date(startDate);
+  const frequency = packageData["billingFrequency"];
+  const interval = (packageData["billingInterval"] as number) || 1;
+  if (frequency === "weekly") endDate.setDate(endDate.getDate() + 7 * interval);
+  else if (frequency === "daily") endDate.setDate(endDate.getDate() + interval);
+  else if (typeof frequency === "number") endDate.setDate(endDate.getDate() + frequency * interval);
+  else endDate.setMonth(endDate.getMonth() + interval);
+  return { start: startDate, end: endDate };
+}
+
+/**
+ * Recurring memberships: a subscription to a package with `packageType: "membership"`
+ * grants class access (unlimited, or a capped number per billing cycle) instead of
+ * credits. One `studentMemberships` doc per Stripe subscription; each paid invoice
+ * starts a new cycle and resets the allowance.
+ */
+export class MembershipsService {
+  async listForStudio(studioOwnerId: string, studentId?: string): Promise<StudentMembership[]> {
+    const db = getFirestore();
+    let query = db.collection("studentMemberships")
+      .where("studioOwnerId", "==", studioOwnerId) as FirebaseFirestore.Query;
+    if (studentId) query = query.where("studentId", "==", studentId);
+    const snapshot = await query.get();
+    return snapshot.docs.map(docToMembership);
+  }
+
+  async listForAuthUser(authUid: string): Promise<StudentMembership[]> {
+    const db = getFirestore();
+    const snapshot = await db.collection("studentMemberships").where("authUid", "==", authUid).get();
+    return snapshot.docs.map(docToMembership);
+  }
+
+  /**
+   * Records a paid billing period. The first call creates the membership; a later
+   * period resets the cycle's usage. Replays for a period already recorded only
+   * refresh the status, so the purchase handler and the webhook can both call it.
+   */
+  async recordBillingCycle(input: BillingCycleInput): Promise<void> {
+    const db = getFirestore();
+    const packageDoc = await db.collection("packages").doc(input.packageId).get();
+    if (!packageDoc.exists) throw new Error("Package not found");
+    const packageData = packageDoc.data() as Record<string, unknown>;
+    if (!isMembershipPackage(packageData)) return;
+
+    const stripePeriod = billingPeriodOf(input.subscription);
+    const period = stripePeriod ?? estimatedFirstPeriod(packageData);
+    const periodStart = admin.firestore.Timestamp.fromDate(period.start);
+    const periodEnd = admin.firestore.Timestamp.fromDate(period.end);
+    // Plan edits take effect from the next cycle, never mid-cycle.
+    const rules = {
+      planName: (packageData["name"] as string) || "Membership",
+      access: packageData["membershipAccess"] === "capped" ? "capped" : "unlimited",
+      classesPerCycle: packageData["membershipAccess"] === "capped"
+        ? (packageData["classesPerCycle"] as number) || 0
+        : null,
+      classIds: Array.isArray(packageData["classIds"]) ? (packageData["classIds"] as string[]) : [],
+    };
+
+    const ref = db.collection("studentMemberships").doc(input.subscriptionId);
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) {
+        tx.set(ref, {
+          studentId: input.studentId,
+          studioOwnerId: input.studioOwnerId,
+          packageId: input.packageId,
+          authUid: input.authUid,
+          stripeSubscriptionId: input.subscriptionId,
+          ...rules,
+          status: input.status,
+          cycleNumber: 1,
+          classesUsedThisCycle: 0,
+          currentPeriodStart: periodStart,
+          currentPeriodEnd: periodEnd,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return;
+      }
+
+      const data = doc.data() as Record<string, unknown>;
+      const recordedStart = data["currentPeriodStart"] as admin.firestore.Timestamp | undefined;
+      // Only a real Stripe period later than the recorded one starts a new cycle.
+      if (!stripePeriod || (recordedStart && periodStart.toMillis() <= recordedStart.toMillis())) {
+        tx.update(ref, { status: input.status, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        return;
+      }
+      tx.update(ref, {
+        ...rules,
+        status: input.status,
+        cycleNumber: ((data["cycleNumber"] as number) || 1) + 1,
+        classesUsedThisCycle: 0,
+        currentPeriodStart: periodStart,
+        currentPeriodEnd: periodEnd,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+  }
+
+  /** Mirrors the Stripe subscription status (past_due, canceled, …); unknown subscriptions are ignored. */
+  async updateStatus(subscriptionId: string, status: string): Promise<void> {
+    const ref = getFirestore().collection("studentMemberships").doc(subscriptionId);
+    const doc = await ref.get();
+    if (!doc.exists) return;
+    await ref.update({ status, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+
+  /**
+   * Read half of a membership check-in: the member's active membership that covers
+   * this class and still has allowance left, unlimited plans first.
+   */
+  async findCoveringMembership(
+    tx: FirebaseFirestore.Transaction, studentId: string, studioOwnerId: string, classId: string,
+  ): Promise<FirebaseFirestore.QueryDocumentSnapshot | null> {
+    const db = getFirestore();
+    const snapshot = await tx.get(db.collection("studentMemberships")
+      .where("studentId", "==", studentId)
+      .where("studioOwnerId", "==", studioOwnerId));
+
+    const covering = snapshot.docs.filter((doc) => {
+      const membership = docToMembership(doc);
+      if (!ACTIVE_STATUSES.includes(membership.status)) return false;
+      if (membership.classIds.length > 0 && !membership.classIds.includes(classId)) return false;
+      return membership.classesRemainingThisCycle === null || membership.classesRemainingThisCycle > 0;
+    });
+    return covering.find((doc) => docToMembership(doc).access === "unlimited") ?? covering[0] ?? null;
+  }
+
+  /** Write half of a membership check-in. Returns the cycle the visit counted against. */
+  useMembership(tx: FirebaseFirestore.Transaction, membershipDoc: FirebaseFirestore.QueryDocumentSnapshot): number {
+    const membership = docToMembership(membershipDoc);
+    tx.update(membershipDoc.ref, {
+      classesUsedThisCycle: membership.classesUsedThisCycle + 1,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return membership.cycleNumber;
+  }
+
+  /**
+   * Gives a visit back when its check-in is removed — only while the cycle it was
+   * counted against is still current. Reads first, so call before any other writes.
+   */
+  async releaseMembershipUse(
+    tx: FirebaseFirestore.Transaction, membershipId: string, cycleNumber: number,
+  ): Promise<void> {
+    const ref = getFirestore().collection("studentMemberships").doc(membershipId);
+    const doc = await tx.get(ref);
+    if (!doc.exists) return;
+    const membership = docToMembership(doc);
+    if (membership.cycleNumber !== cycleNumber || membership.classesUsedThisCycle <= 0) return;
+    tx.update(ref, {
+      classesUsedThisCycle: membership.classesUsedThisCycle - 1,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+export default new MembershipsService();
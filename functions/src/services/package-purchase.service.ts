@@ -3,6 +3,7 @@ import packagesService from "./packages.service";
 import studentsService from "./students.service";
 import studioEnrollmentService from "./studio-enrollment.service";
 import creditTrackingService from "./credit-tracking.service";
+import { isMembershipPackage } from "./memberships.service";
 import { getFirestore } from "../utils/firestore";
 import { ensureStudiosStructure } from "../utils/studio-enrollment.utils";
 
@@ -21,6 +22,8 @@ export class PackagePurchaseService {
     const packageData = await packagesService.getPackageById(packageId, studioOwnerId);
     if (!packageData) throw new Error("Package not found or does not belong to this studio");
     if (!packageData["isActive"]) throw new Error("Package is not active");
+    // Memberships renew through Stripe; a one-off grant here would never reset.
+    if (isMembershipPackage(packageData)) throw new Error("Memberships are billed as a subscription and can't be granted this way");
 
     const studentProfileDoc = await authService.getStudentProfileByAuthUid(authUid);
     if (!studentProfileDoc) throw new Error("Student profile not found");
@@ -43,7 +46,9 @@ export class PackagePurchaseService {
     const expirationDays = (packageData["expirationDays"] as number) || 365;
     const creditsToAdd = (packageData["credits"] as number) || 0;
 
-    await creditTrackingService.addCredits(studentId, studioOwnerId, creditsToAdd, expirationDays, packageId, null);
+    await creditTrackingService.addCredits(studentId, studioOwnerId, creditsToAdd, expirationDays, packageId, null, {
+      actor: { type: "student", id: studentId },
+    });
     const newCreditBalance = await creditTrackingService.getAvailableCredits(studentId, studioOwnerId);
 
     return {
@@ -61,6 +66,7 @@ export class PackagePurchaseService {
     packageId: string;
     packageName: string;
     creditsAdded: number;
+    creditId: string;
     newCreditBalance: number;
     studentId: string;
     studioOwnerId: string;
@@ -68,6 +74,8 @@ export class PackagePurchaseService {
     const packageData = await packagesService.getPackageById(packageId, studioOwnerId);
     if (!packageData) throw new Error("Package not found or does not belong to this studio");
     if (!packageData["isActive"]) throw new Error("Package is not active");
+    // Memberships renew through Stripe; a one-off grant here would never reset.
+    if (isMembershipPackage(packageData)) throw new Error("Memberships are billed as a subscription and can't be granted this way");
 
     const studentDoc = await studentsService.getStudentById(studentId, studioOwnerId);
     if (!studentDoc) throw new Error("Student not found");
@@ -75,13 +83,16 @@ export class PackagePurchaseService {
     const expirationDays = (packageData["expirationDays"] as number) || 365;
     const creditsToAdd = (packageData["credits"] as number) || 0;
 
-    await creditTrackingService.addCredits(studentId, studioOwnerId, creditsToAdd, expirationDays, packageId, null);
+    const creditId = await creditTrackingService.addCredits(studentId, studioOwnerId, creditsToAdd, expirationDays, packageId, null, {
+      actor: { type: "studio", id: studioOwnerId },
+    });
     const newCreditBalance = await creditTrackingService.getAvailableCredits(studentId, studioOwnerId);
 
     return {
       packageId,
       packageName: packageData["name"] as string,
       creditsAdded: creditsToAdd,
+      creditId,
       newCreditBalance,
       studentId,
       studioOwnerId,
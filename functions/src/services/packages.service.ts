@@ -1,6 +1,7 @@
 import * as admin from "firebase-admin";
 import authService from "./auth.service";
 import { getFirestore } from "../utils/firestore";
+import { validateUpdatedPackage } from "../utils/validation";
 import { createConnectedProduct } from "./stripe.service";
 
 export interface PackageStat {
@@ -120,6 +121,13 @@ export class PackagesService {
     if (existingData["studioOwnerId"] !== studioOwnerId) {
       throw new Error("Access denied: Package does not belong to this studio owner");
     }
+    const validation = validateUpdatedPackage({ ...existingData, ...packageData });
+    if (!validation.valid) {
+      const err = new Error("Validation Error") as Error & { status?: number; errors?: unknown[] };
+      err.status = 400;
+      err.errors = validation.errors;
+      throw err;
+    }
     await ref.update({ ...packageData, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
   }
 
@@ -0,0 +1,288 @@
+import * as admin from "firebase-admin";
+import classExceptionsService, { addDays, toInstanceDay } from "./class-exceptions.service";
+import { timeToMinutes } from "./instructor-availability.service";
+import { PayoutSplit } from "./instructor-payouts.service";
+import type { InstructorPayRates } from "../types/domain";
+import { getFirestore } from "../utils/firestore";
+
+/**
+ * The rates payroll applies, with unset or invalid ones as null. Every rate
+ * that is set applies, so a studio can mix a per-class base with a per-head bonus.
+ */
+export interface PayrollRates extends Pick<InstructorPayRates, "perClass" | "perHead" | "privateLessonPercent"> {
+  /** Per hour of class taught — the long-standing `instructors.hourlyRate` field. */
+  hourlyRate: number | null;
+}
+
+export interface PayrollClassLine {
+  classId: string;
+  className: string;
+  date: string;
+  startTime: string;
+  endTime: string;
+  hours: number;
+  headcount: number;
+}
+
+export interface PayrollPrivateLine {
+  bookingId: string;
+  date: string;
+  startTime: string;
+  status: string;
+  revenue: number;
+}
+
+export interface InstructorPayroll {
+  instructorId: string;
+  name: string;
+  email: string | null;
+  rates: PayrollRates;
+  classesTaught: number;
+  classHours: number;
+  headcount: number;
+  privateLessons: number;
+  privateLessonRevenue: number;
+  /** `paidByTransfer` already reached the instructor through private lesson payout splits; `owed` is the rest. */
+  pay: {
+    perClass: number; hourly: number; perHead: number; privateLessons: number; total: number;
+    paidByTransfer: number; owed: number;
+  };
+  classes: PayrollClassLine[];
+  privates: PayrollPrivateLine[];
+}
+
+export interface PayrollReport {
+  startDate: string;
+  endDate: string;
+  instructors: InstructorPayroll[];
+  totalPay: number;
+  totalOwed: number;
+}
+
+const MAX_PAYROLL_RANGE_DAYS = 93;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+/** Private lessons that count toward revenue — anything that wasn't fully refunded. */
+const PAYABLE_PRIVATE_STATUSES = ["pending", "confirmed", "no_show", "cancelled"];
+
+function round2(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function rateOf(value: unknown): number | null {
+  return typeof value === "number" && Number.isFinite(value) && value > 0 ? value : null;
+}
+
+export function payRatesOf(instructorData: Record<string, unknown>): PayrollRates {
+  const payRates = (instructorData["payRates"] as Record<string, unknown> | undefined) ?? {};
+  return {
+    hourlyRate: rateOf(instructorData["hourlyRate"]),
+    perClass: rateOf(payRates["perClass"]),
+    perHead: rateOf(payRates["perHead"]),
+    privateLessonPercent: rateOf(payRates["privateLessonPercent"]),
+  };
+}
+
+/** What the studio kept from a private lesson: the amount paid less any money refunded or credited back. */
+function privateLessonRevenue(booking: Record<string, unknown>): number {
+  const amountPaid = (booking["amountPaid"] as number) || 0;
+  const cancellation = booking["cancellation"] as Record<string, unknown> | undefined;
+  const credited = cancellation?.["refundAs"] === "credit" ? (cancellation["refundAmount"] as number) || 0 : 0;
+  return round2(amountPaid - ((booking["refundedAmount"] as number) || 0) - credited);
+}
+
+function csvCell(value: unknown): string {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Instructor pay for a period, worked out from what actually happened: class
+ * occurrences each instructor taught (substitutions and cancellations applied,
+ * up to today), check-ins at those occurrences, and the private lessons they
+ * gave. Co-taught classes pay each listed instructor in full.
+ */
+export class PayrollService {
+  async getPayrollReport(studioOwnerId: string, startDate: string, endDate: string): Promise<PayrollReport> {
+    if (!DATE_RE.test(startDate) || !DATE_RE.test(endDate)) throw new Error("Dates must be in YYYY-MM-DD format");
+    if (endDate < startDate) throw new Error("endDate must not be before startDate");
+    if (addDays(startDate, MAX_PAYROLL_RANGE_DAYS) < endDate) {
+      throw new Error(`Date range cannot exceed ${MAX_PAYROLL_RANGE_DAYS} days`);
+    }
+    const today = new Date().toISOString().slice(0, 10);
+    const toDay = endDate < today ? endDate : today;
+
+    const db = getFirestore();
+    const instructorSnapshot = await db.collection("instructors").where("studioOwnerId", "==", studioOwnerId).get();
+    const payrolls = new Map<string, InstructorPayroll>();
+    for (const doc of instructorSnapshot.docs) {
+      const data = doc.data() as Record<string, unknown>;
+      payrolls.set(doc.id, {
+        instructorId: doc.id,
+        name: [data["firstName"], data["lastName"]].filter(Boolean).join(" ") || "Instructor",
+        email: (data["email"] as string) || null,
+        rates: payRatesOf(data),
+        classesTaught: 0,
+        classHours: 0,
+        headcount: 0,
+        privateLessons: 0,
+        privateLessonRevenue: 0,
+        pay: { perClass: 0, hourly: 0, perHead: 0, privateLessons: 0, total: 0, paidByTransfer: 0, owed: 0 },
+        classes: [],
+        privates: [],
+      });
+    }
+
+    if (startDate <= toDay) {
+      await this.addClasses(studioOwnerId, startDate, toDay, payrolls);
+      await this.addPrivateLessons(studioOwnerId, startDate, toDay, payrolls);
+    }
+
+    const instructors = [...payrolls.values()].map((payroll) => {
+      const { rates } = payroll;
+      const pay = {
+        perClass: round2((rates.perClass ?? 0) * payroll.classesTaught),
+        hourly: round2((rates.hourlyRate ?? 0) * payroll.classHours),
+        perHead: round2((rates.perHead ?? 0) * payroll.headcount),
+        privateLessons: round2(payroll.privateLessonRevenue * (rates.privateLessonPercent ?? 0) / 100),
+        total: 0,
+        paidByTransfer: round2(payroll.pay.paidByTransfer),
+        owed: 0,
+      };
+      pay.total = round2(pay.perClass + pay.hourly + pay.perHead + pay.privateLessons);
+      pay.owed = round2(pay.total - pay.paidByTransfer);
+      return {
+        ...payroll,
+        classHours: round2(payroll.classHours),
+        privateLessonRevenue: round2(payroll.privateLessonRevenue),
+        pay,
+      };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      startDate,
+      endDate,
+      instructors,
+      totalPay: round2(instructors.reduce((sum, instructor) => sum + instructor.pay.total, 0)),
+      totalOwed: round2(instructors.reduce((sum, instructor) => sum + instructor.pay.owed, 0)),
+    };
+  }
+
+  /** One row per instructor plus a total row, for the studio's bookkeeper. */
+  toCsv(report: PayrollReport): string {
+    const header = [
+      "Instructor", "Email", "Period Start", "Period End", "Classes Taught", "Class Hours", "Students Taught",
+      "Private Lessons", "Private Lesson Revenue", "Per-Class Pay", "Hourly Pay", "Per-Head Pay", "Private Lesson Pay",
+      "Total Pay", "Paid by Transfer", "Owed",
+    ];
+    const rows = report.instructors.map((instructor) => [
+      instructor.name, instructor.email, report.startDate, report.endDate, instructor.classesTaught,
+      instructor.classHours, instructor.headcount, instructor.privateLessons,
+      instructor.privateLessonRevenue.toFixed(2), instructor.pay.perClass.toFixed(2), instructor.pay.hourly.toFixed(2),
+      instructor.pay.perHead.toFixed(2), instructor.pay.privateLessons.toFixed(2), instructor.pay.total.toFixed(2),
+      instructor.pay.paidByTransfer.toFixed(2), instructor.pay.owed.toFixed(2),
+    ]);
+    rows.push([
+      "Total", "", report.startDate, report.endDate, "", "", "", "", "", "", "", "", "", report.totalPay.toFixed(2),
+      "", report.totalOwed.toFixed(2),
+    ]);
+    return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+  }
+
+  private async addClasses(
+    studioOwnerId: string, fromDay: string, toDay: string, payrolls: Map<string, InstructorPayroll>,
+  ): Promise<void> {
+    const db = getFirestore();
+    // A day's slack either side of the range covers check-ins stamped in another timezone; the day filter below is exact.
+    const [classSnapshot, attendanceSnapshot] = await Promise.all([
+      db.collection("classes").where("studioOwnerId", "==", studioOwnerId).get(),
+      db.collection("attendance")
+        .where("studioOwnerId", "==", studioOwnerId)
+        .where("classInstanceDate", ">=", admin.firestore.Timestamp.fromDate(new Date(`${addDays(fromDay, -1)}T00:00:00.000Z`)))
+        .where("classInstanceDate", "<", admin.firestore.Timestamp.fromDate(new Date(`${addDays(toDay, 2)}T00:00:00.000Z`)))
+        .get(),
+    ]);
+
+    const headcounts = new Map<string, number>();
+    for (const doc of attendanceSnapshot.docs) {
+      const data = doc.data() as Record<string, unknown>;
+      const day = toInstanceDay(data["classInstanceDate"]);
+      if (data["isRemoved"] || !data["classId"] || !day || day < fromDay || day > toDay) continue;
+      const key = `${data["classId"] as string}_${day}`;
+      headcounts.set(key, (headcounts.get(key) ?? 0) + 1);
+    }
+
+    const classes = classSnapshot.docs
+      .map((doc): Record<string, unknown> & { id: string } => ({ id: doc.id, ...(doc.data() as Record<string, unknown>) }));
+    if (classes.length === 0) return;
+    const exceptionsByClass = await classExceptionsService.getExceptionsInRange(classes.map((cls) => cls.id), fromDay, toDay);
+
+    for (const cls of classes) {
+      for (const occurrence of classExceptionsService.getOccurrences(cls, fromDay, toDay, exceptionsByClass.get(cls.id))) {
+        if (occurrence.status === "cancelled") continue;
+        const headcount = headcounts.get(`${cls.id}_${occurrence.date}`) ??
+          headcounts.get(`${cls.id}_${occurrence.originalDate}`) ?? 0;
+        // A class switched off since still counts for the occurrences people checked in to.
+        if (!cls["isActive"] && headcount === 0) continue;
+        const start = timeToMinutes(occurrence.startTime);
+        const end = timeToMinutes(occurrence.endTime);
+        const hours = start !== null && end !== null && end > start ? (end - start) / 60 : 0;
+
+        for (const instructorId of occurrence.instructorIds) {
+          const payroll = payrolls.get(instructorId);
+          if (!payroll) continue;
+          payroll.classesTaught++;
+          payroll.classHours += hours;
+          payroll.headcount += headcount;
+          payroll.classes.push({
+            classId: cls.id,
+            className: (cls["name"] as string) || "Class",
+            date: occurrence.date,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            hours: round2(hours),
+            headcount,
+          });
+        }
+      }
+    }
+    for (const payroll of payrolls.values()) {
+      payroll.classes.sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+    }
+  }
+
+  private async addPrivateLessons(
+    studioOwnerId: string, fromDay: string, toDay: string, payrolls: Map<string, InstructorPayroll>,
+  ): Promise<void> {
+    const snapshot = await getFirestore().collection("privateLessonBookings")
+      .where("studioId", "==", studioOwnerId)
+      .where("date", ">=", fromDay)
+      .where("date", "<=", toDay)
+      .get();
+
+    for (const doc of snapshot.docs) {
+      const booking = doc.data() as Record<string, unknown>;
+      const payroll = payrolls.get(booking["instructorId"] as string);
+      if (!payroll || !PAYABLE_PRIVATE_STATUSES.includes(booking["status"] as string)) continue;
+      const revenue = privateLessonRevenue(booking);
+      if (revenue <= 0) continue;
+      payroll.privateLessons++;
+      payroll.privateLessonRevenue += revenue;
+      const split = booking["payoutSplit"] as PayoutSplit | undefined;
+      if (split?.instructorTransferId) {
+        payroll.pay.paidByTransfer += (split.instructorAmountCents - split.instructorReversedCents) / 100;
+      }
+      payroll.privates.push({
+        bookingId: doc.id,
+        date: booking["date"] as string,
+        startTime: (booking["timeSlot"] as { startTime?: string } | undefined)?.startTime ?? "",
+        status: booking["status"] as string,
+        revenue,
+      });
+    }
+    for (const payroll of payrolls.values()) {
+      payroll.privates.sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+    }
+  }
+}
+
+export default new PayrollService();
@@ -0,0 +1,532 @@
+import * as admin from "firebase-admin";
+import * as stripeService from "./stripe.service";
+import notificationsService from "./notifications.service";
+import { itemStart } from "./event-tickets.service";
+import { sendPerformerApprovalEmail, sendPerformerDeclineEmail } from "./sendgrid.service";
+import { buildProgramHtml } from "../utils/program-html";
+import { getFirestore } from "../utils/firestore";
+import { studioTimezone } from "../utils/timezone";
+
+export type PerformerPaymentStatus = "not_required" | "unpaid" | "paid" | "refunded";
+export type RunningOrderSlotType = "performance" | "break";
+
+export interface RunningOrderSlot {
+  type: RunningOrderSlotType;
+  /** The approved performer application; null for breaks. */
+  applicationId: string | null;
+  /** Team name for performances (always the application's current name), free text for breaks. */
+  label: string;
+  durationMinutes: number;
+  notes: string | null;
+  /** Minutes from the top of the show. */
+  offsetMinutes: number;
+  startsAt: string | null;
+  endsAt: string | null;
+  paymentStatus: PerformerPaymentStatus | null;
+}
+
+export interface RunningOrder {
+  eventId: string;
+  /** When the show starts; the event's own start unless the studio overrode it. */
+  startsAt: string | null;
+  startsAtOverride: boolean;
+  /** Gap left between two back-to-back performances for teams to swap. */
+  changeoverMinutes: number;
+  totalMinutes: number;
+  endsAt: string | null;
+  slots: RunningOrderSlot[];
+  /** Approved teams not yet placed in the order. */
+  unscheduled: Array<{ applicationId: string; teamName: string; paymentStatus: PerformerPaymentStatus | null }>;
+  updatedAt: string | null;
+}
+
+interface StoredSlot {
+  type: RunningOrderSlotType;
+  applicationId: string | null;
+  label: string;
+  durationMinutes: number;
+  notes: string | null;
+}
+
+const DEFAULT_CHANGEOVER_MINUTES = 2;
+const MAX_SLOTS = 200;
+const MAX_SLOT_MINUTES = 180;
+const MAX_CHANGEOVER_MINUTES = 60;
+/** Stripe's smallest USD charge. */
+const MIN_FEE = 0.5;
+
+function isoOf(value: unknown): string | null {
+  return value instanceof admin.firestore.Timestamp ? value.toDate().toISOString() : null;
+}
+
+function isWholeMinutes(value: unknown, min: number, max: number): value is number {
+  return typeof value === "number" && Number.isInteger(value) && value >= min && value <= max;
+}
+
+function optionalText(value: unknown, field: string, maxLength: number): string | null {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") throw new Error(`${field} must be a string`);
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) throw new Error(`${field} must be ${maxLength} characters or fewer`);
+  return trimmed || null;
+}
+
+/**
+ * Review of performer applications for an event — approval with an optional
+ * performer fee collected through a Stripe Payment Link on the studio's
+ * connected account — and the show's running order built from approved teams.
+ */
+export class PerformerApplicationsService {
+  /**
+   * Approves a pending application. A fee above zero creates the Payment Link
+   * the team pays through; the webhook marks it paid.
+   */
+  async approve(applicationId: string, studioOwnerId: string, fee: unknown): Promise<Record<string, unknown>> {
+    let feeAmount: number | null = null;
+    if (fee !== undefined && fee !== null && fee !== 0) {
+      if (typeof fee !== "number" || !Number.isFinite(fee) || fee < MIN_FEE) {
+        throw new Error(`fee must be at least $${MIN_FEE.toFixed(2)}, or 0 for no fee`);
+      }
+      feeAmount = Math.round(fee * 100) / 100;
+    }
+
+    const db = getFirestore();
+    const ref = db.collection("performerApplications").doc(applicationId);
+    const connectedAccountId = feeAmount ? await this.connectedAccountOf(studioOwnerId) : null;
+
+    // Claim the application first so two approvals can't both create a Payment Link.
+    const application = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) throw new Error("Performer application not found");
+      const data = doc.data() as Record<string, unknown>;
+      if (data["studioOwnerId"] !== studioOwnerId) throw new Error("Access denied");
+      if (data["status"] !== "pending") throw new Error(`Application is already ${data["status"]}`);
+      tx.update(ref, {
+        status: "approved",
+        feeAmount,
+        paymentStatus: feeAmount ? "unpaid" : "not_required",
+        paymentUrl: null,
+        stripePaymentLinkId: null,
+        declineReason: null,
+        approvedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return data;
+    });
+
+    const eventName = await this.eventNameOf(application["eventId"] as string);
+    let paymentUrl: string | null = null;
+    if (feeAmount && connectedAccountId) {
+      try {
+        const link = await stripeService.createConnectedPaymentLink(
+          Math.round(feeAmount * 100),
+          `Performer fee — ${application["teamName"] as string} (${eventName})`,
+          connectedAccountId,
+          { performerApplicationId: applicationId, eventId: application["eventId"] as string, studioOwnerId },
+        );
+        paymentUrl = link.url;
+        await ref.update({
+          paymentUrl,
+          stripePaymentLinkId: link.id,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      } catch (err) {
+        await ref.update({
+          status: "pending",
+          feeAmount: null,
+          paymentStatus: admin.firestore.FieldValue.delete(),
+          approvedAt: admin.firestore.FieldValue.delete(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        throw err;
+      }
+    }
+
+    try {
+      await sendPerformerApprovalEmail(
+        await this.applicantEmailOf(application),
+        application["teamName"] as string,
+        eventName,
+        feeAmount,
+        paymentUrl,
+      );
+    } catch (emailErr) {
+      console.warn("[performer-applications/approve] approval email failed:", emailErr);
+    }
+
+    return { id: applicationId, status: "approved", feeAmount, paymentStatus: feeAmount ? "unpaid" : "not_required", paymentUrl };
+  }
+
+  /**
+   * Declines a pending or approved application. An unpaid fee link is switched
+   * off; a fee that was already paid is refunded on the connected account.
+   */
+  async decline(applicationId: string, studioOwnerId: string, reason: string): Promise<Record<string, unknown>> {
+    const db = getFirestore();
+    const ref = db.collection("performerApplications").doc(applicationId);
+    const application = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) throw new Error("Performer application not found");
+      const data = doc.data() as Record<string, unknown>;
+      if (data["studioOwnerId"] !== studioOwnerId) throw new Error("Access denied");
+      if (data["status"] === "declined") throw new Error("Application is already declined");
+      tx.update(ref, {
+        status: "declined",
+        declineReason: reason,
+        paymentUrl: null,
+        ...(data["paymentStatus"] === "unpaid" ? { paymentStatus: "not_required" } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return data;
+    });
+
+    const linkId = application["stripePaymentLinkId"] as string | undefined;
+    if (linkId || application["paymentStatus"] === "paid") {
+      const connectedAccountId = await this.connectedAccountOf(studioOwnerId).catch(() => "");
+      if (linkId && connectedAccountId) {
+        await stripeService.deactivateConnectedPaymentLink(linkId, connectedAccountId)
+          .catch((err) => console.error(`Failed to deactivate performer fee link ${linkId}:`, err));
+      }
+      if (application["paymentStatus"] === "paid") {
+        await this.refundFee(applicationId, application, connectedAccountId, "Performer application declined");
+      }
+    }
+
+    await this.removeFromRunningOrder(application["eventId"] as string, applicationId);
+
+    try {
+      await sendPerformerDeclineEmail(
+        await this.applicantEmailOf(application),
+        application["teamName"] as string,
+        await this.eventNameOf(application["eventId"] as string),
+        reason,
+      );
+    } catch (emailErr) {
+      console.warn("[performer-applications/decline] decline email failed:", emailErr);
+    }
+
+    return { id: applicationId, status: "declined" };
+  }
+
+  /**
+   * Records a completed fee payment from the connected-account webhook. Safe to
+   * replay; a payment that lands after the application was declined is refunded,
+   * as is a second payment through the same link.
+   */
+  async markFeePaid(
+    applicationId: string, studioOwnerId: string, paymentIntentId: string | null, connectedAccountId: string,
+  ): Promise<void> {
+    const db = getFirestore();
+    const ref = db.collection("performerApplications").doc(applicationId);
+    const result = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return null;
+      const data = doc.data() as Record<string, unknown>;
+      if (data["studioOwnerId"] !== studioOwnerId) return null;
+      if (data["paymentStatus"] === "paid" || data["paymentStatus"] === "refunded") {
+        const refunded = (data["duplicatePaymentIntentIds"] as string[] | undefined) ?? [];
+        if (!paymentIntentId || paymentIntentId === data["stripePaymentIntentId"] || refunded.includes(paymentIntentId)) {
+          return null;
+        }
+        tx.update(ref, {
+          duplicatePaymentIntentIds: admin.firestore.FieldValue.arrayUnion(paymentIntentId),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return { duplicate: true, application: data };
+      }
+      tx.update(ref, {
+        paymentStatus: "paid",
+        stripePaymentIntentId: paymentIntentId,
+        paidAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { duplicate: false, application: { ...data, stripePaymentIntentId: paymentIntentId } as Record<string, unknown> };
+    });
+    if (!result) return;
+    const { application } = result;
+
+    if (result.duplicate) {
+      await this.refundDuplicateFee(applicationId, application, paymentIntentId as string, connectedAccountId);
+      return;
+    }
+
+    const linkId = application["stripePaymentLinkId"] as string | undefined;
+    if (linkId) {
+      await stripeService.deactivateConnectedPaymentLink(linkId, connectedAccountId)
+        .catch((err) => console.error(`Failed to deactivate performer fee link ${linkId}:`, err));
+    }
+
+    if (application["status"] === "declined") {
+      await this.refundFee(applicationId, application, connectedAccountId, "Performer application declined");
+      return;
+    }
+
+    await notificationsService.createNotification(
+      studioOwnerId,
+      null,
+      "performer_fee_paid",
+      "Performer Fee Paid",
+      `${application["teamName"] as string} paid their $${Number(application["feeAmount"] ?? 0).toFixed(2)} performer fee for ` +
+        `"${await this.eventNameOf(application["eventId"] as string)}".`,
+      null,
+    ).catch((err) => console.error("Failed to notify studio of performer fee payment:", err));
+  }
+
+  async getRunningOrder(eventId: string, studioOwnerId: string): Promise<RunningOrder> {
+    const eventData = await this.ownedEvent(eventId, studioOwnerId);
+    const [orderDoc, approved] = await Promise.all([
+      getFirestore().collection("eventRunningOrders").doc(eventId).get(),
+      this.approvedApplications(eventId, studioOwnerId),
+    ]);
+    return this.resolve(eventId, eventData, orderDoc.data() as Record<string, unknown> | undefined, approved);
+  }
+
+  /**
+   * Replaces the running order. Performances must reference this event's
+   * approved applications, each at most once.
+   */
+  async saveRunningOrder(eventId: string, studioOwnerId: string, payload: Record<string, unknown>): Promise<RunningOrder> {
+    const eventData = await this.ownedEvent(eventId, studioOwnerId);
+    const approved = await this.approvedApplications(eventId, studioOwnerId);
+
+    let startsAt: Date | null = null;
+    if (payload["startsAt"] !== undefined && payload["startsAt"] !== null) {
+      startsAt = typeof payload["startsAt"] === "string" ? new Date(payload["startsAt"]) : null;
+      if (!startsAt || isNaN(startsAt.getTime())) throw new Error("startsAt must be an ISO date-time");
+    }
+
+    const changeoverMinutes = payload["changeoverMinutes"] ?? DEFAULT_CHANGEOVER_MINUTES;
+    if (!isWholeMinutes(changeoverMinutes, 0, MAX_CHANGEOVER_MINUTES)) {
+      throw new Error(`changeoverMinutes must be a whole number from 0 to ${MAX_CHANGEOVER_MINUTES}`);
+    }
+
+    const rawSlots = payload["slots"];
+    if (!Array.isArray(rawSlots)) throw new Error("slots must be an array");
+    if (rawSlots.length > MAX_SLOTS) throw new Error(`A running order can have at most ${MAX_SLOTS} slots`);
+
+    const placed = new Set<string>();
+    const slots: StoredSlot[] = rawSlots.map((raw: unknown, i: number) => {
+      if (!raw || typeof raw !== "object") throw new Error(`slots[${i}] must be an object`);
+      const slot = raw as Record<string, unknown>;
+      if (!isWholeMinutes(slot["durationMinutes"], 1, MAX_SLOT_MINUTES)) {
+        throw new Error(`slots[${i}].durationMinutes must be a whole number from 1 to ${MAX_SLOT_MINUTES}`);
+      }
+      const notes = optionalText(slot["notes"], `slots[${i}].notes`, 500);
+      if (slot["type"] === "break") {
+        return {
+          type: "break",
+          applicationId: null,
+          label: optionalText(slot["label"], `slots[${i}].label`, 100) ?? "Intermission",
+          durationMinutes: slot["durationMinutes"] as number,
+          notes,
+        };
+      }
+      if (slot["type"] !== "performance") throw new Error(`slots[${i}].type must be "performance" or "break"`);
+      const applicationId = slot["applicationId"];
+      if (typeof applicationId !== "string" || !approved.has(applicationId)) {
+        throw new Error(`slots[${i}].applicationId must be an approved performer application for this event`);
+      }
+      if (placed.has(applicationId)) throw new Error(`slots[${i}]: each team can only appear once in the running order`);
+      placed.add(applicationId);
+      return {
+        type: "performance",
+        applicationId,
+        label: approved.get(applicationId)!["teamName"] as string,
+        durationMinutes: slot["durationMinutes"] as number,
+        notes,
+      };
+    });
+
+    const order = {
+      eventId,
+      studioOwnerId,
+      startsAt: startsAt ? admin.firestore.Timestamp.fromDate(startsAt) : null,
+      changeoverMinutes,
+      slots,
+      updatedAt: admin.firestore.Timestamp.now(),
+    };
+    await getFirestore().collection("eventRunningOrders").doc(eventId).set(order);
+    return this.resolve(eventId, eventData, order, approved);
+  }
+
+  /** The running order as a printable HTML program. */
+  async renderProgram(eventId: string, studioOwnerId: string): Promise<string> {
+    const eventData = await this.ownedEvent(eventId, studioOwnerId);
+    const order = await this.getRunningOrder(eventId, studioOwnerId);
+    const studioDoc = await getFirestore().collection("users").doc(studioOwnerId).get();
+    const venue = [eventData["addressLine1"], eventData["city"], eventData["state"]].filter(Boolean).join(", ");
+    return buildProgramHtml({
+      eventName: (eventData["name"] as string) || "Showcase",
+      studioName: (studioDoc.data()?.["studioName"] as string) || null,
+      venue: venue || null,
+      startsAt: order.startsAt ? new Date(order.startsAt) : null,
+      timeZone: studioTimezone(eventData),
+      slots: order.slots.map((slot) => ({
+        type: slot.type,
+        label: slot.label,
+        notes: slot.notes,
+        startsAt: slot.startsAt ? new Date(slot.startsAt) : null,
+        durationMinutes: slot.durationMinutes,
+      })),
+    });
+  }
+
+  private resolve(
+    eventId: string,
+    eventData: Record<string, unknown>,
+    stored: Record<string, unknown> | undefined,
+    approved: Map<string, Record<string, unknown>>,
+  ): RunningOrder {
+    const override = stored?.["startsAt"] instanceof admin.firestore.Timestamp
+      ? (stored["startsAt"] as admin.firestore.Timestamp).toDate()
+      : null;
+    const showStart = override ?? itemStart(eventData);
+    const changeoverMinutes = (stored?.["changeoverMinutes"] as number | undefined) ?? DEFAULT_CHANGEOVER_MINUTES;
+    const at = (offset: number) => showStart ? new Date(showStart.getTime() + offset * 60000).toISOString() : null;
+
+    // A team declined after being placed drops out rather than blocking the order.
+    const storedSlots = ((stored?.["slots"] as StoredSlot[] | undefined) ?? [])
+      .filter((slot) => slot.type === "break" || (slot.applicationId && approved.has(slot.applicationId)));
+
+    let cursor = 0;
+    const slots: RunningOrderSlot[] = storedSlots.map((slot, i) => {
+      const application = slot.applicationId ? approved.get(slot.applicationId)! : null;
+      const offsetMinutes = cursor;
+      cursor += slot.durationMinutes;
+      const next = storedSlots[i + 1];
+      if (slot.type === "performance" && next?.type === "performance") cursor += changeoverMinutes;
+      return {
+        type: slot.type,
+        applicationId: slot.applicationId,
+        label: application ? application["teamName"] as string : slot.label,
+        durationMinutes: slot.durationMinutes,
+        notes: slot.notes ?? null,
+        offsetMinutes,
+        startsAt: at(offsetMinutes),
+        endsAt: at(offsetMinutes + slot.durationMinutes),
+        paymentStatus: application ? (application["paymentStatus"] as PerformerPaymentStatus | undefined) ?? null : null,
+      };
+    });
+
+    const placed = new Set(slots.map((slot) => slot.applicationId).filter(Boolean));
+    const unscheduled = [...approved.entries()]
+      .filter(([id]) => !placed.has(id))
+      .map(([id, data]) => ({
+        applicationId: id,
+        teamName: data["teamName"] as string,
+        paymentStatus: (data["paymentStatus"] as PerformerPaymentStatus | undefined) ?? null,
+      }));
+    const last = slots[slots.length - 1];
+    const totalMinutes = last ? last.offsetMinutes + last.durationMinutes : 0;
+
+    return {
+      eventId,
+      startsAt: showStart ? showStart.toISOString() : null,
+      startsAtOverride: !!override,
+      changeoverMinutes,
+      totalMinutes,
+      endsAt: slots.length ? at(totalMinutes) : null,
+      slots,
+      unscheduled,
+      updatedAt: isoOf(stored?.["updatedAt"]),
+    };
+  }
+
+  private async ownedEvent(eventId: string, studioOwnerId: string): Promise<Record<string, unknown>> {
+    const doc = await getFirestore().collection("events").doc(eventId).get();
+    if (!doc.exists) throw new Error("Event not found");
+    const data = doc.data() as Record<string, unknown>;
+    if (data["studioOwnerId"] !== studioOwnerId) throw new Error("Access denied: Event does not belong to this studio owner");
+    return data;
+  }
+
+  private async approvedApplications(eventId: string, studioOwnerId: string): Promise<Map<string, Record<string, unknown>>> {
+    const snapshot = await getFirestore().collection("performerApplications")
+      .where("eventId", "==", eventId)
+      .get();
+    return new Map(snapshot.docs
+      .filter((doc) => doc.data()["status"] === "approved" && doc.data()["studioOwnerId"] === studioOwnerId)
+      .map((doc) => [doc.id, doc.data() as Record<string, unknown>]));
+  }
+
+  private async removeFromRunningOrder(eventId: string, applicationId: string): Promise<void> {
+    const db = getFirestore();
+    const ref = db.collection("eventRunningOrders").doc(eventId);
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const slots = (doc.data()?.["slots"] as StoredSlot[] | undefined) ?? [];
+      if (!slots.some((slot) => slot.applicationId === applicationId)) return;
+      tx.update(ref, {
+        slots: slots.filter((slot) => slot.applicationId !== applicationId),
+        updatedAt: admin.firestore.Timestamp.now(),
+      });
+    });
+  }
+
+  private async refundFee(
+    applicationId: string, application: Record<string, unknown>, connectedAccountId: string, reason: string,
+  ): Promise<void> {
+    const ref = getFirestore().collection("performerApplications").doc(applicationId);
+    const paymentIntentId = application["stripePaymentIntentId"] as string | null | undefined;
+    try {
+      if (!paymentIntentId || !connectedAccountId) throw new Error("No payment intent or connected account for the fee");
+      await stripeService.createRefund(paymentIntentId, reason, connectedAccountId, {
+        metadata: { performerApplicationId: applicationId },
+      });
+      await ref.update({ paymentStatus: "refunded", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    } catch (err) {
+      console.error(`Failed to refund performer fee for application ${applicationId}:`, err);
+      await notificationsService.createNotification(
+        application["studioOwnerId"] as string,
+        null,
+        "performer_fee_refund_failed",
+        "Performer Fee Refund Failed",
+        `${application["teamName"] as string} was declined after paying their performer fee, but the refund failed. Please refund them manually.`,
+        null,
+      ).catch((notifyErr) => console.error("Failed to notify studio of failed performer fee refund:", notifyErr));
+    }
+  }
+
+  /** The link is limited to one payment, but one can still slip through while it is being deactivated. */
+  private async refundDuplicateFee(
+    applicationId: string, application: Record<string, unknown>, paymentIntentId: string, connectedAccountId: string,
+  ): Promise<void> {
+    try {
+      await stripeService.createRefund(paymentIntentId, "Performer fee already paid", connectedAccountId, {
+        metadata: { performerApplicationId: applicationId },
+      });
+    } catch (err) {
+      console.error(`Failed to refund duplicate performer fee ${paymentIntentId} for application ${applicationId}:`, err);
+      await notificationsService.createNotification(
+        application["studioOwnerId"] as string,
+        null,
+        "performer_fee_refund_failed",
+        "Performer Fee Refund Failed",
+        `${application["teamName"] as string} paid their performer fee twice, but refunding the second payment failed. Please refund them manually.`,
+        null,
+      ).catch((notifyErr) => console.error("Failed to notify studio of failed performer fee refund:", notifyErr));
+    }
+  }
+
+  private async applicantEmailOf(application: Record<string, unknown>): Promise<string> {
+    if (application["email"]) return application["email"] as string;
+    const submittedBy = application["submittedBy"] as string | undefined;
+    if (!submittedBy) return "";
+    const user = await admin.auth().getUser(submittedBy).catch(() => null);
+    return user?.email ?? "";
+  }
+
+  private async eventNameOf(eventId: string): Promise<string> {
+    const doc = await getFirestore().collection("events").doc(eventId).get();
+    return (doc.data()?.["name"] as string) || "the event";
+  }
+
+  private async connectedAccountOf(studioOwnerId: string): Promise<string> {
+    const studioDoc = await getFirestore().collection("users").doc(studioOwnerId).get();
+    const connectedAccountId = (studioDoc.data()?.["stripeAccountId"] as string) || null;
+    if (!connectedAccountId) throw new Error("This studio has not completed Stripe Connect setup.");
+    return connectedAccountId;
+  }
+}
+
+export default new PerformerApplicationsService();
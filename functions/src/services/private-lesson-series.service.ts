@@ -0,0 +1,459 @@
+import * as admin from "firebase-admin";
+import * as stripeService from "./stripe.service";
+import notificationsService from "./notifications.service";
+import instructorAvailabilityService from "./instructor-availability.service";
+import bookingCancellationService from "./booking-cancellation.service";
+import bookingsService from "./bookings.service";
+import { addDays } from "./class-exceptions.service";
+import { getFirestore } from "../utils/firestore";
+import { notifyAppUser, notifyInstructor } from "../utils/push-notifications";
+
+export type SeriesPaymentPlan = "per_lesson" | "bundle";
+
+/** The student's saved card, already cloned onto the studio's connected account. */
+export interface SeriesCard {
+  connectedAccountId: string;
+  connectedCustomerId: string;
+  connectedPaymentMethodId: string;
+}
+
+export interface CreateSeriesInput {
+  studentId: string;
+  authUid: string;
+  instructorId: string;
+  studioId: string;
+  startDate: string;
+  timeSlot: { startTime: string; endTime: string };
+  occurrences: number;
+  intervalWeeks: number;
+  paymentPlan: SeriesPaymentPlan;
+  notes?: string | null;
+  dependentId?: string | null;
+  card: SeriesCard;
+}
+
+export interface SeriesOccurrence {
+  date: string;
+  available: boolean;
+  conflict: string | null;
+}
+
+export interface CreateSeriesResult {
+  seriesId: string;
+  bookingIds: string[];
+  requiresAction?: boolean;
+  clientSecret?: string | null;
+}
+
+export const MAX_SERIES_OCCURRENCES = 26;
+/** Pay-per-lesson occurrences are charged this many days ahead of the lesson. */
+const PER_LESSON_CHARGE_LEAD_DAYS = 2;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function round2(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+export function seriesDates(startDate: string, occurrences: number, intervalWeeks: number): string[] {
+  return Array.from({ length: occurrences }, (_, i) => addDays(startDate, i * 7 * intervalWeeks));
+}
+
+/**
+ * Recurring private lessons — the same instructor and time every week (or every
+ * few weeks). Each occurrence is an ordinary `privateLessonBookings` doc tagged
+ * with `seriesId`, so it can be cancelled or rescheduled on its own through the
+ * usual booking endpoints without touching the rest of the series.
+ *
+ * - `bundle`: the whole series is charged once up front. Each occurrence
+ *   carries its share as `amountPaid` against the shared PaymentIntent, so
+ *   cancelling one refunds just that lesson.
+ * - `per_lesson`: occurrences start with `paymentStatus: "scheduled"` and the
+ *   saved card is charged off-session shortly before each lesson.
+ */
+export class PrivateLessonSeriesService {
+  /** Availability of every occurrence, checked up front. */
+  async checkOccurrences(
+    instructorId: string, startDate: string, timeSlot: { startTime: string; endTime: string },
+    occurrences: number, intervalWeeks: number,
+  ): Promise<SeriesOccurrence[]> {
+    this.validateShape(startDate, occurrences, intervalWeeks);
+    const results: SeriesOccurrence[] = [];
+    for (const date of seriesDates(startDate, occurrences, intervalWeeks)) {
+      const conflict = await instructorAvailabilityService.findConflict(instructorId, date, timeSlot);
+      results.push({ date, available: !conflict, conflict: conflict ? conflict.label ?? conflict.source : null });
+    }
+    return results;
+  }
+
+  /**
+   * Books every occurrence or none. A bundle whose charge needs 3-D Secure is
+   * left `pending_payment` with no bookings until confirmSeriesPayment runs.
+   */
+  async createSeries(input: CreateSeriesInput): Promise<CreateSeriesResult> {
+    const db = getFirestore();
+    const checked = await this.checkOccurrences(
+      input.instructorId, input.startDate, input.timeSlot, input.occurrences, input.intervalWeeks,
+    );
+    const unavailable = checked.filter((occurrence) => !occurrence.available).map((occurrence) => occurrence.date);
+    if (unavailable.length > 0) {
+      throw new Error(`Some lessons in this series are not available: ${unavailable.join(", ")}`);
+    }
+
+    const instructorDoc = await db.collection("instructors").doc(input.instructorId).get();
+    if (!instructorDoc.exists) throw new Error("Instructor not found");
+    const instructorData = instructorDoc.data() as Record<string, unknown>;
+    if (instructorData["studioOwnerId"] !== input.studioId) throw new Error("Instructor not found");
+    const rate = instructorData["privateRate"] as number | undefined;
+    if (!rate || rate <= 0) throw new Error("This instructor does not have a private lesson rate set");
+
+    const ref = db.collection("privateLessonSeries").doc();
+    const dates = checked.map((occurrence) => occurrence.date);
+    const totalAmount = round2(rate * dates.length);
+    await ref.set({
+      studentId: input.studentId,
+      authUid: input.authUid,
+      instructorId: input.instructorId,
+      studioId: input.studioId,
+      startDate: input.startDate,
+      timeSlot: input.timeSlot,
+      occurrences: dates.length,
+      intervalWeeks: input.intervalWeeks,
+      dates,
+      paymentPlan: input.paymentPlan,
+      rate,
+      totalAmount: input.paymentPlan === "bundle" ? totalAmount : null,
+      notes: input.notes ?? null,
+      dependentId: input.dependentId ?? null,
+      stripeConnectedAccountId: input.card.connectedAccountId,
+      stripeConnectedCustomerId: input.card.connectedCustomerId,
+      stripeConnectedPaymentMethodId: input.card.connectedPaymentMethodId,
+      stripePaymentIntentId: null,
+      status: input.paymentPlan === "bundle" ? "pending_payment" : "active",
+      bookingIds: [],
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (input.paymentPlan === "per_lesson") {
+      const bookingIds = await this.bookOccurrences(ref.id);
+      await this.chargeDueOccurrences(ref.id);
+      return { seriesId: ref.id, bookingIds };
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripeService.chargePaymentMethodDirectly(
+        input.card.connectedCustomerId,
+        input.card.connectedPaymentMethodId,
+        Math.round(totalAmount * 100),
+        {
+          purchaseType: "private_lesson_series",
+          seriesId: ref.id,
+          instructorId: input.instructorId,
+          studioId: input.studioId,
+          studentId: input.studentId,
+          authUid: input.authUid,
+          occurrences: String(dates.length),
+        },
+        input.card.connectedAccountId,
+        `series_${ref.id}`,
+      );
+    } catch (err) {
+      await ref.update({ status: "payment_failed", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      throw err;
+    }
+    await ref.update({ stripePaymentIntentId: paymentIntent.id, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    if (paymentIntent.status === "requires_action") {
+      return { seriesId: ref.id, bookingIds: [], requiresAction: true, clientSecret: paymentIntent.client_secret };
+    }
+    if (paymentIntent.status !== "succeeded") {
+      await ref.update({ status: "payment_failed", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      throw new Error("Payment could not be completed. Please try a different card.");
+    }
+    return { seriesId: ref.id, bookingIds: await this.bookPaidOccurrences(ref.id) };
+  }
+
+  /** Finishes a bundle series once the student has completed 3-D Secure. */
+  async confirmSeriesPayment(seriesId: string, authUid: string): Promise<CreateSeriesResult> {
+    const db = getFirestore();
+    const ref = db.collection("privateLessonSeries").doc(seriesId);
+    const doc = await ref.get();
+    if (!doc.exists) throw new Error("Series not found");
+    const series = doc.data() as Record<string, unknown>;
+    if (series["authUid"] !== authUid) throw new Error("Access denied");
+    if (series["status"] === "active") return { seriesId, bookingIds: (series["bookingIds"] as string[]) ?? [] };
+    if (series["status"] !== "pending_payment" || !series["stripePaymentIntentId"]) {
+      throw new Error("This series is not awaiting payment");
+    }
+
+    const paymentIntent = await stripeService.retrieveConnectedPaymentIntent(
+      series["stripePaymentIntentId"] as string, series["stripeConnectedAccountId"] as string,
+    );
+    if (paymentIntent.status !== "succeeded") throw new Error("Payment not completed");
+    return { seriesId, bookingIds: await this.bookPaidOccurrences(seriesId) };
+  }
+
+  async listForStudent(studentId: string): Promise<Array<Record<string, unknown> & { id: string }>> {
+    const snapshot = await getFirestore().collection("privateLessonSeries")
+      .where("studentId", "==", studentId)
+      .orderBy("createdAt", "desc")
+      .get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...(doc.data() as Record<string, unknown>) }));
+  }
+
+  /** The series with its occurrences as they stand now (some may have been moved or cancelled). */
+  async getSeries(
+    seriesId: string, caller: { studentId?: string; studioOwnerId?: string },
+  ): Promise<Record<string, unknown> & { id: string }> {
+    const db = getFirestore();
+    const doc = await db.collection("privateLessonSeries").doc(seriesId).get();
+    if (!doc.exists) throw new Error("Series not found");
+    const series = doc.data() as Record<string, unknown>;
+    const isStudent = caller.studentId && series["studentId"] === caller.studentId;
+    const isStudio = caller.studioOwnerId && series["studioId"] === caller.studioOwnerId;
+    if (!isStudent && !isStudio) throw new Error("Access denied");
+
+    const bookings = await db.collection("privateLessonBookings").where("seriesId", "==", seriesId).get();
+    const occurrences = bookings.docs
+      .map((booking): Record<string, unknown> & { id: string } => ({ id: booking.id, ...(booking.data() as Record<string, unknown>) }))
+      .sort((a, b) => ((a["occurrenceIndex"] as number) ?? 0) - ((b["occurrenceIndex"] as number) ?? 0));
+    return { id: doc.id, ...series, bookings: occurrences };
+  }
+
+  /**
+   * Cancels every occurrence that hasn't happened yet, each under the studio's
+   * cancellation policy, and stops future per-lesson charges.
+   */
+  async cancelRemaining(
+    seriesId: string, actor: { type: "student"; studentId: string } | { type: "studio"; studioOwnerId: string },
+  ): Promise<{ cancelled: number }> {
+    const db = getFirestore();
+    const series = await this.getSeries(
+      seriesId, actor.type === "student" ? { studentId: actor.studentId } : { studioOwnerId: actor.studioOwnerId },
+    );
+    let cancelled = 0;
+    for (const booking of series["bookings"] as Array<Record<string, unknown> & { id: string }>) {
+      if (!["pending", "confirmed"].includes(booking["status"] as string)) continue;
+      const preview = await bookingCancellationService.previewCancellation(
+        booking.id, actor.type === "student" ? "student" : "studio",
+      );
+      if (preview.minutesBeforeStart <= 0) continue;
+      await bookingCancellationService.cancel(
+        booking.id,
+        actor.type === "student" ? "student" : "studio",
+        actor.type === "student" ? { type: "student", id: actor.studentId } : { type: "studio", id: actor.studioOwnerId },
+        { reason: "Series cancelled" },
+      );
+      cancelled++;
+    }
+    await db.collection("privateLessonSeries").doc(seriesId).update({
+      status: "cancelled",
+      cancelledBy: actor.type,
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { cancelled };
+  }
+
+  /**
+   * Charges pay-per-lesson occurrences coming up within the lead time. A
+   * declined card marks the occurrence `payment_failed` and tells both sides;
+   * the lesson stays booked for the studio to sort out. `seriesId` limits the
+   * run to one series (used right after booking).
+   */
+  async chargeDueOccurrences(seriesId?: string): Promise<{ charged: number; failed: number }> {
+    const db = getFirestore();
+    const dueBy = addDays(new Date().toISOString().slice(0, 10), PER_LESSON_CHARGE_LEAD_DAYS);
+    let query = db.collection("privateLessonBookings")
+      .where("paymentStatus", "==", "scheduled")
+      .where("date", "<=", dueBy) as FirebaseFirestore.Query;
+    if (seriesId) query = query.where("seriesId", "==", seriesId);
+    const snapshot = await query.get();
+
+    let charged = 0;
+    let failed = 0;
+    const seriesCache = new Map<string, Record<string, unknown> | null>();
+    for (const doc of snapshot.docs) {
+      const booking = doc.data() as Record<string, unknown>;
+      if (!["pending", "confirmed"].includes(booking["status"] as string)) continue;
+      const id = booking["seriesId"] as string;
+      if (!seriesCache.has(id)) {
+        const seriesDoc = await db.collection("privateLessonSeries").doc(id).get();
+        seriesCache.set(id, seriesDoc.exists ? seriesDoc.data() as Record<string, unknown> : null);
+      }
+      const series = seriesCache.get(id);
+      if (!series) continue;
+
+      const amount = series["rate"] as number;
+      try {
+        const paymentIntent = await stripeService.chargePaymentMethodDirectly(
+          series["stripeConnectedCustomerId"] as string,
+          series["stripeConnectedPaymentMethodId"] as string,
+          Math.round(amount * 100),
+          {
+            purchaseType: "private_lesson",
+            seriesId: id,
+            bookingId: doc.id,
+            instructorId: booking["instructorId"] as string,
+            studioId: booking["studioId"] as string,
+            studentId: booking["studentId"] as string,
+            date: booking["date"] as string,
+          },
+          series["stripeConnectedAccountId"] as string,
+          `series_lesson_${doc.id}`,
+        );
+        if (paymentIntent.status !== "succeeded") throw new Error(`Payment ${paymentIntent.status}`);
+        await doc.ref.update({
+          paymentStatus: "paid",
+          amountPaid: amount,
+          stripePaymentIntentId: paymentIntent.id,
+          paidAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        charged++;
+      } catch (err) {
+        console.error(`[Series] Charge failed for booking ${doc.id}:`, err);
+        await doc.ref.update({ paymentStatus: "payment_failed", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        this.notifyPaymentFailed(doc.id, booking)
+          .catch((notifyErr) => console.error("[Series] Failed to send payment-failed notifications:", notifyErr));
+        failed++;
+      }
+    }
+    return { charged, failed };
+  }
+
+  private validateShape(startDate: string, occurrences: number, intervalWeeks: number): void {
+    if (!DATE_RE.test(startDate)) throw new Error("startDate must be in YYYY-MM-DD format");
+    if (!Number.isInteger(occurrences) || occurrences < 2 || occurrences > MAX_SERIES_OCCURRENCES) {
+      throw new Error(`occurrences must be a whole number between 2 and ${MAX_SERIES_OCCURRENCES}`);
+    }
+    if (!Number.isInteger(intervalWeeks) || intervalWeeks < 1 || intervalWeeks > 4) {
+      throw new Error("intervalWeeks must be a whole number between 1 and 4");
+    }
+    if (startDate < new Date().toISOString().slice(0, 10)) throw new Error("startDate must not be in the past");
+  }
+
+  /**
+   * bookOccurrences for a bundle that has already been charged. If a slot was
+   * taken while the student was paying, the charge is refunded in full.
+   */
+  private async bookPaidOccurrences(seriesId: string): Promise<string[]> {
+    try {
+      return await this.bookOccurrences(seriesId);
+    } catch (err) {
+      const ref = getFirestore().collection("privateLessonSeries").doc(seriesId);
+      const series = (await ref.get()).data() as Record<string, unknown>;
+      await stripeService.createRefund(
+        series["stripePaymentIntentId"] as string,
+        "Series could not be booked",
+        series["stripeConnectedAccountId"] as string,
+        { metadata: { seriesId } },
+      );
+      await ref.update({ status: "refunded", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      throw err;
+    }
+  }
+
+  /**
+   * Writes one booking per date. The transaction re-checks each date against
+   * other privates so a booking made since the up-front check can't be
+   * double-sold; replays return the bookings already written.
+   */
+  private async bookOccurrences(seriesId: string): Promise<string[]> {
+    const db = getFirestore();
+    const ref = db.collection("privateLessonSeries").doc(seriesId);
+    const studioId = ((await ref.get()).data() as Record<string, unknown>)["studioId"] as string;
+    const status = await bookingsService.initialStatusFor(studioId);
+
+    const bookingIds = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const series = doc.data() as Record<string, unknown>;
+      const existing = (series["bookingIds"] as string[] | undefined) ?? [];
+      if (existing.length > 0) return null;
+
+      const instructorId = series["instructorId"] as string;
+      const timeSlot = series["timeSlot"] as { startTime: string; endTime: string };
+      const dates = series["dates"] as string[];
+      for (const date of dates) {
+        if (await instructorAvailabilityService.hasOverlappingBooking(tx, instructorId, date, timeSlot)) {
+          throw new Error(`Some lessons in this series are not available: ${date}`);
+        }
+      }
+
+      const bundle = series["paymentPlan"] === "bundle";
+      const ids = dates.map((date, index) => {
+        const bookingRef = db.collection("privateLessonBookings").doc();
+        tx.set(bookingRef, {
+          studentId: series["studentId"],
+          authUid: series["authUid"],
+          instructorId,
+          studioId: series["studioId"],
+          date,
+          timeSlot,
+          status,
+          seriesId,
+          occurrenceIndex: index + 1,
+          paymentStatus: bundle ? "paid" : "scheduled",
+          amountPaid: bundle ? series["rate"] : 0,
+          stripePaymentIntentId: bundle ? series["stripePaymentIntentId"] : null,
+          stripeConnectedAccountId: series["stripeConnectedAccountId"],
+          notes: series["notes"] ?? null,
+          contactInfo: null,
+          dependentId: series["dependentId"] ?? null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return bookingRef.id;
+      });
+      tx.update(ref, { bookingIds: ids, status: "active", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return ids;
+    });
+    if (!bookingIds) return ((await ref.get()).data() as Record<string, unknown>)["bookingIds"] as string[];
+
+    this.notifySeriesBooked(seriesId)
+      .catch((err) => console.error("[Series] Failed to send series notifications:", err));
+    return bookingIds;
+  }
+
+  private async notifySeriesBooked(seriesId: string): Promise<void> {
+    const db = getFirestore();
+    const series = (await db.collection("privateLessonSeries").doc(seriesId).get()).data() as Record<string, unknown>;
+    const timeSlot = series["timeSlot"] as { startTime: string };
+    const instructorDoc = await db.collection("instructors").doc(series["instructorId"] as string).get();
+    const instructorData = instructorDoc.exists ? instructorDoc.data() as Record<string, unknown> : {};
+    const instructorName = [instructorData["firstName"], instructorData["lastName"]].filter(Boolean).join(" ") || "an instructor";
+    const summary = `${series["occurrences"]} lessons starting ${series["startDate"]} at ${timeSlot.startTime}`;
+
+    await notificationsService.createNotification(
+      series["studioId"] as string, null, "private_lesson_series", "New Private Lesson Series",
+      `A private lesson series with ${instructorName} was booked: ${summary}`,
+    );
+
+    await notifyInstructor(series["instructorId"] as string, {
+      type: "new_private_booking",
+      title: "New private lesson series",
+      body: `A student booked ${summary}.`,
+    });
+  }
+
+  private async notifyPaymentFailed(bookingId: string, booking: Record<string, unknown>): Promise<void> {
+    const timeSlot = booking["timeSlot"] as { startTime: string };
+    const when = `${booking["date"] as string} at ${timeSlot.startTime}`;
+    await notificationsService.createNotification(
+      booking["studioId"] as string, bookingId, "private_lesson_payment_failed", "Private Lesson Payment Failed",
+      `The saved card for the private lesson on ${when} was declined`,
+    );
+    const authUid = booking["authUid"] as string | undefined;
+    if (authUid) {
+      await notifyAppUser(authUid, {
+        type: "booking_payment_failed",
+        title: "Payment failed",
+        body: `We couldn't charge your card for your private lesson on ${when}. Please contact the studio.`,
+        refs: { bookingId },
+      });
+    }
+  }
+}
+
+export default new PrivateLessonSeriesService();
@@ -1,10 +1,13 @@
 import * as admin from "firebase-admin";
 import authService from "./auth.service";
 import creditTrackingService from "./credit-tracking.service";
+import type { CreditLedgerContext } from "./credit-tracking.service";
 import classesService from "./classes.service";
 import eventsService from "./events.service";
 import workshopsService from "./workshops.service";
 import notificationsService from "./notifications.service";
+import { isMembershipPackage } from "./memberships.service";
+import { ticketTiersOf, TicketTier } from "./tier-inventory.service";
 import { getFirestore } from "../utils/firestore";
 
 type PurchaseType = "class" | "event" | "workshop" | "package";
@@ -13,7 +16,7 @@ interface ItemDetails {
   itemId: string;
   itemName: string;
   price: number;
-  priceTiers: Array<{ name: string; price: number }> | null;
+  priceTiers: TicketTier[] | null;
   studioOwnerId: string;
   studioName: string;
   metadata: Record<string, unknown>;
@@ -27,6 +30,8 @@ interface ItemDetails {
 }
 
 interface PurchaseRecordData {
+  /** Pre-allocated via allocatePurchaseId() when credits were granted before the record existed. */
+  id?: string;
   studentId: string;
   authUid: string;
   purchaseType: string;
@@ -102,10 +107,7 @@ export class PurchaseService {
         resolvedStudioOwnerId = eventStudioOwnerId;
         itemData = {
           passFees: (eventItem["passFees"] as boolean) ?? false,
-          priceTiers: (priceTiers as Array<{ name?: string; price?: number }>).map((t) => ({
-            name: String(t.name ?? ""),
-            price: t.price ?? 0,
-          })),
+          priceTiers: ticketTiersOf(priceTiers),
         } as Record<string, unknown>;
         break;
       }
@@ -124,10 +126,7 @@ export class PurchaseService {
         resolvedStudioOwnerId = workshopStudioOwnerId;
         itemData = {
           passFees: (workshopItem["passFees"] as boolean) ?? false,
-          priceTiers: (priceTiers as Array<{ name?: string; price?: number }>).map((t) => ({
-            name: String(t.name ?? ""),
-            price: t.price ?? 0,
-          })),
+          priceTiers: ticketTiersOf(priceTiers),
         } as Record<string, unknown>;
         break;
       }
@@ -148,6 +147,12 @@ export class PurchaseService {
           isRecurring: (itemData["isRecurring"] as boolean) || false,
           allowCancellation: itemData["allowCancellation"] !== undefined ? itemData["allowCancellation"] : true,
         };
+        if (isMembershipPackage(itemData)) {
+          metadata["packageType"] = "membership";
+          metadata["credits"] = 0;
+          metadata["membershipAccess"] = itemData["membershipAccess"];
+          if (itemData["classesPerCycle"] !== undefined) metadata["classesPerCycle"] = itemData["classesPerCycle"];
+        }
         if (itemData["billingFrequency"] !== undefined) metadata["billingFrequency"] = itemData["billingFrequency"];
         if (itemData["billingInterval"] !== undefined) metadata["billingInterval"] = itemData["billingInterval"];
         if (itemData["subscriptionDuration"] !== undefined) metadata["subscriptionDuration"] = itemData["subscriptionDuration"];
@@ -173,7 +178,7 @@ export class PurchaseService {
       itemId,
       itemName,
       price,
-      priceTiers: (itemData?.["priceTiers"] as Array<{ name: string; price: number }> | null) ?? null,
+      priceTiers: (itemData?.["priceTiers"] as TicketTier[] | null) ?? null,
       studioOwnerId: resolvedStudioOwnerId,
       studioName,
       metadata,
@@ -192,6 +197,7 @@ export class PurchaseService {
     studentId: string,
     studioOwnerId: string,
     itemData: ItemDetails,
+    ledger: CreditLedgerContext = {},
   ): Promise<{ creditIds: string[]; creditsGranted: number }> {
     const creditIds: string[] = [];
     let creditsGranted = 0;
@@ -199,7 +205,7 @@ export class PurchaseService {
     switch (purchaseType) {
       case "class": {
         const creditId = await creditTrackingService.addCredits(
-          studentId, studioOwnerId, 1, 365, null, itemData.itemId,
+          studentId, studioOwnerId, 1, 365, null, itemData.itemId, ledger,
         );
         creditIds.push(creditId);
         creditsGranted = 1;
@@ -210,7 +216,7 @@ export class PurchaseService {
         const credits = (itemData.metadata["credits"] as number) || 0;
         if (credits > 0) {
           const creditId = await creditTrackingService.addCredits(
-            studentId, studioOwnerId, credits, expirationDays, itemData.itemId, null,
+            studentId, studioOwnerId, credits, expirationDays, itemData.itemId, null, ledger,
           );
           creditIds.push(creditId);
           creditsGranted = credits;
@@ -228,9 +234,17 @@ export class PurchaseService {
     return { creditIds, creditsGranted };
   }
 
+  /** Reserves a purchases doc ID so credit ledger entries can reference it before the record is written. */
+  allocatePurchaseId(): string {
+    return getFirestore().collection("purchases").doc().id;
+  }
+
   async createPurchaseRecord(purchaseData: PurchaseRecordData): Promise<string> {
     const db = getFirestore();
-    const docRef = await db.collection("purchases").add({
+    const docRef = purchaseData.id
+      ? db.collection("purchases").doc(purchaseData.id)
+      : db.collection("purchases").doc();
+    await docRef.set({
       studentId: purchaseData.studentId,
       authUid: purchaseData.authUid,
       purchaseType: purchaseData.purchaseType,
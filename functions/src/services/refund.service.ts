@@ -0,0 +1,425 @@
+import * as admin from "firebase-admin";
+import * as stripeService from "./stripe.service";
+import creditTrackingService from "./credit-tracking.service";
+import tierInventoryService from "./tier-inventory.service";
+import { getFirestore } from "../utils/firestore";
+
+export type RefundMode = "full" | "amount" | "unused_credits";
+export type RefundMethod = "stripe" | "cash";
+
+/** One entry in a purchase's `refunds` history. */
+export interface PurchaseRefund {
+  id: string;
+  mode: RefundMode;
+  method: RefundMethod;
+  amount: number;
+  /** Credits taken back; until the refund succeeds, the credits it is to take back. */
+  credits: number;
+  reason: string | null;
+  /**
+   * Stripe refunds are "pending" between reserving the amount and Stripe
+   * confirming it. "needs_reconcile" means Stripe refunded but recording it
+   * failed; the charge.refunded webhook for `stripeRefundId` finishes it.
+   */
+  status: "pending" | "succeeded" | "needs_reconcile";
+  stripeRefundId: string | null;
+  refundedBy: string;
+  createdAt: string;
+}
+
+export interface RefundRequest {
+  mode: RefundMode;
+  /** Dollars; required for mode "amount". */
+  amount?: number;
+  /** Credits to take back; defaults to every unused credit for modes "full" and "unused_credits". */
+  credits?: number;
+  reason?: string | null;
+}
+
+export interface RefundSummary {
+  purchaseId: string;
+  collection: "purchases" | "cashPurchases";
+  method: RefundMethod;
+  grossAmount: number;
+  refundedAmount: number;
+  refundableAmount: number;
+  creditsGranted: number;
+  refundedCredits: number;
+  unusedCredits: number;
+  refundStatus: "partial" | "full" | null;
+  refunds: PurchaseRefund[];
+}
+
+interface ResolvedPurchase {
+  ref: FirebaseFirestore.DocumentReference;
+  collection: "purchases" | "cashPurchases";
+  data: Record<string, unknown>;
+}
+
+function round2(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/** Card purchases carry `price`; cash purchases carry `amount`. */
+function grossAmount(data: Record<string, unknown>): number {
+  return (data["price"] as number) ?? (data["amount"] as number) ?? 0;
+}
+
+/** What a purchase actually brought in once refunds are taken off — what revenue reports should count. */
+export function netPurchaseAmount(data: Record<string, unknown>): number {
+  return round2(Math.max(0, grossAmount(data) - ((data["refundedAmount"] as number) || 0)));
+}
+
+function methodFor(resolved: ResolvedPurchase): RefundMethod {
+  const paymentIntentId = resolved.data["stripePaymentIntentId"] as string | undefined;
+  return resolved.collection === "purchases" && paymentIntentId?.startsWith("pi_") ? "stripe" : "cash";
+}
+
+/**
+ * Full and partial refunds for card (`purchases`) and cash (`cashPurchases`)
+ * payments. Each refund is appended to the record's `refunds` array and rolled
+ * up into `refundedAmount` / `refundedCredits`; a record only becomes
+ * status "refunded" once nothing refundable is left, so partially refunded
+ * passes and tickets stay valid.
+ */
+export class RefundService {
+  async getRefundSummary(purchaseId: string, studioOwnerId: string): Promise<RefundSummary> {
+    const resolved = await this.resolvePurchase(purchaseId, studioOwnerId);
+    return this.summarize(resolved, await this.unusedCredits(resolved.data));
+  }
+
+  async refundPurchase(
+    purchaseId: string, studioOwnerId: string, actorUid: string, request: RefundRequest,
+  ): Promise<{ refund: PurchaseRefund; summary: RefundSummary }> {
+    const resolved = await this.resolvePurchase(purchaseId, studioOwnerId);
+    if (resolved.data["status"] === "refunded") throw new Error("This purchase has already been refunded");
+    if (resolved.data["status"] === "disputed") throw new Error("This purchase is under dispute and cannot be refunded");
+
+    const method = methodFor(resolved);
+    const creditsGranted = (resolved.data["creditsGranted"] as number) || 0;
+    const unused = await this.unusedCredits(resolved.data);
+
+    let credits = 0;
+    if (request.credits !== undefined) {
+      if (!Number.isInteger(request.credits) || request.credits < 0) throw new Error("credits must be a non-negative integer");
+      if (request.credits > unused) throw new Error(`Only ${unused} unused credit${unused === 1 ? " is" : "s are"} left on this purchase`);
+      credits = request.credits;
+    } else if (request.mode !== "amount") {
+      credits = unused;
+    }
+    if (request.mode === "unused_credits" && (creditsGranted <= 0 || credits <= 0)) {
+      throw new Error("This purchase has no unused credits to refund");
+    }
+
+    const db = getFirestore();
+    const refund = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(resolved.ref);
+      const data = doc.data() as Record<string, unknown>;
+      if (data["status"] === "refunded") throw new Error("This purchase has already been refunded");
+      const refundable = netPurchaseAmount(data);
+
+      let amount: number;
+      if (request.mode === "full") {
+        amount = refundable;
+      } else if (request.mode === "unused_credits") {
+        amount = Math.min(refundable, round2(grossAmount(data) * credits / creditsGranted));
+      } else {
+        amount = round2(request.amount ?? 0);
+        if (!(amount > 0)) throw new Error("amount must be a positive number");
+        if (amount > refundable) throw new Error(`Refund amount exceeds the refundable amount of ${refundable.toFixed(2)}`);
+      }
+      if (amount <= 0 && credits <= 0) throw new Error("Nothing left to refund on this purchase");
+
+      const entry: PurchaseRefund = {
+        id: db.collection("purchases").doc().id,
+        mode: request.mode,
+        method,
+        amount,
+        credits,
+        reason: request.reason ?? null,
+        status: method === "stripe" && amount > 0 ? "pending" : "succeeded",
+        stripeRefundId: null,
+        refundedBy: actorUid,
+        createdAt: new Date().toISOString(),
+      };
+      // The amount is reserved up front so two concurrent partial refunds can't overshoot.
+      tx.update(resolved.ref, {
+        refunds: [...((data["refunds"] as PurchaseRefund[] | undefined) ?? []), entry],
+        refundedAmount: round2(((data["refundedAmount"] as number) || 0) + amount),
+        lastRefundedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return entry;
+    });
+
+    let stripeRefundId: string | null = null;
+    if (refund.status === "pending") {
+      try {
+        const connectedAccountId = await this.connectedAccountFor(resolved.data);
+        const stripeRefund = await stripeService.createRefund(
+          resolved.data["stripePaymentIntentId"] as string,
+          request.reason || "",
+          connectedAccountId,
+          { amount: Math.round(refund.amount * 100), metadata: { purchaseId, refundId: refund.id } },
+        );
+        stripeRefundId = stripeRefund.id;
+      } catch (err) {
+        await this.releaseReservation(resolved.ref, refund);
+        throw err;
+      }
+    }
+
+    let finalized: PurchaseRefund;
+    try {
+      const creditsRemoved = await this.clawBackCredits(purchaseId, resolved.data, credits, request.reason || "Purchase refunded");
+      finalized = await this.finalizeRefund(resolved.ref, refund.id, stripeRefundId, creditsRemoved, request.reason || "");
+    } catch (err) {
+      if (stripeRefundId) await this.markNeedsReconcile(resolved.ref, refund.id, stripeRefundId);
+      throw err;
+    }
+
+    const updated = await this.resolvePurchase(purchaseId, studioOwnerId);
+    return { refund: finalized, summary: this.summarize(updated, await this.unusedCredits(updated.data)) };
+  }
+
+  /**
+   * Reconciles a refund issued outside DanceUp (e.g. from the Stripe dashboard)
+   * with the purchase's history, from a `charge.refunded` event. Refunds issued
+   * through refundPurchase are reserved in `refundedAmount` before Stripe is
+   * called, so only the unrecorded difference is added and webhook retries are
+   * no-ops — except for one left "needs_reconcile", which is finished here.
+   * Credits are taken back in proportion to the amount refunded.
+   */
+  async syncStripeRefund(
+    paymentIntentId: string, amountRefundedCents: number, stripeRefundId: string | null,
+  ): Promise<{ purchaseId: string; studioOwnerId: string; amount: number; credits: number; fullyRefunded: boolean } | null> {
+    const resolved = await this.findByPaymentIntent(paymentIntentId);
+    if (!resolved) return null;
+
+    const db = getFirestore();
+    const totalRefunded = round2(amountRefundedCents / 100);
+    const claimed = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(resolved.ref);
+      const data = doc.data() as Record<string, unknown>;
+      const refunds = (data["refunds"] as PurchaseRefund[] | undefined) ?? [];
+      const stuck = stripeRefundId
+        ? refunds.find((entry) => entry.stripeRefundId === stripeRefundId && entry.status === "needs_reconcile")
+        : undefined;
+      if (stuck) {
+        // Back to "pending" so a concurrent retry of this webhook leaves it alone.
+        tx.update(resolved.ref, {
+          refunds: refunds.map((entry) => (entry.id === stuck.id ? { ...entry, status: "pending" as const } : entry)),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return { refund: stuck, reconciling: true };
+      }
+
+      const amount = round2(Math.min(totalRefunded, grossAmount(data)) - ((data["refundedAmount"] as number) || 0));
+      if (amount <= 0) return null;
+
+      const entry: PurchaseRefund = {
+        id: db.collection("purchases").doc().id,
+        mode: round2(grossAmount(data) - totalRefunded) <= 0 ? "full" : "amount",
+        method: "stripe",
+        amount,
+        credits: 0,
+        reason: "Refunded in Stripe",
+        status: "pending",
+        stripeRefundId,
+        refundedBy: "stripe",
+        createdAt: new Date().toISOString(),
+      };
+      tx.update(resolved.ref, {
+        refunds: [...refunds, entry],
+        refundedAmount: round2(((data["refundedAmount"] as number) || 0) + amount),
+        lastRefundedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { refund: entry, reconciling: false };
+    });
+    if (!claimed) return null;
+    const { refund, reconciling } = claimed;
+
+    const fullyRefunded = refund.mode === "full";
+    let credits = refund.credits;
+    if (!reconciling) {
+      const gross = grossAmount(resolved.data);
+      const creditsGranted = (resolved.data["creditsGranted"] as number) || 0;
+      const unused = await this.unusedCredits(resolved.data);
+      credits = fullyRefunded
+        ? unused
+        : Math.min(unused, gross > 0 ? Math.floor(creditsGranted * refund.amount / gross) : 0);
+    }
+
+    const reason = reconciling ? refund.reason || "Purchase refunded" : "Refunded in Stripe";
+    let creditsRemoved: number;
+    try {
+      creditsRemoved = await this.clawBackCredits(resolved.ref.id, resolved.data, credits, reason);
+      await this.finalizeRefund(resolved.ref, refund.id, stripeRefundId, creditsRemoved, reason);
+    } catch (err) {
+      if (stripeRefundId) await this.markNeedsReconcile(resolved.ref, refund.id, stripeRefundId);
+      throw err;
+    }
+    return {
+      purchaseId: resolved.ref.id,
+      studioOwnerId: resolved.data["studioOwnerId"] as string,
+      amount: refund.amount,
+      credits: creditsRemoved,
+      fullyRefunded,
+    };
+  }
+
+  /** The card purchase paid with this payment intent, if any. */
+  async findByPaymentIntent(paymentIntentId: string): Promise<ResolvedPurchase | null> {
+    const snapshot = await getFirestore().collection("purchases")
+      .where("stripePaymentIntentId", "==", paymentIntentId)
+      .limit(1)
+      .get();
+    const doc = snapshot.docs[0];
+    return doc ? { ref: doc.ref, collection: "purchases", data: doc.data() as Record<string, unknown> } : null;
+  }
+
+  /** Removes up to `credits` of the purchase's own unused credits; returns how many were removed. */
+  async clawBackCredits(
+    purchaseId: string, data: Record<string, unknown>, credits: number, reason: string,
+  ): Promise<number> {
+    if (credits <= 0 || !data["studentId"]) return 0;
+    return creditTrackingService.removePurchaseCredits(
+      data["studentId"] as string,
+      data["studioOwnerId"] as string,
+      (data["creditIds"] as string[] | undefined) ?? [],
+      credits,
+      {
+        type: "refund_clawback",
+        actor: { type: "studio", id: data["studioOwnerId"] as string },
+        reason,
+        source: { purchaseId },
+      },
+    );
+  }
+
+  /** Looks the ID up in `purchases` first, then `cashPurchases`. */
+  private async resolvePurchase(purchaseId: string, studioOwnerId: string): Promise<ResolvedPurchase> {
+    const db = getFirestore();
+    for (const collection of ["purchases", "cashPurchases"] as const) {
+      const ref = db.collection(collection).doc(purchaseId);
+      const doc = await ref.get();
+      if (!doc.exists) continue;
+      const data = doc.data() as Record<string, unknown>;
+      if (data["studioOwnerId"] !== studioOwnerId) {
+        throw new Error("Access denied: Purchase does not belong to this studio owner");
+      }
+      return { ref, collection, data };
+    }
+    throw new Error("Purchase not found");
+  }
+
+  private async unusedCredits(data: Record<string, unknown>): Promise<number> {
+    const creditIds = (data["creditIds"] as string[] | undefined) ?? [];
+    if (!data["studentId"] || creditIds.length === 0) return 0;
+    return creditTrackingService.getUnusedPurchaseCredits(
+      data["studentId"] as string, data["studioOwnerId"] as string, creditIds,
+    );
+  }
+
+  /** Purchases are direct charges on the studio's connected account, so the refund must be issued there too. */
+  private async connectedAccountFor(data: Record<string, unknown>): Promise<string | undefined> {
+    if (data["stripeConnectedAccountId"]) return data["stripeConnectedAccountId"] as string;
+    const studioDoc = await getFirestore().collection("users").doc(data["studioOwnerId"] as string).get();
+    return studioDoc.exists ? ((studioDoc.data() as Record<string, unknown>)["stripeAccountId"] as string) || undefined : undefined;
+  }
+
+  /**
+   * Marks a reserved refund succeeded and, once nothing refundable is left, the
+   * purchase refunded — which also puts an event or workshop purchase's seats
+   * back on sale.
+   */
+  private async finalizeRefund(
+    ref: FirebaseFirestore.DocumentReference,
+    refundId: string,
+    stripeRefundId: string | null,
+    creditsRemoved: number,
+    reason: string,
+  ): Promise<PurchaseRefund> {
+    let tierReservationId: string | null = null;
+    const finalized = await getFirestore().runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const data = doc.data() as Record<string, unknown>;
+      const refunds = ((data["refunds"] as PurchaseRefund[] | undefined) ?? []).map((entry) => (
+        entry.id === refundId ? { ...entry, status: "succeeded" as const, stripeRefundId, credits: creditsRemoved } : entry
+      ));
+      const fullyRefunded = netPurchaseAmount(data) <= 0;
+      if (fullyRefunded) {
+        tierReservationId = ((data["metadata"] as Record<string, unknown> | undefined)?.["tierReservationId"] as string) || null;
+      }
+      tx.update(ref, {
+        refunds,
+        refundedCredits: ((data["refundedCredits"] as number) || 0) + creditsRemoved,
+        refundStatus: fullyRefunded ? "full" : "partial",
+        ...(fullyRefunded && data["status"] !== "disputed" ? {
+          status: "refunded",
+          refundedAt: admin.firestore.FieldValue.serverTimestamp(),
+          refundReason: reason,
+        } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return refunds.find((entry) => entry.id === refundId) as PurchaseRefund;
+    });
+    if (tierReservationId) {
+      await tierInventoryService.returnStock(tierReservationId)
+        .catch((err) => console.error(`Failed to return ticket stock for purchase ${ref.id}:`, err));
+    }
+    return finalized;
+  }
+
+  /** Flags a refund Stripe has made but we failed to record, for the charge.refunded webhook to finish. */
+  private async markNeedsReconcile(
+    ref: FirebaseFirestore.DocumentReference, refundId: string, stripeRefundId: string,
+  ): Promise<void> {
+    try {
+      await getFirestore().runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        const data = doc.data() as Record<string, unknown>;
+        tx.update(ref, {
+          refunds: ((data["refunds"] as PurchaseRefund[] | undefined) ?? []).map((entry) => (
+            entry.id === refundId ? { ...entry, status: "needs_reconcile" as const, stripeRefundId } : entry
+          )),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+    } catch (err) {
+      console.error(`Failed to flag refund ${refundId} on purchase ${ref.id} for reconciliation:`, err);
+    }
+  }
+
+  private async releaseReservation(ref: FirebaseFirestore.DocumentReference, refund: PurchaseRefund): Promise<void> {
+    await getFirestore().runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const data = doc.data() as Record<string, unknown>;
+      tx.update(ref, {
+        refunds: ((data["refunds"] as PurchaseRefund[] | undefined) ?? []).filter((entry) => entry.id !== refund.id),
+        refundedAmount: round2(Math.max(0, ((data["refundedAmount"] as number) || 0) - refund.amount)),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+  }
+
+  private summarize(resolved: ResolvedPurchase, unusedCredits: number): RefundSummary {
+    const data = resolved.data;
+    return {
+      purchaseId: resolved.ref.id,
+      collection: resolved.collection,
+      method: methodFor(resolved),
+      grossAmount: grossAmount(data),
+      refundedAmount: (data["refundedAmount"] as number) || 0,
+      refundableAmount: data["status"] === "refunded" ? 0 : netPurchaseAmount(data),
+      creditsGranted: (data["creditsGranted"] as number) || 0,
+      refundedCredits: (data["refundedCredits"] as number) || 0,
+      unusedCredits,
+      refundStatus: (data["refundStatus"] as "partial" | "full" | undefined) ?? (data["status"] === "refunded" ? "full" : null),
+      refunds: (data["refunds"] as PurchaseRefund[] | undefined) ?? [],
+    };
+  }
+}
+
+export default new RefundService();
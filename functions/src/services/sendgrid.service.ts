@@ -768,10 +768,10 @@ export async function sendCreditExpiryEmail(
   });
 }
 
-export async function sendWaitlistNotificationEmail(
-  to: string, firstName: string, className: string, studioName: string, classInstanceDate: string,
+export async function sendWaitlistOfferEmail(
+  to: string, firstName: string, className: string, studioName: string, classInstanceDate: string, offerExpiresAt: Date,
 ): Promise<void> {
-  if (!to) { console.warn("[SendGrid] sendWaitlistNotificationEmail: no recipient email, skipping"); return; }
+  if (!to) { console.warn("[SendGrid] sendWaitlistOfferEmail: no recipient email, skipping"); return; }
   const name = firstName?.trim() || "there";
   const studio = studioName?.trim() || "the studio";
   const cls = className?.trim() || "your class";
@@ -783,18 +783,22 @@ export async function sendWaitlistNotificationEmail(
       dateStr = d.toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric" });
     }
   } catch (_) { /* keep original */ }
+  const deadline = offerExpiresAt.toLocaleString("en-US", {
+    weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZoneName: "short",
+  });
 
   const html = `
     <div style="font-family:sans-serif;max-width:540px;margin:0 auto;padding:32px 24px;background:#f8fafc">
       <div style="background:#fff;border-radius:12px;padding:32px;border:1px solid #e2e8f0">
         <h2 style="color:#1e293b;margin:0 0 8px">A spot opened up, ${name}!</h2>
         <p style="color:#64748b;margin:0 0 20px">Good news — a spot just became available in <strong>${cls}</strong> at <strong>${studio}</strong> on <strong>${dateStr}</strong>.</p>
-        <p style="color:#475569;margin:0 0 24px">Spots fill up fast. Contact ${studio} to confirm your place.</p>
+        <p style="color:#475569;margin:0 0 24px">We're holding it for you until <strong>${deadline}</strong>. Claim it in the DanceUp app before then — after that it goes to the next person on the waitlist.</p>
+        <a href="https://danceup.app" style="display:inline-block;background:linear-gradient(135deg,#6366f1,#ec4899);color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;font-size:15px;margin-bottom:24px">Claim My Spot →</a>
         <hr style="border:none;border-top:1px solid #e2e8f0;margin:24px 0"/>
         <p style="color:#94a3b8;font-size:12px;margin:0">You're receiving this because you joined the waitlist for this class via DanceUp.</p>
       </div>
     </div>`;
-  const text = `A spot opened up in ${cls} at ${studio} on ${dateStr}, ${name}!\n\nSpots fill up fast. Contact ${studio} to confirm your place.`;
+  const text = `A spot opened up in ${cls} at ${studio} on ${dateStr}, ${name}!\n\nWe're holding it for you until ${deadline}. Claim it in the DanceUp app before then — after that it goes to the next person on the waitlist.\n\nhttps://danceup.app`;
 
   await sendEmail({
     to, from: { email: "info@danceup.app", name: "DanceUp" },
@@ -802,6 +806,123 @@ export async function sendWaitlistNotificationEmail(
   });
 }
 
+export async function sendWaitlistEnrolledEmail(
+  to: string, firstName: string, className: string, studioName: string, classInstanceDate: string,
+): Promise<void> {
+  if (!to) { console.warn("[SendGrid] sendWaitlistEnrolledEmail: no recipient email, skipping"); return; }
+  const name = firstName?.trim() || "there";
+  const studio = studioName?.trim() || "the studio";
+  const cls = className?.trim() || "your class";
+
+  let dateStr = classInstanceDate;
+  try {
+    const d = new Date(classInstanceDate);
+    if (!isNaN(d.getTime())) {
+      dateStr = d.toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric" });
+    }
+  } catch (_) { /* keep original */ }
+
+  const html = `
+    <div style="font-family:sans-serif;max-width:540px;margin:0 auto;padding:32px 24px;background:#f8fafc">
+      <div style="background:#fff;border-radius:12px;padding:32px;border:1px solid #e2e8f0">
+        <h2 style="color:#1e293b;margin:0 0 8px">You're in, ${name}!</h2>
+        <p style="color:#64748b;margin:0 0 20px">A spot opened up in <strong>${cls}</strong> at <strong>${studio}</strong> on <strong>${dateStr}</strong>, and since you turned on auto-claim we booked it for you.</p>
+        <p style="color:#475569;margin:0 0 24px">One class credit was used. See you on the floor!</p>
+        <hr style="border:none;border-top:1px solid #e2e8f0;margin:24px 0"/>
+        <p style="color:#94a3b8;font-size:12px;margin:0">You're receiving this because you joined the waitlist for this class via DanceUp.</p>
+      </div>
+    </div>`;
+  const text = `You're in, ${name}! A spot opened up in ${cls} at ${studio} on ${dateStr}, and since you turned on auto-claim we booked it for you.\n\nOne class credit was used.`;
+
+  await sendEmail({
+    to, from: { email: "info@danceup.app", name: "DanceUp" },
+    subject: `You're booked into ${cls} at ${studio}`, html, text, categories: ["waitlist-notification"],
+  });
+}
+
+export async function sendTicketTransferEmail(
+  to: string, fromName: string, itemName: string, studioName: string,
+): Promise<void> {
+  if (!to) { console.warn("[SendGrid] sendTicketTransferEmail: no recipient email, skipping"); return; }
+  const sender = fromName?.trim() || "A fellow dancer";
+  const studio = studioName?.trim() || "the studio";
+  const item = itemName?.trim() || "an upcoming event";
+
+  const html = `
+    <div style="font-family:sans-serif;max-width:540px;margin:0 auto;padding:32px 24px;background:#f8fafc">
+      <div style="background:#fff;border-radius:12px;padding:32px;border:1px solid #e2e8f0">
+        <h2 style="color:#1e293b;margin:0 0 8px">${sender} sent you a pass!</h2>
+        <p style="color:#64748b;margin:0 0 20px"><strong>${sender}</strong> wants to give you their pass to <strong>${item}</strong> at <strong>${studio}</strong>.</p>
+        <p style="color:#475569;margin:0 0 24px">Sign in to DanceUp with this email address to accept it. Once you do, the pass and its tickets are yours.</p>
+        <a href="https://danceup.app" style="display:inline-block;background:linear-gradient(135deg,#6366f1,#ec4899);color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;font-size:15px;margin-bottom:24px">Accept My Pass →</a>
+        <hr style="border:none;border-top:1px solid #e2e8f0;margin:24px 0"/>
+        <p style="color:#94a3b8;font-size:12px;margin:0">You're receiving this because someone transferred a DanceUp pass to this email address.</p>
+      </div>
+    </div>`;
+  const text = `${sender} sent you a pass!\n\n${sender} wants to give you their pass to ${item} at ${studio}. Sign in to DanceUp with this email address to accept it.\n\nhttps://danceup.app`;
+
+  await sendEmail({
+    to, from: { email: "info@danceup.app", name: "DanceUp" },
+    subject: `${sender} sent you a pass to ${item}`, html, text, categories: ["ticket-transfer"],
+  });
+}
+
+export async function sendTicketResaleOfferEmail(
+  to: string, firstName: string, itemName: string, studioName: string, price: number, offerExpiresAt: Date,
+): Promise<void> {
+  if (!to) { console.warn("[SendGrid] sendTicketResaleOfferEmail: no recipient email, skipping"); return; }
+  const name = firstName?.trim() || "there";
+  const studio = studioName?.trim() || "the studio";
+  const item = itemName?.trim() || "the event";
+  const deadline = offerExpiresAt.toLocaleString("en-US", {
+    weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZoneName: "short",
+  });
+
+  const html = `
+    <div style="font-family:sans-serif;max-width:540px;margin:0 auto;padding:32px 24px;background:#f8fafc">
+      <div style="background:#fff;border-radius:12px;padding:32px;border:1px solid #e2e8f0">
+        <h2 style="color:#1e293b;margin:0 0 8px">A pass opened up, ${name}!</h2>
+        <p style="color:#64748b;margin:0 0 20px">A pass to <strong>${item}</strong> at <strong>${studio}</strong> is back on offer at its original price of <strong>$${price.toFixed(2)}</strong>.</p>
+        <p style="color:#475569;margin:0 0 24px">We're holding it for you until <strong>${deadline}</strong>. Buy it in the DanceUp app before then — after that it goes to the next person on the waitlist.</p>
+        <a href="https://danceup.app" style="display:inline-block;background:linear-gradient(135deg,#6366f1,#ec4899);color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;font-size:15px;margin-bottom:24px">Get My Pass →</a>
+        <hr style="border:none;border-top:1px solid #e2e8f0;margin:24px 0"/>
+        <p style="color:#94a3b8;font-size:12px;margin:0">You're receiving this because you joined the waitlist for this event via DanceUp.</p>
+      </div>
+    </div>`;
+  const text = `A pass opened up, ${name}!\n\nA pass to ${item} at ${studio} is back on offer at its original price of $${price.toFixed(2)}. We're holding it for you until ${deadline} — after that it goes to the next person on the waitlist.\n\nhttps://danceup.app`;
+
+  await sendEmail({
+    to, from: { email: "info@danceup.app", name: "DanceUp" },
+    subject: `A pass to ${item} at ${studio} opened up`, html, text, categories: ["waitlist-notification"],
+  });
+}
+
+export async function sendClassInstanceUpdateEmail(
+  to: string, firstName: string, className: string, studioName: string, headline: string, detail: string,
+): Promise<void> {
+  if (!to) { console.warn("[SendGrid] sendClassInstanceUpdateEmail: no recipient email, skipping"); return; }
+  const name = firstName?.trim() || "there";
+  const studio = studioName?.trim() || "the studio";
+  const cls = className?.trim() || "your class";
+
+  const html = `
+    <div style="font-family:sans-serif;max-width:540px;margin:0 auto;padding:32px 24px;background:#f8fafc">
+      <div style="background:#fff;border-radius:12px;padding:32px;border:1px solid #e2e8f0">
+        <h2 style="color:#1e293b;margin:0 0 8px">${headline}</h2>
+        <p style="color:#64748b;margin:0 0 20px">Hi ${name}, there's a change to <strong>${cls}</strong> at <strong>${studio}</strong>.</p>
+        <p style="color:#475569;margin:0 0 24px">${detail}</p>
+        <hr style="border:none;border-top:1px solid #e2e8f0;margin:24px 0"/>
+        <p style="color:#94a3b8;font-size:12px;margin:0">You're receiving this because you're booked into this class via DanceUp.</p>
+      </div>
+    </div>`;
+  const text = `${headline}\n\nHi ${name}, there's a change to ${cls} at ${studio}.\n\n${detail}`;
+
+  await sendEmail({
+    to, from: { email: "info@danceup.app", name: "DanceUp" },
+    subject: `${headline} — ${cls} at ${studio}`, html, text, categories: ["class-instance-update"],
+  });
+}
+
 export async function sendMilestoneEmail(
   to: string, firstName: string, studioName: string, checkInCount: number,
 ): Promise<void> {
@@ -911,6 +1032,69 @@ export async function sendVendorDeclineEmail(
   });
 }
 
+export async function sendPerformerApprovalEmail(
+  to: string, teamName: string, eventName: string, fee: number | null, paymentUrl: string | null,
+): Promise<void> {
+  if (!to) { console.warn("[SendGrid] sendPerformerApprovalEmail: no recipient email, skipping"); return; }
+  const team = teamName?.trim() || "your team";
+  const event = eventName?.trim() || "the event";
+  const feeDue = fee && fee > 0 && paymentUrl ? fee : null;
+
+  const html = `
+    <div style="font-family:sans-serif;max-width:540px;margin:0 auto;padding:32px 24px;background:#f8fafc">
+      <div style="background:#fff;border-radius:12px;padding:32px;border:1px solid #e2e8f0">
+        <h2 style="color:#1e293b;margin:0 0 8px">Your Performer Application is Approved!</h2>
+        <p style="color:#64748b;margin:0 0 20px">Great news! <strong>${team}</strong> has been approved to perform at <strong>${event}</strong>.</p>
+        ${feeDue ? `
+        <p style="color:#475569;margin:0 0 24px">Confirm your spot in the show by paying the <strong>$${feeDue.toFixed(2)}</strong> performer fee:</p>
+        <a href="${paymentUrl}" style="display:inline-block;background:linear-gradient(135deg,#6366f1,#ec4899);color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;font-size:15px;margin-bottom:24px">
+          Pay Performer Fee →
+        </a>` : `
+        <p style="color:#475569;margin:0 0 24px">The event host will share your place in the running order closer to the show.</p>`}
+        <hr style="border:none;border-top:1px solid #e2e8f0;margin:24px 0"/>
+        <p style="color:#94a3b8;font-size:12px;margin:0">This is an automated notification. Please do not reply to this email.</p>
+      </div>
+    </div>`;
+  const text = feeDue
+    ? `Your Performer Application is Approved!\n\nGreat news! ${team} has been approved to perform at ${event}.\n\nConfirm your spot by paying the $${feeDue.toFixed(2)} performer fee here: ${paymentUrl}`
+    : `Your Performer Application is Approved!\n\nGreat news! ${team} has been approved to perform at ${event}.\n\nThe event host will share your place in the running order closer to the show.`;
+
+  await sendEmail({
+    to, from: { email: "info@danceup.app", name: "DanceUp" },
+    subject: `Performer Application Approved — ${event}`, html, text, categories: ["performer-approved"],
+  });
+}
+
+export async function sendPerformerDeclineEmail(
+  to: string, teamName: string, eventName: string, reason: string,
+): Promise<void> {
+  if (!to) { console.warn("[SendGrid] sendPerformerDeclineEmail: no recipient email, skipping"); return; }
+  const team = teamName?.trim() || "your team";
+  const event = eventName?.trim() || "the event";
+  const declineReason = reason?.trim() || "No reason provided.";
+
+  const html = `
+    <div style="font-family:sans-serif;max-width:540px;margin:0 auto;padding:32px 24px;background:#f8fafc">
+      <div style="background:#fff;border-radius:12px;padding:32px;border:1px solid #e2e8f0">
+        <h2 style="color:#1e293b;margin:0 0 8px">Performer Application Update</h2>
+        <p style="color:#64748b;margin:0 0 20px">We regret to inform you that the performer application for <strong>${team}</strong> at <strong>${event}</strong> was not approved at this time.</p>
+        <div style="background:#f1f5f9;border-radius:8px;padding:16px;margin-bottom:20px">
+          <p style="color:#475569;margin:0 0 4px;font-weight:600;font-size:14px">Reason:</p>
+          <p style="color:#475569;margin:0;font-size:14px">${declineReason}</p>
+        </div>
+        <p style="color:#94a3b8;font-size:13px;margin:0">If you have questions, please contact the event organizer directly.</p>
+        <hr style="border:none;border-top:1px solid #e2e8f0;margin:24px 0"/>
+        <p style="color:#94a3b8;font-size:12px;margin:0">This is an automated notification. Please do not reply to this email.</p>
+      </div>
+    </div>`;
+  const text = `Performer Application Update\n\nWe regret to inform you that the performer application for ${team} at ${event} was not approved at this time.\n\nReason: ${declineReason}\n\nIf you have questions, please contact the event organizer directly.`;
+
+  await sendEmail({
+    to, from: { email: "info@danceup.app", name: "DanceUp" },
+    subject: `Performer Application Update — ${event}`, html, text, categories: ["performer-declined"],
+  });
+}
+
 export async function sendFirstClassEmail(
   to: string, firstName: string, studioName: string,
 ): Promise<void> {
@@ -1183,6 +1367,60 @@ export async function sendStudentPaymentFailedEmailToStudio(
   });
 }
 
+// Sent to a studio owner when a dancer disputes a card payment. Stripe only accepts
+// evidence until the deadline, so it's called out up front.
+export async function sendDisputeOpenedEmailToStudio(
+  to: string, studioOwnerFirstName: string, studentName: string, itemName: string, amount: number, evidenceDueBy: Date | null,
+): Promise<void> {
+  if (!to) { console.warn("[SendGrid] sendDisputeOpenedEmailToStudio: no recipient email, skipping"); return; }
+  const ownerName = studioOwnerFirstName?.trim() || "there";
+  const student = studentName?.trim() || "A student";
+  const item = itemName?.trim() || "a purchase";
+  const formattedAmount = `$${amount.toFixed(2)}`;
+  const deadline = evidenceDueBy
+    ? evidenceDueBy.toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric", year: "numeric" })
+    : null;
+  const deadlineLine = deadline
+    ? `Submit evidence in your Stripe dashboard by <strong>${deadline}</strong> to contest it.`
+    : "Review it in your Stripe dashboard to decide whether to contest it.";
+  const dashboardUrl = "https://studio-owners.danceup.app/dashboard";
+
+  const html = `
+    <div style="font-family:sans-serif;max-width:540px;margin:0 auto;padding:32px 24px;background:#f8fafc">
+      <div style="background:#fff;border-radius:12px;padding:32px;border:1px solid #e2e8f0">
+        <h2 style="color:#1e293b;margin:0 0 8px">A payment was disputed, ${ownerName}</h2>
+        <p style="color:#64748b;margin:0 0 16px">
+          <strong>${student}</strong> disputed their <strong>${formattedAmount}</strong> payment for <strong>${item}</strong>. Any unused credits from that purchase have been put on hold until the dispute closes.
+        </p>
+        <p style="color:#64748b;margin:0 0 20px">${deadlineLine}</p>
+        <a href="${dashboardUrl}"
+           style="display:inline-block;background:linear-gradient(135deg,#6366f1,#ec4899);color:#fff;text-decoration:none;padding:12px 28px;border-radius:8px;font-weight:600;font-size:15px;margin-bottom:24px">
+          Open Dashboard →
+        </a>
+        <hr style="border:none;border-top:1px solid #e2e8f0;margin:24px 0 16px"/>
+        <p style="color:#94a3b8;font-size:12px;margin:0">You're receiving this because a payment to your studio was disputed.</p>
+      </div>
+    </div>`;
+
+  const text = [
+    `A payment was disputed, ${ownerName}`,
+    ``,
+    `${student} disputed their ${formattedAmount} payment for ${item}. Any unused credits from that purchase have been put on hold until the dispute closes.`,
+    deadline ? `Submit evidence in your Stripe dashboard by ${deadline} to contest it.` : "Review it in your Stripe dashboard to decide whether to contest it.",
+    ``,
+    `Open your dashboard: ${dashboardUrl}`,
+  ].join("\n");
+
+  await sendEmail({
+    to,
+    from: { email: "info@danceup.app", name: "DanceUp" },
+    subject: `${student} disputed a ${formattedAmount} payment`,
+    html,
+    text,
+    categories: ["payment-dispute-opened-studio"],
+  });
+}
+
 // Sent to a student some time after their first class, prompting them to leave a
 // review — linked to the specific class they most recently attended (freshest in
 // mind), landing directly on that class's review section rather than a generic page.
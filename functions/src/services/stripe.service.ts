@@ -361,6 +361,51 @@ export async function createPaymentLink(
   }
 }
 
+/**
+ * Direct charge: a one-time Payment Link on the connected account for a fixed amount,
+ * e.g. an event performer fee. The price is created inline so no catalog product is needed.
+ */
+export async function createConnectedPaymentLink(
+  amountCents: number,
+  productName: string,
+  connectedAccountId: string,
+  metadata: Record<string, string>,
+): Promise<Stripe.PaymentLink> {
+  const stripe = await getStripeClient();
+  try {
+    const price = await stripe.prices.create(
+      {
+        unit_amount: amountCents,
+        currency: "usd",
+        product_data: { name: productName.slice(0, 250), metadata },
+        metadata,
+      },
+      { stripeAccount: connectedAccountId },
+    );
+    return await stripe.paymentLinks.create(
+      {
+        line_items: [{ price: price.id, quantity: 1 }],
+        application_fee_amount: platformFeeCents(amountCents),
+        payment_intent_data: { metadata },
+        // A fee is paid once; the link stops accepting payments after that.
+        restrictions: { completed_sessions: { limit: 1 } },
+        metadata,
+      },
+      { stripeAccount: connectedAccountId },
+    );
+  } catch (error) {
+    throw new Error(`Failed to create Payment Link: ${(error as Error).message}`);
+  }
+}
+
+export async function deactivateConnectedPaymentLink(
+  paymentLinkId: string,
+  connectedAccountId: string,
+): Promise<void> {
+  const stripe = await getStripeClient();
+  await stripe.paymentLinks.update(paymentLinkId, { active: false }, { stripeAccount: connectedAccountId });
+}
+
 /**
  * Direct charge: create a one-time checkout session on the connected account.
  * The price and customer must already exist on the connected account.
@@ -373,6 +418,7 @@ export async function createDirectCheckoutSession(
   metadata: Record<string, string>,
   successUrl: string,
   cancelUrl: string,
+  expiresAt?: number,
 ): Promise<Stripe.Checkout.Session> {
   const stripe = await getStripeClient();
   try {
@@ -380,6 +426,7 @@ export async function createDirectCheckoutSession(
       {
         customer: connectedCustomerId,
         mode: "payment",
+        ...(expiresAt ? { expires_at: expiresAt } : {}),
         line_items: [{ price: priceId, quantity: 1 }],
         metadata,
         payment_intent_data: {
@@ -471,6 +518,18 @@ export async function retrieveConnectedPaymentIntent(
   return stripe.paymentIntents.retrieve(paymentIntentId, {}, { stripeAccount: connectedAccountId });
 }
 
+/**
+ * Cancel an unconfirmed PaymentIntent on a connected account. Stripe rejects this
+ * once the payment has succeeded, which makes it safe to race against a confirm.
+ */
+export async function cancelConnectedPaymentIntent(
+  paymentIntentId: string,
+  connectedAccountId: string,
+): Promise<Stripe.PaymentIntent> {
+  const stripe = await getStripeClient();
+  return stripe.paymentIntents.cancel(paymentIntentId, {}, { stripeAccount: connectedAccountId });
+}
+
 /**
  * Create a customer on a connected account.
  * Stores the platform customer ID in metadata so the relationship is traceable.
@@ -717,19 +776,132 @@ export async function chargePaymentMethodDirectly(
   try {
     return await stripe.paymentIntents.create(params, requestOptions);
   } catch (error) {
-    const err = error as Stripe.errors.StripeError & { payment_intent?: Stripe.PaymentIntent };
-    console.error("[chargePaymentMethodDirectly] Stripe error:", { type: err.type, code: err.code, message: err.message, connectedAccountId });
-    if (err.code === "authentication_required" && err.payment_intent) {
-      return err.payment_intent;
-    }
-    // Card errors (declined, insufficient funds, etc.) and invalid request errors should be 402/400, not 500
-    if (error instanceof Stripe.errors.StripeCardError || error instanceof Stripe.errors.StripeInvalidRequestError) {
-      const appError = new Error(err.message || "Payment could not be completed") as Error & { status?: number; error?: string };
-      appError.status = error instanceof Stripe.errors.StripeCardError ? 402 : 400;
-      appError.error = error instanceof Stripe.errors.StripeCardError ? "Payment Failed" : "Bad Request";
-      throw appError;
-    }
-    throw new Error(`Failed to charge payment method: ${err.message}`);
+    return offSessionChargeResult(error, { connectedAccountId });
+  }
+}
+
+/**
+ * Shared outcome of a failed off-session charge: a PaymentIntent that needs 3-D
+ * Secure is handed back for the client to finish; card and request errors become
+ * 402/400 instead of 500.
+ */
+function offSessionChargeResult(error: unknown, context: Record<string, unknown> = {}): Stripe.PaymentIntent {
+  const err = error as Stripe.errors.StripeError & { payment_intent?: Stripe.PaymentIntent };
+  console.error("Stripe charge error:", { ...context, type: err.type, code: err.code, message: err.message });
+  if (err.code === "authentication_required" && err.payment_intent) {
+    return err.payment_intent;
+  }
+  if (error instanceof Stripe.errors.StripeCardError || error instanceof Stripe.errors.StripeInvalidRequestError) {
+    const appError = new Error(err.message || "Payment could not be completed") as Error & { status?: number; error?: string };
+    appError.status = error instanceof Stripe.errors.StripeCardError ? 402 : 400;
+    appError.error = error instanceof Stripe.errors.StripeCardError ? "Payment Failed" : "Bad Request";
+    throw appError;
+  }
+  throw new Error(`Failed to charge payment method: ${err.message}`);
+}
+
+/**
+ * Separate charge: an off-session charge of the student's platform card. Used
+ * when the payment is split between accounts afterwards with transfers, so the
+ * platform keeps its fee by transferring out less rather than via application_fee_amount.
+ */
+export async function chargeSavedCardOnPlatform(
+  customerId: string,
+  paymentMethodId: string,
+  amountCents: number,
+  metadata: Record<string, string>,
+  transferGroup: string,
+  idempotencyKey?: string,
+): Promise<Stripe.PaymentIntent> {
+  const stripe = await getStripeClient();
+  try {
+    return await stripe.paymentIntents.create(
+      {
+        amount: amountCents,
+        currency: "usd",
+        customer: customerId,
+        payment_method: paymentMethodId,
+        confirm: true,
+        off_session: true,
+        transfer_group: transferGroup,
+        metadata,
+      },
+      idempotencyKey ? { idempotencyKey } : {},
+    );
+  } catch (error) {
+    return offSessionChargeResult(error);
+  }
+}
+
+/** Separate charge: a PaymentIntent on the platform for the self-hosted Payment Element, split out later with transfers. */
+export async function createPlatformPaymentIntent(
+  amountCents: number,
+  metadata: Record<string, string>,
+  transferGroup: string,
+): Promise<Stripe.PaymentIntent> {
+  const stripe = await getStripeClient();
+  try {
+    return await stripe.paymentIntents.create({
+      amount: amountCents,
+      currency: "usd",
+      automatic_payment_methods: { enabled: true },
+      transfer_group: transferGroup,
+      metadata,
+    });
+  } catch (error) {
+    throw new Error(`Failed to create payment intent: ${(error as Error).message}`);
+  }
+}
+
+export async function retrievePaymentIntent(paymentIntentId: string): Promise<Stripe.PaymentIntent> {
+  const stripe = await getStripeClient();
+  return stripe.paymentIntents.retrieve(paymentIntentId);
+}
+
+/**
+ * Moves part of a platform charge to a connected account. `sourceTransaction`
+ * ties the transfer to the charge so it can go out before the funds settle.
+ */
+export async function createTransfer(
+  amountCents: number,
+  destination: string,
+  options: { transferGroup: string; sourceTransaction?: string | null; metadata?: Record<string, string> },
+  idempotencyKey?: string,
+): Promise<Stripe.Transfer> {
+  const stripe = await getStripeClient();
+  try {
+    return await stripe.transfers.create(
+      {
+        amount: amountCents,
+        currency: "usd",
+        destination,
+        transfer_group: options.transferGroup,
+        ...(options.sourceTransaction ? { source_transaction: options.sourceTransaction } : {}),
+        metadata: options.metadata ?? {},
+      },
+      idempotencyKey ? { idempotencyKey } : {},
+    );
+  } catch (error) {
+    throw new Error(`Failed to create transfer: ${(error as Error).message}`);
+  }
+}
+
+/** Pulls `amountCents` of a transfer back from the connected account. */
+export async function reverseTransfer(
+  transferId: string,
+  amountCents: number,
+  metadata: Record<string, string> = {},
+  idempotencyKey?: string,
+): Promise<Stripe.TransferReversal> {
+  const stripe = await getStripeClient();
+  try {
+    return await stripe.transfers.createReversal(
+      transferId,
+      { amount: amountCents, metadata },
+      idempotencyKey ? { idempotencyKey } : {},
+    );
+  } catch (error) {
+    throw new Error(`Failed to reverse transfer: ${(error as Error).message}`);
   }
 }
 
@@ -776,6 +948,39 @@ export async function createSubscriptionWithSavedCard(
   }
 }
 
+export async function retrieveConnectedSubscription(
+  subscriptionId: string, connectedAccountId: string,
+): Promise<Stripe.Subscription> {
+  const stripe = await getStripeClient();
+  return await stripe.subscriptions.retrieve(subscriptionId, { stripeAccount: connectedAccountId });
+}
+
+/**
+ * Pauses billing on a connected-account subscription until `resumesAt` (unix seconds).
+ * Invoices that fall due meanwhile are voided, so the student isn't charged for the gap.
+ */
+export async function pauseConnectedSubscription(
+  subscriptionId: string, connectedAccountId: string, resumesAt: number,
+): Promise<Stripe.Subscription> {
+  const stripe = await getStripeClient();
+  return await stripe.subscriptions.update(
+    subscriptionId,
+    { pause_collection: { behavior: "void", resumes_at: resumesAt } },
+    { stripeAccount: connectedAccountId },
+  );
+}
+
+export async function resumeConnectedSubscription(
+  subscriptionId: string, connectedAccountId: string,
+): Promise<Stripe.Subscription> {
+  const stripe = await getStripeClient();
+  return await stripe.subscriptions.update(
+    subscriptionId,
+    { pause_collection: "" },
+    { stripeAccount: connectedAccountId },
+  );
+}
+
 export async function detachPaymentMethod(paymentMethodId: string): Promise<Stripe.PaymentMethod> {
   const stripe = await getStripeClient();
   try {
@@ -1116,18 +1321,21 @@ export async function createInvoicedSubscription(
   }
 }
 
+/** Refunds a payment intent in full, or `options.amount` (in cents) of it. */
 export async function createRefund(
   paymentIntentId: string,
   reason: string,
   connectedAccountId?: string,
+  options: { amount?: number; metadata?: Record<string, string> } = {},
 ): Promise<Stripe.Refund> {
   const stripe = await getStripeClient();
   const requestOptions: Stripe.RequestOptions = connectedAccountId ? { stripeAccount: connectedAccountId } : {};
   return await stripe.refunds.create(
     {
       payment_intent: paymentIntentId,
+      ...(options.amount !== undefined ? { amount: options.amount } : {}),
       reason: "requested_by_customer",
-      metadata: { reason: reason || "" },
+      metadata: { ...options.metadata, reason: reason || "" },
     },
     requestOptions,
   );
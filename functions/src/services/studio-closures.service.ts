@@ -0,0 +1,466 @@
+import * as admin from "firebase-admin";
+import attendanceService from "./attendance.service";
+import classExceptionsService, { toInstanceDay, validateDayRange } from "./class-exceptions.service";
+import classInstanceChangesService from "./class-instance-changes.service";
+import creditTrackingService from "./credit-tracking.service";
+import { getFirestore } from "../utils/firestore";
+
+/** "pending" until the scheduler has cancelled the closure's classes and extended credits where asked. */
+export type ClosureStatus = "pending" | "applying" | "applied" | "deleting";
+
+export interface StudioClosure {
+  id: string;
+  studioOwnerId: string;
+  startDate: string;
+  endDate: string;
+  reason: string | null;
+  /** Calendar days covered, inclusive — also how far credit expirations are pushed out. */
+  closureDays: number;
+  status: ClosureStatus;
+  instancesCancelled: number;
+  attendanceRemoved: number;
+  extendCredits: boolean;
+  creditsExtended: boolean;
+  creditsExtendedAt: string | null;
+  creditEntriesExtended: number;
+  createdBy: string;
+  createdAt: string | null;
+}
+
+export interface ClosureInput {
+  startDate: string;
+  endDate: string;
+  reason?: string | null;
+  extendCredits?: boolean;
+}
+
+export interface ClosurePreview {
+  startDate: string;
+  endDate: string;
+  closureDays: number;
+  instances: Array<{
+    classId: string;
+    className: string;
+    instanceDate: string;
+    startTime: string;
+    alreadyCancelled: boolean;
+    bookedCount: number;
+  }>;
+  students: Array<{
+    studentId: string;
+    firstName: string | null;
+    lastName: string | null;
+    email: string | null;
+    bookedInstances: Array<{ classId: string; instanceDate: string }>;
+    creditEntries: Array<{
+      creditEntryId: string;
+      credits: number;
+      currentExpiration: string;
+      newExpiration: string;
+    }>;
+  }>;
+  totals: { instances: number; bookings: number; students: number; creditEntries: number; credits: number };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** A run that hasn't finished in this long has died; the closure is picked up again. */
+const APPLY_TIMEOUT_MS = 15 * 60 * 1000;
+
+function closureLength(startDate: string, endDate: string): number {
+  const start = new Date(`${startDate}T12:00:00.000Z`).getTime();
+  const end = new Date(`${endDate}T12:00:00.000Z`).getTime();
+  return Math.round((end - start) / DAY_MS) + 1;
+}
+
+function docToClosure(doc: FirebaseFirestore.DocumentSnapshot): StudioClosure {
+  const data = doc.data() as Record<string, unknown>;
+  const extendedAt = data["creditsExtendedAt"] as admin.firestore.Timestamp | null | undefined;
+  const createdAt = data["createdAt"] as admin.firestore.Timestamp | undefined;
+  return {
+    id: doc.id,
+    studioOwnerId: data["studioOwnerId"] as string,
+    startDate: data["startDate"] as string,
+    endDate: data["endDate"] as string,
+    reason: (data["reason"] as string | null) ?? null,
+    closureDays: data["closureDays"] as number,
+    // Closures from before the scheduler took this over were applied as they were created.
+    status: (data["status"] as ClosureStatus | undefined) ?? "applied",
+    instancesCancelled: (data["instancesCancelled"] as number) || 0,
+    attendanceRemoved: (data["attendanceRemoved"] as number) || 0,
+    extendCredits: !!data["extendCredits"] || !!extendedAt,
+    creditsExtended: !!extendedAt,
+    creditsExtendedAt: extendedAt ? extendedAt.toDate().toISOString() : null,
+    creditEntriesExtended: (data["creditEntriesExtended"] as number) || 0,
+    createdBy: data["createdBy"] as string,
+    createdAt: createdAt ? createdAt.toDate().toISOString() : null,
+  };
+}
+
+function applyInProgress(data: Record<string, unknown>): boolean {
+  const startedAt = data["applyStartedAt"] as admin.firestore.Timestamp | null | undefined;
+  return data["status"] === "applying" && !!startedAt && Date.now() - startedAt.toMillis() < APPLY_TIMEOUT_MS;
+}
+
+/**
+ * Studio-wide closures (holidays, renovations). A closure cancels every class
+ * instance it covers through the class-exception machinery, so bookings,
+ * auto-check-in and the student app all see the cancellation, and can push
+ * every active credit entry's expiration out by the closure length. Both fan
+ * out over the whole studio, so they run from the scheduler rather than in
+ * the request that creates the closure.
+ */
+export class StudioClosuresService {
+  async listClosures(studioOwnerId: string): Promise<StudioClosure[]> {
+    const db = getFirestore();
+    const snapshot = await db.collection("studioClosures")
+      .where("studioOwnerId", "==", studioOwnerId)
+      .orderBy("startDate", "desc")
+      .get();
+    return snapshot.docs.map(docToClosure);
+  }
+
+  async getClosure(closureId: string, studioOwnerId: string): Promise<StudioClosure> {
+    const db = getFirestore();
+    const doc = await db.collection("studioClosures").doc(closureId).get();
+    if (!doc.exists) throw new Error("Closure not found");
+    const closure = docToClosure(doc);
+    if (closure.studioOwnerId !== studioOwnerId) {
+      throw new Error("Access denied: Closure does not belong to this studio owner");
+    }
+    return closure;
+  }
+
+  /**
+   * What creating this closure would do: the instances it cancels (and who is
+   * booked into them) and each affected credit entry's current and extended
+   * expiration. Nothing is written.
+   */
+  async previewClosure(studioOwnerId: string, startDate: string, endDate: string): Promise<ClosurePreview> {
+    validateDayRange(startDate, endDate);
+    const db = getFirestore();
+    const closureDays = closureLength(startDate, endDate);
+
+    const classesSnapshot = await db.collection("classes")
+      .where("studioOwnerId", "==", studioOwnerId)
+      .where("isActive", "==", true)
+      .get();
+    const classes = classesSnapshot.docs
+      .map((doc): Record<string, unknown> & { id: string } => ({ id: doc.id, ...(doc.data() as Record<string, unknown>) }));
+
+    const instances: ClosurePreview["instances"] = [];
+    const bookings = new Map<string, Array<{ classId: string; instanceDate: string }>>();
+    const cancelFrom = this.cancellableFrom(startDate);
+    if (cancelFrom <= endDate) {
+      const exceptions = await classExceptionsService.getExceptionsInRange(classes.map((cls) => cls.id), cancelFrom, endDate);
+      for (const cls of classes) {
+        for (const occurrence of classExceptionsService.getOccurrences(cls, cancelFrom, endDate)) {
+          const day = occurrence.originalDate;
+          const alreadyCancelled = !!exceptions.get(cls.id)?.get(day)?.cancelled;
+          const attendance = alreadyCancelled ? [] : await attendanceService.getInstanceAttendance(cls.id, day);
+          for (const record of attendance) {
+            const studentId = record["studentId"] as string;
+            if (!bookings.has(studentId)) bookings.set(studentId, []);
+            bookings.get(studentId)!.push({ classId: cls.id, instanceDate: day });
+          }
+          instances.push({
+            classId: cls.id,
+            className: (cls["name"] as string) || "",
+            instanceDate: day,
+            startTime: occurrence.startTime,
+            alreadyCancelled,
+            bookedCount: attendance.length,
+          });
+        }
+      }
+    }
+    instances.sort((a, b) => `${a.instanceDate} ${a.startTime}`.localeCompare(`${b.instanceDate} ${b.startTime}`));
+
+    const creditEntries = new Map<string, ClosurePreview["students"][number]["creditEntries"]>();
+    for (const entry of await creditTrackingService.getActiveCreditEntriesForStudio(studioOwnerId)) {
+      if (!creditEntries.has(entry.studentId)) creditEntries.set(entry.studentId, []);
+      creditEntries.get(entry.studentId)!.push({
+        creditEntryId: entry.creditEntryId,
+        credits: entry.credits,
+        currentExpiration: entry.expirationDate.toISOString(),
+        newExpiration: new Date(entry.expirationDate.getTime() + closureDays * DAY_MS).toISOString(),
+      });
+    }
+
+    const students: ClosurePreview["students"] = [];
+    for (const studentId of new Set([...bookings.keys(), ...creditEntries.keys()])) {
+      const studentDoc = await db.collection("students").doc(studentId).get();
+      const data = studentDoc.exists ? studentDoc.data() as Record<string, unknown> : {};
+      students.push({
+        studentId,
+        firstName: (data["firstName"] as string) || null,
+        lastName: (data["lastName"] as string) || null,
+        email: (data["email"] as string) || null,
+        bookedInstances: bookings.get(studentId) ?? [],
+        creditEntries: creditEntries.get(studentId) ?? [],
+      });
+    }
+    students.sort((a, b) => `${a.lastName ?? ""} ${a.firstName ?? ""}`.localeCompare(`${b.lastName ?? ""} ${b.firstName ?? ""}`));
+
+    const allEntries = [...creditEntries.values()].flat();
+    return {
+      startDate,
+      endDate,
+      closureDays,
+      instances,
+      students,
+      totals: {
+        instances: instances.filter((instance) => !instance.alreadyCancelled).length,
+        bookings: instances.reduce((sum, instance) => sum + instance.bookedCount, 0),
+        students: students.length,
+        creditEntries: allEntries.length,
+        credits: allEntries.reduce((sum, entry) => sum + entry.credits, 0),
+      },
+    };
+  }
+
+  /**
+   * Records the closure for the scheduler to apply: cancelling the class
+   * instances it covers (refunding and notifying anyone booked) and, when
+   * asked, extending credit expirations.
+   */
+  async createClosure(studioOwnerId: string, input: ClosureInput, actorUid: string): Promise<StudioClosure> {
+    validateDayRange(input.startDate, input.endDate);
+    const db = getFirestore();
+
+    const overlapping = (await this.listClosures(studioOwnerId)).find((closure) =>
+      closure.status !== "deleting" && closure.startDate <= input.endDate && closure.endDate >= input.startDate);
+    if (overlapping) {
+      throw new Error(`Closure overlaps an existing closure (${overlapping.startDate} to ${overlapping.endDate})`);
+    }
+
+    const ref = db.collection("studioClosures").doc();
+    await ref.set({
+      studioOwnerId,
+      startDate: input.startDate,
+      endDate: input.endDate,
+      reason: input.reason ?? null,
+      closureDays: closureLength(input.startDate, input.endDate),
+      status: "pending",
+      instancesCancelledAt: null,
+      instancesCancelled: 0,
+      attendanceRemoved: 0,
+      extendCredits: !!input.extendCredits,
+      creditExtensionPending: !!input.extendCredits,
+      creditExtensionRequestedBy: input.extendCredits ? actorUid : null,
+      creditsExtendedAt: null,
+      creditEntriesExtended: 0,
+      applyStartedAt: null,
+      applyError: null,
+      createdBy: actorUid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return docToClosure(await ref.get());
+  }
+
+  /**
+   * Queues pushing every active credit entry at the studio out by the closure
+   * length. Entries carry the closure ID once extended, so re-running this only
+   * picks up entries that were missed (or purchased since).
+   */
+  async requestCreditExtension(closureId: string, studioOwnerId: string, actorUid: string): Promise<StudioClosure> {
+    await this.getClosure(closureId, studioOwnerId);
+    const db = getFirestore();
+    const ref = db.collection("studioClosures").doc(closureId);
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists || doc.data()?.["status"] === "deleting") throw new Error("Closure not found");
+      // A run in progress sees the flag when it finishes and leaves the closure pending for the next one.
+      tx.update(ref, {
+        extendCredits: true,
+        creditExtensionPending: true,
+        creditExtensionRequestedBy: actorUid,
+        ...(doc.data()?.["status"] === "applied" ? { status: "pending" } : {}),
+      });
+    });
+    return docToClosure(await ref.get());
+  }
+
+  /**
+   * Applies every pending closure. Each step is recorded as it finishes, and a
+   * closure whose run died part way is picked up again once it has timed out.
+   */
+  async applyPending(): Promise<number> {
+    const snapshot = await getFirestore().collection("studioClosures").where("status", "in", ["pending", "applying"]).get();
+    let applied = 0;
+    for (const doc of snapshot.docs) {
+      try {
+        if (await this.applyClosure(doc.ref)) applied++;
+      } catch (err) {
+        console.error(`[Closure] Failed to apply closure ${doc.id}:`, (err as Error).message);
+        try {
+          await doc.ref.update({ status: "pending", applyStartedAt: null, applyError: (err as Error).message });
+        } catch (updateErr) {
+          console.error(`[Closure] Failed to requeue closure ${doc.id}:`, (updateErr as Error).message);
+        }
+      }
+    }
+    return applied;
+  }
+
+  /**
+   * Deletes the closure and reinstates its upcoming class instances as they
+   * were before it. Past instances stay cancelled, and credit extensions
+   * already granted are kept. The closure is marked "deleting" in the same
+   * transaction that checks no run is applying it, so the scheduler can't
+   * start one while instances are reinstated; a delete that fails part way
+   * can simply be retried.
+   */
+  async deleteClosure(closureId: string, studioOwnerId: string): Promise<{ instancesRestored: number }> {
+    await this.getClosure(closureId, studioOwnerId);
+    const db = getFirestore();
+    const ref = db.collection("studioClosures").doc(closureId);
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) throw new Error("Closure not found");
+      if (applyInProgress(doc.data() as Record<string, unknown>)) {
+        throw new Error("This closure is still being applied; try again in a few minutes");
+      }
+      tx.update(ref, { status: "deleting", applyStartedAt: null });
+    });
+    const today = toInstanceDay(new Date()) as string;
+
+    const snapshot = await db.collection("classExceptions").where("closureId", "==", closureId).get();
+    let instancesRestored = 0;
+    for (const doc of snapshot.docs) {
+      const data = doc.data() as Record<string, unknown>;
+      if ((data["instanceDate"] as string) < today) continue;
+      if (await classExceptionsService.liftClosure(data["classId"] as string, data["instanceDate"] as string, closureId)) {
+        instancesRestored++;
+      }
+    }
+
+    await ref.delete();
+    return { instancesRestored };
+  }
+
+  /** Cancels a newly created or rescheduled class's instances that fall inside upcoming closures. */
+  async applyClosuresToClass(classId: string, studioOwnerId: string, actorUid: string): Promise<number> {
+    const today = toInstanceDay(new Date()) as string;
+    const upcoming = (await this.listClosures(studioOwnerId))
+      .filter((closure) => closure.status !== "deleting" && closure.endDate >= today);
+
+    let cancelled = 0;
+    for (const closure of upcoming) {
+      const result = await this.cancelInstances(
+        closure.id, studioOwnerId, closure.startDate, closure.endDate, closure.reason, actorUid, [classId],
+      );
+      cancelled += result.instancesCancelled;
+    }
+    return cancelled;
+  }
+
+  /** Claims one closure and runs whatever it still has outstanding. False when another run has it or it's gone. */
+  private async applyClosure(ref: FirebaseFirestore.DocumentReference): Promise<boolean> {
+    const db = getFirestore();
+    const claimed = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return null;
+      const data = doc.data() as Record<string, unknown>;
+      if (data["status"] === "applied" || data["status"] === "deleting" || applyInProgress(data)) return null;
+      tx.update(ref, { status: "applying", applyStartedAt: admin.firestore.Timestamp.now() });
+      return {
+        closure: docToClosure(doc),
+        instancesCancelled: !!data["instancesCancelledAt"],
+        extendCredits: !!data["creditExtensionPending"],
+        creditActor: (data["creditExtensionRequestedBy"] as string | null) ?? (data["createdBy"] as string),
+      };
+    });
+    if (!claimed) return false;
+    const { closure } = claimed;
+
+    if (!claimed.instancesCancelled) {
+      const { instancesCancelled, attendanceRemoved } = await this.cancelInstances(
+        closure.id, closure.studioOwnerId, closure.startDate, closure.endDate, closure.reason, closure.createdBy,
+      );
+      await ref.update({
+        instancesCancelledAt: admin.firestore.FieldValue.serverTimestamp(), instancesCancelled, attendanceRemoved,
+      });
+    }
+    if (claimed.extendCredits) {
+      await ref.update({ creditExtensionPending: false });
+      await this.extendCredits(closure, claimed.creditActor);
+    }
+
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists || doc.data()?.["status"] === "deleting") return;
+      tx.update(ref, {
+        status: doc.data()?.["creditExtensionPending"] ? "pending" : "applied",
+        applyStartedAt: null,
+        applyError: null,
+      });
+    });
+    return true;
+  }
+
+  /** Pushes the studio's active credit entries that this closure hasn't extended yet out by its length. */
+  private async extendCredits(closure: StudioClosure, actorUid: string): Promise<number> {
+    const entries = (await creditTrackingService.getActiveCreditEntriesForStudio(closure.studioOwnerId))
+      .filter((entry) => !entry.extensions.includes(closure.id));
+
+    let creditEntriesExtended = 0;
+    for (const entry of entries) {
+      try {
+        const extended = await creditTrackingService.extendCreditExpiration(
+          entry.studentId, closure.studioOwnerId, entry.creditEntryId, closure.closureDays, closure.id,
+          {
+            actor: { type: "studio", id: actorUid },
+            reason: `Studio closed ${closure.startDate} to ${closure.endDate}`,
+            source: { closureId: closure.id },
+          },
+        );
+        if (extended) creditEntriesExtended++;
+      } catch (err) {
+        console.error(`[Closure] Failed to extend credit entry ${entry.creditEntryId}:`, (err as Error).message);
+      }
+    }
+
+    await getFirestore().collection("studioClosures").doc(closure.id).update({
+      creditsExtendedAt: admin.firestore.FieldValue.serverTimestamp(),
+      creditEntriesExtended: admin.firestore.FieldValue.increment(creditEntriesExtended),
+    });
+    return creditEntriesExtended;
+  }
+
+  /** Closures may be declared after the fact; only instances from today on are cancelled. */
+  private cancellableFrom(startDate: string): string {
+    const today = toInstanceDay(new Date()) as string;
+    return startDate > today ? startDate : today;
+  }
+
+  private async cancelInstances(
+    closureId: string,
+    studioOwnerId: string,
+    startDate: string,
+    endDate: string,
+    reason: string | null,
+    actorUid: string,
+    classIds?: string[],
+  ): Promise<{ instancesCancelled: number; attendanceRemoved: number }> {
+    const from = this.cancellableFrom(startDate);
+    if (from > endDate) return { instancesCancelled: 0, attendanceRemoved: 0 };
+
+    const saved = await classExceptionsService.cancelRange(
+      studioOwnerId, from, endDate, reason || "Studio closed", actorUid, { classIds, closureId },
+    );
+    let instancesCancelled = 0;
+    let attendanceRemoved = 0;
+    for (const { exception, previous, classData } of saved) {
+      instancesCancelled++;
+      try {
+        const result = await classInstanceChangesService.applyException(exception, previous, classData);
+        attendanceRemoved += result.attendanceRemoved;
+      } catch (err) {
+        console.error(`[Closure] Failed to apply cancellation for ${exception.id}:`, (err as Error).message);
+      }
+    }
+    return { instancesCancelled, attendanceRemoved };
+  }
+}
+
+export default new StudioClosuresService();
@@ -0,0 +1,483 @@
+import * as admin from "firebase-admin";
+import * as stripeService from "./stripe.service";
+import creditTrackingService from "./credit-tracking.service";
+import membershipsService from "./memberships.service";
+import notificationsService from "./notifications.service";
+import { addDays, toInstanceDay, validateDayRange } from "./class-exceptions.service";
+import { getFirestore } from "../utils/firestore";
+import { notifyAppUser } from "../utils/push-notifications";
+import { localDateParts, studioTimezone, zoneOffsetMinutes } from "../utils/timezone";
+
+/** "pending" holds the dates while the freeze fee is being charged. */
+export type FreezeStatus = "pending" | "scheduled" | "active" | "ended" | "cancelled";
+
+export interface SubscriptionFreeze {
+  id: string;
+  subscriptionId: string;
+  purchaseId: string;
+  studentId: string;
+  studioOwnerId: string;
+  itemName: string | null;
+  startDate: string;
+  endDate: string;
+  /** Calendar days covered, inclusive — also how far credit expirations are pushed out. */
+  freezeDays: number;
+  reason: string | null;
+  fee: number;
+  feePaymentIntentId: string | null;
+  status: FreezeStatus;
+  requestedBy: { type: "studio" | "student"; id: string };
+  creditEntriesExtended: number;
+  createdAt: string | null;
+  endedAt: string | null;
+}
+
+export interface FreezeInput {
+  startDate: string;
+  endDate: string;
+  reason?: string | null;
+  /** Studio owners may set (or waive) the fee; students always pay the package's `freezeFee`. */
+  fee?: number | null;
+}
+
+/** Who is asking: the studio that owns the subscription, or the dancer who bought it. */
+export type FreezeRequester =
+  | { type: "studio"; id: string; studioOwnerId: string }
+  | { type: "student"; id: string; authUid: string };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES: FreezeStatus[] = ["scheduled", "active"];
+/** A "pending" reservation older than this was left behind by a failed request and no longer blocks its dates. */
+const RESERVATION_TIMEOUT_MS = 10 * 60 * 1000;
+/** Stripe keeps an idempotency key for a day, so only a younger reservation can replay its fee charge. */
+const IDEMPOTENCY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function freezeLength(startDate: string, endDate: string): number {
+  const start = new Date(`${startDate}T12:00:00.000Z`).getTime();
+  const end = new Date(`${endDate}T12:00:00.000Z`).getTime();
+  return Math.round((end - start) / DAY_MS) + 1;
+}
+
+/** Whether the freeze still claims its dates against new freezes on the subscription. */
+function holdsDates(freeze: SubscriptionFreeze): boolean {
+  if (OPEN_STATUSES.includes(freeze.status)) return true;
+  return freeze.status === "pending" &&
+    (!freeze.createdAt || Date.now() - Date.parse(freeze.createdAt) < RESERVATION_TIMEOUT_MS);
+}
+
+/** A "pending" reservation whose request gave up on it before recording the fee's outcome. */
+function isAbandoned(freeze: SubscriptionFreeze): boolean {
+  return freeze.status === "pending" && !holdsDates(freeze);
+}
+
+/** Epoch seconds of local midnight at the start of `day` in `zone` (UTC when the zone is unknown). */
+function startOfLocalDay(day: string, zone: string | null): number {
+  const utcMidnight = new Date(`${day}T00:00:00.000Z`).getTime();
+  const offset = zone ? zoneOffsetMinutes(zone, utcMidnight) : 0;
+  return Math.floor((utcMidnight - offset * 60 * 1000) / 1000);
+}
+
+function connectedAccountOf(studio: Record<string, unknown>): string {
+  const accountId = studio["stripeAccountId"] as string | undefined;
+  if (!accountId) throw new Error("This studio has not completed Stripe Connect setup");
+  return accountId;
+}
+
+function toIso(value: unknown): string | null {
+  return value && typeof value === "object" && "toDate" in value
+    ? (value as admin.firestore.Timestamp).toDate().toISOString()
+    : null;
+}
+
+function docToFreeze(doc: FirebaseFirestore.DocumentSnapshot): SubscriptionFreeze {
+  const data = doc.data() as Record<string, unknown>;
+  return {
+    id: doc.id,
+    subscriptionId: data["subscriptionId"] as string,
+    purchaseId: data["purchaseId"] as string,
+    studentId: data["studentId"] as string,
+    studioOwnerId: data["studioOwnerId"] as string,
+    itemName: (data["itemName"] as string | null) ?? null,
+    startDate: data["startDate"] as string,
+    endDate: data["endDate"] as string,
+    freezeDays: data["freezeDays"] as number,
+    reason: (data["reason"] as string | null) ?? null,
+    fee: (data["fee"] as number) || 0,
+    feePaymentIntentId: (data["feePaymentIntentId"] as string | null) ?? null,
+    status: data["status"] as FreezeStatus,
+    requestedBy: data["requestedBy"] as SubscriptionFreeze["requestedBy"],
+    creditEntriesExtended: (data["creditEntriesExtended"] as number) || 0,
+    createdAt: toIso(data["createdAt"]),
+    endedAt: toIso(data["endedAt"]),
+  };
+}
+
+/**
+ * Freezes (holds) on dancers' package subscriptions. While a freeze is active,
+ * Stripe billing on the studio's connected account is paused, any membership on
+ * the subscription stops covering classes and auto-check-in skips the student.
+ * Activating a freeze also pushes the student's credit expirations out by its length.
+ */
+export class SubscriptionFreezesService {
+  async listFreezes(subscriptionId: string, requester: FreezeRequester): Promise<SubscriptionFreeze[]> {
+    await this.resolveSubscription(subscriptionId, requester);
+    const snapshot = await getFirestore().collection("subscriptionFreezes")
+      .where("subscriptionId", "==", subscriptionId)
+      .get();
+    return snapshot.docs.map(docToFreeze).sort((a, b) => b.startDate.localeCompare(a.startDate));
+  }
+
+  /**
+   * Reserves the freeze's dates, charges the fee (if any) and schedules the freeze.
+   * Days are the studio's local days; one starting today is applied straight away,
+   * later ones by the scheduler on their start date.
+   */
+  async createFreeze(
+    subscriptionId: string, input: FreezeInput, requester: FreezeRequester,
+  ): Promise<SubscriptionFreeze> {
+    validateDayRange(input.startDate, input.endDate);
+    const purchase = await this.resolveSubscription(subscriptionId, requester);
+    const purchaseData = purchase.data() as Record<string, unknown>;
+    if (!["active", "trialing"].includes(purchaseData["subscriptionStatus"] as string)) {
+      throw new Error("Only active subscriptions can be frozen");
+    }
+    const studioOwnerId = purchaseData["studioOwnerId"] as string;
+    const studio = await this.studioData(studioOwnerId);
+    const today = localDateParts(studioTimezone(studio)).date;
+    if (input.startDate < today) throw new Error("startDate cannot be in the past");
+
+    const packageDoc = purchaseData["itemId"]
+      ? await getFirestore().collection("packages").doc(purchaseData["itemId"] as string).get()
+      : null;
+    const packageData = packageDoc?.exists ? packageDoc.data() as Record<string, unknown> : {};
+    if (requester.type === "student" && packageData["allowStudentFreeze"] !== true) {
+      throw new Error("Access denied: This studio doesn't allow dancers to freeze this subscription");
+    }
+    const fee = requester.type === "studio" && input.fee !== undefined && input.fee !== null
+      ? input.fee
+      : (packageData["freezeFee"] as number) || 0;
+    if (typeof fee !== "number" || isNaN(fee) || fee < 0) throw new Error("fee must be a non-negative number");
+
+    const connectedAccountId = connectedAccountOf(studio);
+
+    // An abandoned reservation may have been paid for, so it's settled before its dates are offered again.
+    const db = getFirestore();
+    const earlier = await db.collection("subscriptionFreezes").where("subscriptionId", "==", subscriptionId).get();
+    for (const freeze of earlier.docs.map(docToFreeze)) {
+      if (isAbandoned(freeze) && freeze.startDate <= input.endDate && freeze.endDate >= input.startDate) {
+        await this.settleReservation(freeze);
+      }
+    }
+
+    // The dates are claimed before any fee is charged, so two overlapping requests can't both pay.
+    const ref = db.collection("subscriptionFreezes").doc();
+    await db.runTransaction(async (tx) => {
+      const existing = await tx.get(db.collection("subscriptionFreezes").where("subscriptionId", "==", subscriptionId));
+      const overlapping = existing.docs.map(docToFreeze)
+        .find((freeze) => holdsDates(freeze) && freeze.startDate <= input.endDate && freeze.endDate >= input.startDate);
+      if (overlapping) {
+        throw new Error(`Freeze overlaps an existing freeze (${overlapping.startDate} to ${overlapping.endDate})`);
+      }
+      tx.set(ref, {
+        subscriptionId,
+        purchaseId: purchase.id,
+        studentId: purchaseData["studentId"],
+        authUid: purchaseData["authUid"] ?? null,
+        studioOwnerId,
+        itemName: (purchaseData["itemName"] as string) || null,
+        startDate: input.startDate,
+        endDate: input.endDate,
+        freezeDays: freezeLength(input.startDate, input.endDate),
+        reason: input.reason ?? null,
+        fee,
+        feePaymentIntentId: null,
+        status: fee > 0 ? "pending" : "scheduled",
+        requestedBy: { type: requester.type, id: requester.id },
+        creditEntriesExtended: 0,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        endedAt: null,
+      });
+    });
+
+    if (fee > 0) {
+      let feePaymentIntentId: string;
+      try {
+        feePaymentIntentId = await this.chargeFee(subscriptionId, connectedAccountId, fee, ref.id, studioOwnerId);
+      } catch (err) {
+        // Frees the dates again; the idempotency key keeps a retry of the same reservation from charging twice.
+        await ref.delete().catch((deleteErr) => console.error(`[Freeze] Failed to release freeze ${ref.id}:`, deleteErr));
+        throw err;
+      }
+      // Should this fail, the reservation is abandoned and settled later by settleReservation.
+      await ref.update({ status: "scheduled", feePaymentIntentId });
+    }
+
+    if (input.startDate <= today) {
+      try {
+        await this.activateFreeze(ref.id);
+      } catch (err) {
+        // Left "scheduled" so the next scheduler run retries it.
+        console.error(`[Freeze] Failed to apply freeze ${ref.id}, will retry:`, (err as Error).message);
+      }
+    }
+
+    const freeze = docToFreeze(await ref.get());
+    this.notifyFreeze(freeze, purchaseData).catch((err) => console.error("[Freeze] Failed to send freeze notification:", err));
+    return freeze;
+  }
+
+  /** Charges the freeze fee to the subscription's saved payment method and returns the PaymentIntent id. */
+  private async chargeFee(
+    subscriptionId: string, connectedAccountId: string, fee: number, freezeId: string, studioOwnerId: string,
+  ): Promise<string> {
+    const subscription = await stripeService.retrieveConnectedSubscription(subscriptionId, connectedAccountId);
+    const customerId = typeof subscription.customer === "string" ? subscription.customer : subscription.customer.id;
+    const paymentMethod = subscription.default_payment_method;
+    const paymentMethodId = typeof paymentMethod === "string" ? paymentMethod : paymentMethod?.id;
+    if (!paymentMethodId) throw new Error("No saved payment method on this subscription to charge the freeze fee");
+
+    const paymentIntent = await stripeService.chargePaymentMethodDirectly(
+      customerId,
+      paymentMethodId,
+      Math.round(fee * 100),
+      { purchaseType: "subscription_freeze", freezeId, subscriptionId, studioOwnerId },
+      connectedAccountId,
+      `freeze-fee:${freezeId}`,
+    );
+    if (paymentIntent.status !== "succeeded") throw new Error("Freeze fee payment failed");
+    return paymentIntent.id;
+  }
+
+  /**
+   * Finishes a reservation its request abandoned, e.g. when recording a paid fee failed.
+   * Replaying the charge under the same idempotency key returns the original outcome:
+   * a paid freeze is scheduled, an unpaid one gives up its dates.
+   */
+  private async settleReservation(freeze: SubscriptionFreeze): Promise<void> {
+    if (!freeze.createdAt || Date.now() - Date.parse(freeze.createdAt) >= IDEMPOTENCY_WINDOW_MS) {
+      console.error(`[Freeze] Reservation ${freeze.id} is too old to settle automatically`);
+      return;
+    }
+    const connectedAccountId = connectedAccountOf(await this.studioData(freeze.studioOwnerId));
+    let feePaymentIntentId: string | null = null;
+    try {
+      feePaymentIntentId = await this.chargeFee(
+        freeze.subscriptionId, connectedAccountId, freeze.fee, freeze.id, freeze.studioOwnerId,
+      );
+    } catch (err) {
+      console.error(`[Freeze] Fee for reservation ${freeze.id} was not paid, releasing it:`, (err as Error).message);
+    }
+
+    const db = getFirestore();
+    const ref = db.collection("subscriptionFreezes").doc(freeze.id);
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists || (doc.data() as Record<string, unknown>)["status"] !== "pending") return;
+      if (feePaymentIntentId) {
+        tx.update(ref, { status: "scheduled", feePaymentIntentId });
+      } else {
+        tx.delete(ref);
+      }
+    });
+  }
+
+  /**
+   * Cancels a scheduled freeze, or ends an active one early and resumes billing.
+   * The fee and any credit extensions already granted are kept.
+   */
+  async cancelFreeze(freezeId: string, subscriptionId: string, requester: FreezeRequester): Promise<SubscriptionFreeze> {
+    await this.resolveSubscription(subscriptionId, requester);
+    const ref = getFirestore().collection("subscriptionFreezes").doc(freezeId);
+    const doc = await ref.get();
+    if (!doc.exists || (doc.data() as Record<string, unknown>)["subscriptionId"] !== subscriptionId) {
+      throw new Error("Freeze not found");
+    }
+    const freeze = docToFreeze(doc);
+    if (freeze.status === "scheduled") {
+      await ref.update({ status: "cancelled", endedAt: admin.firestore.FieldValue.serverTimestamp() });
+    } else if (freeze.status === "active") {
+      await this.endFreeze(freeze);
+    } else if (freeze.status === "pending") {
+      throw new Error("Freeze is still being set up, please try again shortly");
+    } else {
+      throw new Error(`Freeze has already ${freeze.status === "ended" ? "ended" : "been cancelled"}`);
+    }
+    return docToFreeze(await ref.get());
+  }
+
+  /**
+   * Scheduler entry point: settles abandoned reservations, ends freezes that have run their
+   * course, then starts those due today. "Today" is each studio's local day, so the queries reach a day past UTC and
+   * each freeze is then checked against its own studio.
+   */
+  async processDueFreezes(): Promise<{ started: number; ended: number }> {
+    const db = getFirestore();
+    const horizon = addDays(toInstanceDay(new Date()) as string, 1);
+    const todays = new Map<string, string>();
+    const studioToday = async (studioOwnerId: string): Promise<string> => {
+      let today = todays.get(studioOwnerId);
+      if (!today) {
+        today = localDateParts(studioTimezone(await this.studioData(studioOwnerId))).date;
+        todays.set(studioOwnerId, today);
+      }
+      return today;
+    };
+
+    const pendingSnapshot = await db.collection("subscriptionFreezes").where("status", "==", "pending").get();
+    for (const doc of pendingSnapshot.docs) {
+      try {
+        const freeze = docToFreeze(doc);
+        if (isAbandoned(freeze)) await this.settleReservation(freeze);
+      } catch (err) {
+        console.error(`[Freeze] Failed to settle reservation ${doc.id}:`, (err as Error).message);
+      }
+    }
+
+    let ended = 0;
+    const endingSnapshot = await db.collection("subscriptionFreezes")
+      .where("status", "==", "active")
+      .where("endDate", "<", horizon)
+      .get();
+    for (const doc of endingSnapshot.docs) {
+      try {
+        const freeze = docToFreeze(doc);
+        if (freeze.endDate >= await studioToday(freeze.studioOwnerId)) continue;
+        await this.endFreeze(freeze);
+        ended++;
+      } catch (err) {
+        console.error(`[Freeze] Failed to end freeze ${doc.id}:`, (err as Error).message);
+      }
+    }
+
+    let started = 0;
+    const startingSnapshot = await db.collection("subscriptionFreezes")
+      .where("status", "==", "scheduled")
+      .where("startDate", "<=", horizon)
+      .get();
+    for (const doc of startingSnapshot.docs) {
+      try {
+        const freeze = docToFreeze(doc);
+        if (freeze.startDate > await studioToday(freeze.studioOwnerId)) continue;
+        await this.activateFreeze(doc.id);
+        started++;
+      } catch (err) {
+        console.error(`[Freeze] Failed to start freeze ${doc.id}:`, (err as Error).message);
+      }
+    }
+    return { started, ended };
+  }
+
+  /** Whether the student has a freeze covering `day` (YYYY-MM-DD) at this studio. */
+  async isFrozenOn(studentId: string, studioOwnerId: string, day: string): Promise<boolean> {
+    const snapshot = await getFirestore().collection("subscriptionFreezes")
+      .where("studentId", "==", studentId)
+      .where("studioOwnerId", "==", studioOwnerId)
+      .get();
+    return snapshot.docs.map(docToFreeze)
+      .some((freeze) => OPEN_STATUSES.includes(freeze.status) && freeze.startDate <= day && freeze.endDate >= day);
+  }
+
+  /** Pauses Stripe billing until the studio's midnight after the freeze, holds the membership and extends credits. */
+  private async activateFreeze(freezeId: string): Promise<void> {
+    const ref = getFirestore().collection("subscriptionFreezes").doc(freezeId);
+    const freeze = docToFreeze(await ref.get());
+    if (freeze.status !== "scheduled") return;
+
+    const studio = await this.studioData(freeze.studioOwnerId);
+    const connectedAccountId = connectedAccountOf(studio);
+    const resumesAt = startOfLocalDay(addDays(freeze.endDate, 1), studioTimezone(studio));
+    await stripeService.pauseConnectedSubscription(freeze.subscriptionId, connectedAccountId, resumesAt);
+    await membershipsService.updateStatus(freeze.subscriptionId, "paused");
+
+    let creditEntriesExtended = 0;
+    const entries = await creditTrackingService.getActiveCreditEntriesForStudent(freeze.studentId, freeze.studioOwnerId);
+    for (const entry of entries) {
+      try {
+        const extended = await creditTrackingService.extendCreditExpiration(
+          freeze.studentId, freeze.studioOwnerId, entry.creditEntryId, freeze.freezeDays, freezeId,
+          {
+            actor: freeze.requestedBy.type === "student"
+              ? { type: "student", id: freeze.studentId }
+              : freeze.requestedBy,
+            reason: `Subscription frozen ${freeze.startDate} to ${freeze.endDate}`,
+            source: { freezeId, purchaseId: freeze.purchaseId },
+          },
+        );
+        if (extended) creditEntriesExtended++;
+      } catch (err) {
+        console.error(`[Freeze] Failed to extend credit entry ${entry.creditEntryId}:`, (err as Error).message);
+      }
+    }
+
+    await ref.update({
+      status: "active",
+      creditEntriesExtended,
+      activatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  private async endFreeze(freeze: SubscriptionFreeze): Promise<void> {
+    const connectedAccountId = connectedAccountOf(await this.studioData(freeze.studioOwnerId));
+    const subscription = await stripeService.resumeConnectedSubscription(freeze.subscriptionId, connectedAccountId);
+    await membershipsService.updateStatus(freeze.subscriptionId, subscription.status);
+    await getFirestore().collection("subscriptionFreezes").doc(freeze.id).update({
+      status: "ended",
+      endedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  /** The subscription's original purchase, provided the requester owns it. */
+  private async resolveSubscription(
+    subscriptionId: string, requester: FreezeRequester,
+  ): Promise<FirebaseFirestore.QueryDocumentSnapshot> {
+    const snapshot = await getFirestore().collection("purchases")
+      .where("stripeSubscriptionId", "==", subscriptionId)
+      .where("isRenewal", "==", false)
+      .limit(1)
+      .get();
+    const purchase = snapshot.docs[0];
+    if (!purchase) throw new Error("Subscription not found");
+    const data = purchase.data() as Record<string, unknown>;
+    const owned = requester.type === "studio"
+      ? data["studioOwnerId"] === requester.studioOwnerId
+      : data["authUid"] === requester.authUid;
+    if (!owned) throw new Error("Access denied: Subscription does not belong to you");
+    return purchase;
+  }
+
+  private async studioData(studioOwnerId: string): Promise<Record<string, unknown>> {
+    const studioDoc = await getFirestore().collection("users").doc(studioOwnerId).get();
+    return studioDoc.exists ? studioDoc.data() as Record<string, unknown> : {};
+  }
+
+  /** Tells the other party: the studio when a dancer freezes, the dancer when the studio does. */
+  private async notifyFreeze(freeze: SubscriptionFreeze, purchaseData: Record<string, unknown>): Promise<void> {
+    const itemName = freeze.itemName || "your subscription";
+    if (freeze.requestedBy.type === "student") {
+      const studentDoc = await getFirestore().collection("students").doc(freeze.studentId).get();
+      const student = studentDoc.exists ? studentDoc.data() as Record<string, unknown> : {};
+      const studentName = [student["firstName"], student["lastName"]].filter(Boolean).join(" ") || "A student";
+      await notificationsService.createNotification(
+        freeze.studioOwnerId,
+        null,
+        "subscription_frozen",
+        "Subscription Frozen",
+        `${studentName} froze "${itemName}" from ${freeze.startDate} to ${freeze.endDate}`,
+        freeze.studentId,
+      );
+      return;
+    }
+
+    const authUid = purchaseData["authUid"] as string | undefined;
+    if (!authUid) return;
+    await notifyAppUser(authUid, {
+      type: "subscription_frozen",
+      title: "Subscription Frozen",
+      body: `${itemName} is on hold from ${freeze.startDate} to ${freeze.endDate}` +
+        (freeze.fee > 0 ? ` (freeze fee $${freeze.fee.toFixed(2)})` : ""),
+      refs: { purchaseId: freeze.purchaseId },
+    });
+  }
+}
+
+export default new SubscriptionFreezesService();
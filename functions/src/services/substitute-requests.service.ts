@@ -0,0 +1,417 @@
+import * as admin from "firebase-admin";
+import attendanceService from "./attendance.service";
+import classExceptionsService, {
+  ClassException, ClassSubstitute, dayOfWeekFor, EffectiveClassInstance,
+} from "./class-exceptions.service";
+import classInstanceChangesService from "./class-instance-changes.service";
+import instructorAvailabilityService from "./instructor-availability.service";
+import notificationsService from "./notifications.service";
+import { getFirestore } from "../utils/firestore";
+import { AppNotification, notifyAppUser, notifyInstructor } from "../utils/push-notifications";
+import { localDateParts, studioTimezone } from "../utils/timezone";
+
+export type SubstituteRequestStatus = "open" | "filled" | "cancelled";
+
+export interface SubstituteRequest {
+  id: string;
+  studioOwnerId: string;
+  classId: string;
+  className: string;
+  danceGenre: string | null;
+  /** The occurrence's regular day — the key its class exception is stored under. */
+  instanceDate: string;
+  date: string;
+  startTime: string;
+  endTime: string;
+  absentInstructorId: string;
+  absentInstructorName: string;
+  reason: string | null;
+  timeOffId: string | null;
+  status: SubstituteRequestStatus;
+  /** Instructors who were offered the class; only they can accept it. */
+  notifiedInstructorIds: string[];
+  substituteInstructorId: string | null;
+  substituteName: string | null;
+  filledAt: string | null;
+  createdBy: string;
+  createdAt: string | null;
+}
+
+function isoOf(value: unknown): string | null {
+  return value instanceof admin.firestore.Timestamp ? value.toDate().toISOString() : null;
+}
+
+function nameOf(data: Record<string, unknown>): string {
+  return [data["firstName"], data["lastName"]].filter(Boolean).join(" ") || "Instructor";
+}
+
+function docToRequest(doc: FirebaseFirestore.DocumentSnapshot): SubstituteRequest {
+  const data = doc.data() as Record<string, unknown>;
+  return {
+    id: doc.id,
+    studioOwnerId: data["studioOwnerId"] as string,
+    classId: data["classId"] as string,
+    className: (data["className"] as string) || "Class",
+    danceGenre: (data["danceGenre"] as string | null) ?? null,
+    instanceDate: data["instanceDate"] as string,
+    date: data["date"] as string,
+    startTime: data["startTime"] as string,
+    endTime: data["endTime"] as string,
+    absentInstructorId: data["absentInstructorId"] as string,
+    absentInstructorName: (data["absentInstructorName"] as string) || "Instructor",
+    reason: (data["reason"] as string | null) ?? null,
+    timeOffId: (data["timeOffId"] as string | null) ?? null,
+    status: data["status"] as SubstituteRequestStatus,
+    notifiedInstructorIds: (data["notifiedInstructorIds"] as string[] | undefined) ?? [],
+    substituteInstructorId: (data["substituteInstructorId"] as string | null) ?? null,
+    substituteName: (data["substituteName"] as string | null) ?? null,
+    filledAt: isoOf(data["filledAt"]),
+    createdBy: data["createdBy"] as string,
+    createdAt: isoOf(data["createdAt"]),
+  };
+}
+
+/** Whether the instructor's `specialties` cover the class's genre. Classes without a genre are open to everyone. */
+function teachesGenre(instructorData: Record<string, unknown>, genre: string | null): boolean {
+  if (!genre) return true;
+  const specialties = Array.isArray(instructorData["specialties"]) ? instructorData["specialties"] as unknown[] : [];
+  return specialties.some((specialty) => typeof specialty === "string" && specialty.trim().toLowerCase() === genre);
+}
+
+/**
+ * Substitute requests for single class occurrences. The studio (or an approved
+ * time-off request) marks an instance as needing cover; linked instructors who
+ * teach the class's genre and are free at that time are offered it, and the
+ * first to accept becomes the instance's substitute through its class
+ * exception — which is what schedules, attendance and payroll already read.
+ */
+export class SubstituteRequestsService {
+  async openRequest(
+    studioOwnerId: string,
+    classId: string,
+    instanceDate: string,
+    absentInstructorId: string,
+    actorUid: string,
+    options: { reason?: string | null; timeOffId?: string | null } = {},
+  ): Promise<SubstituteRequest> {
+    const db = getFirestore();
+    const classDoc = await db.collection("classes").doc(classId).get();
+    if (!classDoc.exists) throw new Error("Class not found");
+    const classData: Record<string, unknown> & { id: string } = { id: classDoc.id, ...(classDoc.data() as Record<string, unknown>) };
+    if (classData["studioOwnerId"] !== studioOwnerId) throw new Error("Access denied: Class does not belong to this studio owner");
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(instanceDate)) throw new Error("Instance date must be in YYYY-MM-DD format");
+    if (dayOfWeekFor(instanceDate) !== classData["dayOfWeek"]) {
+      throw new Error(`Instance date does not match the class schedule (${classData["dayOfWeek"] as string})`);
+    }
+
+    const instance = classExceptionsService.resolveInstance(
+      classData, instanceDate, await classExceptionsService.getException(classId, instanceDate),
+    );
+    if (instance.status === "cancelled") throw new Error("This class instance has been cancelled");
+    if (instance.startsAt <= new Date()) throw new Error("This class instance has already started");
+    if (!instance.instructorIds.includes(absentInstructorId)) {
+      throw new Error("That instructor is not teaching this class instance");
+    }
+
+    const ref = db.collection("substituteRequests").doc(`${classId}_${instanceDate}_${absentInstructorId}`);
+    const existing = await ref.get();
+    if (existing.exists && (existing.data() as Record<string, unknown>)["status"] !== "cancelled") {
+      return docToRequest(existing);
+    }
+
+    const absentDoc = await db.collection("instructors").doc(absentInstructorId).get();
+    const absentInstructorName = absentDoc.exists ? nameOf(absentDoc.data() as Record<string, unknown>) : "Instructor";
+    const genre = typeof classData["danceGenre"] === "string" ? (classData["danceGenre"] as string).trim().toLowerCase() || null : null;
+    const candidates = await this.qualifiedInstructors(studioOwnerId, instance, genre);
+
+    await ref.set({
+      studioOwnerId,
+      classId,
+      className: (classData["name"] as string) || "Class",
+      danceGenre: genre,
+      instanceDate,
+      date: instance.date,
+      startTime: instance.startTime,
+      endTime: instance.endTime,
+      absentInstructorId,
+      absentInstructorName,
+      reason: options.reason?.trim() || null,
+      timeOffId: options.timeOffId ?? null,
+      status: "open",
+      notifiedInstructorIds: candidates.map((candidate) => candidate.instructorId),
+      substituteInstructorId: null,
+      substituteName: null,
+      filledAt: null,
+      createdBy: actorUid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    const request = docToRequest(await ref.get());
+
+    const when = `${request.date} at ${request.startTime}`;
+    for (const candidate of candidates) {
+      try {
+        await notifyAppUser(candidate.authUid, {
+          type: "substitute_requested",
+          title: "Substitute needed",
+          body: `Can you cover ${request.className} on ${when} for ${absentInstructorName}? First to accept gets it.`,
+          context: "instructor",
+          refs: { substituteRequestId: request.id },
+        });
+      } catch (err) {
+        console.error(`[SubstituteRequest] Failed to notify instructor ${candidate.instructorId}:`, (err as Error).message);
+      }
+    }
+    if (candidates.length === 0) {
+      await notificationsService.createNotification(
+        studioOwnerId, null, "substitute_unavailable", "No Substitute Available",
+        `No other instructor who teaches ${genre ?? "this class"} is free to cover ${request.className} on ${when}`,
+        null, classId,
+      );
+    }
+    return request;
+  }
+
+  /** Requests for occurrences from today (in the studio's timezone) on, soonest first. */
+  async listForStudio(studioOwnerId: string, status?: SubstituteRequestStatus): Promise<SubstituteRequest[]> {
+    const today = await this.studioToday(studioOwnerId);
+    let query = getFirestore().collection("substituteRequests")
+      .where("studioOwnerId", "==", studioOwnerId) as FirebaseFirestore.Query;
+    if (status) query = query.where("status", "==", status);
+    const snapshot = await query.where("date", ">=", today).orderBy("date", "asc").get();
+    return snapshot.docs
+      .map(docToRequest)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+  }
+
+  /** Open requests this instructor was offered, plus the ones they've picked up. */
+  async listForInstructor(instructorId: string, studioOwnerId: string): Promise<SubstituteRequest[]> {
+    const requests = await this.listForStudio(studioOwnerId);
+    return requests.filter((request) =>
+      (request.status === "open" && request.notifiedInstructorIds.includes(instructorId)) ||
+      (request.status === "filled" && request.substituteInstructorId === instructorId));
+  }
+
+  /**
+   * First come, first served: the request is claimed in a transaction, then the
+   * substitute replaces the absent instructor on that occurrence only. If that
+   * can't be saved the claim is released so someone else can take the class.
+   */
+  async accept(requestId: string, instructorId: string, actorUid: string): Promise<SubstituteRequest> {
+    const db = getFirestore();
+    const ref = db.collection("substituteRequests").doc(requestId);
+    const [offeredDoc, instructorDoc] = await Promise.all([
+      ref.get(),
+      db.collection("instructors").doc(instructorId).get(),
+    ]);
+    if (!instructorDoc.exists) throw new Error("Instructor not found");
+    if (!offeredDoc.exists) throw new Error("Substitute request not found");
+    const offered = docToRequest(offeredDoc);
+    const substituteName = nameOf(instructorDoc.data() as Record<string, unknown>);
+
+    // They were free when the class was offered; something may have been booked over it since.
+    if (offered.status === "open" && offered.notifiedInstructorIds.includes(instructorId)) {
+      const conflict = await instructorAvailabilityService.findConflict(
+        instructorId, offered.date, { startTime: offered.startTime, endTime: offered.endTime },
+      );
+      if (conflict) throw new Error("You are no longer free at that time");
+    }
+
+    const today = await this.studioToday(offered.studioOwnerId);
+    const request = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) throw new Error("Substitute request not found");
+      const current = docToRequest(doc);
+      if (!current.notifiedInstructorIds.includes(instructorId)) {
+        throw new Error("Access denied: This substitute request was not offered to you");
+      }
+      if (current.status === "filled") throw new Error("Someone else has already accepted this class");
+      if (current.status !== "open" || current.date < today) throw new Error("This substitute request is no longer open");
+      tx.update(ref, {
+        status: "filled",
+        substituteInstructorId: instructorId,
+        substituteName,
+        filledAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { ...current, status: "filled" as const, substituteInstructorId: instructorId, substituteName };
+    });
+
+    const substitute: ClassSubstitute = {
+      instructorId, instructorName: substituteName, replacedInstructorId: request.absentInstructorId, requestId,
+    };
+    let saved: Awaited<ReturnType<typeof classExceptionsService.setException>>;
+    try {
+      const classDoc = await db.collection("classes").doc(request.classId).get();
+      const classData: Record<string, unknown> & { id: string } = { id: classDoc.id, ...(classDoc.data() as Record<string, unknown>) };
+      const previous = await classExceptionsService.getException(request.classId, request.instanceDate);
+      // Saving the exception below would otherwise bring a since-cancelled instance back.
+      if (previous?.cancelled) {
+        await ref.update({ status: "cancelled", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        throw new Error("This class instance has been cancelled");
+      }
+      const instance = classExceptionsService.resolveInstance(classData, request.instanceDate, previous);
+      const instructorIds = [...new Set(instance.instructorIds.map((id) => (id === request.absentInstructorId ? instructorId : id)))];
+      saved = await classExceptionsService.setException(
+        request.classId, request.studioOwnerId, request.instanceDate, { instructorIds, substitute }, actorUid,
+      );
+    } catch (err) {
+      await this.releaseClaim(ref, instructorId);
+      throw err;
+    }
+
+    try {
+      await classInstanceChangesService.applyException(saved.exception, saved.previous, saved.classData);
+      // Students who already checked in keep a record of who actually taught them.
+      for (const record of await attendanceService.getInstanceAttendance(request.classId, request.instanceDate)) {
+        await db.collection("attendance").doc(record.id).update({ substitute });
+      }
+    } catch (err) {
+      console.error(`[SubstituteRequest] Failed to pass substitute on for ${requestId}:`, (err as Error).message);
+    }
+
+    await notificationsService.createNotification(
+      request.studioOwnerId, null, "substitute_filled", "Substitute Found",
+      `${substituteName} will cover ${request.className} on ${request.date} at ${request.startTime} for ${request.absentInstructorName}`,
+      null, request.classId,
+    );
+    return docToRequest(await ref.get());
+  }
+
+  /**
+   * The studio took a substitute off an occurrence. The request they filled is
+   * offered again to the other instructors it went to, or called off when the
+   * occurrence is cancelled, has started, or has its regular instructor back.
+   * `exception` is null when the occurrence went back to its regular schedule.
+   */
+  async releaseSubstitute(substitute: ClassSubstitute, exception: ClassException | null): Promise<SubstituteRequest | null> {
+    if (!substitute.requestId) return null;
+    const db = getFirestore();
+    const ref = db.collection("substituteRequests").doc(substitute.requestId);
+    const doc = await ref.get();
+    if (!doc.exists) return null;
+    const request = docToRequest(doc);
+    if (request.status !== "filled" || request.substituteInstructorId !== substitute.instructorId) return request;
+
+    const classDoc = await db.collection("classes").doc(request.classId).get();
+    const classData: Record<string, unknown> & { id: string } = { id: classDoc.id, ...(classDoc.data() as Record<string, unknown>) };
+    const instance = classExceptionsService.resolveInstance(classData, request.instanceDate, exception);
+    const offeredTo = request.notifiedInstructorIds.filter((id) => id !== substitute.instructorId);
+    const stillNeeded = instance.status !== "cancelled" && instance.startsAt > new Date() &&
+      !instance.instructorIds.includes(request.absentInstructorId) && offeredTo.length > 0;
+    await ref.update({
+      status: stillNeeded ? "open" : "cancelled",
+      notifiedInstructorIds: offeredTo,
+      substituteInstructorId: null,
+      substituteName: null,
+      filledAt: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    for (const record of await attendanceService.getInstanceAttendance(request.classId, request.instanceDate)) {
+      if ((record["substitute"] as ClassSubstitute | undefined)?.requestId === request.id) {
+        await db.collection("attendance").doc(record.id).update({ substitute: null });
+      }
+    }
+
+    const when = `${request.date} at ${request.startTime}`;
+    const notices: Array<{ instructorId: string; notification: Omit<AppNotification, "context"> }> = [{
+      instructorId: substitute.instructorId,
+      notification: { type: "substitute_released", title: "Substitute no longer needed", body: `You're no longer covering ${request.className} on ${when}` },
+    }];
+    if (stillNeeded) {
+      for (const instructorId of offeredTo) {
+        notices.push({
+          instructorId,
+          notification: {
+            type: "substitute_requested",
+            title: "Substitute needed",
+            body: `Can you cover ${request.className} on ${when} for ${request.absentInstructorName}? First to accept gets it.`,
+          },
+        });
+      }
+    }
+    for (const { instructorId, notification } of notices) {
+      try {
+        await notifyInstructor(instructorId, { ...notification, refs: { substituteRequestId: request.id } });
+      } catch (err) {
+        console.error(`[SubstituteRequest] Failed to notify instructor ${instructorId}:`, (err as Error).message);
+      }
+    }
+    return docToRequest(await ref.get());
+  }
+
+  /** Withdraws an open request; a filled one is undone by editing the class exception instead. */
+  async cancel(requestId: string, studioOwnerId: string): Promise<SubstituteRequest> {
+    const db = getFirestore();
+    const ref = db.collection("substituteRequests").doc(requestId);
+    const doc = await ref.get();
+    if (!doc.exists) throw new Error("Substitute request not found");
+    const request = docToRequest(doc);
+    if (request.studioOwnerId !== studioOwnerId) throw new Error("Access denied: Substitute request does not belong to this studio");
+    if (request.status !== "open") throw new Error(`Only open requests can be cancelled (this one is ${request.status})`);
+    await ref.update({ status: "cancelled", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { ...request, status: "cancelled" };
+  }
+
+  /** Calls off the still-open requests an approved time off opened, once that time off is withdrawn. */
+  async cancelForTimeOff(timeOffId: string): Promise<number> {
+    const snapshot = await getFirestore().collection("substituteRequests").where("timeOffId", "==", timeOffId).get();
+    const open = snapshot.docs.filter((doc) => doc.data()["status"] === "open");
+    for (const doc of open) {
+      await doc.ref.update({ status: "cancelled", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+    return open.length;
+  }
+
+  /** Linked instructors at the studio who teach the genre, aren't already on the class, and are free at that time. */
+  private async qualifiedInstructors(
+    studioOwnerId: string, instance: EffectiveClassInstance, genre: string | null,
+  ): Promise<Array<{ instructorId: string; authUid: string }>> {
+    const snapshot = await getFirestore().collection("instructors").where("studioOwnerId", "==", studioOwnerId).get();
+    const candidates: Array<{ instructorId: string; authUid: string }> = [];
+    for (const doc of snapshot.docs) {
+      const data = doc.data() as Record<string, unknown>;
+      const authUid = data["authUid"] as string | undefined;
+      if (!authUid || instance.instructorIds.includes(doc.id) || !teachesGenre(data, genre)) continue;
+      try {
+        const conflict = await instructorAvailabilityService.findConflict(
+          doc.id, instance.date, { startTime: instance.startTime, endTime: instance.endTime },
+        );
+        if (conflict) continue;
+      } catch (err) {
+        console.error(`[SubstituteRequest] Could not check availability for ${doc.id}:`, (err as Error).message);
+        continue;
+      }
+      candidates.push({ instructorId: doc.id, authUid });
+    }
+    return candidates;
+  }
+
+  /** Puts a claim back up for grabs when the substitute couldn't be saved onto the class. */
+  private async releaseClaim(ref: FirebaseFirestore.DocumentReference, instructorId: string): Promise<void> {
+    try {
+      await getFirestore().runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        const data = doc.data() as Record<string, unknown> | undefined;
+        if (data?.["status"] !== "filled" || data["substituteInstructorId"] !== instructorId) return;
+        tx.update(ref, {
+          status: "open",
+          substituteInstructorId: null,
+          substituteName: null,
+          filledAt: null,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+    } catch (err) {
+      console.error(`[SubstituteRequest] Failed to release claim on ${ref.id}:`, (err as Error).message);
+    }
+  }
+
+  private async studioToday(studioOwnerId: string): Promise<string> {
+    const studioDoc = await getFirestore().collection("users").doc(studioOwnerId).get();
+    return localDateParts(studioTimezone(studioDoc.data())).date;
+  }
+}
+
+export default new SubstituteRequestsService();
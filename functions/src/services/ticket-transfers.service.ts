@@ -0,0 +1,918 @@
+import * as admin from "firebase-admin";
+import * as stripeService from "./stripe.service";
+import authService from "./auth.service";
+import notificationsService from "./notifications.service";
+import studioEnrollmentService from "./studio-enrollment.service";
+import eventTicketsService, { itemStart, TicketItemType } from "./event-tickets.service";
+import { DEFAULT_WAITLIST_OFFER_MINUTES } from "./waitlist-promotion.service";
+import { sendTicketTransferEmail, sendTicketResaleOfferEmail } from "./sendgrid.service";
+import { notifyAppUser } from "../utils/push-notifications";
+import { getFirestore } from "../utils/firestore";
+import { normalizeEmail } from "../utils/validation";
+
+export type TransferKind = "transfer" | "resale";
+export type TransferStatus =
+  "pending" | "listed" | "offered" | "accepted" | "sold" | "declined" | "cancelled" | "expired";
+export type WaitlistEntryStatus = "waiting" | "offered" | "purchased" | "declined" | "expired" | "left";
+
+/** One holder in a purchase's `ownershipHistory`, oldest first. */
+export interface OwnershipEntry {
+  authUid: string | null;
+  studentId: string | null;
+  name: string;
+  via: "purchase" | "transfer" | "resale";
+  transferId: string | null;
+  /** What this holder paid; null for a gift. */
+  price: number | null;
+  /** The holder's own payment — what a resale refunds them on; null for a gift. */
+  paymentIntentId: string | null;
+  at: string | null;
+}
+
+export interface TicketTransfer {
+  id: string;
+  kind: TransferKind;
+  status: TransferStatus;
+  purchaseId: string;
+  itemType: TicketItemType;
+  itemId: string;
+  itemName: string;
+  studioName: string;
+  fromName: string;
+  /** Only shown for transfers; resale buyers stay anonymous to the seller. */
+  toEmail: string | null;
+  toName: string | null;
+  price: number | null;
+  offerExpiresAt: string | null;
+  expiresAt: string | null;
+  createdAt: string | null;
+  resolvedAt: string | null;
+}
+
+export interface ResaleWaitlistEntry {
+  id: string;
+  itemType: TicketItemType;
+  itemId: string;
+  itemName: string;
+  status: WaitlistEntryStatus;
+  transferId: string | null;
+  offerExpiresAt: string | null;
+  createdAt: string | null;
+}
+
+export interface ResaleAcceptResult {
+  transfer: TicketTransfer;
+  /** The buyer's card needs 3-D Secure; confirm `clientSecret` and accept again. */
+  requiresAction: boolean;
+  clientSecret: string | null;
+}
+
+const OPEN_STATUSES: TransferStatus[] = ["pending", "listed", "offered"];
+
+function isoOf(value: unknown): string | null {
+  return value instanceof admin.firestore.Timestamp ? value.toDate().toISOString() : null;
+}
+
+function docToTransfer(doc: FirebaseFirestore.DocumentSnapshot): TicketTransfer {
+  const data = doc.data() as Record<string, unknown>;
+  return {
+    id: doc.id,
+    kind: data["kind"] as TransferKind,
+    status: data["status"] as TransferStatus,
+    purchaseId: data["purchaseId"] as string,
+    itemType: data["itemType"] as TicketItemType,
+    itemId: data["itemId"] as string,
+    itemName: (data["itemName"] as string) || "",
+    studioName: (data["studioName"] as string) || "",
+    fromName: (data["fromName"] as string) || "",
+    toEmail: data["kind"] === "transfer" ? (data["toEmail"] as string | null) ?? null : null,
+    toName: (data["toName"] as string | null) ?? null,
+    price: (data["price"] as number | null) ?? null,
+    offerExpiresAt: isoOf(data["offerExpiresAt"]),
+    expiresAt: isoOf(data["expiresAt"]),
+    createdAt: isoOf(data["createdAt"]),
+    resolvedAt: isoOf(data["resolvedAt"]),
+  };
+}
+
+function docToEntry(doc: FirebaseFirestore.DocumentSnapshot): ResaleWaitlistEntry {
+  const data = doc.data() as Record<string, unknown>;
+  return {
+    id: doc.id,
+    itemType: data["itemType"] as TicketItemType,
+    itemId: data["itemId"] as string,
+    itemName: (data["itemName"] as string) || "",
+    status: data["status"] as WaitlistEntryStatus,
+    transferId: (data["transferId"] as string | null) ?? null,
+    offerExpiresAt: isoOf(data["offerExpiresAt"]),
+    createdAt: isoOf(data["createdAt"]),
+  };
+}
+
+function itemRefOf(itemType: unknown, itemId: unknown): FirebaseFirestore.DocumentReference {
+  return getFirestore().collection(itemType === "event" ? "events" : "workshops").doc(itemId as string);
+}
+
+/** Purchases made before transfers existed have no history yet; their buyer is the first entry. */
+function ownershipHistoryOf(purchase: Record<string, unknown>, currentName: string): OwnershipEntry[] {
+  const history = purchase["ownershipHistory"] as OwnershipEntry[] | undefined;
+  if (Array.isArray(history) && history.length > 0) return history;
+  return [{
+    authUid: (purchase["authUid"] as string | null) ?? null,
+    studentId: (purchase["studentId"] as string | null) ?? null,
+    name: currentName,
+    via: "purchase",
+    transferId: null,
+    price: (purchase["price"] as number | null) ?? null,
+    paymentIntentId: (purchase["stripePaymentIntentId"] as string | null) ?? null,
+    at: isoOf(purchase["createdAt"]),
+  }];
+}
+
+/**
+ * Throws unless `authUid` holds a live event or workshop pass that can still
+ * change hands. Returns the item's start time.
+ */
+function assertMovable(
+  purchase: Record<string, unknown> | undefined, item: Record<string, unknown> | undefined, authUid: string,
+): Date | null {
+  if (!purchase) throw new Error("Pass not found");
+  if (purchase["authUid"] !== authUid) throw new Error("Access denied");
+  if (purchase["purchaseType"] !== "event" && purchase["purchaseType"] !== "workshop") {
+    throw new Error("Only event and workshop passes can change hands");
+  }
+  if (purchase["status"] !== "completed") throw new Error("This pass is no longer valid");
+  if (purchase["checkedIn"]) throw new Error("Passes with checked-in tickets cannot change hands");
+  const start = itemStart(item);
+  if (start && start <= new Date()) throw new Error("Passes cannot change hands after the event has started");
+  return start;
+}
+
+/**
+ * Moves event and workshop passes between dancers. A transfer is a gift to an
+ * email address that the recipient accepts. A resale, where the studio has
+ * turned on `allowResale` for the item, offers the pass at the price the
+ * holder paid to the first dancer on the item's resale waitlist; once the
+ * buyer pays, the seller is refunded that amount. Either way the purchase
+ * itself changes hands — its `ownershipHistory` records each holder and its
+ * tickets are re-signed — so event passes and door check-in follow the
+ * current holder.
+ */
+export class TicketTransfersService {
+  async startTransfer(purchaseId: string, sender: { uid: string; email?: string }, recipientEmail: unknown): Promise<TicketTransfer> {
+    const toEmail = normalizeEmail(recipientEmail);
+    if (!toEmail) throw new Error("A valid recipient email is required");
+    if (toEmail === normalizeEmail(sender.email)) throw new Error("You cannot transfer a pass to yourself");
+
+    const transferRef = await this.openListing(purchaseId, sender.uid, "transfer", () => ({
+      toEmail,
+      price: null,
+      sellerPaymentIntentId: null,
+      status: "pending",
+    }));
+    const transfer = docToTransfer(await transferRef.get());
+    await this.notifyRecipient(transfer, toEmail);
+    return transfer;
+  }
+
+  /**
+   * Puts a pass up for resale at the price its holder paid and offers it to the
+   * waitlist. The holder is refunded on their own payment, so a pass they were
+   * given can only be transferred on.
+   */
+  async listForResale(purchaseId: string, authUid: string): Promise<TicketTransfer> {
+    const transferRef = await this.openListing(purchaseId, authUid, "resale", (purchase, item) => {
+      if (item?.["allowResale"] !== true) throw new Error("This studio does not allow resale for this event");
+      if (((purchase["refundedAmount"] as number) || 0) > 0) {
+        throw new Error("Passes that have been partly refunded cannot be resold");
+      }
+      const holding = ownershipHistoryOf(purchase, "").at(-1);
+      if (!holding || holding.price === null) throw new Error("Passes received as a gift cannot be resold");
+      return {
+        toEmail: null,
+        price: holding.price,
+        sellerPaymentIntentId: holding.paymentIntentId ?? null,
+        status: "listed",
+      };
+    });
+    await this.offerNext(transferRef.id);
+    return docToTransfer(await transferRef.get());
+  }
+
+  /** Transfers sent and received by an account, and resale offers made to it, newest first. */
+  async listForAccount(authUid: string, email?: string): Promise<{ incoming: TicketTransfer[]; outgoing: TicketTransfer[] }> {
+    const db = getFirestore();
+    const normalized = normalizeEmail(email);
+    const [outgoing, received, offers] = await Promise.all([
+      db.collection("ticketTransfers").where("fromAuthUid", "==", authUid).get(),
+      normalized
+        ? db.collection("ticketTransfers").where("toEmail", "==", normalized).where("kind", "==", "transfer").get()
+        : null,
+      db.collection("ticketTransfers").where("toAuthUid", "==", authUid).where("kind", "==", "resale").get(),
+    ]);
+    const newestFirst = (a: TicketTransfer, b: TicketTransfer) => (b.createdAt ?? "").localeCompare(a.createdAt ?? "");
+    const incoming = [
+      ...(received?.docs ?? []).map(docToTransfer),
+      ...offers.docs.map(docToTransfer).filter((transfer) => transfer.status === "offered" || transfer.status === "sold"),
+    ];
+    return { incoming: incoming.sort(newestFirst), outgoing: outgoing.docs.map(docToTransfer).sort(newestFirst) };
+  }
+
+  /** Takes a pass sent to the caller's email address. */
+  async acceptTransfer(transferId: string, user: { uid: string; email?: string }): Promise<TicketTransfer> {
+    const ref = getFirestore().collection("ticketTransfers").doc(transferId);
+    const doc = await ref.get();
+    const data = doc.data() as Record<string, unknown> | undefined;
+    if (!data || data["kind"] !== "transfer") throw new Error("Transfer not found");
+    if (data["toEmail"] !== normalizeEmail(user.email)) throw new Error("Access denied");
+    if (data["fromAuthUid"] === user.uid) throw new Error("You cannot accept your own transfer");
+    if (data["status"] !== "pending") throw new Error("This transfer is no longer pending");
+
+    const holder = await this.holderAt(data["studioOwnerId"] as string, user.uid);
+    await this.moveOwnership(ref, "pending", holder, "transfer", null, null);
+    const transfer = docToTransfer(await ref.get());
+    await this.notifyStudent(
+      data["fromAuthUid"] as string, "ticket_transfer_accepted", "Pass transferred",
+      `${holder.name} accepted your pass to ${transfer.itemName}.`, transferId,
+    );
+    return transfer;
+  }
+
+  /**
+   * Buys a pass offered from the resale waitlist. The buyer's saved card is
+   * charged the listed price on the studio's account; if the pass can't change
+   * hands after all, the charge is refunded.
+   */
+  async acceptResale(
+    transferId: string, user: { uid: string; email?: string }, paymentMethodId?: string,
+  ): Promise<ResaleAcceptResult> {
+    const db = getFirestore();
+    const ref = db.collection("ticketTransfers").doc(transferId);
+    const doc = await ref.get();
+    const data = doc.data() as Record<string, unknown> | undefined;
+    if (!data || data["kind"] !== "resale") throw new Error("Transfer not found");
+    if (data["status"] !== "offered" || data["toAuthUid"] !== user.uid) throw new Error("This pass is no longer on offer to you");
+    const offerExpiresAt = data["offerExpiresAt"] as admin.firestore.Timestamp | null;
+    if (!data["paymentIntentId"] && offerExpiresAt && offerExpiresAt.toDate() <= new Date()) {
+      throw new Error("This offer has expired");
+    }
+
+    const studioOwnerId = data["studioOwnerId"] as string;
+    const price = (data["price"] as number) || 0;
+    let connectedAccountId: string | null = null;
+    let paymentIntentId: string | null = null;
+    if (price > 0) {
+      connectedAccountId = await this.connectedAccountOf(studioOwnerId);
+      let paymentIntent = data["paymentIntentId"]
+        ? await stripeService.retrieveConnectedPaymentIntent(data["paymentIntentId"] as string, connectedAccountId)
+        : null;
+      if (!paymentIntent || paymentIntent.status === "requires_payment_method" || paymentIntent.status === "canceled") {
+        if (typeof paymentMethodId !== "string" || !paymentMethodId.startsWith("pm_")) {
+          throw new Error("A valid paymentMethodId is required");
+        }
+        paymentIntent = await this.chargeBuyer(ref.id, data, user, paymentMethodId, connectedAccountId);
+        await ref.update({ paymentIntentId: paymentIntent.id, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+      if (paymentIntent.status === "requires_action") {
+        return { transfer: docToTransfer(await ref.get()), requiresAction: true, clientSecret: paymentIntent.client_secret };
+      }
+      if (paymentIntent.status !== "succeeded") throw new Error("Payment could not be completed. Please try a different card.");
+      paymentIntentId = paymentIntent.id;
+    }
+
+    try {
+      const holder = await this.holderAt(studioOwnerId, user.uid);
+      await this.moveOwnership(ref, "offered", holder, "resale", price, paymentIntentId);
+    } catch (err) {
+      if (paymentIntentId && connectedAccountId) {
+        await stripeService.createRefund(paymentIntentId, "Resale could not be completed", connectedAccountId, {
+          metadata: { transferId },
+        }).catch((refundErr) => console.error(`Failed to refund resale buyer for transfer ${transferId}:`, refundErr));
+      }
+      throw err;
+    }
+
+    if (data["waitlistEntryId"]) await this.setEntryStatus(data["waitlistEntryId"] as string, "purchased");
+    await this.refundSeller(ref.id);
+    const transfer = docToTransfer(await ref.get());
+    await this.notifyStudent(
+      data["fromAuthUid"] as string, "ticket_resale_sold", "Pass resold",
+      `Your pass to ${transfer.itemName} was resold. We've refunded $${price.toFixed(2)} to your original payment method.`,
+      transferId,
+    );
+    return { transfer, requiresAction: false, clientSecret: null };
+  }
+
+  /** Turns down a transfer sent to the caller, or a resale offer made to them. */
+  async decline(transferId: string, user: { uid: string; email?: string }): Promise<TicketTransfer> {
+    const db = getFirestore();
+    const ref = db.collection("ticketTransfers").doc(transferId);
+    const doc = await ref.get();
+    const data = doc.data() as Record<string, unknown> | undefined;
+    if (!data) throw new Error("Transfer not found");
+
+    if (data["kind"] === "resale") {
+      if (data["toAuthUid"] !== user.uid) throw new Error("Access denied");
+      if (data["status"] !== "offered") throw new Error("This pass is no longer on offer to you");
+      if (!(await this.releaseBuyerPayment(transferId, data, true))) {
+        throw new Error("Your payment for this pass is still processing");
+      }
+      await this.withdrawOffer(ref, "declined", undefined, (data["paymentIntentId"] as string | null) ?? null);
+      await this.offerNext(transferId);
+      return docToTransfer(await ref.get());
+    }
+
+    if (data["toEmail"] !== normalizeEmail(user.email)) throw new Error("Access denied");
+    await this.close(ref, ["pending"], "declined");
+    const transfer = docToTransfer(await ref.get());
+    await this.notifyStudent(
+      data["fromAuthUid"] as string, "ticket_transfer_declined", "Transfer declined",
+      `Your pass to ${transfer.itemName} was not accepted, so it's still yours.`, transferId,
+    );
+    return transfer;
+  }
+
+  /** Withdraws the caller's own transfer or resale listing before it completes. */
+  async cancel(transferId: string, authUid: string): Promise<TicketTransfer> {
+    const ref = getFirestore().collection("ticketTransfers").doc(transferId);
+    const doc = await ref.get();
+    const data = doc.data() as Record<string, unknown> | undefined;
+    if (!data) throw new Error("Transfer not found");
+    if (data["fromAuthUid"] !== authUid) throw new Error("Access denied");
+    if (!(await this.releaseBuyerPayment(transferId, data, false))) throw new Error("A buyer has already paid for this pass");
+    await this.close(ref, OPEN_STATUSES, "cancelled", (data["paymentIntentId"] as string | null) ?? null);
+    // Whoever was holding an offer keeps their place for the next pass.
+    if (data["status"] === "offered" && data["waitlistEntryId"]) {
+      await this.setEntryStatus(data["waitlistEntryId"] as string, "waiting");
+    }
+    return docToTransfer(await ref.get());
+  }
+
+  /** Joins the resale waitlist for an event or workshop; a pass already up for resale is offered straight away. */
+  async joinWaitlist(authUid: string, itemType: TicketItemType, itemId: string): Promise<ResaleWaitlistEntry> {
+    const db = getFirestore();
+    const itemDoc = await itemRefOf(itemType, itemId).get();
+    const item = itemDoc.data() as Record<string, unknown> | undefined;
+    if (!item) throw new Error(`${itemType === "event" ? "Event" : "Workshop"} not found`);
+    if (item["allowResale"] !== true) throw new Error("This studio does not allow resale for this event");
+    const start = itemStart(item);
+    if (start && start <= new Date()) throw new Error("This event has already started");
+
+    const [entries, purchases] = await Promise.all([
+      db.collection("eventWaitlists").where("authUid", "==", authUid).where("itemId", "==", itemId).get(),
+      db.collection("purchases").where("authUid", "==", authUid).where("itemId", "==", itemId).get(),
+    ]);
+    if (entries.docs.some((doc) => ["waiting", "offered"].includes(doc.data()["status"] as string))) {
+      throw new Error("You are already on the waitlist for this event");
+    }
+    if (purchases.docs.some((doc) => doc.data()["status"] === "completed")) {
+      throw new Error("You already have a pass for this event");
+    }
+
+    const profileDoc = await authService.getStudentProfileByAuthUid(authUid);
+    const profile = (profileDoc?.data() as Record<string, unknown> | undefined) ?? {};
+    const ref = await db.collection("eventWaitlists").add({
+      studioOwnerId: item["studioOwnerId"],
+      itemType,
+      itemId,
+      itemName: (item["name"] as string) || "",
+      authUid,
+      name: [profile["firstName"], profile["lastName"]].filter(Boolean).join(" "),
+      email: normalizeEmail(profile["email"]),
+      status: "waiting",
+      transferId: null,
+      offerExpiresAt: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const listed = await db.collection("ticketTransfers").where("itemId", "==", itemId).where("status", "==", "listed").get();
+    for (const listing of listed.docs.sort((a, b) => (isoOf(a.data()["createdAt"]) ?? "").localeCompare(isoOf(b.data()["createdAt"]) ?? ""))) {
+      if (listing.data()["itemType"] !== itemType) continue;
+      if (await this.offerNext(listing.id)) break;
+    }
+    return docToEntry(await ref.get());
+  }
+
+  async listWaitlist(authUid: string): Promise<ResaleWaitlistEntry[]> {
+    const snapshot = await getFirestore().collection("eventWaitlists").where("authUid", "==", authUid).get();
+    return snapshot.docs
+      .map(docToEntry)
+      .filter((entry) => entry.status === "waiting" || entry.status === "offered")
+      .sort((a, b) => (a.createdAt ?? "").localeCompare(b.createdAt ?? ""));
+  }
+
+  /** Leaves a resale waitlist, passing on any offer the caller was holding. */
+  async leaveWaitlist(entryId: string, authUid: string): Promise<void> {
+    const doc = await getFirestore().collection("eventWaitlists").doc(entryId).get();
+    const data = doc.data() as Record<string, unknown> | undefined;
+    if (!data) throw new Error("Waitlist entry not found");
+    if (data["authUid"] !== authUid) throw new Error("Access denied");
+    if (data["status"] === "offered" && data["transferId"]) {
+      await this.decline(data["transferId"] as string, { uid: authUid });
+    }
+    await this.setEntryStatus(entryId, "left");
+  }
+
+  /**
+   * Studio view of passes that changed hands or are changing hands for one
+   * event or workshop, newest first.
+   */
+  async listForItem(studioOwnerId: string, itemType: TicketItemType, itemId: string): Promise<TicketTransfer[]> {
+    const snapshot = await getFirestore().collection("ticketTransfers").where("itemId", "==", itemId).get();
+    return snapshot.docs
+      .filter((doc) => doc.data()["studioOwnerId"] === studioOwnerId && doc.data()["itemType"] === itemType)
+      .map(docToTransfer)
+      .sort((a, b) => (b.createdAt ?? "").localeCompare(a.createdAt ?? ""));
+  }
+
+  /**
+   * Lapsed resale offers pass to the next dancer on the waitlist; transfers and
+   * listings still open when their event starts expire. Returns how many
+   * offers and transfers were closed.
+   */
+  async expireStale(now: Date = new Date()): Promise<number> {
+    const db = getFirestore();
+    const cutoff = admin.firestore.Timestamp.fromDate(now);
+    const [lapsedOffers, started] = await Promise.all([
+      db.collection("ticketTransfers").where("status", "==", "offered").where("offerExpiresAt", "<=", cutoff).get(),
+      db.collection("ticketTransfers").where("status", "in", OPEN_STATUSES).where("expiresAt", "<=", cutoff).get(),
+    ]);
+
+    let closed = 0;
+    const startedIds = new Set(started.docs.map((doc) => doc.id));
+    for (const doc of lapsedOffers.docs) {
+      if (startedIds.has(doc.id)) continue;
+      const data = doc.data() as Record<string, unknown>;
+      try {
+        if (await this.buyerPaymentStatus(data) === "succeeded") {
+          // The buyer paid (e.g. finished 3-D Secure) but never came back to accept; finish the sale for them.
+          await this.acceptResale(doc.id, { uid: data["toAuthUid"] as string });
+          closed++;
+          continue;
+        }
+        if (!(await this.releaseBuyerPayment(doc.id, data, false))) continue;
+        if (await this.withdrawOffer(doc.ref, "expired", now, (data["paymentIntentId"] as string | null) ?? null)) {
+          closed++;
+          await this.offerNext(doc.id);
+        }
+      } catch (err) {
+        console.error(`[TicketTransfers] Failed to expire offer on ${doc.id}:`, (err as Error).message);
+      }
+    }
+    for (const doc of started.docs) {
+      try {
+        const data = doc.data() as Record<string, unknown>;
+        if (!(await this.releaseBuyerPayment(doc.id, data, true))) continue;
+        await this.close(doc.ref, OPEN_STATUSES, "expired", (data["paymentIntentId"] as string | null) ?? null);
+        if (doc.data()["waitlistEntryId"]) await this.setEntryStatus(doc.data()["waitlistEntryId"] as string, "expired");
+        closed++;
+      } catch (err) {
+        console.error(`[TicketTransfers] Failed to expire transfer ${doc.id}:`, (err as Error).message);
+      }
+    }
+    return closed;
+  }
+
+  /** Creates a transfer or resale listing and marks the purchase as having one open. */
+  private async openListing(
+    purchaseId: string,
+    authUid: string,
+    kind: TransferKind,
+    fields: (purchase: Record<string, unknown>, item: Record<string, unknown> | undefined) => Record<string, unknown>,
+  ): Promise<FirebaseFirestore.DocumentReference> {
+    const db = getFirestore();
+    const purchaseRef = db.collection("purchases").doc(purchaseId);
+    const initial = (await purchaseRef.get()).data() as Record<string, unknown> | undefined;
+    if (!initial) throw new Error("Pass not found");
+    const fromName = await this.studentNameOf(initial["studentId"]);
+
+    const transferRef = db.collection("ticketTransfers").doc();
+    await db.runTransaction(async (tx) => {
+      const purchaseDoc = await tx.get(purchaseRef);
+      const purchase = purchaseDoc.data() as Record<string, unknown> | undefined;
+      const itemDoc = purchase ? await tx.get(itemRefOf(purchase["purchaseType"], purchase["itemId"])) : null;
+      const start = assertMovable(purchase, itemDoc?.data(), authUid);
+      const data = purchase as Record<string, unknown>;
+      if (data["pendingTransferId"]) throw new Error("This pass already has a transfer or resale in progress");
+      const extra = fields(data, itemDoc?.data());
+
+      tx.set(transferRef, {
+        kind,
+        purchaseId,
+        studioOwnerId: data["studioOwnerId"],
+        itemType: data["purchaseType"],
+        itemId: data["itemId"],
+        itemName: (data["itemName"] as string) || "",
+        studioName: (data["studioName"] as string) || "",
+        fromAuthUid: authUid,
+        fromStudentId: (data["studentId"] as string | null) ?? null,
+        fromName,
+        toAuthUid: null,
+        toName: null,
+        waitlistEntryId: null,
+        offerExpiresAt: null,
+        paymentIntentId: null,
+        expiresAt: start ? admin.firestore.Timestamp.fromDate(start) : null,
+        ...extra,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        resolvedAt: null,
+      });
+      tx.update(purchaseRef, { pendingTransferId: transferRef.id, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    });
+    return transferRef;
+  }
+
+  /**
+   * Hands the purchase and its tickets to `holder` and records them in the
+   * ownership history. Tickets are issued first, so seats not yet ticketed
+   * don't pick up attendee names the previous holder gave at checkout.
+   */
+  private async moveOwnership(
+    transferRef: FirebaseFirestore.DocumentReference,
+    expectedStatus: TransferStatus,
+    holder: { authUid: string; studentId: string; name: string },
+    via: "transfer" | "resale",
+    price: number | null,
+    paymentIntentId: string | null,
+  ): Promise<void> {
+    const db = getFirestore();
+    const initial = (await transferRef.get()).data() as Record<string, unknown>;
+    const purchaseRef = db.collection("purchases").doc(initial["purchaseId"] as string);
+    await eventTicketsService.issueTickets(await purchaseRef.get());
+
+    await db.runTransaction(async (tx) => {
+      const transferDoc = await tx.get(transferRef);
+      const transfer = transferDoc.data() as Record<string, unknown>;
+      if (transfer["status"] !== expectedStatus || (via === "resale" && transfer["toAuthUid"] !== holder.authUid)) {
+        throw new Error(via === "resale" ? "This pass is no longer on offer to you" : "This transfer is no longer pending");
+      }
+      const purchaseDoc = await tx.get(purchaseRef);
+      const purchase = purchaseDoc.data() as Record<string, unknown> | undefined;
+      const itemDoc = purchase ? await tx.get(itemRefOf(purchase["purchaseType"], purchase["itemId"])) : null;
+      assertMovable(purchase, itemDoc?.data(), transfer["fromAuthUid"] as string);
+      const data = purchase as Record<string, unknown>;
+      if (data["pendingTransferId"] !== transferRef.id) throw new Error("This transfer is no longer pending");
+
+      await eventTicketsService.reissueToHolder(tx, purchaseRef.id, holder);
+      const history = ownershipHistoryOf(data, transfer["fromName"] as string);
+      tx.update(purchaseRef, {
+        authUid: holder.authUid,
+        studentId: holder.studentId,
+        dependentId: null,
+        pendingTransferId: null,
+        ownershipHistory: [...history, {
+          authUid: holder.authUid,
+          studentId: holder.studentId,
+          name: holder.name,
+          via,
+          transferId: transferRef.id,
+          price,
+          paymentIntentId,
+          at: new Date().toISOString(),
+        }],
+        ...(paymentIntentId ? { stripePaymentIntentId: paymentIntentId } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.update(transferRef, {
+        status: via === "resale" ? "sold" : "accepted",
+        toAuthUid: holder.authUid,
+        toName: holder.name,
+        resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+  }
+
+  /**
+   * Closes an open transfer without moving the pass. `releasedPaymentIntentId`
+   * is the buyer payment the caller already released; a different one means the
+   * buyer started paying again in the meantime.
+   */
+  private async close(
+    ref: FirebaseFirestore.DocumentReference, from: TransferStatus[], status: TransferStatus,
+    releasedPaymentIntentId: string | null = null,
+  ): Promise<void> {
+    const db = getFirestore();
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const data = doc.data() as Record<string, unknown>;
+      if (!from.includes(data["status"] as TransferStatus)) throw new Error("This transfer is no longer open");
+      if (((data["paymentIntentId"] as string | null) ?? null) !== releasedPaymentIntentId) {
+        throw new Error("A buyer has already paid for this pass");
+      }
+      const purchaseRef = db.collection("purchases").doc(data["purchaseId"] as string);
+      const purchaseDoc = await tx.get(purchaseRef);
+      tx.update(ref, {
+        status,
+        resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      if (purchaseDoc.data()?.["pendingTransferId"] === ref.id) {
+        tx.update(purchaseRef, { pendingTransferId: null, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+    });
+  }
+
+  /**
+   * Takes a resale offer back from the dancer holding it and relists the pass.
+   * Only after `releaseBuyerPayment` — an offer whose payment has moved on since
+   * is left alone.
+   */
+  private async withdrawOffer(
+    ref: FirebaseFirestore.DocumentReference, entryStatus: WaitlistEntryStatus, expiredBy?: Date,
+    releasedPaymentIntentId: string | null = null,
+  ): Promise<boolean> {
+    const db = getFirestore();
+    return db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const data = doc.data() as Record<string, unknown>;
+      if (data["status"] !== "offered") return false;
+      if (((data["paymentIntentId"] as string | null) ?? null) !== releasedPaymentIntentId) return false;
+      const offerExpiresAt = data["offerExpiresAt"] as admin.firestore.Timestamp | null;
+      if (expiredBy && (!offerExpiresAt || offerExpiresAt.toDate() > expiredBy)) return false;
+      tx.update(ref, {
+        status: "listed",
+        toAuthUid: null,
+        toEmail: null,
+        toName: null,
+        waitlistEntryId: null,
+        offerExpiresAt: null,
+        paymentIntentId: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      if (data["waitlistEntryId"]) {
+        tx.update(db.collection("eventWaitlists").doc(data["waitlistEntryId"] as string), {
+          status: entryStatus,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Offers a listed pass to the longest-waiting dancer on its item's waitlist,
+   * held for the studio's waitlist offer window or until the event starts.
+   * Returns false when nobody is waiting; the listing stays up for the next
+   * dancer to join.
+   */
+  private async offerNext(transferId: string): Promise<boolean> {
+    const db = getFirestore();
+    const ref = db.collection("ticketTransfers").doc(transferId);
+    const transfer = (await ref.get()).data() as Record<string, unknown> | undefined;
+    if (!transfer || transfer["status"] !== "listed") return false;
+
+    const [itemDoc, studioDoc, waiting] = await Promise.all([
+      itemRefOf(transfer["itemType"], transfer["itemId"]).get(),
+      db.collection("users").doc(transfer["studioOwnerId"] as string).get(),
+      db.collection("eventWaitlists").where("itemId", "==", transfer["itemId"]).where("status", "==", "waiting").get(),
+    ]);
+    const item = itemDoc.data() as Record<string, unknown> | undefined;
+    if (item?.["allowResale"] !== true) return false;
+
+    const offerMinutes = Number(studioDoc.data()?.["waitlistOfferMinutes"]) || DEFAULT_WAITLIST_OFFER_MINUTES;
+    const start = itemStart(item);
+    const offerUntil = new Date(Date.now() + offerMinutes * 60 * 1000);
+    const offerExpiresAt = start && start < offerUntil ? start : offerUntil;
+
+    const candidates = waiting.docs
+      .filter((doc) => doc.data()["itemType"] === transfer["itemType"] && doc.data()["authUid"] !== transfer["fromAuthUid"])
+      .sort((a, b) => (isoOf(a.data()["createdAt"]) ?? "").localeCompare(isoOf(b.data()["createdAt"]) ?? ""));
+    for (const candidate of candidates) {
+      const outcome = await db.runTransaction(async (tx) => {
+        const [transferDoc, entryDoc] = await Promise.all([tx.get(ref), tx.get(candidate.ref)]);
+        if (transferDoc.data()?.["status"] !== "listed") return "stop";
+        const entry = entryDoc.data() as Record<string, unknown> | undefined;
+        if (entry?.["status"] !== "waiting") return "skip";
+        tx.update(ref, {
+          status: "offered",
+          toAuthUid: entry["authUid"],
+          toEmail: entry["email"] ?? null,
+          toName: entry["name"] ?? null,
+          waitlistEntryId: candidate.id,
+          offerExpiresAt: admin.firestore.Timestamp.fromDate(offerExpiresAt),
+          paymentIntentId: null,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        tx.update(candidate.ref, {
+          status: "offered",
+          transferId,
+          offerExpiresAt: admin.firestore.Timestamp.fromDate(offerExpiresAt),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return "offered";
+      });
+      if (outcome === "stop") return false;
+      if (outcome === "offered") {
+        await this.notifyResaleOffer(docToTransfer(await ref.get()), candidate.data(), offerExpiresAt);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /** Charges the resale price to the buyer's saved card as a direct charge on the studio's account. */
+  private async chargeBuyer(
+    transferId: string,
+    transfer: Record<string, unknown>,
+    user: { uid: string; email?: string },
+    paymentMethodId: string,
+    connectedAccountId: string,
+  ): Promise<Awaited<ReturnType<typeof stripeService.chargePaymentMethodDirectly>>> {
+    const profileDoc = await authService.getStudentProfileByAuthUid(user.uid);
+    const profile = (profileDoc?.data() as Record<string, unknown> | undefined) ?? {};
+    const platformCustomerId = (profile["stripeCustomerId"] as string) || null;
+    if (!platformCustomerId) {
+      throw new Error("No Stripe customer linked to this account. Please add a payment method first.");
+    }
+    const savedMethods = await stripeService.listPaymentMethods(platformCustomerId);
+    if (!savedMethods.some((pm) => pm.id === paymentMethodId)) throw new Error("Payment method does not belong to this account");
+
+    const name = [profile["firstName"], profile["lastName"]].filter(Boolean).join(" ");
+    const { customer } = await stripeService.findOrCreateConnectedCustomer(
+      (profile["email"] as string) || user.email || "", platformCustomerId, connectedAccountId, name || undefined,
+    );
+    const connectedPm = await stripeService.findConnectedPaymentMethod(paymentMethodId, customer.id, connectedAccountId)
+      ?? await stripeService.clonePaymentMethodToConnectedAccount(paymentMethodId, platformCustomerId, customer.id, connectedAccountId);
+
+    return stripeService.chargePaymentMethodDirectly(
+      customer.id,
+      connectedPm.id,
+      Math.round(((transfer["price"] as number) || 0) * 100),
+      {
+        purchaseType: "ticket_resale",
+        transferId,
+        purchaseId: transfer["purchaseId"] as string,
+        studioOwnerId: transfer["studioOwnerId"] as string,
+        authUid: user.uid,
+      },
+      connectedAccountId,
+      `resale_${transferId}_${paymentMethodId}`,
+    );
+  }
+
+  /**
+   * Refunds the seller the resale price on their original payment. The
+   * purchase now carries the buyer's payment intent, so Stripe's refund webhook
+   * doesn't book this against the buyer. A failed refund is flagged to the
+   * studio to settle by hand.
+   */
+  private async refundSeller(transferId: string): Promise<void> {
+    const ref = getFirestore().collection("ticketTransfers").doc(transferId);
+    const transfer = (await ref.get()).data() as Record<string, unknown>;
+    const paymentIntentId = transfer["sellerPaymentIntentId"] as string | null;
+    const price = (transfer["price"] as number) || 0;
+    if (!paymentIntentId?.startsWith("pi_") || price <= 0) {
+      await ref.update({ sellerRefundStatus: "not_applicable", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return;
+    }
+    try {
+      const refund = await stripeService.createRefund(
+        paymentIntentId,
+        "Pass resold",
+        await this.connectedAccountOf(transfer["studioOwnerId"] as string),
+        { amount: Math.round(price * 100), metadata: { purchaseId: transfer["purchaseId"] as string, transferId } },
+      );
+      await ref.update({
+        sellerRefundStatus: "succeeded",
+        sellerRefundId: refund.id,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (err) {
+      console.error(`Failed to refund resale seller for transfer ${transferId}:`, err);
+      await ref.update({ sellerRefundStatus: "failed", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      await notificationsService.createNotification(
+        transfer["studioOwnerId"] as string,
+        null,
+        "ticket_resale_refund_failed",
+        "Resale Refund Failed",
+        `${transfer["fromName"] || "A dancer"}'s pass to "${transfer["itemName"]}" was resold, but their $${price.toFixed(2)} refund failed. Please refund them manually.`,
+        (transfer["fromStudentId"] as string | null) ?? null,
+      ).catch((notifyErr) => console.error("Failed to notify studio of failed resale refund:", notifyErr));
+    }
+  }
+
+  private async buyerPaymentStatus(data: Record<string, unknown>): Promise<string | null> {
+    if (!data["paymentIntentId"]) return null;
+    const connectedAccountId = await this.connectedAccountOf(data["studioOwnerId"] as string);
+    const paymentIntent = await stripeService.retrieveConnectedPaymentIntent(data["paymentIntentId"] as string, connectedAccountId);
+    return paymentIntent.status;
+  }
+
+  /**
+   * Lets go of a resale buyer's in-flight payment before their offer is taken
+   * back, so nobody is charged for a pass they don't get: an unconfirmed
+   * payment (e.g. waiting on 3-D Secure) is cancelled, and a completed one is
+   * refunded when `refundPaid` is set. Returns false when the buyer's money is
+   * still in play and the offer has to stay theirs.
+   */
+  private async releaseBuyerPayment(
+    transferId: string, data: Record<string, unknown>, refundPaid: boolean,
+  ): Promise<boolean> {
+    const paymentIntentId = data["paymentIntentId"] as string | null | undefined;
+    if (!paymentIntentId) return true;
+    const connectedAccountId = await this.connectedAccountOf(data["studioOwnerId"] as string);
+    try {
+      const paymentIntent = await stripeService.retrieveConnectedPaymentIntent(paymentIntentId, connectedAccountId);
+      if (paymentIntent.status === "canceled") return true;
+      if (paymentIntent.status === "succeeded") {
+        if (!refundPaid) return false;
+        await stripeService.createRefund(paymentIntentId, "Resale offer withdrawn", connectedAccountId, {
+          metadata: { transferId },
+        });
+        return true;
+      }
+      if (paymentIntent.status === "processing") return false;
+      // Stripe refuses to cancel a payment that has just succeeded, so a buyer
+      // confirming at this moment keeps their charge and their offer.
+      await stripeService.cancelConnectedPaymentIntent(paymentIntentId, connectedAccountId);
+      return true;
+    } catch (err) {
+      console.error(`[TicketTransfers] Failed to release buyer payment on ${transferId}:`, (err as Error).message);
+      return false;
+    }
+  }
+
+  /** The caller's own roster row at the studio, enrolling them there if they aren't yet. */
+  private async holderAt(studioOwnerId: string, authUid: string): Promise<{ authUid: string; studentId: string; name: string }> {
+    const snapshot = await getFirestore().collection("students")
+      .where("authUid", "==", authUid)
+      .where("studioOwnerId", "==", studioOwnerId)
+      .get();
+    const existing = snapshot.docs.find((doc) => !doc.data()["dependentId"]);
+    const studentId = existing ? existing.id : await studioEnrollmentService.enrollStudent(studioOwnerId, authUid);
+    return { authUid, studentId, name: await this.studentNameOf(studentId) };
+  }
+
+  private async studentNameOf(studentId: unknown): Promise<string> {
+    if (typeof studentId !== "string" || !studentId) return "";
+    const doc = await getFirestore().collection("students").doc(studentId).get();
+    const data = doc.data() as Record<string, unknown> | undefined;
+    return data ? [data["firstName"], data["lastName"]].filter(Boolean).join(" ") : "";
+  }
+
+  private async connectedAccountOf(studioOwnerId: string): Promise<string> {
+    const studioDoc = await getFirestore().collection("users").doc(studioOwnerId).get();
+    const connectedAccountId = (studioDoc.data()?.["stripeAccountId"] as string) || null;
+    if (!connectedAccountId) throw new Error("This studio has not completed Stripe Connect setup.");
+    return connectedAccountId;
+  }
+
+  private async setEntryStatus(entryId: string, status: WaitlistEntryStatus): Promise<void> {
+    await getFirestore().collection("eventWaitlists").doc(entryId).update({
+      status,
+      ...(status === "waiting" ? { transferId: null, offerExpiresAt: null } : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  private async notifyRecipient(transfer: TicketTransfer, toEmail: string): Promise<void> {
+    try {
+      const recipient = await authService.getUserByEmail(toEmail).catch(() => null);
+      if (recipient) {
+        await this.notifyStudent(
+          recipient.uid, "ticket_transfer", "You've been sent a pass",
+          `${transfer.fromName || "A dancer"} wants to give you their pass to ${transfer.itemName}.`, transfer.id,
+        );
+      }
+      await sendTicketTransferEmail(toEmail, transfer.fromName, transfer.itemName, transfer.studioName);
+    } catch (err) {
+      console.error("[TicketTransfers] Failed to send transfer notification:", (err as Error).message);
+    }
+  }
+
+  private async notifyResaleOffer(
+    transfer: TicketTransfer, entry: Record<string, unknown>, offerExpiresAt: Date,
+  ): Promise<void> {
+    try {
+      await this.notifyStudent(
+        entry["authUid"] as string, "ticket_resale_offer", "A pass opened up!",
+        `A pass to ${transfer.itemName} is yours for $${(transfer.price ?? 0).toFixed(2)} if you claim it in time.`, transfer.id,
+      );
+      if (entry["email"]) {
+        await sendTicketResaleOfferEmail(
+          entry["email"] as string,
+          ((entry["name"] as string) || "").split(" ")[0] || "there",
+          transfer.itemName,
+          transfer.studioName,
+          transfer.price ?? 0,
+          offerExpiresAt,
+        );
+      }
+    } catch (err) {
+      console.error("[TicketTransfers] Failed to send resale offer notification:", (err as Error).message);
+    }
+  }
+
+  private async notifyStudent(authUid: string, type: string, title: string, body: string, transferId: string): Promise<void> {
+    try {
+      await notifyAppUser(authUid, { type, title, body, refs: { transferId } });
+    } catch (err) {
+      console.error("[TicketTransfers] Failed to send student notification:", (err as Error).message);
+    }
+  }
+}
+
+export default new TicketTransfersService();
@@ -0,0 +1,406 @@
+import * as admin from "firebase-admin";
+import { getFirestore } from "../utils/firestore";
+import { normalizeEmail } from "../utils/validation";
+
+export type TierItemType = "event" | "workshop";
+
+/** A price tier as sold: limits left unset mean unlimited stock, no per-order cap, or always on sale. */
+export interface TicketTier {
+  /** Stable inventory key, kept when the tier is renamed. */
+  id: string;
+  name: string;
+  price: number;
+  capacity: number | null;
+  maxPerOrder: number | null;
+  saleStartsAt: string | null;
+  saleEndsAt: string | null;
+  /** Every ticket in this tier must name its attendee (name and email) at checkout. */
+  requireAttendeeDetails: boolean;
+}
+
+/** Who a single ticket is for, when it isn't the buyer. */
+export interface TierAttendee {
+  name: string;
+  email: string | null;
+}
+
+/** One tier's share of an order — the shape stored as a purchase's `metadata.tierBreakdown`. */
+export interface TierLine {
+  /** Absent on lines priced before tiers had ids; their stock is keyed by name. */
+  tierId?: string;
+  tierName: string;
+  quantity: number;
+  unitPrice: number;
+  total: number;
+  /** Named attendees for this tier's tickets, in ticket order; may be fewer than `quantity`. */
+  attendees?: TierAttendee[];
+  attendeesRequired?: boolean;
+}
+
+export interface TierAvailability extends TicketTier {
+  sold: number;
+  /** Seats held by checkouts that haven't finished yet. */
+  held: number;
+  remaining: number | null;
+  soldOut: boolean;
+  onSale: boolean;
+}
+
+/**
+ * How long a checkout holds its seats. Stripe Checkout sessions must stay open
+ * at least 30 minutes, so this leaves room for a session to expire first.
+ */
+export const TIER_HOLD_MINUTES = 35;
+
+/** Thrown by `commit` when a lapsed hold's seats sold to someone else before payment went through. */
+export const OVERSOLD_MESSAGE = "These tickets sold out before your payment completed";
+
+interface InventoryHold {
+  tiers: Record<string, number>;
+  expiresAt: admin.firestore.Timestamp;
+}
+
+function tierKey(name: string): string {
+  return name.trim().toLowerCase();
+}
+
+/** Tiers saved before ids existed had their stock counted under their normalized name, so that is their id. */
+function tierIdOf(tier: Record<string, unknown>): string {
+  return typeof tier["id"] === "string" && tier["id"].trim() ? tier["id"].trim() : tierKey(String(tier["name"] ?? ""));
+}
+
+function lineKey(line: TierLine): string {
+  return line.tierId ?? tierKey(line.tierName);
+}
+
+function positiveInt(value: unknown): number | null {
+  return typeof value === "number" && Number.isInteger(value) && value > 0 ? value : null;
+}
+
+function isoOrNull(value: unknown): string | null {
+  if (typeof value !== "string" || !value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function round2(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/** Normalizes a stored `priceTiers` array (prices as already grossed up for display). */
+export function ticketTiersOf(priceTiers: unknown): TicketTier[] {
+  if (!Array.isArray(priceTiers)) return [];
+  return (priceTiers as Array<Record<string, unknown>>).map((tier) => ({
+    id: tierIdOf(tier),
+    name: String(tier["name"] ?? ""),
+    price: typeof tier["price"] === "number" ? tier["price"] : 0,
+    capacity: positiveInt(tier["capacity"]),
+    maxPerOrder: positiveInt(tier["maxPerOrder"]),
+    saleStartsAt: isoOrNull(tier["saleStartsAt"]),
+    saleEndsAt: isoOrNull(tier["saleEndsAt"]),
+    requireAttendeeDetails: tier["requireAttendeeDetails"] === true,
+  }));
+}
+
+/**
+ * Gives every tier in a `priceTiers` array being saved a stable id. Tiers the
+ * client sent back keep theirs; a tier without one takes the id of the stored
+ * tier with the same name (so existing stock carries over), or a new one.
+ */
+export function withTierIds(priceTiers: unknown, previous?: unknown): unknown {
+  if (!Array.isArray(priceTiers)) return priceTiers;
+  const prior = (Array.isArray(previous) ? previous : []) as Array<Record<string, unknown>>;
+  const used = new Set<string>();
+  return (priceTiers as unknown[]).map((raw) => {
+    if (!raw || typeof raw !== "object") return raw;
+    const tier = raw as Record<string, unknown>;
+    let id = typeof tier["id"] === "string" && tier["id"].trim() ? tier["id"].trim() : null;
+    if (!id) {
+      const match = prior.find((p) => p && tierKey(String(p["name"] ?? "")) === tierKey(String(tier["name"] ?? "")));
+      id = match ? tierIdOf(match) : null;
+    }
+    if (!id || used.has(id)) id = getFirestore().collection("tierInventory").doc().id;
+    used.add(id);
+    return { ...tier, id };
+  });
+}
+
+/** Validates one attendee entry from a checkout or reassignment request. */
+export function parseAttendee(raw: unknown, requireEmail: boolean): TierAttendee {
+  const entry = (raw && typeof raw === "object" ? raw : {}) as Record<string, unknown>;
+  const name = typeof entry["name"] === "string" ? entry["name"].trim() : "";
+  if (!name) throw new Error("Each attendee needs a name");
+  if (name.length > 100) throw new Error("Attendee names must be 100 characters or fewer");
+  const hasEmail = typeof entry["email"] === "string" && entry["email"].trim() !== "";
+  const email = hasEmail ? normalizeEmail(entry["email"]) : null;
+  if (hasEmail && !email) throw new Error(`Invalid attendee email for ${name}`);
+  if (requireEmail && !email) throw new Error(`An email is required for attendee ${name}`);
+  return { name, email };
+}
+
+function saleClosedReason(tier: TicketTier, now: Date): string | null {
+  if (tier.saleStartsAt && now < new Date(tier.saleStartsAt)) return `"${tier.name}" tickets are not on sale yet`;
+  if (tier.saleEndsAt && now >= new Date(tier.saleEndsAt)) return `"${tier.name}" ticket sales have ended`;
+  return null;
+}
+
+function activeHolds(data: Record<string, unknown> | undefined, now: Date): Record<string, InventoryHold> {
+  const holds = (data?.["holds"] as Record<string, InventoryHold> | undefined) ?? {};
+  return Object.fromEntries(Object.entries(holds).filter(([, hold]) => hold.expiresAt.toMillis() > now.getTime()));
+}
+
+function heldByTier(holds: Record<string, InventoryHold>): Map<string, number> {
+  const held = new Map<string, number>();
+  for (const hold of Object.values(holds)) {
+    for (const [key, quantity] of Object.entries(hold.tiers)) held.set(key, (held.get(key) ?? 0) + quantity);
+  }
+  return held;
+}
+
+/**
+ * Stock for event and workshop price tiers. Each item has one `tierInventory`
+ * doc holding sold counts per tier and the seats held by open checkouts;
+ * reservations check capacity against both inside a transaction, so two buyers
+ * can't take the last seat. A checkout that is abandoned gives its seats back
+ * when Stripe expires the session, or at the latest when its hold lapses.
+ */
+export class TierInventoryService {
+  /**
+   * Prices an order against the item's tiers, enforcing sale windows,
+   * per-order limits and required attendee details. An order that names no
+   * tiers is one ticket at the lowest price, as checkout has always charged.
+   */
+  resolveSelection(tiers: TicketTier[], selectedTiers: unknown, now: Date = new Date()): TierLine[] {
+    if (tiers.length === 0) throw new Error("This item has no price tiers");
+    const byKey = new Map(tiers.map((tier) => [tier.id, tier]));
+    const idByName = new Map(tiers.map((tier) => [tierKey(tier.name), tier.id]));
+    const quantities = new Map<string, number>();
+    const attendees = new Map<string, unknown[]>();
+
+    if (!Array.isArray(selectedTiers) || selectedTiers.length === 0) {
+      const onSale = tiers.filter((tier) => !saleClosedReason(tier, now));
+      if (onSale.length === 0) throw new Error("Tickets are not on sale");
+      const lowest = onSale.reduce((min, tier) => (tier.price < min.price ? tier : min));
+      quantities.set(lowest.id, 1);
+    } else {
+      for (const selection of selectedTiers as Array<Record<string, unknown>>) {
+        const name = typeof selection?.["tierName"] === "string" ? selection["tierName"] : "";
+        const id = typeof selection?.["tierId"] === "string" ? selection["tierId"] : idByName.get(tierKey(name));
+        const tier = id ? byKey.get(id) : undefined;
+        if (!tier) throw new Error(`Unknown tier "${name || selection?.["tierId"]}"`);
+        const quantity = typeof selection["quantity"] === "number" ? Math.max(1, Math.floor(selection["quantity"])) : 1;
+        quantities.set(tier.id, (quantities.get(tier.id) ?? 0) + quantity);
+        if (Array.isArray(selection["attendees"])) {
+          attendees.set(tier.id, [...(attendees.get(tier.id) ?? []), ...selection["attendees"]]);
+        }
+      }
+    }
+
+    const lines: TierLine[] = [];
+    for (const [key, quantity] of quantities) {
+      const tier = byKey.get(key) as TicketTier;
+      const closed = saleClosedReason(tier, now);
+      if (closed) throw new Error(closed);
+      if (tier.maxPerOrder !== null && quantity > tier.maxPerOrder) {
+        throw new Error(`You can buy at most ${tier.maxPerOrder} "${tier.name}" ticket${tier.maxPerOrder === 1 ? "" : "s"} per order`);
+      }
+      const named = (attendees.get(key) ?? []).map((raw) => parseAttendee(raw, tier.requireAttendeeDetails));
+      if (named.length > quantity) throw new Error(`More attendees than "${tier.name}" tickets were given`);
+      if (tier.requireAttendeeDetails && named.length < quantity) {
+        throw new Error(`Each "${tier.name}" ticket needs an attendee name and email`);
+      }
+      lines.push({
+        tierId: tier.id,
+        tierName: tier.name,
+        quantity,
+        unitPrice: tier.price,
+        total: round2(tier.price * quantity),
+        ...(named.length > 0 ? { attendees: named } : {}),
+        ...(tier.requireAttendeeDetails ? { attendeesRequired: true } : {}),
+      });
+    }
+    return lines;
+  }
+
+  /** Holds seats for a checkout. Throws if any tier is sold out or has fewer seats left than requested. */
+  async reserve(
+    itemType: TierItemType, itemId: string, tiers: TicketTier[], lines: TierLine[], authUid: string,
+  ): Promise<string> {
+    const db = getFirestore();
+    const inventoryRef = db.collection("tierInventory").doc(`${itemType}_${itemId}`);
+    const reservationRef = db.collection("tierReservations").doc();
+    const capacities = new Map(tiers.map((tier) => [tier.id, tier.capacity]));
+
+    await db.runTransaction(async (tx) => {
+      const inventoryDoc = await tx.get(inventoryRef);
+      const data = inventoryDoc.data() as Record<string, unknown> | undefined;
+      const now = new Date();
+      const holds = activeHolds(data, now);
+      const held = heldByTier(holds);
+      const sold = (data?.["sold"] as Record<string, number> | undefined) ?? {};
+
+      const requested: Record<string, number> = {};
+      for (const line of lines) {
+        const key = lineKey(line);
+        requested[key] = line.quantity;
+        const capacity = capacities.get(key) ?? null;
+        if (capacity === null) continue;
+        const remaining = capacity - (sold[key] ?? 0) - (held.get(key) ?? 0);
+        if (remaining <= 0) throw new Error(`"${line.tierName}" is sold out`);
+        if (line.quantity > remaining) {
+          throw new Error(`Only ${remaining} "${line.tierName}" ticket${remaining === 1 ? " is" : "s are"} left`);
+        }
+      }
+
+      const expiresAt = admin.firestore.Timestamp.fromMillis(now.getTime() + TIER_HOLD_MINUTES * 60 * 1000);
+      // Written whole so lapsed holds are dropped along the way.
+      tx.set(inventoryRef, {
+        itemType,
+        itemId,
+        sold,
+        holds: { ...holds, [reservationRef.id]: { tiers: requested, expiresAt } },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.set(reservationRef, {
+        itemType,
+        itemId,
+        authUid,
+        lines,
+        status: "held",
+        purchaseId: null,
+        expiresAt,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    return reservationRef.id;
+  }
+
+  /**
+   * Turns a reservation's hold into sold seats once payment succeeds and returns
+   * its lines. A payment can be confirmed after its hold lapsed (a PaymentIntent
+   * doesn't expire with it), so a lapsed hold is checked against capacity again
+   * here; if the seats went to someone else meanwhile the reservation is marked
+   * oversold and this throws, and the caller refunds. Safe to repeat.
+   */
+  async commit(reservationId: string, purchaseId: string): Promise<TierLine[]> {
+    const db = getFirestore();
+    const reservationRef = db.collection("tierReservations").doc(reservationId);
+    return db.runTransaction(async (tx) => {
+      const reservationDoc = await tx.get(reservationRef);
+      if (!reservationDoc.exists) throw new Error("Ticket reservation not found");
+      const reservation = reservationDoc.data() as Record<string, unknown>;
+      const lines = reservation["lines"] as TierLine[];
+      if (reservation["status"] === "committed" || reservation["status"] === "returned") return lines;
+      if (reservation["status"] === "oversold") throw new Error(OVERSOLD_MESSAGE);
+
+      const itemRef = db.collection(reservation["itemType"] === "workshop" ? "workshops" : "events").doc(reservation["itemId"] as string);
+      const inventoryRef = db.collection("tierInventory").doc(`${reservation["itemType"] as string}_${reservation["itemId"] as string}`);
+      const [inventoryDoc, itemDoc] = await Promise.all([tx.get(inventoryRef), tx.get(itemRef)]);
+      const data = inventoryDoc.data() as Record<string, unknown> | undefined;
+      const holds = activeHolds(data, new Date());
+      const sold = { ...((data?.["sold"] as Record<string, number> | undefined) ?? {}) };
+
+      if (!holds[reservationId]) {
+        const capacities = new Map(ticketTiersOf(itemDoc.data()?.["priceTiers"]).map((tier) => [tier.id, tier.capacity]));
+        const held = heldByTier(holds);
+        const overCapacity = lines.some((line) => {
+          const capacity = capacities.get(lineKey(line)) ?? null;
+          return capacity !== null && (sold[lineKey(line)] ?? 0) + (held.get(lineKey(line)) ?? 0) + line.quantity > capacity;
+        });
+        if (overCapacity) {
+          tx.update(reservationRef, { status: "oversold", purchaseId, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+          return null;
+        }
+      }
+
+      delete holds[reservationId];
+      for (const line of lines) sold[lineKey(line)] = (sold[lineKey(line)] ?? 0) + line.quantity;
+
+      tx.set(inventoryRef, {
+        itemType: reservation["itemType"],
+        itemId: reservation["itemId"],
+        sold,
+        holds,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.update(reservationRef, {
+        status: "committed",
+        purchaseId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return lines;
+    }).then((lines) => {
+      if (!lines) throw new Error(OVERSOLD_MESSAGE);
+      return lines;
+    });
+  }
+
+  /** Gives back a hold whose checkout failed or was abandoned. Committed reservations are left alone. */
+  async release(reservationId: string): Promise<void> {
+    const db = getFirestore();
+    const reservationRef = db.collection("tierReservations").doc(reservationId);
+    await db.runTransaction(async (tx) => {
+      const reservationDoc = await tx.get(reservationRef);
+      const reservation = reservationDoc.data() as Record<string, unknown> | undefined;
+      if (!reservation || reservation["status"] !== "held") return;
+      const inventoryRef = db.collection("tierInventory").doc(`${reservation["itemType"] as string}_${reservation["itemId"] as string}`);
+      const inventoryDoc = await tx.get(inventoryRef);
+      const data = inventoryDoc.data() as Record<string, unknown> | undefined;
+      if (data) {
+        const holds = activeHolds(data, new Date());
+        delete holds[reservationId];
+        tx.update(inventoryRef, { holds, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+      tx.update(reservationRef, { status: "released", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    });
+  }
+
+  /** Puts a fully refunded purchase's seats back on sale. */
+  async returnStock(reservationId: string): Promise<void> {
+    const db = getFirestore();
+    const reservationRef = db.collection("tierReservations").doc(reservationId);
+    await db.runTransaction(async (tx) => {
+      const reservationDoc = await tx.get(reservationRef);
+      const reservation = reservationDoc.data() as Record<string, unknown> | undefined;
+      if (!reservation || reservation["status"] !== "committed") return;
+      const inventoryRef = db.collection("tierInventory").doc(`${reservation["itemType"] as string}_${reservation["itemId"] as string}`);
+      const inventoryDoc = await tx.get(inventoryRef);
+      const data = inventoryDoc.data() as Record<string, unknown> | undefined;
+      if (data) {
+        const sold = { ...((data["sold"] as Record<string, number> | undefined) ?? {}) };
+        for (const line of reservation["lines"] as TierLine[]) {
+          const key = lineKey(line);
+          sold[key] = Math.max(0, (sold[key] ?? 0) - line.quantity);
+        }
+        tx.update(inventoryRef, { sold, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+      tx.update(reservationRef, { status: "returned", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    });
+  }
+
+  /** Stock and sale status per tier, in the item's tier order. */
+  async getAvailability(itemType: TierItemType, itemId: string, tiers: TicketTier[]): Promise<TierAvailability[]> {
+    const inventoryDoc = await getFirestore().collection("tierInventory").doc(`${itemType}_${itemId}`).get();
+    const data = inventoryDoc.data() as Record<string, unknown> | undefined;
+    const now = new Date();
+    const held = heldByTier(activeHolds(data, now));
+    const sold = (data?.["sold"] as Record<string, number> | undefined) ?? {};
+    return tiers.map((tier) => {
+      const key = tier.id;
+      const soldCount = sold[key] ?? 0;
+      const heldCount = held.get(key) ?? 0;
+      const remaining = tier.capacity === null ? null : Math.max(0, tier.capacity - soldCount - heldCount);
+      return {
+        ...tier,
+        sold: soldCount,
+        held: heldCount,
+        remaining,
+        soldOut: remaining === 0,
+        onSale: saleClosedReason(tier, now) === null,
+      };
+    });
+  }
+}
+
+export default new TierInventoryService();
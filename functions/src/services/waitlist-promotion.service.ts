@@ -0,0 +1,545 @@
+import * as admin from "firebase-admin";
+import attendanceService from "./attendance.service";
+import classesService from "./classes.service";
+import classExceptionsService from "./class-exceptions.service";
+import { sendWaitlistOfferEmail, sendWaitlistEnrolledEmail } from "./sendgrid.service";
+import { notifyAppUser } from "../utils/push-notifications";
+import { getFirestore } from "../utils/firestore";
+
+export type WaitlistPromotionTrigger =
+  "attendance_removed" | "capacity_increased" | "offer_expired" | "offer_declined" | "entry_removed" | "manual";
+
+export type WaitlistPromotionAction = "offered" | "auto_enrolled" | "claimed" | "declined" | "expired";
+
+export interface WaitlistPromotionResult {
+  entryId: string;
+  studentId: string;
+  action: WaitlistPromotionAction;
+  offerExpiresAt?: string;
+}
+
+/** Used when the studio hasn't set `waitlistOfferMinutes` on its profile. */
+export const DEFAULT_WAITLIST_OFFER_MINUTES = 120;
+
+type WaitlistEntry = Record<string, unknown> & { id: string };
+
+function toInstanceDate(value: unknown): Date | null {
+  if (!value) return null;
+  if (typeof value === "object" && value !== null && "toDate" in value) {
+    return (value as { toDate(): Date }).toDate();
+  }
+  const d = new Date(value as string);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// Waitlist entries keep whatever date string the caller sent while attendance
+// stores Timestamps, so entries are matched to an instance by calendar day.
+function dayKey(d: Date): string {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/** Entries written before promotion existed have no status; active ones are still waiting. */
+function entryStatus(entry: Record<string, unknown>): string {
+  return (entry["status"] as string) || (entry["isActive"] ? "waiting" : "removed");
+}
+
+/** An unexpired offer, or one being claimed, still holds its spot. */
+function holdsSpot(entry: Record<string, unknown>, now: Date): boolean {
+  const status = entryStatus(entry);
+  if (status !== "offered" && status !== "claiming") return false;
+  const expiresAt = toInstanceDate(entry["offerExpiresAt"]);
+  return !!expiresAt && expiresAt > now;
+}
+
+export class WaitlistPromotionService {
+  /** Active entries for one class instance, oldest first. */
+  async getInstanceEntries(classId: string, instanceDate: Date): Promise<WaitlistEntry[]> {
+    const db = getFirestore();
+    const snapshot = await db.collection("waitlists")
+      .where("classId", "==", classId)
+      .where("isActive", "==", true)
+      .get();
+    const key = dayKey(instanceDate);
+    return snapshot.docs
+      .map((doc): WaitlistEntry => ({ id: doc.id, ...(doc.data() as Record<string, unknown>) }))
+      .filter((entry) => {
+        const d = toInstanceDate(entry["classInstanceDate"]);
+        return !!d && dayKey(d) === key;
+      })
+      .sort((a, b) => (toInstanceDate(a["addedAt"])?.getTime() ?? 0) - (toInstanceDate(b["addedAt"])?.getTime() ?? 0));
+  }
+
+  /**
+   * Fills open spots on a class instance from its waitlist. A spot is open when
+   * enrolled + outstanding offers is below capacity. Students with `autoClaim`
+   * are booked straight away (spending a credit); everyone else gets an offer
+   * that holds the spot until `offerExpiresAt`. Each spot is taken in a
+   * transaction on the instance's `waitlistInstances` doc, so promotions run
+   * for two cancellations at once can't both hand out the last spot.
+   */
+  async promoteNext(
+    classId: string,
+    classInstanceDate: unknown,
+    studioOwnerId: string,
+    trigger: WaitlistPromotionTrigger,
+  ): Promise<WaitlistPromotionResult[]> {
+    const instanceDate = toInstanceDate(classInstanceDate);
+    if (!instanceDate) throw new Error("Invalid classInstanceDate format");
+
+    const now = new Date();
+    const endOfInstanceDay = new Date(instanceDate.getFullYear(), instanceDate.getMonth(), instanceDate.getDate() + 1);
+    if (endOfInstanceDay <= now) return [];
+
+    if (await classExceptionsService.isInstanceCancelled(classId, instanceDate)) return [];
+
+    const db = getFirestore();
+    const [classData, studioDoc] = await Promise.all([
+      classesService.getClassById(classId, studioOwnerId),
+      db.collection("users").doc(studioOwnerId).get(),
+    ]);
+    if (!classData) throw new Error("Class not found");
+    const studioData = studioDoc.exists ? (studioDoc.data() as Record<string, unknown>) : {};
+
+    const waiting = (await this.getInstanceEntries(classId, instanceDate))
+      .filter((entry) => entryStatus(entry) === "waiting");
+    if (waiting.length === 0) return [];
+
+    const maxCapacity = (classData["maxCapacity"] as number) ?? 20;
+    const offerMinutes = Number(studioData["waitlistOfferMinutes"]) || DEFAULT_WAITLIST_OFFER_MINUTES;
+    const context = {
+      className: (classData["name"] as string) || "your class",
+      studioName: (studioData["studioName"] as string) || "the studio",
+    };
+
+    const results: WaitlistPromotionResult[] = [];
+    for (const entry of waiting) {
+      const studentId = entry["studentId"] as string;
+      // Auto-claim students hold the spot as an offer too while they're booked,
+      // which is also what they're left with if the booking fails.
+      const offerExpiresAt = new Date(Date.now() + offerMinutes * 60 * 1000);
+      const held = await this.holdSpot(entry.id, classId, instanceDate, maxCapacity, offerExpiresAt);
+      if (held === "full") break;
+      if (held === "gone") continue;
+
+      if (entry["autoClaim"]) {
+        try {
+          await attendanceService.createAttendanceRecord(
+            { studentId, classId, classInstanceDate: instanceDate, checkedInBy: "student" },
+            studioOwnerId,
+          );
+          await this.closeEntry(entry.id, "enrolled");
+          await this.recordAction(entry, studioOwnerId, "auto_enrolled", trigger);
+          await this.notifyEnrolled(studentId, instanceDate, context);
+          results.push({ entryId: entry.id, studentId, action: "auto_enrolled" });
+          continue;
+        } catch (err) {
+          // No credit (or already booked some other way) — fall back to a regular offer.
+          console.warn(`[Waitlist] Auto-claim failed for entry ${entry.id}:`, (err as Error).message);
+          if ((err as Error).message?.includes("already checked in")) {
+            await this.closeEntry(entry.id, "enrolled");
+            continue;
+          }
+        }
+      }
+
+      await this.recordAction(entry, studioOwnerId, "offered", trigger, { offerExpiresAt });
+      await this.notifyOffered(entry.id, studentId, instanceDate, offerExpiresAt, context);
+      results.push({ entryId: entry.id, studentId, action: "offered", offerExpiresAt: offerExpiresAt.toISOString() });
+    }
+
+    return results;
+  }
+
+  /** Runs promotion for every upcoming instance of a class that has people waiting — used when capacity rises. */
+  async promoteForClass(
+    classId: string, studioOwnerId: string, trigger: WaitlistPromotionTrigger,
+  ): Promise<WaitlistPromotionResult[]> {
+    const db = getFirestore();
+    const snapshot = await db.collection("waitlists")
+      .where("classId", "==", classId)
+      .where("isActive", "==", true)
+      .get();
+
+    const instances = new Map<string, Date>();
+    for (const doc of snapshot.docs) {
+      const d = toInstanceDate((doc.data() as Record<string, unknown>)["classInstanceDate"]);
+      if (d && !instances.has(dayKey(d))) instances.set(dayKey(d), d);
+    }
+
+    const results: WaitlistPromotionResult[] = [];
+    for (const instanceDate of instances.values()) {
+      results.push(...await this.promoteNext(classId, instanceDate, studioOwnerId, trigger));
+    }
+    return results;
+  }
+
+  /**
+   * Books the held spot for the student the offer was made to. Returns the
+   * attendance ID. The entry is moved to "claiming" first, so a second claim or
+   * the expiry job can't act on the same offer while the booking is made.
+   */
+  async claimOffer(entryId: string, authUid: string): Promise<string> {
+    const entry = await this.getEntryForAuthUid(entryId, authUid);
+    const studentId = entry["studentId"] as string;
+
+    const db = getFirestore();
+    const ref = db.collection("waitlists").doc(entryId);
+    await db.runTransaction(async (tx) => {
+      const fresh = (await tx.get(ref)).data() as Record<string, unknown> | undefined;
+      if (!fresh || entryStatus(fresh) !== "offered") throw new Error("No open offer for this waitlist entry");
+      if (!holdsSpot(fresh, new Date())) throw new Error("This waitlist offer has expired");
+      tx.update(ref, { status: "claiming" });
+    });
+
+    const studioOwnerId = entry["studioOwnerId"] as string;
+    let attendanceId: string;
+    try {
+      attendanceId = await attendanceService.createAttendanceRecord(
+        {
+          studentId,
+          classId: entry["classId"] as string,
+          classInstanceDate: toInstanceDate(entry["classInstanceDate"]) as Date,
+          checkedInBy: "student",
+        },
+        studioOwnerId,
+      );
+    } catch (err) {
+      // Hand the offer back so the student can retry, or let it lapse as usual.
+      await ref.update({ status: "offered" });
+      throw err;
+    }
+    await this.closeEntry(entryId, "enrolled");
+    await this.recordAction(entry, studioOwnerId, "claimed", null);
+    return attendanceId;
+  }
+
+  /** Releases the held spot and passes it to the next person in line. */
+  async declineOffer(entryId: string, authUid: string): Promise<void> {
+    const entry = await this.getEntryForAuthUid(entryId, authUid);
+    if (entryStatus(entry) !== "offered") throw new Error("No open offer for this waitlist entry");
+
+    const studioOwnerId = entry["studioOwnerId"] as string;
+    await this.closeEntry(entryId, "declined");
+    await this.recordAction(entry, studioOwnerId, "declined", null);
+    await this.promoteNext(entry["classId"] as string, entry["classInstanceDate"], studioOwnerId, "offer_declined");
+  }
+
+  /** Expires lapsed offers and cascades each released spot to the next student. */
+  async expireOffers(now: Date = new Date()): Promise<number> {
+    const db = getFirestore();
+    const snapshot = await db.collection("waitlists")
+      .where("status", "==", "offered")
+      .where("offerExpiresAt", "<=", admin.firestore.Timestamp.fromDate(now))
+      .get();
+
+    let expired = 0;
+    for (const doc of snapshot.docs) {
+      const entry = { id: doc.id, ...(doc.data() as Record<string, unknown>) } as WaitlistEntry;
+      const studioOwnerId = entry["studioOwnerId"] as string;
+      try {
+        const closed = await this.closeEntry(entry.id, "expired", "offered");
+        if (!closed) continue;
+        await this.recordAction(entry, studioOwnerId, "expired", "offer_expired");
+        expired++;
+        await this.promoteNext(entry["classId"] as string, entry["classInstanceDate"], studioOwnerId, "offer_expired");
+      } catch (err) {
+        console.error(`[Waitlist] Failed to expire offer ${entry.id}:`, (err as Error).message);
+      }
+    }
+    return expired;
+  }
+
+  /** Promotion history for a class, newest first, optionally narrowed to one instance. */
+  async getPromotionHistory(
+    classId: string, studioOwnerId: string, classInstanceDate?: string,
+  ): Promise<Array<Record<string, unknown>>> {
+    const classData = await classesService.getClassById(classId, studioOwnerId);
+    if (!classData) throw new Error("Class not found");
+
+    const db = getFirestore();
+    const snapshot = await db.collection("waitlistPromotions")
+      .where("classId", "==", classId)
+      .orderBy("createdAt", "desc")
+      .get();
+
+    const instance = classInstanceDate ? toInstanceDate(classInstanceDate) : null;
+    if (classInstanceDate && !instance) throw new Error("Invalid classInstanceDate format");
+
+    return snapshot.docs
+      .map((doc): Record<string, unknown> => {
+        const data = doc.data() as Record<string, unknown>;
+        return {
+          id: doc.id,
+          ...data,
+          createdAt: toInstanceDate(data["createdAt"])?.toISOString() ?? null,
+          offerExpiresAt: toInstanceDate(data["offerExpiresAt"])?.toISOString() ?? null,
+        };
+      })
+      .filter((row) => {
+        if (row["studioOwnerId"] !== studioOwnerId) return false;
+        if (!instance) return true;
+        const d = toInstanceDate(row["classInstanceDate"]);
+        return !!d && dayKey(d) === dayKey(instance);
+      });
+  }
+
+  /** Closes every open entry (waiting or offered) on an instance, e.g. when it is cancelled. Returns the affected entries. */
+  async closeInstanceEntries(classId: string, classInstanceDate: unknown, status: string): Promise<WaitlistEntry[]> {
+    const instanceDate = toInstanceDate(classInstanceDate);
+    if (!instanceDate) return [];
+    const closed: WaitlistEntry[] = [];
+    for (const entry of await this.getInstanceEntries(classId, instanceDate)) {
+      if (await this.closeEntry(entry.id, status)) closed.push(entry);
+    }
+    return closed;
+  }
+
+  /** Active waitlist entries across every roster row (self and dependents) belonging to an account. */
+  async getStudentEntries(authUid: string): Promise<Array<Record<string, unknown>>> {
+    const db = getFirestore();
+    const studentsSnap = await db.collection("students").where("authUid", "==", authUid).get();
+    if (studentsSnap.empty) return [];
+    const dependentByStudentId = new Map(studentsSnap.docs.map((doc) => [
+      doc.id, ((doc.data() as Record<string, unknown>)["dependentId"] as string | undefined) ?? null,
+    ]));
+
+    const studentIds = [...dependentByStudentId.keys()];
+    const entries: WaitlistEntry[] = [];
+    for (let i = 0; i < studentIds.length; i += 10) {
+      const snap = await db.collection("waitlists")
+        .where("studentId", "in", studentIds.slice(i, i + 10))
+        .where("isActive", "==", true)
+        .get();
+      entries.push(...snap.docs.map((doc): WaitlistEntry => ({ id: doc.id, ...(doc.data() as Record<string, unknown>) })));
+    }
+
+    const now = new Date();
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const upcoming = entries.filter((entry) => {
+      const instanceDate = toInstanceDate(entry["classInstanceDate"]);
+      return !!instanceDate && instanceDate >= startOfToday;
+    });
+    if (upcoming.length === 0) return [];
+
+    // One read for all the classes, and one per waitlisted instance for the positions.
+    const classIds = [...new Set(upcoming.map((entry) => entry["classId"] as string))];
+    const classDocs = await db.getAll(...classIds.map((id) => db.collection("classes").doc(id)));
+    const classNames = new Map(classDocs.map((doc) => [
+      doc.id, doc.exists ? ((doc.data() as Record<string, unknown>)["name"] as string) || null : null,
+    ]));
+    const waitingByInstance = new Map<string, WaitlistEntry[]>();
+
+    const results: Array<Record<string, unknown>> = [];
+    for (const entry of upcoming) {
+      const instanceDate = toInstanceDate(entry["classInstanceDate"]) as Date;
+      // 1-based place among students still waiting on the same instance; null once offered or closed.
+      let position: number | null = null;
+      if (entryStatus(entry) === "waiting") {
+        const key = `${entry["classId"] as string}_${instanceDate.toISOString()}`;
+        let waiting = waitingByInstance.get(key);
+        if (!waiting) {
+          waiting = (await this.getInstanceEntries(entry["classId"] as string, instanceDate))
+            .filter((e) => entryStatus(e) === "waiting");
+          waitingByInstance.set(key, waiting);
+        }
+        const index = waiting.findIndex((e) => e.id === entry.id);
+        position = index === -1 ? null : index + 1;
+      }
+      results.push({
+        id: entry.id,
+        classId: entry["classId"],
+        className: classNames.get(entry["classId"] as string) ?? null,
+        studioOwnerId: entry["studioOwnerId"],
+        studentId: entry["studentId"],
+        dependentId: dependentByStudentId.get(entry["studentId"] as string) ?? null,
+        classInstanceDate: instanceDate.toISOString(),
+        status: entryStatus(entry),
+        position,
+        autoClaim: !!entry["autoClaim"],
+        offerExpiresAt: toInstanceDate(entry["offerExpiresAt"])?.toISOString() ?? null,
+      });
+    }
+    return results.sort((a, b) =>
+      new Date(a["classInstanceDate"] as string).getTime() - new Date(b["classInstanceDate"] as string).getTime());
+  }
+
+  /** Student-initiated removal; a held offer is released to the next person in line. */
+  async leaveWaitlist(entryId: string, authUid: string): Promise<void> {
+    const entry = await this.getEntryForAuthUid(entryId, authUid);
+    const status = entryStatus(entry);
+    if (status !== "waiting" && status !== "offered") throw new Error("Waitlist entry is no longer active");
+
+    const studioOwnerId = entry["studioOwnerId"] as string;
+    const closed = await this.closeEntry(entryId, "removed", status);
+    if (!closed || status !== "offered") return;
+    await this.recordAction(entry, studioOwnerId, "declined", null);
+    await this.promoteNext(entry["classId"] as string, entry["classInstanceDate"], studioOwnerId, "entry_removed");
+  }
+
+  /** Loads an entry and checks its roster row belongs to the caller (covers dependents, whose rows carry the parent's authUid). */
+  private async getEntryForAuthUid(entryId: string, authUid: string): Promise<WaitlistEntry> {
+    const db = getFirestore();
+    const doc = await db.collection("waitlists").doc(entryId).get();
+    if (!doc.exists) throw new Error("Waitlist entry not found");
+    const entry = { id: doc.id, ...(doc.data() as Record<string, unknown>) } as WaitlistEntry;
+    const studentDoc = await db.collection("students").doc(entry["studentId"] as string).get();
+    if (!studentDoc.exists || (studentDoc.data() as Record<string, unknown>)["authUid"] !== authUid) {
+      throw new Error("Access denied: Waitlist entry does not belong to this student");
+    }
+    return entry;
+  }
+
+  /**
+   * Moves a waiting entry to "offered" if the instance still has room, counting
+   * enrolled students and held offers inside the transaction. Every hold also
+   * writes the instance's `waitlistInstances` doc, so two holds on the same
+   * instance conflict and the retried one sees the other's offer.
+   */
+  private async holdSpot(
+    entryId: string, classId: string, instanceDate: Date, maxCapacity: number, offerExpiresAt: Date,
+  ): Promise<"held" | "full" | "gone"> {
+    const db = getFirestore();
+    const entryRef = db.collection("waitlists").doc(entryId);
+    const instanceRef = db.collection("waitlistInstances").doc(`${classId}_${dayKey(instanceDate)}`);
+    const entriesQuery = db.collection("waitlists").where("classId", "==", classId).where("isActive", "==", true);
+    return db.runTransaction(async (tx) => {
+      const fresh = await tx.get(entryRef);
+      await tx.get(instanceRef);
+      if (!fresh.exists || entryStatus(fresh.data() as Record<string, unknown>) !== "waiting") return "gone";
+
+      const now = new Date();
+      const enrolled = await classesService.getEnrolledCount(classId, instanceDate, tx);
+      const held = (await tx.get(entriesQuery)).docs.filter((doc) => {
+        const data = doc.data() as Record<string, unknown>;
+        const d = toInstanceDate(data["classInstanceDate"]);
+        return !!d && dayKey(d) === dayKey(instanceDate) && holdsSpot(data, now);
+      }).length;
+      if (enrolled + held >= maxCapacity) return "full";
+
+      tx.set(instanceRef, {
+        classId,
+        classInstanceDate: admin.firestore.Timestamp.fromDate(instanceDate),
+        offersMade: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+      tx.update(entryRef, {
+        status: "offered",
+        offerExpiresAt: admin.firestore.Timestamp.fromDate(offerExpiresAt),
+        offeredAt: admin.firestore.FieldValue.serverTimestamp(),
+        notificationSent: true,
+        notifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return "held";
+    });
+  }
+
+  /** Moves an entry to a terminal status; with `expectedStatus`, only if it is still in that status. */
+  private async closeEntry(entryId: string, status: string, expectedStatus?: string): Promise<boolean> {
+    const db = getFirestore();
+    const ref = db.collection("waitlists").doc(entryId);
+    return db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return false;
+      if (expectedStatus && entryStatus(doc.data() as Record<string, unknown>) !== expectedStatus) return false;
+      tx.update(ref, {
+        status,
+        isActive: false,
+        resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return true;
+    });
+  }
+
+  private async recordAction(
+    entry: WaitlistEntry,
+    studioOwnerId: string,
+    action: WaitlistPromotionAction,
+    trigger: WaitlistPromotionTrigger | null,
+    extra: { offerExpiresAt?: Date } = {},
+  ): Promise<void> {
+    const db = getFirestore();
+    await db.collection("waitlistPromotions").add({
+      classId: entry["classId"],
+      classInstanceDate: entry["classInstanceDate"],
+      studioOwnerId,
+      waitlistEntryId: entry.id,
+      studentId: entry["studentId"],
+      action,
+      trigger,
+      offerExpiresAt: extra.offerExpiresAt ? admin.firestore.Timestamp.fromDate(extra.offerExpiresAt) : null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  private async notifyOffered(
+    entryId: string,
+    studentId: string,
+    instanceDate: Date,
+    offerExpiresAt: Date,
+    context: { className: string; studioName: string },
+  ): Promise<void> {
+    try {
+      const db = getFirestore();
+      const studentDoc = await db.collection("students").doc(studentId).get();
+      if (!studentDoc.exists) return;
+      const studentData = studentDoc.data() as Record<string, unknown>;
+      const authUid = studentData["authUid"] as string | undefined;
+
+      if (authUid) {
+        await notifyAppUser(authUid, {
+          type: "waitlist_offer",
+          title: "A spot opened up!",
+          body: `Claim your spot in ${context.className} at ${context.studioName} before it goes to the next person.`,
+          refs: { waitlistEntryId: entryId, offerExpiresAt: admin.firestore.Timestamp.fromDate(offerExpiresAt) },
+        });
+      }
+      if (studentData["email"]) {
+        await sendWaitlistOfferEmail(
+          studentData["email"] as string,
+          (studentData["firstName"] as string) || (studentData["name"] as string) || "there",
+          context.className,
+          context.studioName,
+          instanceDate.toISOString(),
+          offerExpiresAt,
+        );
+      }
+    } catch (err) {
+      console.error("[Waitlist] Failed to send offer notification:", (err as Error).message);
+    }
+  }
+
+  private async notifyEnrolled(
+    studentId: string,
+    instanceDate: Date,
+    context: { className: string; studioName: string },
+  ): Promise<void> {
+    try {
+      const db = getFirestore();
+      const studentDoc = await db.collection("students").doc(studentId).get();
+      if (!studentDoc.exists) return;
+      const studentData = studentDoc.data() as Record<string, unknown>;
+      const authUid = studentData["authUid"] as string | undefined;
+
+      if (authUid) {
+        await notifyAppUser(authUid, {
+          type: "waitlist_enrolled",
+          title: "You're in!",
+          body: `A spot opened up in ${context.className} at ${context.studioName} and we booked it for you.`,
+        });
+      }
+      if (studentData["email"]) {
+        await sendWaitlistEnrolledEmail(
+          studentData["email"] as string,
+          (studentData["firstName"] as string) || (studentData["name"] as string) || "there",
+          context.className,
+          context.studioName,
+          instanceDate.toISOString(),
+        );
+      }
+    } catch (err) {
+      console.error("[Waitlist] Failed to send enrollment notification:", (err as Error).message);
+    }
+  }
+}
+
+export default new WaitlistPromotionService();
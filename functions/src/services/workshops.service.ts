@@ -1,5 +1,6 @@
 import * as admin from "firebase-admin";
 import authService from "./auth.service";
+import { withTierIds } from "./tier-inventory.service";
 import { getFirestore } from "../utils/firestore";
 import { geocodeAddress } from "../utils/geocoding";
 import { haversineDistance } from "../utils/distance";
@@ -85,6 +86,7 @@ export class WorkshopsService {
     }
     const docRef = await db.collection("workshops").add({
       ...workshopData,
+      ...("priceTiers" in workshopData ? { priceTiers: withTierIds(workshopData["priceTiers"]) } : {}),
       ...(coords ? { lat: coords.lat, lng: coords.lng } : {}),
       studioOwnerId,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -115,6 +117,7 @@ export class WorkshopsService {
     }
     await ref.update({
       ...workshopData,
+      ...("priceTiers" in workshopData ? { priceTiers: withTierIds(workshopData["priceTiers"], existingData["priceTiers"]) } : {}),
       ...(coords ? { lat: coords.lat, lng: coords.lng } : {}),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
@@ -195,6 +198,7 @@ export class WorkshopsService {
     }
     const docRef = await db.collection("workshops").add({
       ...workshopData,
+      ...("priceTiers" in workshopData ? { priceTiers: withTierIds(workshopData["priceTiers"]) } : {}),
       ...(coords ? { lat: coords.lat, lng: coords.lng } : {}),
       studioOwnerId,
       lastModifiedByAdminUid: adminUid,
@@ -228,6 +232,7 @@ export class WorkshopsService {
 
     await ref.update({
       ...fields,
+      ...("priceTiers" in fields ? { priceTiers: withTierIds(fields["priceTiers"], (doc.data() as Record<string, unknown>)["priceTiers"]) } : {}),
       ...(coords ? { lat: coords.lat, lng: coords.lng } : {}),
       lastModifiedByAdminUid: adminUid,
       lastModifiedByAdminAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -83,11 +83,25 @@ export interface Instructor {
   specialties?: string[];
   availability?: InstructorAvailability[];
   stripeConnectAccountId?: string | null;
+  stripeConnectStatus?: 'pending' | 'active' | null;
   hourlyRate?: number | null;
+  payRates?: InstructorPayRates | null;
   createdAt: Timestamp;
   updatedAt: Timestamp;
 }
 
+/** How an instructor is paid, alongside the long-standing `hourlyRate`. Every rate that is set applies. */
+export interface InstructorPayRates {
+  /** Flat amount per class taught. */
+  perClass?: number | null;
+  /** Per student checked in to a class they taught. */
+  perHead?: number | null;
+  /** Share of the instructor's private lesson revenue, after refunds. */
+  privateLessonPercent?: number | null;
+  /** Transfer the private lesson share to the instructor's own Connect account at payment time. */
+  payPrivatesByTransfer?: boolean;
+}
+
 export interface InstructorAvailability {
   dayOfWeek: number;
   slots: Array<{ startTime: string; endTime: string }>;
@@ -109,7 +123,17 @@ export interface PerformerApplication {
   teamName: string;
   answers: Record<string, string>;
   status: "pending" | "approved" | "declined";
+  /** Where approval/decline emails go; older applications fall back to the submitter's account email. */
+  email?: string | null;
+  submittedBy?: string;
+  /** Performer fee in dollars, set on approval; null when the slot is free. */
+  feeAmount?: number | null;
+  paymentStatus?: "not_required" | "unpaid" | "paid" | "refunded";
+  /** Stripe Payment Link on the studio's connected account for the fee. */
   paymentUrl?: string | null;
+  stripePaymentLinkId?: string | null;
+  stripePaymentIntentId?: string | null;
+  declineReason?: string | null;
   createdAt: Timestamp;
   updatedAt: Timestamp;
 }
@@ -213,6 +237,13 @@ export interface Package {
   classCount: number;
   price: number;
   expirationDays?: number | null;
+  /** "membership" packages grant class access per billing cycle instead of credits. */
+  packageType?: "credits" | "membership";
+  membershipAccess?: "unlimited" | "capped" | null;
+  classesPerCycle?: number | null;
+  /** Subscription freezes: dancers may only freeze when the studio allows it, and pay `freezeFee`. */
+  allowStudentFreeze?: boolean;
+  freezeFee?: number | null;
   stripePriceId?: string | null;
   stripeProductId?: string | null;
   createdAt: Timestamp;
@@ -0,0 +1,92 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for subscription feeds.
+ *
+ * Everything is written in UTC. Class and private lesson times are studio-local
+ * wall-clock times, so callers convert them with the studio's zone first; only
+ * when a studio's zone can't be worked out are they left floating (no `Z`, no
+ * TZID) for calendar apps to show at face value.
+ */
+
+/** A floating day (YYYY-MM-DD) and time (HH:mm), or an exact instant. */
+export type IcalTime = { date: string; time: string } | Date;
+
+export interface IcalEvent {
+  uid: string;
+  summary: string;
+  start: IcalTime;
+  end: IcalTime;
+  description?: string | null;
+  location?: string | null;
+  status?: "CONFIRMED" | "TENTATIVE" | "CANCELLED";
+}
+
+function pad(value: number): string {
+  return String(value).padStart(2, "0");
+}
+
+function formatUtc(date: Date): string {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+function formatTime(value: IcalTime): string {
+  if (value instanceof Date) return formatUtc(value);
+  return `${value.date.replace(/-/g, "")}T${value.time.replace(":", "")}00`;
+}
+
+function escapeText(text: string): string {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Content lines longer than 75 octets continue on the next line after a CRLF and a space. */
+function foldLine(line: string): string {
+  const parts: string[] = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, "utf8");
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+export function buildCalendar(name: string, events: IcalEvent[]): string {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//DanceUp//Calendar Feed//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+  ];
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatTime(event.start)}`,
+      `DTEND:${formatTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    lines.push(`STATUS:${event.status ?? "CONFIRMED"}`, "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
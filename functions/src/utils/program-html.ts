@@ -0,0 +1,95 @@
+/**
+ * Printable show program for an event's running order — a self-contained HTML
+ * page with inline styles so it prints the same from any browser.
+ */
+
+export interface ProgramSlot {
+  type: "performance" | "break";
+  label: string;
+  notes?: string | null;
+  startsAt: Date | null;
+  durationMinutes: number;
+}
+
+export interface ProgramDocument {
+  eventName: string;
+  studioName?: string | null;
+  venue?: string | null;
+  startsAt: Date | null;
+  /** IANA zone for printed times; UTC (labelled) when the venue's zone is unknown. */
+  timeZone?: string | null;
+  slots: ProgramSlot[];
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatClock(date: Date, timeZone: string | null | undefined): string {
+  return date.toLocaleTimeString("en-US", {
+    hour: "numeric", minute: "2-digit", timeZone: timeZone ?? "UTC",
+    ...(timeZone ? {} : { timeZoneName: "short" as const }),
+  });
+}
+
+function formatDay(date: Date, timeZone: string | null | undefined): string {
+  return date.toLocaleDateString("en-US", {
+    weekday: "long", month: "long", day: "numeric", year: "numeric", timeZone: timeZone ?? "UTC",
+  });
+}
+
+export function buildProgramHtml(program: ProgramDocument): string {
+  const title = escapeHtml(program.eventName);
+  const subtitle = [
+    program.studioName,
+    program.venue,
+    program.startsAt ? formatDay(program.startsAt, program.timeZone) : null,
+  ].filter((part): part is string => !!part).map(escapeHtml).join(" · ");
+
+  let act = 0;
+  const rows = program.slots.map((slot) => {
+    const time = slot.startsAt ? formatClock(slot.startsAt, program.timeZone) : "";
+    const notes = slot.notes ? `<div class="notes">${escapeHtml(slot.notes)}</div>` : "";
+    if (slot.type === "break") {
+      return `<tr class="break"><td class="time">${escapeHtml(time)}</td><td></td>` +
+        `<td><em>${escapeHtml(slot.label || "Intermission")}</em>${notes}</td><td class="len">${slot.durationMinutes} min</td></tr>`;
+    }
+    act += 1;
+    return `<tr><td class="time">${escapeHtml(time)}</td><td class="num">${act}</td>` +
+      `<td><strong>${escapeHtml(slot.label)}</strong>${notes}</td><td class="len">${slot.durationMinutes} min</td></tr>`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>${title} — Program</title>
+<style>
+  body{font-family:Georgia,serif;color:#1e293b;max-width:720px;margin:40px auto;padding:0 24px}
+  h1{text-align:center;margin:0 0 4px;font-size:32px}
+  .sub{text-align:center;color:#64748b;margin:0 0 32px}
+  table{width:100%;border-collapse:collapse}
+  td{padding:10px 8px;border-bottom:1px solid #e2e8f0;vertical-align:top}
+  .time{white-space:nowrap;color:#64748b;width:90px}
+  .num{width:28px;color:#94a3b8}
+  .len{white-space:nowrap;text-align:right;color:#94a3b8;width:60px}
+  .break td{background:#f8fafc}
+  .notes{font-size:13px;color:#64748b;margin-top:2px}
+  @media print{body{margin:0}}
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${subtitle ? `<p class="sub">${subtitle}</p>` : ""}
+<table>
+${rows || `<tr><td colspan="4" style="text-align:center;color:#94a3b8">The running order hasn't been set yet.</td></tr>`}
+</table>
+</body>
+</html>
+`;
+}
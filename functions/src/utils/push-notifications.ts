@@ -1,5 +1,20 @@
 import * as admin from "firebase-admin";
 import authService from "../services/auth.service";
+import { getFirestore } from "./firestore";
+
+/** An in-app notification, as listed from `studentNotifications` by the mobile app. */
+export interface AppNotification {
+  type: string;
+  title: string;
+  body: string;
+  /** "instructor" lists it in the app's instructor mode rather than the student one. */
+  context?: "instructor";
+  /**
+   * Ids of what the notification is about, e.g. `{ bookingId }`, stored
+   * alongside it — and any deadline it carries, such as an offer's expiry.
+   */
+  refs?: Record<string, string | admin.firestore.Timestamp>;
+}
 
 /**
  * Looks up the student's FCM token and sends a push notification.
@@ -35,3 +50,29 @@ export async function sendStudentPush(
     console.warn(`[Push] Failed to send to ${authUid}:`, (e as Error).message);
   }
 }
+
+/** Records an in-app notification for an app user and sends it to their device. */
+export async function notifyAppUser(authUid: string, notification: AppNotification): Promise<void> {
+  await getFirestore().collection("studentNotifications").add({
+    authUid,
+    ...(notification.context ? { context: notification.context } : {}),
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    ...notification.refs,
+    read: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await sendStudentPush(authUid, notification.title, notification.body);
+}
+
+/**
+ * The same for an instructor, in the app's instructor mode. A no-op for
+ * instructors who haven't linked an app account.
+ */
+export async function notifyInstructor(instructorId: string, notification: Omit<AppNotification, "context">): Promise<void> {
+  const instructorDoc = await getFirestore().collection("instructors").doc(instructorId).get();
+  const authUid = instructorDoc.data()?.["authUid"] as string | undefined;
+  if (!authUid) return;
+  await notifyAppUser(authUid, { ...notification, context: "instructor" });
+}
@@ -0,0 +1,59 @@
+import { find } from "geo-tz";
+
+export interface LocalDateParts {
+  year: number;
+  month: number;
+  day: number;
+  /** Minutes past local midnight. */
+  minutes: number;
+  /** The local calendar date as YYYY-MM-DD. */
+  date: string;
+}
+
+/**
+ * The IANA zone of a studio or venue from its geocoded `lat`/`lng`. Null when
+ * the doc has no coordinates or the lookup fails — callers decide whether
+ * that means UTC or "unknown".
+ */
+export function studioTimezone(data: Record<string, unknown> | undefined): string | null {
+  const lat = data?.["lat"];
+  const lng = data?.["lng"];
+  if (typeof lat !== "number" || typeof lng !== "number") return null;
+  try {
+    return find(lat, lng)[0] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/** The wall-clock date and time of `at` in `zone`, or in UTC when the zone is unknown. */
+export function localDateParts(zone: string | null | undefined, at: Date = new Date()): LocalDateParts {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: zone ?? "UTC",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hour12: false,
+  }).formatToParts(at);
+  const get = (type: string) => parts.find((p) => p.type === type)?.value ?? "00";
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    minutes: (Number(get("hour")) % 24) * 60 + Number(get("minute")),
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+  };
+}
+
+/** Offset of `zone` from UTC in minutes at `epochMs` (positive east of Greenwich). */
+export function zoneOffsetMinutes(zone: string, epochMs: number): number {
+  const date = new Date(epochMs);
+  const utcDate = new Date(date.toLocaleString("en-US", { timeZone: "UTC" }));
+  const tzDate = new Date(date.toLocaleString("en-US", { timeZone: zone }));
+  return (tzDate.getTime() - utcDate.getTime()) / 60000;
+}
+
+/** The instant at which the wall clock in `zone` reads `time` (HH:mm) on `day` (YYYY-MM-DD). */
+export function zonedTimeToDate(day: string, time: string, zone: string): Date {
+  const wallClockMs = new Date(`${day}T${time}:00.000Z`).getTime();
+  const guess = wallClockMs - zoneOffsetMinutes(zone, wallClockMs) * 60000;
+  // Re-check at the guess so times just after a DST change land on the right side of it.
+  return new Date(wallClockMs - zoneOffsetMinutes(zone, guess) * 60000);
+}
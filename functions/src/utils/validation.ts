@@ -245,6 +245,15 @@ interface PriceTier {
   isPerformancePass?: unknown;
   isVendorPass?: unknown;
   displayPublicly?: unknown;
+  requireAttendeeDetails?: unknown;
+  capacity?: unknown;
+  maxPerOrder?: unknown;
+  saleStartsAt?: unknown;
+  saleEndsAt?: unknown;
+}
+
+function isUnsetOrPositiveInteger(value: unknown): boolean {
+  return value === undefined || value === null || (typeof value === "number" && Number.isInteger(value) && value > 0);
 }
 
 function validatePriceTier(tier: unknown): ValidationResult {
@@ -267,6 +276,23 @@ function validatePriceTier(tier: unknown): ValidationResult {
   if (t.displayPublicly !== undefined && t.displayPublicly !== null && typeof t.displayPublicly !== "boolean") {
     return { valid: false, message: "Price tier displayPublicly must be a boolean" };
   }
+  if (t.requireAttendeeDetails !== undefined && t.requireAttendeeDetails !== null && typeof t.requireAttendeeDetails !== "boolean") {
+    return { valid: false, message: "Price tier requireAttendeeDetails must be a boolean" };
+  }
+  if (!isUnsetOrPositiveInteger(t.capacity)) {
+    return { valid: false, message: "Price tier capacity must be a positive integer" };
+  }
+  if (!isUnsetOrPositiveInteger(t.maxPerOrder)) {
+    return { valid: false, message: "Price tier maxPerOrder must be a positive integer" };
+  }
+  for (const field of ["saleStartsAt", "saleEndsAt"] as const) {
+    if (t[field] !== undefined && t[field] !== null && !validateISODateTime(t[field]).valid) {
+      return { valid: false, message: `Price tier ${field} must be a valid ISO datetime string` };
+    }
+  }
+  if (t.saleStartsAt && t.saleEndsAt && new Date(t.saleEndsAt as string) <= new Date(t.saleStartsAt as string)) {
+    return { valid: false, message: "Price tier saleEndsAt must be after saleStartsAt" };
+  }
   return { valid: true, message: "" };
 }
 
@@ -331,9 +357,14 @@ function validatePriceTiers(priceTiers: unknown): ValidationResult {
   if (!Array.isArray(priceTiers) || priceTiers.length === 0) {
     return { valid: false, message: "Price tiers must be a non-empty array" };
   }
+  const names = new Set<string>();
   for (let i = 0; i < priceTiers.length; i++) {
     const v = validatePriceTier(priceTiers[i]);
     if (!v.valid) return { valid: false, message: `Price tier ${i + 1}: ${v.message}` };
+    // Stock is counted per tier name, so names must be distinct.
+    const name = ((priceTiers[i] as PriceTier).name as string).trim().toLowerCase();
+    if (names.has(name)) return { valid: false, message: `Price tier ${i + 1}: name must be unique` };
+    names.add(name);
   }
   return { valid: true, message: "" };
 }
@@ -503,6 +534,32 @@ function validateDayAvailability(dayAvail: DayAvailLike): ValidationErrors {
 interface AvailabilityPayloadLike {
   availableForPrivates?: unknown;
   availability?: unknown;
+  bufferMinutes?: unknown;
+  blackoutDates?: unknown;
+}
+
+function validateBlackoutDate(blackout: unknown): ValidationResult {
+  if (!blackout || typeof blackout !== "object") return { valid: false, message: "Blackout must be an object" };
+  const b = blackout as Record<string, unknown>;
+  if (!isValidDateFormat(b["startDate"])) return { valid: false, message: "startDate must be a valid date (YYYY-MM-DD)" };
+  if (!isValidDateFormat(b["endDate"])) return { valid: false, message: "endDate must be a valid date (YYYY-MM-DD)" };
+  if ((b["endDate"] as string) < (b["startDate"] as string)) {
+    return { valid: false, message: "endDate must not be before startDate" };
+  }
+  const hasStart = b["startTime"] !== undefined && b["startTime"] !== null;
+  const hasEnd = b["endTime"] !== undefined && b["endTime"] !== null;
+  if (hasStart !== hasEnd) return { valid: false, message: "startTime and endTime must be provided together" };
+  if (hasStart) {
+    if (!isValidTimeFormat(b["startTime"])) return { valid: false, message: "startTime must be in HH:mm format" };
+    if (!isValidTimeFormat(b["endTime"])) return { valid: false, message: "endTime must be in HH:mm format" };
+    if ((b["endTime"] as string) <= (b["startTime"] as string)) {
+      return { valid: false, message: "endTime must be after startTime" };
+    }
+  }
+  if (b["reason"] !== undefined && b["reason"] !== null && typeof b["reason"] !== "string") {
+    return { valid: false, message: "reason must be a string" };
+  }
+  return { valid: true, message: "" };
 }
 
 function validateInstructorAvailability(availability: AvailabilityPayloadLike): ValidationErrors {
@@ -524,6 +581,33 @@ function validateInstructorAvailability(availability: AvailabilityPayloadLike):
       });
     }
   }
+  if (availability.bufferMinutes !== undefined && availability.bufferMinutes !== null) {
+    const buffer = availability.bufferMinutes;
+    if (typeof buffer !== "number" || !Number.isInteger(buffer) || buffer < 0 || buffer > 240) {
+      errors.push({ field: "bufferMinutes", message: "bufferMinutes must be a whole number between 0 and 240" });
+    }
+  }
+  if (availability.blackoutDates !== undefined && availability.blackoutDates !== null) {
+    if (!Array.isArray(availability.blackoutDates)) {
+      errors.push({ field: "blackoutDates", message: "blackoutDates must be an array" });
+    } else {
+      (availability.blackoutDates as unknown[]).forEach((blackout, index) => {
+        const bv = validateBlackoutDate(blackout);
+        if (!bv.valid) errors.push({ field: `blackoutDates[${index}]`, message: bv.message ?? "" });
+      });
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/** A time-off request from a linked instructor — the same shape as a blackout, which it becomes once approved. */
+export function validateTimeOffRequestPayload(payload: Record<string, unknown>): ValidationErrors {
+  const errors: ValidationErrorList = [];
+  const bv = validateBlackoutDate(payload);
+  if (!bv.valid) errors.push({ field: "timeOff", message: bv.message ?? "" });
+  if (typeof payload["reason"] === "string" && payload["reason"].length > 500) {
+    errors.push({ field: "reason", message: "reason must be at most 500 characters" });
+  }
   return { valid: errors.length === 0, errors };
 }
 
@@ -729,6 +813,33 @@ export function validateUpdateClassPayload(payload: Record<string, unknown>): Va
 
 // ─── Instructor ───────────────────────────────────────────────────────────────
 
+function validateInstructorPay(payload: Record<string, unknown>): ValidationErrorList {
+  const errors: ValidationErrorList = [];
+  const isAmount = (value: unknown) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+  if (payload["hourlyRate"] !== undefined && payload["hourlyRate"] !== null && !isAmount(payload["hourlyRate"])) {
+    errors.push({ field: "hourlyRate", message: "hourlyRate must be a number of at least 0" });
+  }
+  const payRates = payload["payRates"];
+  if (payRates === undefined || payRates === null) return errors;
+  if (typeof payRates !== "object" || Array.isArray(payRates)) {
+    return [...errors, { field: "payRates", message: "payRates must be an object" }];
+  }
+  const rates = payRates as Record<string, unknown>;
+  for (const field of ["perClass", "perHead"]) {
+    if (rates[field] !== undefined && rates[field] !== null && !isAmount(rates[field])) {
+      errors.push({ field: `payRates.${field}`, message: `${field} must be a number of at least 0` });
+    }
+  }
+  if (rates["payPrivatesByTransfer"] !== undefined && typeof rates["payPrivatesByTransfer"] !== "boolean") {
+    errors.push({ field: "payRates.payPrivatesByTransfer", message: "payPrivatesByTransfer must be a boolean" });
+  }
+  const percent = rates["privateLessonPercent"];
+  if (percent !== undefined && percent !== null && (!isAmount(percent) || (percent as number) > 100)) {
+    errors.push({ field: "payRates.privateLessonPercent", message: "privateLessonPercent must be a number between 0 and 100" });
+  }
+  return errors;
+}
+
 export function validateCreateInstructorPayload(payload: Record<string, unknown>): ValidationErrors {
   const errors: ValidationErrorList = [];
 
@@ -763,6 +874,7 @@ export function validateCreateInstructorPayload(payload: Record<string, unknown>
       errors.push(...av.errors.map((err) => ({ field: `availability.${err.field}`, message: err.message })));
     }
   }
+  errors.push(...validateInstructorPay(payload));
 
   return { valid: errors.length === 0, errors };
 }
@@ -797,12 +909,42 @@ export function validateUpdateInstructorPayload(payload: Record<string, unknown>
       errors.push(...av.errors.map((err) => ({ field: `availability.${err.field}`, message: err.message })));
     }
   }
+  errors.push(...validateInstructorPay(payload));
 
   return { valid: errors.length === 0, errors };
 }
 
 // ─── Profile ──────────────────────────────────────────────────────────────────
 
+function validatePrivateLessonPolicy(policy: unknown): ValidationErrorList {
+  const errors: ValidationErrorList = [];
+  if (typeof policy !== "object" || Array.isArray(policy)) {
+    return [{ field: "privateLessonPolicy", message: "privateLessonPolicy must be an object" }];
+  }
+  const p = policy as Record<string, unknown>;
+  for (const field of ["freeCancelHours", "rescheduleCutoffHours"]) {
+    if (p[field] === undefined) continue;
+    const hours = p[field];
+    if (typeof hours !== "number" || !Number.isFinite(hours) || hours < 0 || hours > 720) {
+      errors.push({ field: `privateLessonPolicy.${field}`, message: `${field} must be a number between 0 and 720` });
+    }
+  }
+  for (const field of ["lateCancelFeePercent", "noShowFeePercent"]) {
+    if (p[field] === undefined) continue;
+    const percent = p[field];
+    if (typeof percent !== "number" || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+      errors.push({ field: `privateLessonPolicy.${field}`, message: `${field} must be a number between 0 and 100` });
+    }
+  }
+  if (p["refundAs"] !== undefined && !["refund", "credit"].includes(p["refundAs"] as string)) {
+    errors.push({ field: "privateLessonPolicy.refundAs", message: "refundAs must be one of: refund, credit" });
+  }
+  if (p["requireInstructorApproval"] !== undefined && typeof p["requireInstructorApproval"] !== "boolean") {
+    errors.push({ field: "privateLessonPolicy.requireInstructorApproval", message: "requireInstructorApproval must be a boolean" });
+  }
+  return errors;
+}
+
 export function validateUpdateProfilePayload(payload: Record<string, unknown>): ValidationErrors {
   const errors: ValidationErrorList = [];
 
@@ -849,6 +991,10 @@ export function validateUpdateProfilePayload(payload: Record<string, unknown>):
     }
   }
 
+  if (payload["privateLessonPolicy"] !== undefined && payload["privateLessonPolicy"] !== null) {
+    errors.push(...validatePrivateLessonPolicy(payload["privateLessonPolicy"]));
+  }
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -920,6 +1066,10 @@ export function validateCreateWorkshopPayload(payload: Record<string, unknown>):
     errors.push({ field: "showSchedule", message: "showSchedule must be a boolean" });
   }
 
+  if (payload["allowResale"] !== undefined && typeof payload["allowResale"] !== "boolean") {
+    errors.push({ field: "allowResale", message: "allowResale must be a boolean" });
+  }
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -998,6 +1148,10 @@ export function validateUpdateWorkshopPayload(payload: Record<string, unknown>):
     errors.push({ field: "showSchedule", message: "showSchedule must be a boolean" });
   }
 
+  if (payload["allowResale"] !== undefined && typeof payload["allowResale"] !== "boolean") {
+    errors.push({ field: "allowResale", message: "allowResale must be a boolean" });
+  }
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -1071,6 +1225,10 @@ export function validateCreateEventPayload(payload: Record<string, unknown>): Va
     errors.push({ field: "showSchedule", message: "showSchedule must be a boolean" });
   }
 
+  if (payload["allowResale"] !== undefined && typeof payload["allowResale"] !== "boolean") {
+    errors.push({ field: "allowResale", message: "allowResale must be a boolean" });
+  }
+
   if (payload["enablePerformerRegistration"] !== undefined && typeof payload["enablePerformerRegistration"] !== "boolean") {
     errors.push({ field: "enablePerformerRegistration", message: "enablePerformerRegistration must be a boolean" });
   }
@@ -1167,6 +1325,10 @@ export function validateUpdateEventPayload(payload: Record<string, unknown>): Va
     errors.push({ field: "showSchedule", message: "showSchedule must be a boolean" });
   }
 
+  if (payload["allowResale"] !== undefined && typeof payload["allowResale"] !== "boolean") {
+    errors.push({ field: "allowResale", message: "allowResale must be a boolean" });
+  }
+
   if (payload["enablePerformerRegistration"] !== undefined && typeof payload["enablePerformerRegistration"] !== "boolean") {
     errors.push({ field: "enablePerformerRegistration", message: "enablePerformerRegistration must be a boolean" });
   }
@@ -1215,6 +1377,51 @@ function validateRecurringFields(payload: Record<string, unknown>, errors: Valid
   }
 }
 
+/**
+ * Membership packages grant class access instead of credits, so they must renew
+ * (each paid invoice starts a cycle) and capped plans need their per-cycle allowance.
+ */
+function validateMembershipFields(payload: Record<string, unknown>, errors: ValidationErrorList, isCreate: boolean): void {
+  if (payload["packageType"] !== undefined && payload["packageType"] !== null
+    && !["credits", "membership"].includes(payload["packageType"] as string)) {
+    errors.push({ field: "packageType", message: "Package type must be 'credits' or 'membership'" });
+    return;
+  }
+  if (payload["membershipAccess"] !== undefined && payload["membershipAccess"] !== null
+    && !["unlimited", "capped"].includes(payload["membershipAccess"] as string)) {
+    errors.push({ field: "membershipAccess", message: "Membership access must be 'unlimited' or 'capped'" });
+  }
+  if (payload["classesPerCycle"] !== undefined && payload["classesPerCycle"] !== null) {
+    if (typeof payload["classesPerCycle"] !== "number" || !Number.isInteger(payload["classesPerCycle"]) || (payload["classesPerCycle"] as number) < 1) {
+      errors.push({ field: "classesPerCycle", message: "Classes per cycle must be a positive whole number" });
+    }
+  }
+  if (payload["packageType"] !== "membership") return;
+
+  if (payload["isRecurring"] === false || (isCreate && payload["isRecurring"] !== true)) {
+    errors.push({ field: "isRecurring", message: "Memberships must be recurring" });
+  }
+  if (isCreate && (payload["membershipAccess"] === undefined || payload["membershipAccess"] === null)) {
+    errors.push({ field: "membershipAccess", message: "Membership access is required for memberships" });
+  }
+  if (payload["membershipAccess"] === "capped" && (payload["classesPerCycle"] === undefined || payload["classesPerCycle"] === null)) {
+    errors.push({ field: "classesPerCycle", message: "Classes per cycle is required for capped memberships" });
+  }
+}
+
+/** Subscription freeze settings: whether dancers may freeze themselves, and the fee charged for a freeze. */
+function validateFreezeFields(payload: Record<string, unknown>, errors: ValidationErrorList): void {
+  if (payload["allowStudentFreeze"] !== undefined && payload["allowStudentFreeze"] !== null
+    && typeof payload["allowStudentFreeze"] !== "boolean") {
+    errors.push({ field: "allowStudentFreeze", message: "Allow student freeze must be a boolean" });
+  }
+  if (payload["freezeFee"] !== undefined && payload["freezeFee"] !== null) {
+    if (typeof payload["freezeFee"] !== "number" || isNaN(payload["freezeFee"] as number) || (payload["freezeFee"] as number) < 0) {
+      errors.push({ field: "freezeFee", message: "Freeze fee must be a non-negative number" });
+    }
+  }
+}
+
 export function validateCreatePackagePayload(payload: Record<string, unknown>): ValidationErrors {
   const errors: ValidationErrorList = [];
 
@@ -1224,14 +1431,16 @@ export function validateCreatePackagePayload(payload: Record<string, unknown>):
   const priceV = validateCost(payload["price"]);
   if (!priceV.valid) errors.push({ field: "price", message: priceV.message ?? "" });
 
+  const isMembership = payload["packageType"] === "membership";
+
   if (payload["credits"] === undefined || payload["credits"] === null) {
-    errors.push({ field: "credits", message: "Credits are required" });
+    if (!isMembership) errors.push({ field: "credits", message: "Credits are required" });
   } else if (typeof payload["credits"] !== "number" || isNaN(payload["credits"] as number) || (payload["credits"] as number) < 1) {
     errors.push({ field: "credits", message: "Credits must be a positive number" });
   }
 
   if (payload["expirationDays"] === undefined || payload["expirationDays"] === null) {
-    errors.push({ field: "expirationDays", message: "Expiration days are required" });
+    if (!isMembership) errors.push({ field: "expirationDays", message: "Expiration days are required" });
   } else if (typeof payload["expirationDays"] !== "number" || isNaN(payload["expirationDays"] as number) || (payload["expirationDays"] as number) < 1) {
     errors.push({ field: "expirationDays", message: "Expiration days must be a positive number" });
   }
@@ -1325,6 +1534,9 @@ export function validateCreatePackagePayload(payload: Record<string, unknown>):
     }
   }
 
+  validateMembershipFields(payload, errors, true);
+  validateFreezeFields(payload, errors);
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -1365,6 +1577,8 @@ export function validateUpdatePackagePayload(payload: Record<string, unknown>):
       validateRecurringFields(payload, errors);
     }
   }
+  validateMembershipFields(payload, errors, false);
+  validateFreezeFields(payload, errors);
   if (payload["description"] !== undefined && payload["description"] !== null) {
     if (typeof payload["description"] !== "string") {
       errors.push({ field: "description", message: "Description must be a string" });
@@ -1374,6 +1588,17 @@ export function validateUpdatePackagePayload(payload: Record<string, unknown>):
   return { valid: errors.length === 0, errors };
 }
 
+/**
+ * The membership rules checked against a package as it will be saved, i.e. the
+ * stored package with an update merged in. A partial update alone can't tell
+ * whether the result is a complete membership.
+ */
+export function validateUpdatedPackage(merged: Record<string, unknown>): ValidationErrors {
+  const errors: ValidationErrorList = [];
+  validateMembershipFields(merged, errors, true);
+  return { valid: errors.length === 0, errors };
+}
+
 // ─── Student ──────────────────────────────────────────────────────────────────
 
 export function validateCreateStudentPayload(payload: Record<string, unknown>): ValidationErrors {
@@ -0,0 +1,87 @@
+import { describe, expect, it, jest } from "@jest/globals";
+import * as admin from "firebase-admin";
+import { mockDb } from "./helpers/fake-firestore";
+import attendanceService from "../src/services/attendance.service";
+
+jest.mock("../src/services/stripe.service", () => ({}));
+
+const CLASS_DAY = "2026-11-04";
+
+function seedStudent(creditEntries = 1): void {
+  mockDb.seed("students/s1", { studioOwnerId: "studio1", authUid: "uid1", firstName: "Sam" });
+  mockDb.seed("classes/c1", { studioOwnerId: "studio1", name: "Ballet", dayOfWeek: "Wednesday", startTime: "18:00", isActive: true });
+  mockDb.seed("students/s1/credits/cr1", {
+    studioOwnerId: "studio1", classId: null, credits: creditEntries,
+    purchaseDate: admin.firestore.Timestamp.fromDate(new Date("2026-10-01T00:00:00.000Z")),
+    expirationDate: admin.firestore.Timestamp.fromDate(new Date("2027-10-01T00:00:00.000Z")),
+  });
+}
+
+function checkIn(idempotencyKey?: string): Promise<string> {
+  return attendanceService.createAttendanceRecord({
+    studentId: "s1", classId: "c1", classInstanceDate: `${CLASS_DAY}T18:00:00.000Z`, checkedInBy: "studio", idempotencyKey,
+  }, "studio1");
+}
+
+function docsIn(prefix: string): Record<string, unknown>[] {
+  return [...mockDb.store.keys()]
+    .filter((path) => path.startsWith(prefix) && !path.slice(prefix.length).includes("/"))
+    .map((path) => mockDb.data(path) as Record<string, unknown>);
+}
+
+describe("AttendanceService.createAttendanceRecord", () => {
+  it("spends one credit and writes the attendance and its check-in key together", async () => {
+    seedStudent(3);
+
+    const attendanceId = await checkIn();
+
+    expect(mockDb.data(`attendance/${attendanceId}`)).toMatchObject({ studentId: "s1", classId: "c1", creditUsedId: "cr1" });
+    expect(mockDb.data("students/s1/credits/cr1")?.["credits"]).toBe(2);
+    expect(docsIn("attendanceCheckInKeys/")).toEqual([expect.objectContaining({ attendanceId })]);
+  });
+
+  it("charges only one of two devices checking the same student in at once", async () => {
+    seedStudent(3);
+
+    const results = await Promise.allSettled([checkIn(), checkIn()]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(["fulfilled", "rejected"]);
+    expect((results.find((result) => result.status === "rejected") as PromiseRejectedResult).reason.message)
+      .toContain("already checked in");
+    expect(mockDb.data("students/s1/credits/cr1")?.["credits"]).toBe(2);
+    expect(docsIn("attendance/")).toHaveLength(1);
+  });
+
+  it("returns the original record for a retried request instead of charging again", async () => {
+    seedStudent(3);
+
+    const first = await checkIn("req-1");
+    const retried = await checkIn("req-1");
+
+    expect(retried).toBe(first);
+    expect(mockDb.data("students/s1/credits/cr1")?.["credits"]).toBe(2);
+  });
+
+  it("writes nothing when the student has no credit to spend", async () => {
+    seedStudent(0);
+
+    await expect(checkIn()).rejects.toThrow("Insufficient credits");
+
+    expect(docsIn("attendance/")).toEqual([]);
+    expect(docsIn("attendanceCheckInKeys/")).toEqual([]);
+  });
+
+  it("counts the visit against a covering membership before any credits", async () => {
+    seedStudent(3);
+    mockDb.seed("studentMemberships/m1", {
+      studentId: "s1", studioOwnerId: "studio1", status: "active", access: "unlimited", classIds: [],
+      cycleNumber: 2, classesUsedThisCycle: 0, classesPerCycle: null,
+    });
+
+    const attendanceId = await checkIn();
+
+    expect(mockDb.data(`attendance/${attendanceId}`)).toMatchObject({ membershipId: "m1", membershipCycle: 2, creditUsedId: null });
+    expect(mockDb.data("studentMemberships/m1")?.["classesUsedThisCycle"]).toBe(1);
+    expect(mockDb.data("students/s1/credits/cr1")?.["credits"]).toBe(3);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, expect, it, jest } from "@jest/globals";
+import * as crypto from "crypto";
+import { mockDb } from "./helpers/fake-firestore";
+import eventTicketsService from "../src/services/event-tickets.service";
+
+const mockSigningKey = crypto.generateKeyPairSync("ed25519").privateKey.export({ type: "pkcs8", format: "pem" }) as string;
+
+jest.mock("../src/utils/secret-manager", () => ({ getSecret: jest.fn(async () => mockSigningKey) }));
+
+function seedPurchase(): void {
+  mockDb.seed("events/event1", { studioOwnerId: "studio1", startTime: new Date(Date.now() + 86400000).toISOString() });
+  mockDb.seed("purchases/p1", {
+    authUid: "buyer", studentId: "s1", studioOwnerId: "studio1", purchaseType: "event", itemId: "event1",
+    itemName: "Spring Showcase", status: "completed", guestEmail: "buyer@example.com",
+  });
+}
+
+function claimsOf(token: string): Record<string, unknown> {
+  return JSON.parse(Buffer.from(token.split(".")[2] as string, "base64url").toString("utf8"));
+}
+
+describe("EventTicketsService revisions", () => {
+  it("keeps turning away a QR code after its ticket is reassigned and then given back", async () => {
+    seedPurchase();
+    const [original] = await eventTicketsService.issueTickets(await mockDb.doc("purchases/p1").get() as never);
+
+    await eventTicketsService.updateAttendee(original!.id, "buyer", { name: "Alex Friend" });
+    const restored = await eventTicketsService.updateAttendee(original!.id, "buyer", null);
+
+    expect(restored.qr).not.toBe(original!.qr);
+    expect(await eventTicketsService.scan("studio1", original!.qr, "door")).toMatchObject({ admitted: false, reason: "superseded" });
+    expect(await eventTicketsService.scan("studio1", restored.qr, "door")).toMatchObject({ admitted: true });
+  });
+
+  it("lists each ticket's revision in the manifest to match the rev its current QR code carries", async () => {
+    seedPurchase();
+    const [ticket] = await eventTicketsService.issueTickets(await mockDb.doc("purchases/p1").get() as never);
+    const updated = await eventTicketsService.updateAttendee(ticket!.id, "buyer", { name: "Alex Friend" });
+
+    const [listed] = await eventTicketsService.getManifest("studio1", "event", "event1");
+
+    expect(claimsOf(ticket!.qr)["rev"]).toBe(0);
+    expect(claimsOf(updated.qr)["rev"]).toBe(1);
+    expect(listed).toMatchObject({ id: ticket!.id, revision: 1 });
+  });
+});
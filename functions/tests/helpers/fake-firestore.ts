@@ -0,0 +1,331 @@
+import * as admin from "firebase-admin";
+
+/**
+ * In-memory stand-in for the slice of the Firestore API the services use:
+ * documents, queries, transactions and batches, with FieldValue transforms
+ * applied the way the server would. Transactions run one at a time.
+ */
+
+type Data = Record<string, unknown>;
+type Op = "==" | "!=" | "<" | "<=" | ">" | ">=" | "in" | "not-in" | "array-contains" | "array-contains-any";
+
+function clone<T>(value: T): T {
+  if (value instanceof admin.firestore.Timestamp || value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(clone) as unknown as T;
+  if (value && typeof value === "object") {
+    const out: Data = {};
+    for (const [key, inner] of Object.entries(value as Data)) out[key] = clone(inner);
+    return out as T;
+  }
+  return value;
+}
+
+function sentinel(value: unknown): string | null {
+  const name = (value as { methodName?: unknown } | null)?.methodName;
+  return typeof name === "string" && name.startsWith("FieldValue.") ? name : null;
+}
+
+function comparable(value: unknown): unknown {
+  if (value instanceof admin.firestore.Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function equal(a: unknown, b: unknown): boolean {
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+}
+
+function compare(a: unknown, b: unknown): number {
+  const x = comparable(a) as number | string;
+  const y = comparable(b) as number | string;
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+function fieldName(field: unknown): string {
+  if (typeof field === "string") return field;
+  const segments = (field as { _segments?: string[]; segments?: string[] })._segments ??
+    (field as { segments?: string[] }).segments;
+  return segments ? segments.join(".") : String(field);
+}
+
+function readPath(data: Data, path: string): unknown {
+  return path.split(".").reduce<unknown>((node, key) => (node && typeof node === "object" ? (node as Data)[key] : undefined), data);
+}
+
+function applyValue(current: unknown, value: unknown): unknown {
+  switch (sentinel(value)) {
+    case "FieldValue.serverTimestamp": return admin.firestore.Timestamp.now();
+    case "FieldValue.increment": return (Number(current) || 0) + (value as { operand: number }).operand;
+    case "FieldValue.arrayUnion": {
+      const items = Array.isArray(current) ? [...current] : [];
+      for (const el of (value as unknown as { elements: unknown[] }).elements) {
+        if (!items.some((item) => equal(item, el))) items.push(clone(el));
+      }
+      return items;
+    }
+    case "FieldValue.arrayRemove": {
+      const removed = (value as unknown as { elements: unknown[] }).elements;
+      return (Array.isArray(current) ? current : []).filter((item) => !removed.some((el) => equal(item, el)));
+    }
+    default: {
+      if (value && typeof value === "object" && !(value instanceof admin.firestore.Timestamp) &&
+        !(value instanceof Date) && !Array.isArray(value)) {
+        const out: Data = {};
+        for (const [key, inner] of Object.entries(value as Data)) {
+          if (sentinel(inner) === "FieldValue.delete") continue;
+          out[key] = applyValue(undefined, inner);
+        }
+        return out;
+      }
+      return clone(value);
+    }
+  }
+}
+
+function writePath(data: Data, path: string, value: unknown): void {
+  const keys = path.split(".");
+  let node = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!node[key] || typeof node[key] !== "object") node[key] = {};
+    node = node[key] as Data;
+  }
+  const last = keys[keys.length - 1]!;
+  if (sentinel(value) === "FieldValue.delete") delete node[last];
+  else node[last] = applyValue(node[last], value);
+}
+
+function merge(target: Data, source: Data): Data {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === "object" && !Array.isArray(value) && !sentinel(value) &&
+      !(value instanceof admin.firestore.Timestamp) && !(value instanceof Date) &&
+      target[key] && typeof target[key] === "object" && !Array.isArray(target[key])) {
+      merge(target[key] as Data, value as Data);
+    } else {
+      writePath(target, key, value);
+    }
+  }
+  return target;
+}
+
+let autoId = 0;
+
+export class FakeSnapshot {
+  constructor(readonly ref: FakeDocRef, private readonly stored: Data | undefined) {}
+  get id(): string { return this.ref.id; }
+  get exists(): boolean { return this.stored !== undefined; }
+  data(): Data | undefined { return this.stored === undefined ? undefined : clone(this.stored); }
+  get(field: string): unknown { return this.stored === undefined ? undefined : clone(readPath(this.stored, field)); }
+}
+
+export class FakeQuerySnapshot {
+  constructor(readonly docs: FakeSnapshot[]) {}
+  get empty(): boolean { return this.docs.length === 0; }
+  get size(): number { return this.docs.length; }
+  forEach(fn: (doc: FakeSnapshot) => void): void { this.docs.forEach(fn); }
+}
+
+export class FakeQuery {
+  constructor(
+    protected readonly db: FakeFirestore,
+    readonly path: string,
+    private readonly filters: Array<{ field: string; op: Op; value: unknown }> = [],
+    private readonly orders: Array<{ field: string; dir: "asc" | "desc" }> = [],
+    private readonly max: number | null = null,
+    private readonly group = false,
+  ) {}
+
+  where(field: unknown, op: Op, value: unknown): FakeQuery {
+    return new FakeQuery(this.db, this.path, [...this.filters, { field: fieldName(field), op, value }], this.orders, this.max, this.group);
+  }
+
+  orderBy(field: unknown, dir: "asc" | "desc" = "asc"): FakeQuery {
+    return new FakeQuery(this.db, this.path, this.filters, [...this.orders, { field: fieldName(field), dir }], this.max, this.group);
+  }
+
+  limit(max: number): FakeQuery {
+    return new FakeQuery(this.db, this.path, this.filters, this.orders, max, this.group);
+  }
+
+  async get(): Promise<FakeQuerySnapshot> {
+    this.db.reads.push(this.path);
+    return this.run();
+  }
+
+  run(): FakeQuerySnapshot {
+    let docs = this.db.docsIn(this.path, this.group).filter(({ id, data }) => this.filters.every(({ field, op, value }) => {
+      const actual = field === "__name__" ? id : readPath(data, field);
+      switch (op) {
+        case "==": return equal(actual, value);
+        case "!=": return actual !== undefined && !equal(actual, value);
+        case "<": return actual !== undefined && compare(actual, value) < 0;
+        case "<=": return actual !== undefined && compare(actual, value) <= 0;
+        case ">": return actual !== undefined && compare(actual, value) > 0;
+        case ">=": return actual !== undefined && compare(actual, value) >= 0;
+        case "in": return (value as unknown[]).some((v) => equal(actual, v));
+        case "not-in": return actual !== undefined && !(value as unknown[]).some((v) => equal(actual, v));
+        case "array-contains": return Array.isArray(actual) && actual.some((v) => equal(v, value));
+        case "array-contains-any":
+          return Array.isArray(actual) && actual.some((v) => (value as unknown[]).some((w) => equal(v, w)));
+      }
+      return false;
+    }));
+    for (const { field, dir } of [...this.orders].reverse()) {
+      docs = docs.filter(({ data }) => readPath(data, field) !== undefined)
+        .sort((a, b) => compare(readPath(a.data, field), readPath(b.data, field)) * (dir === "desc" ? -1 : 1));
+    }
+    if (this.max !== null) docs = docs.slice(0, this.max);
+    return new FakeQuerySnapshot(docs.map(({ path, data }) => new FakeSnapshot(this.db.doc(path), data)));
+  }
+}
+
+export class FakeCollectionRef extends FakeQuery {
+  get id(): string { return this.path.split("/").pop()!; }
+
+  doc(id?: string): FakeDocRef {
+    return new FakeDocRef(this.db, `${this.path}/${id ?? `auto${++autoId}`}`);
+  }
+
+  async add(data: Data): Promise<FakeDocRef> {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+export class FakeDocRef {
+  constructor(private readonly db: FakeFirestore, readonly path: string) {}
+  get id(): string { return this.path.split("/").pop()!; }
+  get parent(): FakeCollectionRef { return this.db.collection(this.path.split("/").slice(0, -1).join("/")); }
+  collection(name: string): FakeCollectionRef { return this.db.collection(`${this.path}/${name}`); }
+
+  async get(): Promise<FakeSnapshot> {
+    this.db.reads.push(this.path);
+    return this.snapshot();
+  }
+
+  snapshot(): FakeSnapshot { return new FakeSnapshot(this, this.db.store.get(this.path)); }
+
+  async set(data: Data, options?: { merge?: boolean }): Promise<void> { this.db.write(this.path, "set", data, options); }
+  async create(data: Data): Promise<void> { this.db.write(this.path, "create", data); }
+  async update(data: Data): Promise<void> { this.db.write(this.path, "update", data); }
+  async delete(): Promise<void> { this.db.write(this.path, "delete"); }
+}
+
+type Write = () => void;
+
+export class FakeTransaction {
+  readonly writes: Write[] = [];
+  constructor(private readonly db: FakeFirestore) {}
+
+  async get(target: FakeDocRef | FakeQuery): Promise<FakeSnapshot | FakeQuerySnapshot> {
+    if (this.writes.length) throw new Error("Firestore transactions require all reads to be executed before all writes.");
+    return target instanceof FakeDocRef ? target.snapshot() : target.run();
+  }
+
+  async getAll(...refs: FakeDocRef[]): Promise<FakeSnapshot[]> {
+    if (this.writes.length) throw new Error("Firestore transactions require all reads to be executed before all writes.");
+    return refs.map((ref) => ref.snapshot());
+  }
+
+  set(ref: FakeDocRef, data: Data, options?: { merge?: boolean }): this {
+    this.writes.push(() => this.db.write(ref.path, "set", data, options));
+    return this;
+  }
+
+  create(ref: FakeDocRef, data: Data): this {
+    this.writes.push(() => this.db.write(ref.path, "create", data));
+    return this;
+  }
+
+  update(ref: FakeDocRef, data: Data): this {
+    this.writes.push(() => this.db.write(ref.path, "update", data));
+    return this;
+  }
+
+  delete(ref: FakeDocRef): this {
+    this.writes.push(() => this.db.write(ref.path, "delete"));
+    return this;
+  }
+}
+
+export class FakeBatch extends FakeTransaction {
+  async commit(): Promise<void> {
+    for (const write of this.writes) write();
+  }
+}
+
+export class FakeFirestore {
+  readonly store = new Map<string, Data>();
+  /** Every document and query path read, in order — for asserting how much a call reads. */
+  readonly reads: string[] = [];
+  private queue: Promise<unknown> = Promise.resolve();
+
+  collection(path: string): FakeCollectionRef { return new FakeCollectionRef(this, path); }
+  collectionGroup(id: string): FakeQuery { return new FakeQuery(this, id, [], [], null, true); }
+  doc(path: string): FakeDocRef { return new FakeDocRef(this, path); }
+  batch(): FakeBatch { return new FakeBatch(this); }
+
+  async getAll(...refs: FakeDocRef[]): Promise<FakeSnapshot[]> {
+    refs.forEach((ref) => this.reads.push(ref.path));
+    return refs.map((ref) => ref.snapshot());
+  }
+
+  runTransaction<T>(fn: (tx: FakeTransaction) => Promise<T>): Promise<T> {
+    const run = this.queue.then(async () => {
+      const tx = new FakeTransaction(this);
+      const result = await fn(tx);
+      for (const write of tx.writes) write();
+      return result;
+    });
+    this.queue = run.catch(() => undefined);
+    return run;
+  }
+
+  /** Seeds a document as stored, without applying transforms. */
+  seed(path: string, data: Data): void { this.store.set(path, clone(data)); }
+
+  /** The stored data at `path`, or undefined. */
+  data(path: string): Data | undefined {
+    const stored = this.store.get(path);
+    return stored === undefined ? undefined : clone(stored);
+  }
+
+  docsIn(path: string, group = false): Array<{ id: string; path: string; data: Data }> {
+    const depth = path.split("/").length + 1;
+    return [...this.store.entries()]
+      .filter(([docPath]) => {
+        const parts = docPath.split("/");
+        return group ? parts[parts.length - 2] === path : docPath.startsWith(`${path}/`) && parts.length === depth;
+      })
+      .map(([docPath, data]) => ({ id: docPath.split("/").pop()!, path: docPath, data }));
+  }
+
+  write(path: string, kind: "set" | "create" | "update" | "delete", data: Data = {}, options?: { merge?: boolean }): void {
+    const existing = this.store.get(path);
+    if (kind === "delete") { this.store.delete(path); return; }
+    if (kind === "create" && existing) throw Object.assign(new Error(`ALREADY_EXISTS: ${path}`), { code: 6 });
+    if (kind === "update" && !existing) throw Object.assign(new Error(`NOT_FOUND: ${path}`), { code: 5 });
+    if (kind === "update") {
+      const next = clone(existing!);
+      for (const [key, value] of Object.entries(data)) writePath(next, key, value);
+      this.store.set(path, next);
+      return;
+    }
+    if (kind === "set" && options?.merge && existing) {
+      this.store.set(path, merge(clone(existing), data));
+      return;
+    }
+    this.store.set(path, applyValue(undefined, data) as Data);
+  }
+}
+
+/** The database every TypeScript test's services see; tests/helpers/setup.ts wires it in and clears it. */
+export const mockDb = new FakeFirestore();
+
+/** A Timestamp `minutes` from now; negative for the past. */
+export function minutesFromNow(minutes: number): admin.firestore.Timestamp {
+  return admin.firestore.Timestamp.fromMillis(Date.now() + minutes * 60000);
+}
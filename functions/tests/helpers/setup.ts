@@ -0,0 +1,23 @@
+import { beforeEach, jest } from "@jest/globals";
+import { mockDb } from "./fake-firestore";
+
+/**
+ * Runs before every TypeScript test file: services read and write `mockDb`,
+ * and notifications and pushes are recorded rather than sent.
+ */
+
+jest.mock("../../src/utils/firestore", () => ({ getFirestore: () => mockDb }));
+jest.mock("../../src/services/notifications.service", () => ({
+  __esModule: true,
+  default: { createNotification: jest.fn(async () => undefined) },
+}));
+jest.mock("../../src/utils/push-notifications", () => ({
+  sendStudentPush: jest.fn(async () => undefined),
+  notifyAppUser: jest.fn(async () => undefined),
+  notifyInstructor: jest.fn(async () => undefined),
+}));
+
+beforeEach(() => {
+  mockDb.store.clear();
+  jest.clearAllMocks();
+});
@@ -0,0 +1,152 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockDb } from "./helpers/fake-firestore";
+import * as stripeService from "../src/services/stripe.service";
+import notificationsService from "../src/services/notifications.service";
+import instructorPayoutsService, { MAX_TRANSFER_ATTEMPTS, PayoutSplit } from "../src/services/instructor-payouts.service";
+
+jest.mock("../src/services/stripe.service", () => ({
+  platformFeeCents: (amountCents: number) => Math.round(amountCents * 0.0075),
+  retrievePaymentIntent: jest.fn(),
+  createTransfer: jest.fn(),
+  reverseTransfer: jest.fn(),
+}));
+
+const stripe = jest.mocked(stripeService);
+const notifications = jest.mocked(notificationsService);
+
+function seedInstructor(overrides: Record<string, unknown> = {}): void {
+  mockDb.seed("instructors/i1", {
+    name: "Ines", stripeConnectAccountId: "acct_instructor", stripeConnectStatus: "active",
+    payRates: { payPrivatesByTransfer: true, privateLessonPercent: 60 },
+    ...overrides,
+  });
+}
+
+async function seedSplitBooking(split: Partial<PayoutSplit> = {}, booking: Record<string, unknown> = {}): Promise<PayoutSplit> {
+  seedInstructor();
+  const planned = await instructorPayoutsService.planSplit("i1", "acct_studio", 10000) as PayoutSplit;
+  mockDb.seed("privateLessonBookings/b1", {
+    instructorId: "i1", studioId: "studio1", date: "2026-11-02", status: "confirmed",
+    stripePaymentIntentId: "pi_1", payoutSplit: { ...planned, ...split }, ...booking,
+  });
+  return planned;
+}
+
+describe("InstructorPayoutsService", () => {
+  beforeEach(() => {
+    stripe.retrievePaymentIntent.mockResolvedValue({ id: "pi_1", latest_charge: "ch_1" } as never);
+  });
+
+  describe("planSplit", () => {
+    it("gives the instructor their percentage and the studio the rest after the platform fee", async () => {
+      seedInstructor();
+
+      const split = await instructorPayoutsService.planSplit("i1", "acct_studio", 10000);
+
+      expect(split).toMatchObject({
+        instructorAccountId: "acct_instructor", platformFeeCents: 75, instructorAmountCents: 6000, studioAmountCents: 3925,
+        status: "planned",
+      });
+    });
+
+    it("doesn't split for an instructor whose Connect account isn't active", async () => {
+      seedInstructor({ stripeConnectStatus: "pending" });
+
+      expect(await instructorPayoutsService.planSplit("i1", "acct_studio", 10000)).toBeNull();
+    });
+  });
+
+  describe("distribute", () => {
+    it("sends both shares from the lesson's charge", async () => {
+      await seedSplitBooking();
+      stripe.createTransfer
+        .mockResolvedValueOnce({ id: "tr_instructor" } as never)
+        .mockResolvedValueOnce({ id: "tr_studio" } as never);
+
+      await instructorPayoutsService.distribute("b1");
+
+      expect(stripe.createTransfer).toHaveBeenCalledWith(
+        6000, "acct_instructor", expect.objectContaining({ sourceTransaction: "ch_1" }), "split_instructor_b1",
+      );
+      expect(mockDb.data("privateLessonBookings/b1")?.["payoutSplit"]).toMatchObject({
+        status: "transferred", instructorTransferId: "tr_instructor", studioTransferId: "tr_studio", error: null,
+      });
+    });
+
+    it("records a failure for retry and only resends the share that didn't go out", async () => {
+      await seedSplitBooking();
+      stripe.createTransfer
+        .mockResolvedValueOnce({ id: "tr_instructor" } as never)
+        .mockRejectedValueOnce(new Error("Insufficient funds"));
+
+      await instructorPayoutsService.distribute("b1");
+
+      expect(mockDb.data("privateLessonBookings/b1")?.["payoutSplit"]).toMatchObject({
+        status: "failed", error: "Insufficient funds", attempts: 1, instructorTransferId: "tr_instructor", studioTransferId: null,
+      });
+      expect(notifications.createNotification).toHaveBeenCalledTimes(1);
+
+      stripe.createTransfer.mockClear();
+      stripe.createTransfer.mockResolvedValueOnce({ id: "tr_studio" } as never);
+      expect(await instructorPayoutsService.retryFailed()).toBe(1);
+
+      expect(stripe.createTransfer).toHaveBeenCalledTimes(1);
+      expect(stripe.createTransfer).toHaveBeenCalledWith(3925, "acct_studio", expect.anything(), "split_studio_b1");
+      expect(mockDb.data("privateLessonBookings/b1")?.["payoutSplit"]).toMatchObject({
+        status: "transferred", instructorTransferId: "tr_instructor", studioTransferId: "tr_studio",
+      });
+    });
+  });
+
+  describe("retryFailed", () => {
+    it("stops retrying once the attempts run out", async () => {
+      await seedSplitBooking({ status: "failed", attempts: MAX_TRANSFER_ATTEMPTS });
+
+      expect(await instructorPayoutsService.retryFailed()).toBe(0);
+      expect(stripe.createTransfer).not.toHaveBeenCalled();
+    });
+
+    it("tells the studio when the last attempt fails", async () => {
+      await seedSplitBooking({ status: "failed", attempts: MAX_TRANSFER_ATTEMPTS - 1 });
+      stripe.createTransfer.mockRejectedValue(new Error("Account restricted"));
+
+      await instructorPayoutsService.retryFailed();
+
+      expect(mockDb.data("privateLessonBookings/b1")?.["payoutSplit"]).toMatchObject({ attempts: MAX_TRANSFER_ATTEMPTS });
+      expect(notifications.createNotification).toHaveBeenCalledWith(
+        "studio1", "b1", "instructor_payout_failed", "Instructor Payout Failed", expect.stringContaining("Please contact support"),
+      );
+      expect(await instructorPayoutsService.retryFailed()).toBe(0);
+    });
+
+    it("doesn't pay out a lesson that has since been refunded", async () => {
+      await seedSplitBooking({ status: "failed", attempts: 1 }, { status: "cancelled", refundedAmount: 100 });
+
+      expect(await instructorPayoutsService.retryFailed()).toBe(0);
+    });
+  });
+
+  it("reverses a partial refund from the instructor in proportion and from the studio for the rest", async () => {
+    await seedSplitBooking({ status: "transferred", instructorTransferId: "tr_instructor", studioTransferId: "tr_studio" });
+
+    await instructorPayoutsService.reverseForRefund("b1", 5000, "re_1");
+
+    expect(stripe.reverseTransfer).toHaveBeenCalledWith("tr_instructor", 3000, expect.anything(), "split_reversal_re_1_instructor");
+    expect(stripe.reverseTransfer).toHaveBeenCalledWith("tr_studio", 2000, expect.anything(), "split_reversal_re_1_studio");
+    expect(mockDb.data("privateLessonBookings/b1")?.["payoutSplit"]).toMatchObject({
+      instructorReversedCents: 3000, studioReversedCents: 2000,
+    });
+  });
+
+  it("reverses the instructor's transfer on a split whose studio transfer failed", async () => {
+    await seedSplitBooking({ status: "failed", instructorTransferId: "tr_instructor", studioTransferId: null, attempts: 1 });
+
+    await instructorPayoutsService.reverseForRefund("b1", 10000, "re_2");
+
+    expect(stripe.reverseTransfer).toHaveBeenCalledTimes(1);
+    expect(stripe.reverseTransfer).toHaveBeenCalledWith("tr_instructor", 6000, expect.anything(), "split_reversal_re_2_instructor");
+    expect(mockDb.data("privateLessonBookings/b1")?.["payoutSplit"]).toMatchObject({
+      instructorReversedCents: 6000, studioReversedCents: 0,
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { mockDb } from "./helpers/fake-firestore";
+import * as stripeService from "../src/services/stripe.service";
+import creditTrackingService from "../src/services/credit-tracking.service";
+import tierInventoryService from "../src/services/tier-inventory.service";
+import refundService from "../src/services/refund.service";
+
+jest.mock("../src/services/stripe.service", () => ({ createRefund: jest.fn() }));
+jest.mock("../src/services/credit-tracking.service", () => ({
+  __esModule: true,
+  default: {
+    getUnusedPurchaseCredits: jest.fn(),
+    removePurchaseCredits: jest.fn(async (_studentId: string, _studioOwnerId: string, _ids: string[], credits: number) => credits),
+  },
+}));
+jest.mock("../src/services/tier-inventory.service", () => ({
+  __esModule: true,
+  default: { returnStock: jest.fn(async () => undefined) },
+}));
+
+const stripe = jest.mocked(stripeService);
+const credits = jest.mocked(creditTrackingService);
+const tierInventory = jest.mocked(tierInventoryService);
+
+function seedCardPurchase(overrides: Record<string, unknown> = {}): void {
+  mockDb.seed("purchases/p1", {
+    studioOwnerId: "studio1", studentId: "s1", status: "completed", price: 100,
+    stripePaymentIntentId: "pi_1", stripeConnectedAccountId: "acct_studio",
+    creditsGranted: 10, creditIds: ["c1"],
+    ...overrides,
+  });
+}
+
+describe("RefundService", () => {
+  beforeEach(() => {
+    credits.getUnusedPurchaseCredits.mockResolvedValue(4);
+    stripe.createRefund.mockResolvedValue({ id: "re_1" } as never);
+  });
+
+  it("refunds the unused part of a class pack pro rata and keeps the purchase valid", async () => {
+    seedCardPurchase();
+
+    const { refund, summary } = await refundService.refundPurchase("p1", "studio1", "owner1", { mode: "unused_credits" });
+
+    expect(stripe.createRefund).toHaveBeenCalledWith(
+      "pi_1", "", "acct_studio", { amount: 4000, metadata: { purchaseId: "p1", refundId: refund.id } },
+    );
+    expect(credits.removePurchaseCredits).toHaveBeenCalledWith("s1", "studio1", ["c1"], 4, expect.anything());
+    expect(refund).toMatchObject({ amount: 40, credits: 4, status: "succeeded", stripeRefundId: "re_1" });
+    expect(summary).toMatchObject({ refundedAmount: 40, refundableAmount: 60, refundStatus: "partial" });
+    expect(mockDb.data("purchases/p1")?.["status"]).toBe("completed");
+  });
+
+  it("records a cash refund without going through Stripe", async () => {
+    mockDb.seed("cashPurchases/p1", { studioOwnerId: "studio1", studentId: "s1", status: "completed", amount: 50 });
+
+    const { refund, summary } = await refundService.refundPurchase("p1", "studio1", "owner1", { mode: "amount", amount: 20 });
+
+    expect(stripe.createRefund).not.toHaveBeenCalled();
+    expect(refund).toMatchObject({ method: "cash", amount: 20, status: "succeeded" });
+    expect(summary).toMatchObject({ collection: "cashPurchases", refundedAmount: 20, refundableAmount: 30 });
+  });
+
+  it("won't refund more than is left on the purchase", async () => {
+    seedCardPurchase({ refundedAmount: 90 });
+
+    await expect(refundService.refundPurchase("p1", "studio1", "owner1", { mode: "amount", amount: 20 }))
+      .rejects.toThrow("exceeds the refundable amount of 10.00");
+    expect(stripe.createRefund).not.toHaveBeenCalled();
+  });
+
+  it("gives the reserved amount back when Stripe rejects the refund", async () => {
+    seedCardPurchase();
+    stripe.createRefund.mockRejectedValueOnce(new Error("Charge already refunded"));
+
+    await expect(refundService.refundPurchase("p1", "studio1", "owner1", { mode: "amount", amount: 30 }))
+      .rejects.toThrow("Charge already refunded");
+
+    expect(mockDb.data("purchases/p1")).toMatchObject({ refundedAmount: 0, refunds: [] });
+    expect(credits.removePurchaseCredits).not.toHaveBeenCalled();
+  });
+
+  it("marks a fully refunded purchase refunded and puts its ticket back on sale", async () => {
+    seedCardPurchase({ creditsGranted: 0, creditIds: [], metadata: { tierReservationId: "r1" } });
+    credits.getUnusedPurchaseCredits.mockResolvedValue(0);
+
+    const { summary } = await refundService.refundPurchase("p1", "studio1", "owner1", { mode: "full" });
+
+    expect(summary).toMatchObject({ refundedAmount: 100, refundableAmount: 0, refundStatus: "full" });
+    expect(mockDb.data("purchases/p1")?.["status"]).toBe("refunded");
+    expect(tierInventory.returnStock).toHaveBeenCalledWith("r1");
+  });
+
+  it("doesn't record a refund twice when Stripe reports one issued from DanceUp", async () => {
+    seedCardPurchase();
+    await refundService.refundPurchase("p1", "studio1", "owner1", { mode: "amount", amount: 25 });
+
+    expect(await refundService.syncStripeRefund("pi_1", 2500, "re_1")).toBeNull();
+    expect(mockDb.data("purchases/p1")?.["refunds"]).toHaveLength(1);
+  });
+
+  it("flags a refund Stripe made but we failed to record, and finishes it from the webhook", async () => {
+    seedCardPurchase();
+    credits.removePurchaseCredits.mockRejectedValueOnce(new Error("deadline exceeded"));
+
+    await expect(refundService.refundPurchase("p1", "studio1", "owner1", { mode: "unused_credits" }))
+      .rejects.toThrow("deadline exceeded");
+    expect(mockDb.data("purchases/p1")?.["refunds"]).toEqual([
+      expect.objectContaining({ status: "needs_reconcile", stripeRefundId: "re_1", credits: 4 }),
+    ]);
+
+    const synced = await refundService.syncStripeRefund("pi_1", 4000, "re_1");
+
+    expect(synced).toMatchObject({ amount: 40, credits: 4 });
+    expect(mockDb.data("purchases/p1")).toMatchObject({
+      refundedAmount: 40, refundedCredits: 4, refunds: [expect.objectContaining({ status: "succeeded", credits: 4 })],
+    });
+  });
+
+  it("takes credits back in proportion for a refund made in the Stripe dashboard", async () => {
+    seedCardPurchase();
+
+    const synced = await refundService.syncStripeRefund("pi_1", 3000, "re_dash");
+
+    expect(synced).toMatchObject({ purchaseId: "p1", amount: 30, credits: 3, fullyRefunded: false });
+    expect(mockDb.data("purchases/p1")).toMatchObject({ refundedAmount: 30, refundedCredits: 3, refundStatus: "partial" });
+  });
+});
@@ -0,0 +1,167 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from "@jest/globals";
+import * as admin from "firebase-admin";
+import { mockDb } from "./helpers/fake-firestore";
+import * as stripeService from "../src/services/stripe.service";
+import subscriptionFreezesService, { FreezeRequester } from "../src/services/subscription-freezes.service";
+
+jest.mock("../src/services/stripe.service", () => ({
+  retrieveConnectedSubscription: jest.fn(),
+  chargePaymentMethodDirectly: jest.fn(),
+  pauseConnectedSubscription: jest.fn(),
+  resumeConnectedSubscription: jest.fn(),
+}));
+jest.mock("../src/services/credit-tracking.service", () => ({
+  __esModule: true,
+  default: {
+    getActiveCreditEntriesForStudent: jest.fn(async () => []),
+    extendCreditExpiration: jest.fn(),
+  },
+}));
+jest.mock("../src/services/memberships.service", () => ({
+  __esModule: true,
+  default: { updateStatus: jest.fn(async () => undefined) },
+}));
+
+const stripe = jest.mocked(stripeService);
+const studio: FreezeRequester = { type: "studio", id: "owner1", studioOwnerId: "owner1" };
+// Auckland is UTC+13 in November: 20:00 UTC on Nov 2 is already Nov 3 at the studio.
+const NOW = new Date("2026-11-02T20:00:00.000Z");
+const AUCKLAND = { lat: -36.85, lng: 174.76 };
+
+function seedSubscription(studioData: Record<string, unknown> = AUCKLAND): void {
+  mockDb.seed("users/owner1", { stripeAccountId: "acct_studio", ...studioData });
+  mockDb.seed("purchases/p1", {
+    stripeSubscriptionId: "sub_1", isRenewal: false, studioOwnerId: "owner1", studentId: "s1", authUid: "uid1",
+    itemId: "pkg1", itemName: "Unlimited", subscriptionStatus: "active",
+  });
+  mockDb.seed("packages/pkg1", { freezeFee: 15 });
+}
+
+function freezes(): Record<string, unknown>[] {
+  return [...mockDb.store.keys()]
+    .filter((path) => path.startsWith("subscriptionFreezes/"))
+    .map((path) => mockDb.data(path) as Record<string, unknown>);
+}
+
+describe("SubscriptionFreezesService", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ["nextTick", "queueMicrotask", "setImmediate", "setTimeout"] });
+    stripe.retrieveConnectedSubscription.mockResolvedValue({ customer: "cus_1", default_payment_method: "pm_1" } as never);
+    stripe.chargePaymentMethodDirectly.mockResolvedValue({ id: "pi_fee", status: "succeeded" } as never);
+    stripe.resumeConnectedSubscription.mockResolvedValue({ status: "active" } as never);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe("createFreeze", () => {
+    it("starts a freeze on the studio's local today and pauses billing until the studio's next midnight", async () => {
+      seedSubscription();
+
+      const freeze = await subscriptionFreezesService.createFreeze(
+        "sub_1", { startDate: "2026-11-03", endDate: "2026-11-09" }, studio,
+      );
+
+      expect(freeze).toMatchObject({ status: "active", fee: 15, feePaymentIntentId: "pi_fee", freezeDays: 7 });
+      const resumesAt = new Date("2026-11-09T11:00:00.000Z").getTime() / 1000;
+      expect(stripe.pauseConnectedSubscription).toHaveBeenCalledWith("sub_1", "acct_studio", resumesAt);
+    });
+
+    it("rejects a start date that has already passed at the studio", async () => {
+      seedSubscription();
+
+      await expect(subscriptionFreezesService.createFreeze(
+        "sub_1", { startDate: "2026-11-02", endDate: "2026-11-09" }, studio,
+      )).rejects.toThrow("startDate cannot be in the past");
+    });
+
+    it("charges only one of two overlapping requests made at the same time", async () => {
+      seedSubscription();
+
+      const results = await Promise.allSettled([
+        subscriptionFreezesService.createFreeze("sub_1", { startDate: "2026-11-10", endDate: "2026-11-20" }, studio),
+        subscriptionFreezesService.createFreeze("sub_1", { startDate: "2026-11-15", endDate: "2026-11-25" }, studio),
+      ]);
+
+      expect(results.map((result) => result.status).sort()).toEqual(["fulfilled", "rejected"]);
+      expect(stripe.chargePaymentMethodDirectly).toHaveBeenCalledTimes(1);
+      expect(freezes()).toEqual([expect.objectContaining({ status: "scheduled", feePaymentIntentId: "pi_fee" })]);
+    });
+
+    it("releases the dates when the fee can't be charged", async () => {
+      seedSubscription();
+      stripe.chargePaymentMethodDirectly.mockResolvedValueOnce({ id: "pi_fee", status: "requires_action" } as never);
+
+      await expect(subscriptionFreezesService.createFreeze(
+        "sub_1", { startDate: "2026-11-10", endDate: "2026-11-20" }, studio,
+      )).rejects.toThrow("Freeze fee payment failed");
+      expect(freezes()).toEqual([]);
+
+      const freeze = await subscriptionFreezesService.createFreeze(
+        "sub_1", { startDate: "2026-11-10", endDate: "2026-11-20" }, studio,
+      );
+      expect(freeze.status).toBe("scheduled");
+    });
+
+    it("ignores a reservation abandoned by an earlier failed request", async () => {
+      seedSubscription();
+      mockDb.seed("subscriptionFreezes/stale", {
+        subscriptionId: "sub_1", studioOwnerId: "owner1", startDate: "2026-11-10", endDate: "2026-11-20", fee: 15,
+        status: "pending", createdAt: admin.firestore.Timestamp.fromMillis(NOW.getTime() - 60 * 60 * 1000),
+      });
+      stripe.chargePaymentMethodDirectly.mockResolvedValueOnce({ id: "pi_stale", status: "requires_action" } as never);
+
+      const freeze = await subscriptionFreezesService.createFreeze(
+        "sub_1", { startDate: "2026-11-12", endDate: "2026-11-14" }, studio,
+      );
+
+      expect(freeze.status).toBe("scheduled");
+      expect(mockDb.data("subscriptionFreezes/stale")).toBeUndefined();
+    });
+
+    it("keeps the dates of an abandoned reservation whose fee was paid", async () => {
+      seedSubscription();
+      mockDb.seed("subscriptionFreezes/stale", {
+        subscriptionId: "sub_1", studioOwnerId: "owner1", startDate: "2026-11-10", endDate: "2026-11-20", fee: 15,
+        status: "pending", createdAt: admin.firestore.Timestamp.fromMillis(NOW.getTime() - 60 * 60 * 1000),
+      });
+
+      await expect(subscriptionFreezesService.createFreeze(
+        "sub_1", { startDate: "2026-11-12", endDate: "2026-11-14" }, studio,
+      )).rejects.toThrow("Freeze overlaps an existing freeze");
+      expect(mockDb.data("subscriptionFreezes/stale")).toMatchObject({ status: "scheduled", feePaymentIntentId: "pi_fee" });
+    });
+  });
+
+  describe("processDueFreezes", () => {
+    it("goes by each studio's local day", async () => {
+      seedSubscription();
+      mockDb.seed("users/owner2", { stripeAccountId: "acct_other" });
+      const base = { subscriptionId: "sub_1", studentId: "s1", startDate: "2026-11-03", endDate: "2026-11-05", freezeDays: 3, status: "scheduled", requestedBy: { type: "studio", id: "owner1" } };
+      mockDb.seed("subscriptionFreezes/auckland", { ...base, studioOwnerId: "owner1" });
+      mockDb.seed("subscriptionFreezes/utc", { ...base, studioOwnerId: "owner2" });
+
+      expect(await subscriptionFreezesService.processDueFreezes()).toEqual({ started: 1, ended: 0 });
+      expect(mockDb.data("subscriptionFreezes/auckland")?.["status"]).toBe("active");
+      expect(mockDb.data("subscriptionFreezes/utc")?.["status"]).toBe("scheduled");
+    });
+
+    it("starts a freeze whose fee was paid but whose request never recorded it", async () => {
+      seedSubscription();
+      mockDb.seed("subscriptionFreezes/stuck", {
+        subscriptionId: "sub_1", purchaseId: "p1", studentId: "s1", studioOwnerId: "owner1", startDate: "2026-11-03",
+        endDate: "2026-11-05", freezeDays: 3, fee: 15, feePaymentIntentId: null, status: "pending",
+        requestedBy: { type: "studio", id: "owner1" },
+        createdAt: admin.firestore.Timestamp.fromMillis(NOW.getTime() - 60 * 60 * 1000),
+      });
+
+      expect(await subscriptionFreezesService.processDueFreezes()).toEqual({ started: 1, ended: 0 });
+      expect(stripe.chargePaymentMethodDirectly).toHaveBeenCalledWith(
+        "cus_1", "pm_1", 1500, expect.anything(), "acct_studio", "freeze-fee:stuck",
+      );
+      expect(mockDb.data("subscriptionFreezes/stuck"))
+        .toMatchObject({ status: "active", feePaymentIntentId: "pi_fee" });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, expect, it, jest } from "@jest/globals";
+import { mockDb, minutesFromNow } from "./helpers/fake-firestore";
+import * as stripeService from "../src/services/stripe.service";
+import ticketTransfersService from "../src/services/ticket-transfers.service";
+
+jest.mock("../src/services/stripe.service", () => ({
+  retrieveConnectedPaymentIntent: jest.fn(),
+  cancelConnectedPaymentIntent: jest.fn(),
+  createRefund: jest.fn(),
+  chargePaymentMethodDirectly: jest.fn(),
+  findOrCreateConnectedCustomer: jest.fn(),
+  clonePaymentMethodToConnectedAccount: jest.fn(),
+}));
+jest.mock("../src/services/sendgrid.service", () => ({
+  sendTicketTransferEmail: jest.fn(),
+  sendTicketResaleOfferEmail: jest.fn(),
+}));
+jest.mock("../src/services/auth.service", () => ({
+  __esModule: true,
+  default: { getStudentProfileByAuthUid: jest.fn(async () => null), getUserByEmail: jest.fn() },
+}));
+jest.mock("../src/services/studio-enrollment.service", () => ({
+  __esModule: true,
+  default: { enrollStudent: jest.fn(async () => "student-buyer") },
+}));
+jest.mock("../src/services/waitlist-promotion.service", () => ({ DEFAULT_WAITLIST_OFFER_MINUTES: 30 }));
+jest.mock("../src/services/event-tickets.service", () => ({
+  __esModule: true,
+  itemStart: (data: Record<string, unknown> | undefined) => {
+    const raw = data?.["startTime"];
+    return typeof raw === "string" ? new Date(raw) : null;
+  },
+  default: { issueTickets: jest.fn(), reissueToHolder: jest.fn() },
+}));
+
+const stripe = jest.mocked(stripeService);
+
+function seedResaleOffer(overrides: Record<string, unknown> = {}): void {
+  mockDb.seed("users/studio1", { stripeAccountId: "acct_1" });
+  mockDb.seed("events/event1", {
+    studioOwnerId: "studio1", name: "Spring Showcase", allowResale: true,
+    startTime: new Date(Date.now() + 7 * 86400000).toISOString(),
+  });
+  mockDb.seed("purchases/p1", {
+    authUid: "seller", studentId: "student-seller", purchaseType: "event", itemId: "event1",
+    status: "completed", price: 40, pendingTransferId: "t1", stripePaymentIntentId: "pi_seller",
+  });
+  mockDb.seed("eventWaitlists/w1", { itemType: "event", itemId: "event1", authUid: "buyer", status: "offered", transferId: "t1" });
+  mockDb.seed("ticketTransfers/t1", {
+    kind: "resale", status: "offered", purchaseId: "p1", itemType: "event", itemId: "event1",
+    itemName: "Spring Showcase", studioOwnerId: "studio1", fromAuthUid: "seller", fromName: "Sam Seller",
+    toAuthUid: "buyer", waitlistEntryId: "w1", price: 40, sellerPaymentIntentId: "pi_seller",
+    offerExpiresAt: minutesFromNow(-1), expiresAt: minutesFromNow(7 * 1440), paymentIntentId: "pi_buyer",
+    ...overrides,
+  });
+}
+
+describe("TicketTransfersService resale offers", () => {
+  describe("3DS pending across expiry", () => {
+    it("cancels the buyer's unconfirmed payment before relisting, so a late confirm can't charge them", async () => {
+      seedResaleOffer();
+      stripe.retrieveConnectedPaymentIntent.mockResolvedValue({ id: "pi_buyer", status: "requires_action" } as never);
+      stripe.cancelConnectedPaymentIntent.mockResolvedValue({ id: "pi_buyer", status: "canceled" } as never);
+
+      await ticketTransfersService.expireStale();
+
+      expect(stripe.cancelConnectedPaymentIntent).toHaveBeenCalledWith("pi_buyer", "acct_1");
+      expect(mockDb.data("ticketTransfers/t1")).toMatchObject({ status: "listed", paymentIntentId: null, toAuthUid: null });
+      expect(mockDb.data("eventWaitlists/w1")?.["status"]).toBe("expired");
+
+      await expect(ticketTransfersService.acceptResale("t1", { uid: "buyer" }))
+        .rejects.toThrow("This pass is no longer on offer to you");
+      expect(stripe.chargePaymentMethodDirectly).not.toHaveBeenCalled();
+    });
+
+    it("keeps the offer when the buyer confirms before the cancel lands", async () => {
+      seedResaleOffer();
+      stripe.retrieveConnectedPaymentIntent.mockResolvedValue({ id: "pi_buyer", status: "requires_action" } as never);
+      stripe.cancelConnectedPaymentIntent.mockRejectedValue(new Error("This PaymentIntent's status is succeeded"));
+
+      await ticketTransfersService.expireStale();
+
+      expect(mockDb.data("ticketTransfers/t1")).toMatchObject({ status: "offered", paymentIntentId: "pi_buyer", toAuthUid: "buyer" });
+    });
+
+    it("completes the sale for a buyer who paid but never came back to accept", async () => {
+      seedResaleOffer();
+      stripe.retrieveConnectedPaymentIntent.mockResolvedValue({ id: "pi_buyer", status: "succeeded" } as never);
+      stripe.createRefund.mockResolvedValue({ id: "re_seller" } as never);
+
+      await ticketTransfersService.expireStale();
+
+      expect(stripe.cancelConnectedPaymentIntent).not.toHaveBeenCalled();
+      expect(mockDb.data("ticketTransfers/t1")).toMatchObject({ status: "sold", sellerRefundStatus: "succeeded" });
+      expect(mockDb.data("purchases/p1")).toMatchObject({
+        authUid: "buyer", studentId: "student-buyer", pendingTransferId: null, stripePaymentIntentId: "pi_buyer",
+      });
+      // Only the seller is refunded; the buyer keeps the pass they paid for.
+      expect(stripe.createRefund).toHaveBeenCalledTimes(1);
+      expect(stripe.createRefund).toHaveBeenCalledWith("pi_seller", "Pass resold", "acct_1", expect.objectContaining({ amount: 4000 }));
+    });
+  });
+
+  it("relists a lapsed offer that never started a payment", async () => {
+    seedResaleOffer({ paymentIntentId: null });
+
+    await ticketTransfersService.expireStale();
+
+    expect(stripe.retrieveConnectedPaymentIntent).not.toHaveBeenCalled();
+    expect(mockDb.data("ticketTransfers/t1")?.["status"]).toBe("listed");
+  });
+
+  it("leaves an offer that hasn't lapsed alone", async () => {
+    seedResaleOffer({ offerExpiresAt: minutesFromNow(10), paymentIntentId: null });
+
+    await ticketTransfersService.expireStale();
+
+    expect(mockDb.data("ticketTransfers/t1")?.["status"]).toBe("offered");
+  });
+
+  it("refunds a buyer who paid and then declined", async () => {
+    seedResaleOffer({ offerExpiresAt: minutesFromNow(10) });
+    stripe.retrieveConnectedPaymentIntent.mockResolvedValue({ id: "pi_buyer", status: "succeeded" } as never);
+    stripe.createRefund.mockResolvedValue({ id: "re_buyer" } as never);
+
+    await ticketTransfersService.decline("t1", { uid: "buyer" });
+
+    expect(stripe.createRefund).toHaveBeenCalledWith("pi_buyer", "Resale offer withdrawn", "acct_1", expect.anything());
+    expect(mockDb.data("ticketTransfers/t1")).toMatchObject({ status: "listed", paymentIntentId: null });
+  });
+
+  it("won't let the seller cancel a listing the buyer has already paid for", async () => {
+    seedResaleOffer({ offerExpiresAt: minutesFromNow(10) });
+    stripe.retrieveConnectedPaymentIntent.mockResolvedValue({ id: "pi_buyer", status: "succeeded" } as never);
+
+    await expect(ticketTransfersService.cancel("t1", "seller")).rejects.toThrow("A buyer has already paid for this pass");
+    expect(mockDb.data("ticketTransfers/t1")?.["status"]).toBe("offered");
+  });
+
+  describe("relisting a pass that has changed hands", () => {
+    const original = { authUid: "giver", studentId: "student-giver", name: "Gia Giver", via: "purchase", transferId: null, price: 40, paymentIntentId: "pi_giver", at: "2026-01-01T00:00:00.000Z" };
+
+    function seedHeldPass(holding: Record<string, unknown>): void {
+      mockDb.seed("events/event1", {
+        studioOwnerId: "studio1", name: "Spring Showcase", allowResale: true,
+        startTime: new Date(Date.now() + 7 * 86400000).toISOString(),
+      });
+      mockDb.seed("purchases/p2", {
+        authUid: "holder", studentId: "student-holder", purchaseType: "event", itemId: "event1", status: "completed",
+        price: 40, stripePaymentIntentId: holding["paymentIntentId"] ?? "pi_giver",
+        ownershipHistory: [
+          original,
+          { authUid: "holder", studentId: "student-holder", name: "Hal Holder", transferId: "t0", at: "2026-02-01T00:00:00.000Z", ...holding },
+        ],
+      });
+    }
+
+    it("won't resell a pass its holder was given", async () => {
+      seedHeldPass({ via: "transfer", price: null, paymentIntentId: null });
+
+      await expect(ticketTransfersService.listForResale("p2", "holder"))
+        .rejects.toThrow("Passes received as a gift cannot be resold");
+      expect(mockDb.data("purchases/p2")?.["pendingTransferId"]).toBeUndefined();
+    });
+
+    it("refunds a resale buyer who relists on their own payment", async () => {
+      seedHeldPass({ via: "resale", price: 35, paymentIntentId: "pi_holder" });
+
+      const listing = await ticketTransfersService.listForResale("p2", "holder");
+
+      expect(mockDb.data(`ticketTransfers/${listing.id}`)).toMatchObject({ price: 35, sellerPaymentIntentId: "pi_holder" });
+    });
+  });
+});
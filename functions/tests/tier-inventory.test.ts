@@ -0,0 +1,128 @@
+import { describe, expect, it, jest } from "@jest/globals";
+import type Stripe from "stripe";
+import { mockDb, minutesFromNow } from "./helpers/fake-firestore";
+import disputesService from "../src/services/disputes.service";
+import tierInventoryService, {
+  OVERSOLD_MESSAGE, TicketTier, ticketTiersOf, withTierIds,
+} from "../src/services/tier-inventory.service";
+
+jest.mock("../src/services/refund.service", () => ({ __esModule: true, default: {} }));
+jest.mock("../src/services/credit-tracking.service", () => ({
+  __esModule: true,
+  default: { addCredits: jest.fn(async () => "credit1") },
+}));
+jest.mock("../src/services/sendgrid.service", () => ({ sendDisputeOpenedEmailToStudio: jest.fn() }));
+
+function seedEvent(priceTiers: Array<Record<string, unknown>>): TicketTier[] {
+  mockDb.seed("events/event1", { studioOwnerId: "studio1", name: "Spring Showcase", priceTiers });
+  return ticketTiersOf(priceTiers);
+}
+
+/** A checkout whose hold has already lapsed, as when a 3DS challenge outlives it. */
+function seedLapsedReservation(lines: Array<Record<string, unknown>>): void {
+  mockDb.seed("tierReservations/r-late", {
+    itemType: "event", itemId: "event1", authUid: "late-buyer", lines, status: "held", purchaseId: null,
+    expiresAt: minutesFromNow(-5),
+  });
+}
+
+describe("TierInventoryService", () => {
+  describe("a payment confirmed after its hold lapsed", () => {
+    it("refuses the seats when they sold to someone else meanwhile", async () => {
+      const tiers = seedEvent([{ id: "ga", name: "General", price: 20, capacity: 2 }]);
+      seedLapsedReservation([{ tierId: "ga", tierName: "General", quantity: 1, unitPrice: 20, total: 20 }]);
+      const lines = tierInventoryService.resolveSelection(tiers, [{ tierId: "ga", quantity: 2 }]);
+      const reservationId = await tierInventoryService.reserve("event", "event1", tiers, lines, "buyer");
+      await tierInventoryService.commit(reservationId, "p-first");
+
+      await expect(tierInventoryService.commit("r-late", "p-late")).rejects.toThrow(OVERSOLD_MESSAGE);
+
+      expect(mockDb.data("tierInventory/event_event1")?.["sold"]).toEqual({ ga: 2 });
+      expect(mockDb.data("tierReservations/r-late")).toMatchObject({ status: "oversold", purchaseId: "p-late" });
+      // A retried confirmation gets the same answer rather than selling the seat after all.
+      await expect(tierInventoryService.commit("r-late", "p-late")).rejects.toThrow(OVERSOLD_MESSAGE);
+    });
+
+    it("counts seats still held by other checkouts against it", async () => {
+      const tiers = seedEvent([{ id: "ga", name: "General", price: 20, capacity: 1 }]);
+      seedLapsedReservation([{ tierId: "ga", tierName: "General", quantity: 1, unitPrice: 20, total: 20 }]);
+      const lines = tierInventoryService.resolveSelection(tiers, [{ tierId: "ga", quantity: 1 }]);
+      await tierInventoryService.reserve("event", "event1", tiers, lines, "buyer");
+
+      await expect(tierInventoryService.commit("r-late", "p-late")).rejects.toThrow(OVERSOLD_MESSAGE);
+    });
+
+    it("still sells the seats when there is room", async () => {
+      seedEvent([{ id: "ga", name: "General", price: 20, capacity: 2 }]);
+      seedLapsedReservation([{ tierId: "ga", tierName: "General", quantity: 1, unitPrice: 20, total: 20 }]);
+
+      const lines = await tierInventoryService.commit("r-late", "p-late");
+
+      expect(lines).toHaveLength(1);
+      expect(mockDb.data("tierInventory/event_event1")?.["sold"]).toEqual({ ga: 1 });
+      expect(mockDb.data("tierReservations/r-late")?.["status"]).toBe("committed");
+    });
+  });
+
+  describe("tier ids", () => {
+    it("keeps a tier's sold count when it is renamed", async () => {
+      const saved = withTierIds([{ name: "Early Bird", price: 15, capacity: 10 }]) as Array<Record<string, unknown>>;
+      const tiers = seedEvent(saved);
+      const lines = tierInventoryService.resolveSelection(tiers, [{ tierName: "Early Bird", quantity: 3 }]);
+      await tierInventoryService.commit(
+        await tierInventoryService.reserve("event", "event1", tiers, lines, "buyer"), "p1",
+      );
+
+      const renamed = withTierIds([{ ...saved[0], name: "Founders" }], saved);
+      const [availability] = await tierInventoryService.getAvailability("event", "event1", ticketTiersOf(renamed));
+
+      expect(availability).toMatchObject({ name: "Founders", sold: 3, remaining: 7 });
+    });
+
+    it("gives a legacy tier its name-keyed stock as its id", async () => {
+      mockDb.seed("tierInventory/event_event1", { itemType: "event", itemId: "event1", sold: { vip: 4 }, holds: {} });
+      const previous = [{ name: "VIP", price: 50, capacity: 5 }];
+
+      const saved = withTierIds([{ name: "VIP", price: 55, capacity: 5 }], previous);
+      const [availability] = await tierInventoryService.getAvailability("event", "event1", ticketTiersOf(saved));
+
+      expect(availability).toMatchObject({ id: "vip", sold: 4, remaining: 1 });
+    });
+
+    it("gives duplicated ids a fresh one", () => {
+      const saved = withTierIds([{ id: "a", name: "One" }, { id: "a", name: "Two" }]) as Array<Record<string, unknown>>;
+
+      expect(saved[0]?.["id"]).toBe("a");
+      expect(saved[1]?.["id"]).not.toBe("a");
+    });
+  });
+
+  it("returns a refunded purchase's seats once", async () => {
+    const tiers = seedEvent([{ id: "ga", name: "General", price: 20, capacity: 5 }]);
+    const lines = tierInventoryService.resolveSelection(tiers, [{ tierId: "ga", quantity: 2 }]);
+    const reservationId = await tierInventoryService.reserve("event", "event1", tiers, lines, "buyer");
+    await tierInventoryService.commit(reservationId, "p1");
+
+    await tierInventoryService.returnStock(reservationId);
+    await tierInventoryService.returnStock(reservationId);
+
+    expect(mockDb.data("tierInventory/event_event1")?.["sold"]).toEqual({ ga: 0 });
+  });
+
+  it("puts a charged-back purchase's seats back on sale when the dispute is lost", async () => {
+    const tiers = seedEvent([{ id: "ga", name: "General", price: 20, capacity: 5 }]);
+    const lines = tierInventoryService.resolveSelection(tiers, [{ tierId: "ga", quantity: 2 }]);
+    const reservationId = await tierInventoryService.reserve("event", "event1", tiers, lines, "buyer");
+    await tierInventoryService.commit(reservationId, "p1");
+    mockDb.seed("purchases/p1", {
+      studioOwnerId: "studio1", purchaseType: "event", itemId: "event1", status: "disputed",
+      metadata: { tierBreakdown: lines, tierReservationId: reservationId },
+    });
+    mockDb.seed("disputes/dp_1", { purchaseId: "p1", studioOwnerId: "studio1", status: "needs_response" });
+
+    await disputesService.recordDisputeClosed({ id: "dp_1", status: "lost" } as Stripe.Dispute, "acct_1");
+
+    expect(mockDb.data("purchases/p1")?.["status"]).toBe("chargeback");
+    expect(mockDb.data("tierInventory/event_event1")?.["sold"]).toEqual({ ga: 0 });
+  });
+});
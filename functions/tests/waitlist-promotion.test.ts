@@ -0,0 +1,89 @@
+import { describe, expect, it, jest } from "@jest/globals";
+import { mockDb, minutesFromNow } from "./helpers/fake-firestore";
+import attendanceService from "../src/services/attendance.service";
+import waitlistPromotionService from "../src/services/waitlist-promotion.service";
+
+jest.mock("../src/services/attendance.service", () => ({
+  __esModule: true,
+  default: { createAttendanceRecord: jest.fn(async () => "att1") },
+}));
+jest.mock("../src/services/classes.service", () => ({
+  __esModule: true,
+  default: {
+    getClassById: jest.fn(async () => ({ name: "Salsa Basics", maxCapacity: 2 })),
+    getEnrolledCount: jest.fn(async () => 1),
+  },
+}));
+jest.mock("../src/services/class-exceptions.service", () => ({
+  __esModule: true,
+  default: { isInstanceCancelled: jest.fn(async () => false) },
+}));
+jest.mock("../src/services/sendgrid.service", () => ({
+  sendWaitlistOfferEmail: jest.fn(),
+  sendWaitlistEnrolledEmail: jest.fn(),
+}));
+
+const attendance = jest.mocked(attendanceService);
+const tomorrow = new Date(Date.now() + 86400000);
+
+function seedEntry(id: string, fields: Record<string, unknown> = {}): void {
+  mockDb.seed(`students/student-${id}`, { authUid: `uid-${id}` });
+  mockDb.seed(`waitlists/${id}`, {
+    classId: "class1", studioOwnerId: "studio1", studentId: `student-${id}`, classInstanceDate: tomorrow.toISOString(),
+    isActive: true, status: "waiting", autoClaim: false, addedAt: minutesFromNow(-60), ...fields,
+  });
+}
+
+describe("WaitlistPromotionService", () => {
+  describe("promoteNext", () => {
+    it("offers the last spot once when two cancellations promote at the same time", async () => {
+      seedEntry("w1");
+      seedEntry("w2");
+
+      const results = await Promise.all([
+        waitlistPromotionService.promoteNext("class1", tomorrow, "studio1", "attendance_removed"),
+        waitlistPromotionService.promoteNext("class1", tomorrow, "studio1", "attendance_removed"),
+      ]);
+
+      expect(results.flat()).toEqual([expect.objectContaining({ entryId: "w1", action: "offered" })]);
+      expect(mockDb.data("waitlists/w2")?.["status"]).toBe("waiting");
+    });
+
+    it("counts a live offer against capacity", async () => {
+      seedEntry("w1", { status: "offered", offerExpiresAt: minutesFromNow(30) });
+      seedEntry("w2");
+
+      expect(await waitlistPromotionService.promoteNext("class1", tomorrow, "studio1", "manual")).toEqual([]);
+    });
+  });
+
+  describe("claimOffer", () => {
+    it("books once when the same offer is claimed twice at the same time", async () => {
+      seedEntry("w1", { status: "offered", offerExpiresAt: minutesFromNow(30) });
+
+      const results = await Promise.allSettled([
+        waitlistPromotionService.claimOffer("w1", "uid-w1"),
+        waitlistPromotionService.claimOffer("w1", "uid-w1"),
+      ]);
+
+      expect(results.map((result) => result.status).sort()).toEqual(["fulfilled", "rejected"]);
+      expect(attendance.createAttendanceRecord).toHaveBeenCalledTimes(1);
+      expect(mockDb.data("waitlists/w1")).toMatchObject({ status: "enrolled", isActive: false });
+    });
+
+    it("rejects an offer that has lapsed without booking", async () => {
+      seedEntry("w1", { status: "offered", offerExpiresAt: minutesFromNow(-1) });
+
+      await expect(waitlistPromotionService.claimOffer("w1", "uid-w1")).rejects.toThrow("This waitlist offer has expired");
+      expect(attendance.createAttendanceRecord).not.toHaveBeenCalled();
+    });
+
+    it("hands the offer back when the booking fails", async () => {
+      seedEntry("w1", { status: "offered", offerExpiresAt: minutesFromNow(30) });
+      attendance.createAttendanceRecord.mockRejectedValueOnce(new Error("No credits available"));
+
+      await expect(waitlistPromotionService.claimOffer("w1", "uid-w1")).rejects.toThrow("No credits available");
+      expect(mockDb.data("waitlists/w1")).toMatchObject({ status: "offered", isActive: true });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * One-time backfill script: issues tickets for completed event and workshop
+ * purchases made before tickets were issued at purchase completion. Safe to
+ * re-run — purchases that already have their tickets are left alone.
+ *
+ * Uses the compiled functions code, so build first.
+ *
+ * Usage (run from danceup-backend/functions/):
+ *   npm run build
+ *   GCLOUD_PROJECT=dev-danceup DRY_RUN=true node ../scripts/event-tickets-backfill.js
+ *   GCLOUD_PROJECT=production-danceup node ../scripts/event-tickets-backfill.js
+ *
+ * Optional env vars:
+ *   FIRESTORE_DATABASE_ID   — override the Firestore database (e.g. "development")
+ *   DRY_RUN=true            — log which purchases would get tickets without writing to Firestore
+ */
+
+"use strict";
+
+const path = require("path");
+const functionsDir = path.join(__dirname, "..", "functions");
+if (!process.env.NODE_PATH || !process.env.NODE_PATH.includes(functionsDir)) {
+  const sep = process.platform === "win32" ? ";" : ":";
+  process.env.NODE_PATH = functionsDir + "/node_modules" +
+    (process.env.NODE_PATH ? sep + process.env.NODE_PATH : "");
+  require("module").Module._initPaths();
+}
+
+const admin = require("firebase-admin");
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const {getFirestore} = require(path.join(functionsDir, "lib", "utils", "firestore"));
+const eventTicketsService = require(path.join(functionsDir, "lib", "services", "event-tickets.service")).default;
+
+const DRY_RUN = process.env.DRY_RUN === "true";
+
+async function main() {
+  const db = getFirestore();
+  let checked = 0;
+  let issued = 0;
+
+  for (const purchaseType of ["event", "workshop"]) {
+    const snapshot = await db.collection("purchases")
+      .where("purchaseType", "==", purchaseType)
+      .where("status", "==", "completed")
+      .get();
+
+    for (const doc of snapshot.docs) {
+      checked++;
+      const existing = await db.collection("eventTickets").where("purchaseId", "==", doc.id).limit(1).get();
+      if (!existing.empty) continue;
+
+      if (DRY_RUN) {
+        console.log(`[DRY RUN] Would issue tickets for ${purchaseType} purchase ${doc.id}`);
+        issued++;
+        continue;
+      }
+      try {
+        const tickets = await eventTicketsService.issueTickets(doc);
+        console.log(`Issued ${tickets.length} ticket(s) for ${purchaseType} purchase ${doc.id}`);
+        issued++;
+      } catch (err) {
+        console.error(`Failed to issue tickets for purchase ${doc.id}:`, err.message);
+      }
+    }
+  }
+
+  console.log(`Checked ${checked} purchase(s); ${DRY_RUN ? "would issue" : "issued"} tickets for ${issued}.`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("Backfill failed:", err);
+    process.exit(1);
+  });